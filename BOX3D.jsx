@@ -2,7 +2,17 @@ import React, { useEffect, useRef, useState, useMemo } from 'react';
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { CSS2DRenderer, CSS2DObject } from 'three/examples/jsm/renderers/CSS2DRenderer.js';
-import { mergeBufferGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import {
+    IN_TO_MM, MM_TO_IN, IU_PER_MM, IU_PER_IN, toScene,
+    DEFAULT_APP_MODE, DEFAULT_CONFIG, CONFIG_RANGES,
+    projectToJSON, projectFromJSON, encodeProjectHash, decodeProjectHash,
+    calculateConstraints, buildModel, generateSTL, generate3MF,
+    getExportName, generatePartFiles, createZip,
+    compartmentLines, equalDividers, fullGridWalls, wallSpan, remapWalls, setWallRun, mergeCells, splitCells,
+    parseOutline, outlineSize,
+    PRINTER_PROFILES, PRINTER_RANGES, CUSTOM_PRINTER_ID,
+    resolvePrinter, loadPrinterSettings, savePrinterSettings,
+} from './core/index.js';
 
 /**
  * ==========================================================================================
@@ -22,662 +32,25 @@ import { mergeBufferGeometries } from 'three/examples/jsm/utils/BufferGeometryUt
  * * ==========================================================================================
  */
 
-const IN_TO_MM = 25.4;
-const MM_TO_IN = 1 / 25.4;
-const GEO_OVERLAP = 0.002; 
-
-// --- Precision Constants ---
-const IU_PER_MM = 100000;
-const IU_PER_IN = 2540000; // 25.4 * 100000
-
-// Convert Internal Units back to Scene Units (Inches) for Three.js
-const toScene = (iu) => {
-    const mm = iu / IU_PER_MM;
-    return mm * MM_TO_IN;
-};
-
-// Helper: Convert initial inch values to IU for state initialization
-const initIn = (val) => Math.round(val * IU_PER_IN);
-const initMm = (val) => Math.round(val * IU_PER_MM);
-
-// --- Helpers ---
-function createHexagonPath(x, y, radius) {
-  const path = new THREE.Path();
-  const angleOff = Math.PI / 6; 
-  for (let i = 0; i < 6; i++) {
-    const angle = angleOff + (i * 60 * Math.PI) / 180;
-    const px = x + radius * Math.cos(angle);
-    const py = y + radius * Math.sin(angle);
-    if (i === 0) path.moveTo(px, py);
-    else path.lineTo(px, py);
-  }
-  path.closePath();
-  return path;
-}
-
-function createRoundedRectPath(width, height, radius) {
-    const ctx = new THREE.Shape();
-    const x = -width / 2;
-    const y = -height / 2;
-    ctx.moveTo(x + radius, y);
-    ctx.lineTo(x + width - radius, y);
-    ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
-    ctx.lineTo(x + width, y + height - radius);
-    ctx.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
-    ctx.lineTo(x + radius, y + height);
-    ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
-    ctx.lineTo(x, y + radius);
-    ctx.quadraticCurveTo(x, y, x + radius, y);
-    return ctx;
-}
-
-// --- Gridfinity Geometry Helpers ---
-
-// Generate points around a rounded rectangle perimeter (in XZ plane)
-function generateRoundedRectRing(width, depth, radius, cornerSegs = 8) {
-    const points = [];
-    const hw = width / 2;
-    const hd = depth / 2;
-    const r = Math.min(radius, hw, hd);
-
-    // Corner centers (counterclockwise from bottom-right)
-    const corners = [
-        { cx: hw - r, cz: -(hd - r), a0: -Math.PI / 2, a1: 0 },           // bottom-right
-        { cx: hw - r, cz: hd - r, a0: 0, a1: Math.PI / 2 },               // top-right
-        { cx: -(hw - r), cz: hd - r, a0: Math.PI / 2, a1: Math.PI },      // top-left
-        { cx: -(hw - r), cz: -(hd - r), a0: Math.PI, a1: 3 * Math.PI / 2 }, // bottom-left
-    ];
-
-    for (const c of corners) {
-        for (let i = 0; i < cornerSegs; i++) {
-            const t = i / cornerSegs;
-            const angle = c.a0 + (c.a1 - c.a0) * t;
-            points.push({ x: c.cx + r * Math.cos(angle), z: c.cz + r * Math.sin(angle) });
-        }
-    }
-    return points;
-}
-
-// Build a BufferGeometry from stacked rounded-rect rings
-function buildProfileGeometry(levels, cornerSegs = 8, bottomHoles = null) {
-    // levels: [{ y (scene units), width, depth, radius }]
-    // bottomHoles: [{ x, z, radius, depth?, screwRadius? }]
-    //   depth: magnet pocket depth (tube walls + annular floor)
-    //   screwRadius: concentric through-hole radius
-    const rings = levels.map(l =>
-        generateRoundedRectRing(l.width, l.depth, l.radius, cornerSegs).map(p => ({ ...p, y: l.y }))
-    );
-
-    const ptsPerRing = rings[0].length;
-    const vertices = [];
-    const indices = [];
-    const HOLE_SEGS = 20;
-
-    // Side faces between adjacent rings
-    for (let r = 0; r < rings.length - 1; r++) {
-        const baseIdx = vertices.length / 3;
-        const ring0 = rings[r];
-        const ring1 = rings[r + 1];
-        for (let i = 0; i < ptsPerRing; i++) {
-            vertices.push(ring0[i].x, ring0[i].y, ring0[i].z);
-        }
-        for (let i = 0; i < ptsPerRing; i++) {
-            vertices.push(ring1[i].x, ring1[i].y, ring1[i].z);
-        }
-        for (let i = 0; i < ptsPerRing; i++) {
-            const next = (i + 1) % ptsPerRing;
-            const a = baseIdx + i;
-            const b = baseIdx + next;
-            const c = baseIdx + ptsPerRing + next;
-            const d = baseIdx + ptsPerRing + i;
-            indices.push(a, b, c);
-            indices.push(a, c, d);
-        }
-    }
-
-    const botY = rings[0][0].y;
-    const topY = rings[rings.length - 1][0].y;
-
-    // Top cap with screw hole cutouts
-    const topRing = rings[rings.length - 1];
-    if (bottomHoles && bottomHoles.some(h => h.screwRadius)) {
-        const topShape = createRoundedRectPath(
-            levels[levels.length - 1].width,
-            levels[levels.length - 1].depth,
-            levels[levels.length - 1].radius
-        );
-        for (const hole of bottomHoles) {
-            if (hole.screwRadius) {
-                const hp = new THREE.Path();
-                hp.absarc(hole.x, -hole.z, hole.screwRadius, 0, Math.PI * 2, true);
-                topShape.holes.push(hp);
-            }
-        }
-        const topGeo = new THREE.ShapeGeometry(topShape, cornerSegs * 4);
-        const pos = topGeo.attributes.position;
-        const idx = topGeo.index ? topGeo.index.array : null;
-        const capBase = vertices.length / 3;
-        for (let i = 0; i < pos.count; i++) {
-            vertices.push(pos.getX(i), topY, -pos.getY(i));
-        }
-        if (idx) {
-            for (let i = 0; i < idx.length; i += 3) {
-                indices.push(capBase + idx[i], capBase + idx[i + 1], capBase + idx[i + 2]);
-            }
-        }
-        topGeo.dispose();
-    } else {
-        // Simple top cap (fan from center)
-        const topCenterIdx = vertices.length / 3;
-        vertices.push(0, topY, 0);
-        const topBaseIdx = vertices.length / 3;
-        for (let i = 0; i < ptsPerRing; i++) {
-            vertices.push(topRing[i].x, topRing[i].y, topRing[i].z);
-        }
-        for (let i = 0; i < ptsPerRing; i++) {
-            const next = (i + 1) % ptsPerRing;
-            indices.push(topCenterIdx, topBaseIdx + i, topBaseIdx + next);
-        }
-    }
-
-    // Bottom cap
-    if (!bottomHoles || bottomHoles.length === 0) {
-        const botRing = rings[0];
-        const botCenterIdx = vertices.length / 3;
-        vertices.push(0, botY, 0);
-        const botBaseIdx = vertices.length / 3;
-        for (let i = 0; i < ptsPerRing; i++) {
-            vertices.push(botRing[i].x, botRing[i].y, botRing[i].z);
-        }
-        for (let i = 0; i < ptsPerRing; i++) {
-            const next = (i + 1) % ptsPerRing;
-            indices.push(botCenterIdx, botBaseIdx + next, botBaseIdx + i);
-        }
-    } else {
-        // Bottom face with magnet hole cutouts
-        const botLevel = levels[0];
-        const shape = createRoundedRectPath(botLevel.width, botLevel.depth, botLevel.radius);
-        for (const hole of bottomHoles) {
-            const holePath = new THREE.Path();
-            holePath.absarc(hole.x, -hole.z, hole.radius, 0, Math.PI * 2, true);
-            shape.holes.push(holePath);
-        }
-        const shapeGeo = new THREE.ShapeGeometry(shape, cornerSegs * 4);
-        const pos = shapeGeo.attributes.position;
-        const idx = shapeGeo.index ? shapeGeo.index.array : null;
-        const capBaseIdx = vertices.length / 3;
-        for (let i = 0; i < pos.count; i++) {
-            vertices.push(pos.getX(i), botY, -pos.getY(i));
-        }
-        if (idx) {
-            for (let i = 0; i < idx.length; i += 3) {
-                indices.push(capBaseIdx + idx[i], capBaseIdx + idx[i + 2], capBaseIdx + idx[i + 1]);
-            }
-        }
-        shapeGeo.dispose();
-
-        // For each hole: build tube walls + annular floor + screw through-tube
-        for (const hole of bottomHoles) {
-            const { x, z, radius, depth, screwRadius } = hole;
-
-            if (depth) {
-                // Magnet pocket tube walls (normals face inward)
-                const tubeBot = vertices.length / 3;
-                for (let i = 0; i < HOLE_SEGS; i++) {
-                    const a = (i / HOLE_SEGS) * Math.PI * 2;
-                    vertices.push(x + Math.cos(a) * radius, botY, z + Math.sin(a) * radius);
-                }
-                for (let i = 0; i < HOLE_SEGS; i++) {
-                    const a = (i / HOLE_SEGS) * Math.PI * 2;
-                    vertices.push(x + Math.cos(a) * radius, botY + depth, z + Math.sin(a) * radius);
-                }
-                for (let i = 0; i < HOLE_SEGS; i++) {
-                    const next = (i + 1) % HOLE_SEGS;
-                    const a = tubeBot + i, b = tubeBot + next;
-                    const c = tubeBot + HOLE_SEGS + next, d = tubeBot + HOLE_SEGS + i;
-                    // Reversed winding for inward-facing normals
-                    indices.push(a, c, b);
-                    indices.push(a, d, c);
-                }
-
-                // Annular floor at pocket depth (magnet radius → screw radius or center)
-                const innerR = screwRadius || 0;
-                const ringBase = vertices.length / 3;
-                const floorY = botY + depth;
-                // Outer ring
-                for (let i = 0; i < HOLE_SEGS; i++) {
-                    const a = (i / HOLE_SEGS) * Math.PI * 2;
-                    vertices.push(x + Math.cos(a) * radius, floorY, z + Math.sin(a) * radius);
-                }
-                if (innerR > 0) {
-                    // Inner ring (screw hole edge)
-                    for (let i = 0; i < HOLE_SEGS; i++) {
-                        const a = (i / HOLE_SEGS) * Math.PI * 2;
-                        vertices.push(x + Math.cos(a) * innerR, floorY, z + Math.sin(a) * innerR);
-                    }
-                    // Triangulate annulus (faces up, visible from below through the hole)
-                    for (let i = 0; i < HOLE_SEGS; i++) {
-                        const next = (i + 1) % HOLE_SEGS;
-                        const o0 = ringBase + i, o1 = ringBase + next;
-                        const i0 = ringBase + HOLE_SEGS + i, i1 = ringBase + HOLE_SEGS + next;
-                        indices.push(o0, o1, i1);
-                        indices.push(o0, i1, i0);
-                    }
-                } else {
-                    // Solid circle cap (fan)
-                    const centerIdx = vertices.length / 3;
-                    vertices.push(x, floorY, z);
-                    for (let i = 0; i < HOLE_SEGS; i++) {
-                        const next = (i + 1) % HOLE_SEGS;
-                        indices.push(centerIdx, ringBase + next, ringBase + i);
-                    }
-                }
-            }
-
-            // Screw through-hole: same as magnet hole but from pocket floor to top
-            if (screwRadius && depth) {
-                const screwBotY = botY + depth; // starts at magnet pocket floor
-                const screwBot = vertices.length / 3;
-                for (let i = 0; i < HOLE_SEGS; i++) {
-                    const a = (i / HOLE_SEGS) * Math.PI * 2;
-                    vertices.push(x + Math.cos(a) * screwRadius, screwBotY, z + Math.sin(a) * screwRadius);
-                }
-                for (let i = 0; i < HOLE_SEGS; i++) {
-                    const a = (i / HOLE_SEGS) * Math.PI * 2;
-                    vertices.push(x + Math.cos(a) * screwRadius, topY, z + Math.sin(a) * screwRadius);
-                }
-                for (let i = 0; i < HOLE_SEGS; i++) {
-                    const next = (i + 1) % HOLE_SEGS;
-                    const a = screwBot + i, b = screwBot + next;
-                    const c = screwBot + HOLE_SEGS + next, d = screwBot + HOLE_SEGS + i;
-                    indices.push(a, c, b);
-                    indices.push(a, d, c);
-                }
-            }
-        }
-    }
-
-    const geo = new THREE.BufferGeometry();
-    geo.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-    geo.setIndex(indices);
-    geo.computeVertexNormals();
-    return geo;
-}
-
-// Create a single Gridfinity foot (one grid cell)
-function createGridfinityFootGeo(withMagnets = true) {
-    // Ground-truth profile (cq-gridfinity verified):
-    // 35.6mm base → 0.7mm 45° → 37.0mm → 1.8mm vert → 2.25mm 45° → 41.5mm top
-    // Total height: 4.75mm. Outer fillet: 4.0mm at top.
-    const levels = [
-        { y: 0,                          width: 35.6 * MM_TO_IN, depth: 35.6 * MM_TO_IN, radius: 1.05 * MM_TO_IN },
-        { y: 0.7 * MM_TO_IN,            width: 37.0 * MM_TO_IN, depth: 37.0 * MM_TO_IN, radius: 1.75 * MM_TO_IN },
-        { y: (0.7 + 1.8) * MM_TO_IN,    width: 37.0 * MM_TO_IN, depth: 37.0 * MM_TO_IN, radius: 1.75 * MM_TO_IN },
-        { y: (0.7 + 1.8 + 2.25) * MM_TO_IN, width: 41.5 * MM_TO_IN, depth: 41.5 * MM_TO_IN, radius: 4.0 * MM_TO_IN },
-    ];
-
-    let holes = null;
-    if (withMagnets) {
-        const magR = (6.5 / 2) * MM_TO_IN;   // 6mm magnet + 0.5mm clearance
-        const magD = 2.4 * MM_TO_IN;          // magnet pocket depth
-        const screwR = (2.9 / 2) * MM_TO_IN;  // 2.4mm screw + 0.5mm clearance
-        const magOff = 13.0 * MM_TO_IN;
-        holes = [
-            { x: -magOff, z: -magOff, radius: magR, depth: magD, screwRadius: screwR },
-            { x: magOff, z: -magOff, radius: magR, depth: magD, screwRadius: screwR },
-            { x: -magOff, z: magOff, radius: magR, depth: magD, screwRadius: screwR },
-            { x: magOff, z: magOff, radius: magR, depth: magD, screwRadius: screwR },
-        ];
-    }
-
-    return buildProfileGeometry(levels, 8, holes);
-}
-
-// Create the stacking lip geometry (inverted foot profile around bin perimeter)
-// The lip is a rim at the top of the bin. Its inner cavity receives the foot of a stacking bin.
-// Inner profile mirrors the foot: widest at top (entrance, 41.5mm per unit), narrowest at bottom (seat, 35.6mm per unit).
-function createGridfinityLipGeo(outerW, outerD) {
-    const lipH = 4.4 * MM_TO_IN; // 4.4mm lip (0.35mm clearance vs 4.75mm foot)
-
-    // Insets from outer wall to inner lip surface (per axis total, both sides)
-    // Lip cavity mirrors foot profile: same 45° chamfers (0.7mm, 2.25mm)
-    const insetTop = 0.5 * MM_TO_IN;       // 0.25mm per side — thin edge at entrance
-    const insetMid = 5.0 * MM_TO_IN;       // after 2.25mm 45° chamfer (0.25 + 2.25 per side)
-    const insetBot = 6.4 * MM_TO_IN;       // after 0.7mm 45° chamfer (0.25 + 2.25 + 0.7 per side)
-
-    // Vertical section: 4.4 - 2.25 - 0.7 = 1.45mm (shorter than foot's 1.8mm — the clearance)
-    const innerLevels = [
-        { y: 0,                              width: outerW - insetBot, depth: outerD - insetBot, radius: 1.05 * MM_TO_IN },
-        { y: 0.7 * MM_TO_IN,                width: outerW - insetMid, depth: outerD - insetMid, radius: 1.75 * MM_TO_IN },
-        { y: (0.7 + 1.45) * MM_TO_IN,       width: outerW - insetMid, depth: outerD - insetMid, radius: 1.75 * MM_TO_IN },
-        { y: lipH,                           width: outerW - insetTop, depth: outerD - insetTop, radius: 4.0 * MM_TO_IN },
-    ];
-
-    const cornerSegs = 8;
-    const ptsPerRing = cornerSegs * 4;
-    const vertices = [];
-    const indices = [];
-
-    // Outer wall: straight vertical extrusion of the bin outer rect
-    const outerRing = generateRoundedRectRing(outerW, outerD, 4.0 * MM_TO_IN, cornerSegs);
-
-    // Outer sides
-    const outerBotIdx = 0;
-    for (let i = 0; i < ptsPerRing; i++) vertices.push(outerRing[i].x, 0, outerRing[i].z);
-    for (let i = 0; i < ptsPerRing; i++) vertices.push(outerRing[i].x, lipH, outerRing[i].z);
-    for (let i = 0; i < ptsPerRing; i++) {
-        const next = (i + 1) % ptsPerRing;
-        const a = outerBotIdx + i, b = outerBotIdx + next;
-        const c = outerBotIdx + ptsPerRing + next, d = outerBotIdx + ptsPerRing + i;
-        indices.push(a, c, b);
-        indices.push(a, d, c);
-    }
-
-    // Inner sides (stepped profile, faces inward)
-    const innerRings = innerLevels.map(l =>
-        generateRoundedRectRing(l.width, l.depth, l.radius, cornerSegs).map(p => ({ ...p, y: l.y }))
-    );
-    for (let r = 0; r < innerRings.length - 1; r++) {
-        const baseIdx = vertices.length / 3;
-        const ring0 = innerRings[r], ring1 = innerRings[r + 1];
-        for (let i = 0; i < ptsPerRing; i++) vertices.push(ring0[i].x, ring0[i].y, ring0[i].z);
-        for (let i = 0; i < ptsPerRing; i++) vertices.push(ring1[i].x, ring1[i].y, ring1[i].z);
-        for (let i = 0; i < ptsPerRing; i++) {
-            const next = (i + 1) % ptsPerRing;
-            const a = baseIdx + i, b = baseIdx + next;
-            const c = baseIdx + ptsPerRing + next, d = baseIdx + ptsPerRing + i;
-            indices.push(a, b, c);
-            indices.push(a, c, d);
-        }
-    }
-
-    // Bottom annular cap (between outer ring at y=0 and inner ring at y=0)
-    const botOBase = vertices.length / 3;
-    for (let i = 0; i < ptsPerRing; i++) vertices.push(outerRing[i].x, 0, outerRing[i].z);
-    const botIBase = vertices.length / 3;
-    for (let i = 0; i < ptsPerRing; i++) vertices.push(innerRings[0][i].x, 0, innerRings[0][i].z);
-    for (let i = 0; i < ptsPerRing; i++) {
-        const next = (i + 1) % ptsPerRing;
-        indices.push(botOBase + i, botIBase + i, botIBase + next);
-        indices.push(botOBase + i, botIBase + next, botOBase + next);
-    }
-
-    // Top annular cap (between outer ring at y=lipH and inner ring at y=lipH)
-    const topOBase = vertices.length / 3;
-    for (let i = 0; i < ptsPerRing; i++) vertices.push(outerRing[i].x, lipH, outerRing[i].z);
-    const topIBase = vertices.length / 3;
-    const topInner = innerRings[innerRings.length - 1];
-    for (let i = 0; i < ptsPerRing; i++) vertices.push(topInner[i].x, lipH, topInner[i].z);
-    for (let i = 0; i < ptsPerRing; i++) {
-        const next = (i + 1) % ptsPerRing;
-        indices.push(topOBase + i, topOBase + next, topIBase + next);
-        indices.push(topOBase + i, topIBase + next, topIBase + i);
-    }
-
-    const geo = new THREE.BufferGeometry();
-    geo.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-    geo.setIndex(indices);
-    geo.computeVertexNormals();
-    return geo;
-}
-
-// --- Constraint Engine ---
-function calculateConstraints(config) {
-    const { 
-        measureMode, appMode, gridfinityType,
-        width: width_IU, 
-        depth: depth_IU, 
-        height: height_IU, 
-        gridWidth, gridDepth, gridHeight, 
-        wall: wall_IU, 
-        floor: floor_IU, 
-        lidEnabled, lidType, 
-        lidThickness: lidThick_IU, 
-        lipDepth: lipDepth_IU,
-        tolerance: tolerance_IU,
-        holes, holeSize, infill
-    } = config;
-
-    const isGridfinity = appMode === 'gridfinity';
-    const errors = [];
-    const warnings = {}; // Object map for per-control warnings
-    
-    // Constants in IU
-    const grid42_IU = 42 * IU_PER_MM;
-    const grid7_IU = 7 * IU_PER_MM;
-    const lipHeight_IU = 440000; // 4.4mm — stacking lip (0.35mm clearance vs 4.75mm foot)
-    const railCapH_IU = 200000;  // 2.0mm * 100k
-    
-    // --- VALIDATION CHECKS (Mapped to Controls) ---
-    // 1. Structural Thinness
-    if (wall_IU < 80000) warnings.wall = "Fragile (< 0.8mm)";
-    if (floor_IU < 80000) warnings.floor = "Risk of warping (< 0.8mm)";
-
-    // 2. Lid Logic
-    if (lidEnabled) {
-        if (tolerance_IU === 0) warnings.tolerance = "0 tolerance: Force fit?";
-        if (lidThick_IU < 40000) warnings.lidThickness = "Too thin (< 0.4mm)";
-    }
-
-    // 3. Hex Pattern
-    if (holes) {
-        if (holeSize < 200000) warnings.holeSize = "Too small (< 2mm)";
-        if (infill < 0.25) warnings.infill = "Weak structure (< 25%)";
-    }
-
-    // 4. Horizontal Plane & Bed Size
-    let outerW_IU = 0, outerD_IU = 0;
-    let innerW_IU = 0, innerD_IU = 0;
-
-    const gridTolerance_IU = 0.5 * IU_PER_MM; // 0.5mm total shrink for bin-to-bin clearance
-    if (isGridfinity) {
-        outerW_IU = gridWidth * grid42_IU - gridTolerance_IU;
-        outerD_IU = gridDepth * grid42_IU - gridTolerance_IU;
-        innerW_IU = outerW_IU - (wall_IU * 2);
-        innerD_IU = outerD_IU - (wall_IU * 2);
-    } else if (measureMode === 'internal') {
-        innerW_IU = width_IU;
-        innerD_IU = depth_IU;
-        outerW_IU = innerW_IU + (wall_IU * 2);
-        outerD_IU = innerD_IU + (wall_IU * 2);
-    } else {
-        outerW_IU = width_IU;
-        outerD_IU = depth_IU;
-        innerW_IU = Math.max(0, outerW_IU - (wall_IU * 2));
-        innerD_IU = Math.max(0, outerD_IU - (wall_IU * 2));
-    }
-
-    // Check Bed Size (250mm limit)
-    const MAX_DIM_IU = 250 * IU_PER_MM;
-    const sizeWarn = "Exceeds 250mm";
-    if (outerW_IU > MAX_DIM_IU) {
-        if (isGridfinity) warnings.gridWidth = sizeWarn;
-        else warnings.width = sizeWarn;
-    }
-    if (outerD_IU > MAX_DIM_IU) {
-        if (isGridfinity) warnings.gridDepth = sizeWarn;
-        else warnings.depth = sizeWarn;
-    }
-
-    if (innerW_IU <= 0 || innerD_IU <= 0) errors.push("Walls are too thick for the defined width/depth.");
-
-    // 5. Vertical Stack (Cursor)
-    let cursorY_IU = 0;
-    const stack = { feet: null, floor: null, wall: null, rail: null, lip: null, lid: null };
-    
-    // A. Feet
-    if (isGridfinity && gridfinityType === 'bin') {
-        const footH_IU = 475000; // 4.75mm (0.7 + 1.8 + 2.25)
-        stack.feet = { yMin: 0, yMax: toScene(footH_IU) };
-        cursorY_IU = footH_IU;
-    }
-
-    // B. Floor
-    const floorStart_IU = cursorY_IU;
-    cursorY_IU += floor_IU;
-    stack.floor = { yMin: toScene(floorStart_IU), yMax: toScene(cursorY_IU) };
-
-    // C. Wall Height
-    let targetWallH_IU = 0;
-    
-    if (isGridfinity) {
-        const stackingHeight_IU = gridHeight * grid7_IU; 
-        targetWallH_IU = stackingHeight_IU - cursorY_IU;
-        
-        if (targetWallH_IU < 10000) errors.push("Gridfinity Unit count too low for feet+floor height.");
-        else targetWallH_IU = Math.max(10000, targetWallH_IU);
-
-        // Check vertical bed limits for Gridfinity
-        if (stackingHeight_IU > MAX_DIM_IU) warnings.gridHeight = sizeWarn;
-
-        stack.bodyH = toScene(stackingHeight_IU);
-    } 
-    else if (measureMode === 'internal') {
-        // INTERNAL MODE: height_IU is usable capacity.
-        targetWallH_IU = height_IU;
-        if (lidEnabled && lidType === 'step') {
-            targetWallH_IU += lipDepth_IU;
-        }
-        
-        // Calculate total external height approx to check bed limits
-        const totalEstH = targetWallH_IU + cursorY_IU + (lidEnabled && lidType === 'slide' ? 500000 : 0);
-        if (totalEstH > MAX_DIM_IU) warnings.height = sizeWarn;
-    } 
-    else {
-        // EXTERNAL MODE
-        let nonWallStack_IU = cursorY_IU; 
-        
-        if (lidEnabled && lidType === 'slide') {
-             const railSpacer_IU = lidThick_IU + tolerance_IU; 
-             const totalRail_IU = railCapH_IU + railSpacer_IU;
-             nonWallStack_IU += totalRail_IU;
-        } else if (lidEnabled && lidType === 'step') {
-             nonWallStack_IU += lidThick_IU;
-        }
-
-        targetWallH_IU = height_IU - nonWallStack_IU;
-        if (targetWallH_IU <= 0) errors.push("External height is too short for the floor and lid components.");
-        targetWallH_IU = Math.max(10000, targetWallH_IU);
-
-        if (height_IU > MAX_DIM_IU) warnings.height = sizeWarn;
-    }
-
-    const wallStart_IU = cursorY_IU;
-    cursorY_IU += targetWallH_IU;
-    stack.wall = { yMin: toScene(wallStart_IU), yMax: toScene(cursorY_IU) };
-
-    // D. Top Features
-    if (isGridfinity) {
-        const lipStart_IU = cursorY_IU; 
-        cursorY_IU += lipHeight_IU;
-        stack.lip = { yMin: toScene(lipStart_IU), yMax: toScene(cursorY_IU) };
-    }
-    else if (lidEnabled && !isGridfinity) {
-        if (lidType === 'slide') {
-            const spacerH_IU = lidThick_IU + tolerance_IU; 
-            const spacerStart_IU = cursorY_IU;
-            cursorY_IU += spacerH_IU;
-            
-            const capStart_IU = cursorY_IU;
-            cursorY_IU += railCapH_IU;
-
-            stack.rail = { 
-                spacer: { yMin: toScene(spacerStart_IU), yMax: toScene(spacerStart_IU + spacerH_IU) },
-                cap: { yMin: toScene(capStart_IU), yMax: toScene(capStart_IU + railCapH_IU) }
-            };
-
-            stack.lid = {
-                yPos: toScene(spacerStart_IU + (lidThick_IU/2)),
-                type: 'slide',
-                thickness: toScene(lidThick_IU),
-                width: toScene(outerW_IU - wall_IU - tolerance_IU), 
-                depth: toScene(outerD_IU - tolerance_IU)
-            };
-        }
-        else if (lidType === 'step') {
-            const lidStart_IU = cursorY_IU;
-            stack.lid = {
-                yPos: toScene(lidStart_IU),
-                type: 'step',
-                thickness: toScene(lidThick_IU),
-                insertDepth: toScene(lipDepth_IU),
-                width: toScene(outerW_IU),
-                depth: toScene(outerD_IU)
-            };
-            cursorY_IU += lidThick_IU;
-        }
-    }
-
-    return {
-        outerW: toScene(outerW_IU),
-        outerD: toScene(outerD_IU),
-        innerW: toScene(innerW_IU),
-        innerD: toScene(innerD_IU),
-        totalH: toScene(cursorY_IU),
-        innerH: toScene(stack.wall.yMax - stack.floor.yMax),
-        bodyH: stack.bodyH, 
-        stack: stack,
-        valid: errors.length === 0,
-        errors: errors,
-        warnings: warnings
-    };
-}
-
-function generateSTL(scene) {
-  let output = 'solid exported\n';
-  const normal = new THREE.Vector3();
-  const v1 = new THREE.Vector3();
-  const v2 = new THREE.Vector3();
-  const v3 = new THREE.Vector3();
-
-  scene.traverse((object) => {
-    if (object.isMesh && object.geometry && object.visible) {
-        if (object.material && object.material.type !== 'MeshStandardMaterial') return;
-
-      const geometry = object.geometry.clone();
-      object.updateMatrixWorld();
-      geometry.applyMatrix4(object.matrixWorld);
-
-      const nonIndexed = geometry.index ? geometry.toNonIndexed() : geometry;
-      const positions = nonIndexed.attributes.position.array;
-
-      for (let i = 0; i < positions.length; i += 9) {
-        v1.set(positions[i], positions[i + 1], positions[i + 2]);
-        v2.set(positions[i + 3], positions[i + 4], positions[i + 5]);
-        v3.set(positions[i + 6], positions[i + 7], positions[i + 8]);
-
-        const edge1 = new THREE.Vector3().subVectors(v2, v1);
-        const edge2 = new THREE.Vector3().subVectors(v3, v1);
-        normal.crossVectors(edge1, edge2).normalize();
-        if (isNaN(normal.x)) normal.set(0, 1, 0); 
-
-        v1.multiplyScalar(IN_TO_MM);
-        v2.multiplyScalar(IN_TO_MM);
-        v3.multiplyScalar(IN_TO_MM);
-
-        output += `facet normal ${normal.x} ${normal.y} ${normal.z}\n`;
-        output += `  outer loop\n`;
-        output += `    vertex ${v1.x} ${v1.y} ${v1.z}\n`;
-        output += `    vertex ${v2.x} ${v2.y} ${v2.z}\n`;
-        output += `    vertex ${v3.x} ${v3.y} ${v3.z}\n`;
-        output += `  endloop\n`;
-        output += `endfacet\n`;
-      }
-    }
-  });
-  output += 'endsolid exported\n';
-  return output;
-}
+// Labels for config.footHoles (see CONFIG_CHOICES)
+const FOOT_HOLE_OPTIONS = [
+    { label: 'None', value: 'none' },
+    { label: 'Magnets', value: 'magnets' },
+    { label: 'Screws', value: 'screws' },
+    { label: 'Magnets + Screws', value: 'magnets-screws' },
+    { label: 'Magnets (Crush Ribs)', value: 'crush-ribs' },
+    { label: 'Magnets + Screws (No Supports)', value: 'printable' },
+];
 
 // --- UI Components ---
-function AlertBlock({ type, messages }) {
+function AlertBlock({ type, messages, title = "Configuration Error" }) {
     if (!messages || messages.length === 0) return null;
     // Only used for global errors now
     if (type !== 'error') return null;
     
     return (
         <div className="mb-4 p-3 border rounded text-xs bg-red-900/40 border-red-700/50 text-red-200">
-            <strong className="block mb-1 font-bold text-red-400">Configuration Error</strong>
+            <strong className="block mb-1 font-bold text-red-400">{title}</strong>
             <ul className="list-disc pl-4 space-y-0.5 opacity-90">
                 {messages.map((m, i) => <li key={i}>{m}</li>)}
             </ul>
@@ -709,7 +82,8 @@ function ControlInput({ label, value, min, max, step, onChange, unitLabel, error
     const isInch = unitLabel === 'in'; 
     const format = (v) => {
         if (unitLabel === '%') return Math.round(v).toString();
-        return unitLabel === 'in' ? v.toFixed(3) : v.toFixed(1);
+        if (unitLabel === 'in') return v.toFixed(3);
+        return step < 0.1 ? v.toFixed(2) : v.toFixed(1);
     };
 
     const [localVal, setLocalVal] = useState(format(value));
@@ -773,82 +147,151 @@ function ControlInput({ label, value, min, max, step, onChange, unitLabel, error
 }
 
 // --- Compartment Editor (Birds-Eye Wall Placement) ---
-// Wall data model: { axis: 'x'|'z', pos: <mm>, seg: <index> }
-// axis='x': vertical wall at x=pos, segment seg (0..gridDepth-1) spans one cell in z
-// axis='z': horizontal wall at z=pos, segment seg (0..gridWidth-1) spans one cell in x
-function CompartmentEditor({ gridWidth, gridDepth, walls, onWallsChange }) {
+// Wall data model: { axis: 'x'|'z', pos: <mm>, seg: <index> } (see core/compartments.js)
+// axis='x': vertical wall at x=pos, segment seg spans one cell in z
+// axis='z': horizontal wall at z=pos, segment seg spans one cell in x
+// lines: { x: [mm], z: [mm] } divider lines with both ends — the (subdivided) 42mm grid of a
+// Gridfinity bin or the divider positions of a box.
+// Segments may also carry height (mm above the floor, full height when absent), notch and
+// removable; in Edit mode a click selects a segment to change them. maxHeight: full height (mm).
+// Draw: click or drag along a line to add/remove a run of segments. Merge/Split: drag over
+// cells to remove/add every wall between them. onUndo/onRedo: null when there is nothing to undo.
+function CompartmentEditor({ lines, walls, onWallsChange, maxHeight, onUndo, onRedo }) {
     const svgRef = useRef(null);
     const [hover, setHover] = useState(null); // { axis, pos, seg }
+    const [mode, setMode] = useState('draw');
+    const [selected, setSelected] = useState(null); // { axis, pos, seg }
+    const [drag, setDrag] = useState(null); // draw: { axis, pos, from, to, on }; merge/split: { i0, j0, i1, j1 }
 
-    const CELL_MM = 42;
-    const totalW = gridWidth * CELL_MM;
-    const totalD = gridDepth * CELL_MM;
+    // Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl+Y redo (not while typing in a field)
+    useEffect(() => {
+        const onKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+            const key = e.key.toLowerCase();
+            const action = key === 'y' || (key === 'z' && e.shiftKey) ? onRedo : key === 'z' ? onUndo : undefined;
+            if (action === undefined) return;
+            e.preventDefault();
+            if (action) action();
+        };
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    }, [onUndo, onRedo]);
+
+    const totalW = lines.x[lines.x.length - 1];
+    const totalD = lines.z[lines.z.length - 1];
+    const innerX = lines.x.slice(1, -1);
+    const innerZ = lines.z.slice(1, -1);
+    // Index of the cell containing p along an axis
+    const cellAt = (axisLines, p) => Math.max(0, Math.min(axisLines.length - 2, axisLines.filter(l => l <= p).length - 1));
+    // Snap distance: a bit under half the narrowest cell
+    const snap = (axisLines) => 0.4 * Math.min(...axisLines.slice(1).map((l, i) => l - axisLines[i]));
 
     const maxPx = 220;
     const scale = maxPx / Math.max(totalW, totalD);
     const svgW = totalW * scale;
     const svgH = totalD * scale;
 
-    const wallExists = (axis, pos, seg) =>
-        walls.some(w => w.axis === axis && w.pos === pos && w.seg === seg);
-
-    const toggleWall = (axis, pos, seg) => {
-        if (wallExists(axis, pos, seg)) {
-            onWallsChange(walls.filter(w => !(w.axis === axis && w.pos === pos && w.seg === seg)));
-        } else {
-            onWallsChange([...walls, { axis, pos, seg }]);
-        }
+    const sameWall = (a, b) => a.axis === b.axis && a.pos === b.pos && a.seg === b.seg;
+    const wallExists = (axis, pos, seg) => walls.some(w => sameWall(w, { axis, pos, seg }));
+    const selectedWall = selected && walls.find(w => sameWall(w, selected));
+
+    // Pointer position in mm from line 0
+    const pointer = (e) => {
+        const rect = svgRef.current.getBoundingClientRect();
+        return {
+            mx: ((e.clientX - rect.left) / rect.width) * totalW,
+            mz: ((e.clientY - rect.top) / rect.height) * totalD,
+        };
     };
 
     const handleMouseMove = (e) => {
-        const svg = svgRef.current;
-        if (!svg) return;
-        const rect = svg.getBoundingClientRect();
-        const mx = ((e.clientX - rect.left) / rect.width) * totalW;
-        const mz = ((e.clientY - rect.top) / rect.height) * totalD;
+        if (!svgRef.current) return;
+        const { mx, mz } = pointer(e);
+        if (drag && mode === 'draw') {
+            // Stay on the line the drag started on
+            setDrag({ ...drag, to: cellAt(drag.axis === 'x' ? lines.z : lines.x, drag.axis === 'x' ? mz : mx) });
+            return;
+        }
+        if (drag) {
+            setDrag({ ...drag, i1: cellAt(lines.x, mx), j1: cellAt(lines.z, mz) });
+            return;
+        }
 
         let best = null;
         let bestDist = Infinity;
 
         // Check vertical lines (x-axis walls)
-        for (let xi = 1; xi < gridWidth; xi++) {
-            const x = xi * CELL_MM;
+        for (const x of innerX) {
             const d = Math.abs(mx - x);
-            if (d < bestDist && d < CELL_MM * 0.4) {
-                const seg = Math.max(0, Math.min(gridDepth - 1, Math.floor(mz / CELL_MM)));
+            if (d < bestDist && d < snap(lines.x)) {
                 bestDist = d;
-                best = { axis: 'x', pos: x, seg };
+                best = { axis: 'x', pos: x, seg: cellAt(lines.z, mz) };
             }
         }
         // Check horizontal lines (z-axis walls)
-        for (let zi = 1; zi < gridDepth; zi++) {
-            const z = zi * CELL_MM;
+        for (const z of innerZ) {
             const d = Math.abs(mz - z);
-            if (d < bestDist && d < CELL_MM * 0.4) {
-                const seg = Math.max(0, Math.min(gridWidth - 1, Math.floor(mx / CELL_MM)));
+            if (d < bestDist && d < snap(lines.z)) {
                 bestDist = d;
-                best = { axis: 'z', pos: z, seg };
+                best = { axis: 'z', pos: z, seg: cellAt(lines.x, mx) };
             }
         }
         setHover(best);
     };
 
-    const handleClick = () => {
-        if (hover) toggleWall(hover.axis, hover.pos, hover.seg);
+    const handleMouseDown = (e) => {
+        if (mode === 'draw' && hover) {
+            const on = !wallExists(hover.axis, hover.pos, hover.seg);
+            setDrag({ axis: hover.axis, pos: hover.pos, from: hover.seg, to: hover.seg, on });
+        } else if (mode === 'merge' || mode === 'split') {
+            const { mx, mz } = pointer(e);
+            const i = cellAt(lines.x, mx);
+            const j = cellAt(lines.z, mz);
+            setDrag({ i0: i, j0: j, i1: i, j1: j });
+        }
+    };
+
+    const handleMouseUp = () => {
+        if (mode === 'edit') {
+            setSelected(hover && wallExists(hover.axis, hover.pos, hover.seg) ? hover : null);
+        } else if (drag && mode === 'draw') {
+            onWallsChange(setWallRun(walls, drag.axis, drag.pos, drag.from, drag.to, drag.on));
+        } else if (drag) {
+            onWallsChange((mode === 'merge' ? mergeCells : splitCells)(lines, walls, drag));
+        }
+        setDrag(null);
+    };
+
+    // Change settings of the selected segment, or of every segment on its line
+    const updateSegments = (props, wholeLine = false) => {
+        const target = (w) => wholeLine ? w.axis === selected.axis && w.pos === selected.pos : sameWall(w, selected);
+        onWallsChange(walls.map(w => {
+            if (!target(w)) return w;
+            const next = { ...w, ...props };
+            for (const key of ['height', 'notch', 'removable']) if (!next[key]) delete next[key];
+            return next;
+        }));
     };
+    const setHeight = (h) => updateSegments({ height: h >= maxHeight - 0.05 ? 0 : Math.max(1, h) });
+    const applyToLine = () => updateSegments({
+        height: selectedWall.height || 0, notch: !!selectedWall.notch, removable: !!selectedWall.removable,
+    }, true);
 
     // Helper: get line coords for a wall segment
     const segCoords = (w) => {
         if (w.axis === 'x') {
-            return { x1: w.pos, y1: w.seg * CELL_MM, x2: w.pos, y2: (w.seg + 1) * CELL_MM };
+            return { x1: w.pos, y1: lines.z[w.seg], x2: w.pos, y2: lines.z[w.seg + 1] };
         } else {
-            return { x1: w.seg * CELL_MM, y1: w.pos, x2: (w.seg + 1) * CELL_MM, y2: w.pos };
+            return { x1: lines.x[w.seg], y1: w.pos, x2: lines.x[w.seg + 1], y2: w.pos };
         }
     };
 
     return (
         <div className="mb-4">
             <span className="text-xs font-bold text-gray-300 block mb-2">Compartments</span>
+            <SegmentedControl options={[
+                { label: 'Draw', value: 'draw' }, { label: 'Merge', value: 'merge' }, { label: 'Split', value: 'split' }, { label: 'Edit', value: 'edit' },
+            ]} value={mode} onChange={v => { setMode(v); setSelected(null); setDrag(null); }} />
             <div className="flex justify-center">
                 <svg
                     ref={svgRef}
@@ -856,31 +299,52 @@ function CompartmentEditor({ gridWidth, gridDepth, walls, onWallsChange }) {
                     height={svgH}
                     className="bg-gray-900 border border-gray-600 rounded cursor-crosshair"
                     onMouseMove={handleMouseMove}
-                    onMouseLeave={() => setHover(null)}
-                    onClick={handleClick}
+                    onMouseLeave={() => { setHover(null); setDrag(null); }}
+                    onMouseDown={handleMouseDown}
+                    onMouseUp={handleMouseUp}
                     viewBox={`0 0 ${totalW} ${totalD}`}
                 >
-                    {/* Grid unit lines (dashed) */}
-                    {Array.from({ length: gridWidth - 1 }, (_, i) => (i + 1) * CELL_MM).map(x => (
+                    {/* Divider lines (dashed) */}
+                    {innerX.map(x => (
                         <line key={`gx${x}`} x1={x} y1={0} x2={x} y2={totalD}
                             stroke="#374151" strokeWidth={0.5} strokeDasharray="2,2" />
                     ))}
-                    {Array.from({ length: gridDepth - 1 }, (_, i) => (i + 1) * CELL_MM).map(z => (
+                    {innerZ.map(z => (
                         <line key={`gz${z}`} x1={0} y1={z} x2={totalW} y2={z}
                             stroke="#374151" strokeWidth={0.5} strokeDasharray="2,2" />
                     ))}
 
-                    {/* Placed wall segments */}
+                    {/* Placed wall segments: partial height fainter, removable dashed, notch dotted */}
                     {walls.map((w, i) => {
                         const c = segCoords(w);
-                        return <line key={`w${i}`} x1={c.x1} y1={c.y1} x2={c.x2} y2={c.y2}
-                            stroke="#60a5fa" strokeWidth={1.5} />;
+                        const isSelected = selectedWall && sameWall(w, selectedWall);
+                        return (
+                            <g key={`w${i}`}>
+                                <line x1={c.x1} y1={c.y1} x2={c.x2} y2={c.y2}
+                                    stroke={isSelected ? "#f59e0b" : "#60a5fa"} strokeWidth={isSelected ? 2.5 : 1.5}
+                                    opacity={w.height ? 0.55 : 1}
+                                    strokeDasharray={w.removable ? "4,1.5" : undefined} />
+                                {w.notch && <circle cx={(c.x1 + c.x2) / 2} cy={(c.y1 + c.y2) / 2} r={1.6} fill="#111827" stroke="#60a5fa" strokeWidth={0.6} />}
+                            </g>
+                        );
                     })}
 
-                    {/* Hover preview */}
-                    {hover && (() => {
+                    {/* Drag preview: the run being drawn, or the cells being merged/split */}
+                    {drag && mode === 'draw' && Array.from({ length: Math.abs(drag.to - drag.from) + 1 }, (_, k) => {
+                        const c = segCoords({ axis: drag.axis, pos: drag.pos, seg: Math.min(drag.from, drag.to) + k });
+                        return <line key={`d${k}`} x1={c.x1} y1={c.y1} x2={c.x2} y2={c.y2}
+                            stroke={drag.on ? "#3b82f6" : "#ef4444"} strokeWidth={2} opacity={0.6} />;
+                    })}
+                    {drag && mode !== 'draw' && (() => {
+                        const [i0, i1] = [Math.min(drag.i0, drag.i1), Math.max(drag.i0, drag.i1)];
+                        const [j0, j1] = [Math.min(drag.j0, drag.j1), Math.max(drag.j0, drag.j1)];
+                        return <rect x={lines.x[i0]} y={lines.z[j0]} width={lines.x[i1 + 1] - lines.x[i0]} height={lines.z[j1 + 1] - lines.z[j0]}
+                            fill={mode === 'merge' ? "#ef4444" : "#3b82f6"} fillOpacity={0.2} stroke="none" />;
+                    })()}
+
+                    {hover && !drag && (mode === 'draw' || (mode === 'edit' && wallExists(hover.axis, hover.pos, hover.seg))) && (() => {
                         const c = segCoords(hover);
-                        const exists = wallExists(hover.axis, hover.pos, hover.seg);
+                        const exists = mode === 'draw' && wallExists(hover.axis, hover.pos, hover.seg);
                         return <line x1={c.x1} y1={c.y1} x2={c.x2} y2={c.y2}
                             stroke={exists ? "#ef4444" : "#3b82f6"}
                             strokeWidth={exists ? 2 : 1}
@@ -893,7 +357,40 @@ function CompartmentEditor({ gridWidth, gridDepth, walls, onWallsChange }) {
                         fill="none" stroke="#9ca3af" strokeWidth={1} />
                 </svg>
             </div>
-            <p className="text-[10px] text-gray-500 mt-1 text-center">Click grid lines to add/remove dividers</p>
+            <p className="text-[10px] text-gray-500 mt-1 text-center">
+                {{
+                    draw: 'Click or drag along grid lines to add/remove dividers',
+                    merge: 'Drag over cells to join them into one compartment',
+                    split: 'Drag over cells to divide them on every grid line',
+                    edit: 'Click a divider to change its height, notch or slot',
+                }[mode]}
+            </p>
+            {mode === 'edit' && selectedWall && maxHeight > 0 && (
+                <div className="mt-3 p-2 border border-gray-700 rounded">
+                    <ControlInput label="Height" description="Above the floor (full height at the top of the range)" unitLabel="mm"
+                        value={Math.min(maxHeight, selectedWall.height || maxHeight)} min={1} max={+maxHeight.toFixed(1)} step={0.5} onChange={setHeight} />
+                    <label className="flex items-center justify-between cursor-pointer mb-3">
+                        <span className="text-xs font-bold text-gray-300">Finger Notch</span>
+                        <input type="checkbox" checked={!!selectedWall.notch} onChange={e => updateSegments({ notch: e.target.checked })} className="accent-blue-600" />
+                    </label>
+                    <label className="flex items-center justify-between cursor-pointer mb-3">
+                        <span className="text-xs font-bold text-gray-300">Removable (slides into wall grooves)</span>
+                        <input type="checkbox" checked={!!selectedWall.removable} onChange={e => updateSegments({ removable: e.target.checked })} className="accent-blue-600" />
+                    </label>
+                    <button onClick={applyToLine}
+                        className="w-full py-1 text-[10px] text-gray-400 hover:text-blue-400 border border-gray-700 rounded transition-colors">
+                        Apply to Whole Line
+                    </button>
+                </div>
+            )}
+            <div className="mt-2 flex space-x-2">
+                {[['Undo', onUndo], ['Redo', onRedo]].map(([label, action]) => (
+                    <button key={label} onClick={action} disabled={!action}
+                        className="flex-1 py-1 text-[10px] text-gray-400 hover:text-blue-400 border border-gray-700 rounded transition-colors disabled:opacity-40 disabled:pointer-events-none">
+                        {label}
+                    </button>
+                ))}
+            </div>
             {walls.length > 0 && (
                 <button onClick={() => onWallsChange([])}
                     className="mt-2 w-full py-1 text-[10px] text-gray-400 hover:text-red-400 border border-gray-700 rounded transition-colors">
@@ -904,6 +401,42 @@ function CompartmentEditor({ gridWidth, gridDepth, walls, onWallsChange }) {
     );
 }
 
+// Comma-separated list of positions, committed on blur/Enter (e.g. divider positions)
+function PositionListInput({ label, description, values, unitLabel, onChange, warning }) {
+    const format = (list) => list.map(v => +v.toFixed(unitLabel === 'in' ? 3 : 1)).join(', ');
+    const [localVal, setLocalVal] = useState(format(values));
+    useEffect(() => { setLocalVal(format(values)); }, [values.join(','), unitLabel]);
+
+    const commit = () => {
+        const list = localVal.split(/[\s,;]+/).filter(Boolean).map(Number);
+        if (list.every(v => Number.isFinite(v) && v >= 0)) onChange(list);
+        else setLocalVal(format(values));
+    };
+
+    return (
+        <div className="mb-5">
+            <div className="flex justify-between items-baseline mb-1">
+                <span className="text-gray-300 font-bold text-xs">{label} <span className="text-gray-500 font-normal">({unitLabel})</span></span>
+                {warning && <span className="text-amber-500 font-bold text-[10px] animate-pulse">{warning}</span>}
+            </div>
+            {description && (
+                <p className="text-[10px] text-gray-500 mb-2 leading-tight">{description}</p>
+            )}
+            <input type="text" value={localVal} placeholder="none" onChange={e => setLocalVal(e.target.value)} onBlur={commit} onKeyDown={e => { if (e.key === 'Enter') commit(); }}
+                className="w-full bg-gray-900 border border-gray-600 rounded px-2 py-1.5 text-xs text-gray-200 focus:outline-none focus:border-blue-500" />
+        </div>
+    );
+}
+
+// Project carried by the page URL (#p=...). A malformed link loads defaults and reports why.
+function readHashProject() {
+    try {
+        return { project: decodeProjectHash(window.location.hash), error: null };
+    } catch (e) {
+        return { project: null, error: e.message };
+    }
+}
+
 // --- Main App ---
 export default function App() {
   const mountRef = useRef(null);
@@ -911,47 +444,57 @@ export default function App() {
   const labelGroupRef = useRef(new THREE.Group());
   const cameraRef = useRef(null);
   
-  const [appMode, setAppMode] = useState('in');
+  const [initial] = useState(readHashProject);
+  const [appMode, setAppMode] = useState(initial.project ? initial.project.appMode : DEFAULT_APP_MODE);
   const [showMeasure, setShowMeasure] = useState(true);
-  const [compartmentWalls, setCompartmentWalls] = useState([]);
+  const [exportMode, setExportMode] = useState('combined'); // 'combined' | 'parts'
+  const [compartmentWalls, setCompartmentWalls] = useState(initial.project ? initial.project.compartmentWalls : []);
+  const [projectProblems, setProjectProblems] = useState(
+      initial.error ? [initial.error] : (initial.project ? initial.project.problems : [])
+  );
+  const projectInputRef = useRef(null);
+  const outlineInputRef = useRef(null);
+  const [cutoutError, setCutoutError] = useState(null);
+  const [exportError, setExportError] = useState(null);
   
-  // DEFAULT CONFIG (Micron Native)
-  const [config, setConfig] = useState({
-      measureMode: 'internal',
-      gridfinityType: 'bin', 
-      lidEnabled: false,
-      lidType: 'step', 
-      
-      width: initIn(3.5),  
-      depth: initIn(5.5), 
-      height: initIn(2.5),
-      
-      wall: initIn(0.08), 
-      floor: initIn(0.08),
-      lidThickness: initIn(0.08),
-      lipDepth: initIn(0.15),
-      tolerance: initIn(0.01),
-      
-      holeSize: initIn(0.25),
-      
-      gridWidth: 2,
-      gridDepth: 3,
-      gridHeight: 6, 
-      holes: false,
-      infill: 0.50
-  });
-
-  // Prune walls that are out of bounds when grid shrinks
+  // Config is Micron Native (IU); see DEFAULT_CONFIG
+  const [config, setConfig] = useState(initial.project ? initial.project.config : DEFAULT_CONFIG);
+
+  // Printer profile: per browser, not part of the project (see core/printers.js)
+  const [printerSettings, setPrinterSettings] = useState(() => loadPrinterSettings(window.localStorage));
+  const printer = useMemo(() => resolvePrinter(printerSettings), [printerSettings]);
+  useEffect(() => savePrinterSettings(window.localStorage, printerSettings), [printerSettings]);
+  const updatePrinterCustom = (key, value) => {
+      if (isNaN(value) || value <= 0) return;
+      setPrinterSettings(prev => ({ ...prev, custom: { ...prev.custom, [key]: value } }));
+  };
+
+  const applyProject = (project) => {
+      setAppMode(project.appMode);
+      setConfig(project.config);
+      setCompartmentWalls(project.compartmentWalls);
+      setProjectProblems(project.problems);
+  };
+
+  // Keep the URL hash in sync so the current design can be shared as a link
   useEffect(() => {
-      if (compartmentWalls.length === 0) return;
-      const maxX = config.gridWidth * 42;
-      const maxZ = config.gridDepth * 42;
-      const valid = compartmentWalls.filter(w => {
-          if (w.axis === 'x') return w.pos < maxX && w.seg < config.gridDepth;
-          else return w.pos < maxZ && w.seg < config.gridWidth;
-      });
-      if (valid.length !== compartmentWalls.length) setCompartmentWalls(valid);
-  }, [config.gridWidth, config.gridDepth]);
+      const hash = encodeProjectHash({ appMode, config, compartmentWalls });
+      if (window.location.hash.slice(1) !== hash) window.history.replaceState(null, '', `#${hash}`);
+  }, [appMode, config, compartmentWalls]);
+
+  // Pasting a shared link into an open tab only changes the hash
+  useEffect(() => {
+      const onHashChange = () => {
+          try {
+              const project = decodeProjectHash(window.location.hash);
+              if (project) applyProject(project);
+          } catch (e) {
+              setProjectProblems([e.message]);
+          }
+      };
+      window.addEventListener('hashchange', onHashChange);
+      return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
 
   const updateConfig = (key, value) => {
       if (typeof value === 'number') {
@@ -962,8 +505,9 @@ export default function App() {
       }
   };
 
-  const getDisplayProps = (key, minIn, maxIn) => {
+  const getDisplayProps = (key) => {
       const valIU = config[key];
+      const { min: minIn, max: maxIn } = CONFIG_RANGES[key];
       if (appMode === 'mm') {
           return {
               value: valIU / IU_PER_MM,
@@ -985,8 +529,9 @@ export default function App() {
       }
   };
 
-  const getStructProps = (key, minIn, maxIn) => {
+  const getStructProps = (key) => {
       const valIU = config[key];
+      const { min: minIn, max: maxIn } = CONFIG_RANGES[key];
       if (appMode === 'mm' || appMode === 'gridfinity') { 
           return {
               value: valIU / IU_PER_MM,
@@ -1009,28 +554,118 @@ export default function App() {
   };
 
   const isGridfinity = appMode === 'gridfinity';
+  const isJar = !isGridfinity && config.containerShape === 'jar';
   const isMM = appMode === 'mm' || isGridfinity; 
   
-  const layout = useMemo(() => calculateConstraints({ ...config, appMode }), [config, appMode]);
+  const layout = useMemo(() => calculateConstraints({ ...config, appMode, printer }, compartmentWalls), [config, appMode, printer, compartmentWalls]);
+  const dividerLines = useMemo(() => compartmentLines(config, layout), [config, layout]);
+  // Full divider height above the floor (mm), the range for per-segment heights
+  const dividerMaxHeight = layout.stack.dividers ? layout.stack.dividers.maxHeight * IN_TO_MM : 0;
 
-  const handleExport = () => {
-    if (!modelGroupRef.current) return;
-    const stlString = generateSTL(modelGroupRef.current);
-    const blob = new Blob([stlString], { type: 'text/plain' });
+  // Prune walls left off the divider lines when the grid shrinks or box dividers move
+  useEffect(() => {
+      if (compartmentWalls.length === 0) return;
+      const valid = compartmentWalls.filter(w => wallSpan(dividerLines, w));
+      if (valid.length !== compartmentWalls.length) setCompartmentWalls(valid);
+  }, [dividerLines]);
+
+  // Undo/redo for compartment edits. Cleared whenever the divider lines change: segment
+  // indices only make sense on the lines they were drawn on.
+  const [wallHistory, setWallHistory] = useState({ past: [], future: [] });
+  const linesKey = `${dividerLines.x.join()}|${dividerLines.z.join()}`;
+  useEffect(() => { setWallHistory({ past: [], future: [] }); }, [linesKey]);
+  const editWalls = (next) => {
+      setWallHistory(h => ({ past: [...h.past, compartmentWalls].slice(-100), future: [] }));
+      setCompartmentWalls(next);
+  };
+  const undoWalls = wallHistory.past.length === 0 ? null : () => {
+      setWallHistory({ past: wallHistory.past.slice(0, -1), future: [compartmentWalls, ...wallHistory.future] });
+      setCompartmentWalls(wallHistory.past[wallHistory.past.length - 1]);
+  };
+  const redoWalls = wallHistory.future.length === 0 ? null : () => {
+      setWallHistory({ past: [...wallHistory.past, compartmentWalls], future: wallHistory.future.slice(1) });
+      setCompartmentWalls(wallHistory.future[0]);
+  };
+
+  // Gridfinity bins: subdividing the grid or adding lines keeps the walls drawn so far
+  const setGridLines = (changes) => {
+      const next = { ...config, ...changes };
+      setConfig(next);
+      setCompartmentWalls(remapWalls(dividerLines, compartmentLines(next, layout), compartmentWalls));
+  };
+
+  // Standard boxes: new divider lines (IU from the inner back-left corner) start as a full grid
+  const setBoxDividers = (dividersX, dividersZ) => {
+      const next = { ...config, dividersX, dividersZ };
+      setConfig(next);
+      setCompartmentWalls(fullGridWalls(compartmentLines(next, layout)));
+  };
+  const splitBox = (cols, rows) => {
+      const toIU = (scene) => Math.round(scene * IN_TO_MM * IU_PER_MM);
+      setBoxDividers(equalDividers(toIU(layout.innerW), cols), equalDividers(toIU(layout.innerD), rows));
+  };
+  const unitIU = appMode === 'in' ? IU_PER_IN : IU_PER_MM;
+
+  const download = (data, fileName, type) => {
+    const blob = new Blob([data], { type });
     const link = document.createElement('a');
     link.href = URL.createObjectURL(blob);
-    let name = "box";
-    if (isGridfinity) {
-        name = `gridfinity_${config.gridWidth}x${config.gridDepth}x${config.gridHeight}U`;
-    } else {
-        const w = appMode === 'mm' ? (config.width / IU_PER_MM).toFixed(0) : (config.width / IU_PER_IN).toFixed(2);
-        const d = appMode === 'mm' ? (config.depth / IU_PER_MM).toFixed(0) : (config.depth / IU_PER_IN).toFixed(2);
-        name = `box_${w}x${d}${appMode}`;
-    }
-    link.download = `${name}.stl`;
+    link.download = fileName;
     link.click();
   };
 
+  const handleSaveProject = () => {
+      const json = projectToJSON({ appMode, config, compartmentWalls });
+      download(json, `${getExportName({ ...config, appMode })}.box3d.json`, 'application/json');
+  };
+
+  const handleLoadOutline = async (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (!file) return;
+      try {
+          updateConfig('cutoutOutline', parseOutline(await file.text(), file.name));
+          setCutoutError(null);
+      } catch (err) {
+          setCutoutError(err.message);
+      }
+  };
+
+  const handleLoadProject = async (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (!file) return;
+      try {
+          applyProject(projectFromJSON(await file.text()));
+      } catch (err) {
+          setProjectProblems([err.message]);
+      }
+  };
+
+  const handleExport = async (format = 'stl') => {
+    if (!modelGroupRef.current) return;
+    const name = getExportName({ ...config, appMode });
+    const type = format === '3mf' ? 'model/3mf' : 'model/stl';
+    const bedSize = [printer.bedX, printer.bedY];
+
+    // Solid union or the manifold-3d WASM load can fail; report it instead of a silent rejection
+    try {
+        if (exportMode === 'parts') {
+            const files = await generatePartFiles(modelGroupRef.current, name, format, { bedSize });
+            if (files.length === 1) download(files[0].data, files[0].name, type);
+            else if (files.length > 1) download(createZip(files), `${name}_parts.zip`, 'application/zip');
+        } else {
+            const data = format === '3mf'
+                ? await generate3MF(modelGroupRef.current, { title: name, bedSize })
+                : await generateSTL(modelGroupRef.current);
+            download(data, `${name}.${format}`, type);
+        }
+        setExportError(null);
+    } catch (err) {
+        setExportError(err.message);
+    }
+  };
+
   // --- Scene Setup ---
   useEffect(() => {
     const mount = mountRef.current;
@@ -1112,275 +747,10 @@ export default function App() {
         group.remove(c);
     }
 
-    const { outerW, outerD, stack } = layout;
-    const { wall, holes, holeSize, gridfinityType, lidEnabled, lidType, infill } = config;
-
-    const material = new THREE.MeshStandardMaterial({
-        color: "#3b82f6", roughness: 0.5, metalness: 0.1,
-        side: THREE.DoubleSide
-    });
-    const lidMaterial = new THREE.MeshStandardMaterial({ 
-        color: "#3b82f6", roughness: 0.5, metalness: 0.1
-    });
-
-    const addMesh = (geo, x, y, z, rotX=0, rotY=0, mat=material) => {
-        const mesh = new THREE.Mesh(geo, mat);
-        mesh.position.set(x, y, z);
-        if(rotX) mesh.rotation.x = rotX;
-        if(rotY) mesh.rotation.y = rotY;
-        mesh.castShadow = true;
-        mesh.receiveShadow = true;
-        group.add(mesh);
-    };
+    const { group: built } = buildModel({ ...config, appMode, printer }, compartmentWalls);
+    while (built.children.length > 0) group.add(built.children[0]);
 
-    // --- GRIDFINITY FRAME (FEMALE) ---
-    if (isGridfinity && gridfinityType === 'frame') {
-        const unitsX = config.gridWidth;
-        const unitsZ = config.gridDepth;
-        const GRID_IN = 42 * MM_TO_IN; 
-        const frameH = 5.0 * MM_TO_IN;
-        
-        const frameShape = new THREE.Shape();
-        frameShape.moveTo(-outerW/2, -outerD/2);
-        frameShape.lineTo(outerW/2, -outerD/2);
-        frameShape.lineTo(outerW/2, outerD/2);
-        frameShape.lineTo(-outerW/2, outerD/2);
-        frameShape.lineTo(-outerW/2, -outerD/2);
-
-        const startX = -(outerW / 2) + (GRID_IN / 2);
-        const startZ = -(outerD / 2) + (GRID_IN / 2);
-
-        for (let i = 0; i < unitsX; i++) {
-            for (let j = 0; j < unitsZ; j++) {
-                const cx = startX + (i * GRID_IN);
-                const cz = startZ + (j * GRID_IN);
-                const x = cx - (41.5 * MM_TO_IN)/2;
-                const y = cz - (41.5 * MM_TO_IN)/2;
-                const w = 41.5 * MM_TO_IN; const h = 41.5 * MM_TO_IN; const r = 4.0 * MM_TO_IN;
-                
-                const holeAt = new THREE.Path();
-                holeAt.moveTo(x + r, y);
-                holeAt.lineTo(x + w - r, y);
-                holeAt.quadraticCurveTo(x + w, y, x + w, y + r);
-                holeAt.lineTo(x + w, y + h - r);
-                holeAt.quadraticCurveTo(x + w, y + h, x + w - r, y + h);
-                holeAt.lineTo(x + r, y + h);
-                holeAt.quadraticCurveTo(x, y + h, x, y + h - r);
-                holeAt.lineTo(x, y + r);
-                holeAt.quadraticCurveTo(x, y, x + r, y);
-                frameShape.holes.push(holeAt);
-            }
-        }
-        
-        const frameGeo = new THREE.ExtrudeGeometry(frameShape, { depth: frameH, bevelEnabled: false });
-        frameGeo.rotateX(-Math.PI/2);
-        const gap = 30 * MM_TO_IN;
-        const boxOffsetX = -(outerW / 2) - gap;
-        addMesh(frameGeo, boxOffsetX, 0, 0); 
-        return; 
-    }
-
-    // --- PARTS BUILDER ---
-    const gap = 30 * MM_TO_IN;
-    const boxOffsetX = -(outerW / 2) - gap;
-
-    // 1. FEET (proper chamfered profile per Gridfinity spec)
-    if (stack.feet) {
-        const unitsX = config.gridWidth;
-        const unitsZ = config.gridDepth;
-        const GRID_IN = 42.0 * MM_TO_IN;
-        const footGeo = createGridfinityFootGeo(true);
-
-        // Feet on nominal 42mm grid centers (independent of 0.5mm outer shrink)
-        const nominalW = unitsX * GRID_IN;
-        const nominalD = unitsZ * GRID_IN;
-        const startX = -(nominalW / 2) + (GRID_IN / 2);
-        const startZ = -(nominalD / 2) + (GRID_IN / 2);
-
-        for (let i = 0; i < unitsX; i++) {
-            for (let j = 0; j < unitsZ; j++) {
-                const cx = startX + (i * GRID_IN);
-                const cz = startZ + (j * GRID_IN);
-                addMesh(footGeo, cx + boxOffsetX, stack.feet.yMin, cz);
-            }
-        }
-    }
-
-    // 2. FLOOR
-    if (stack.floor) {
-        const h = stack.floor.yMax - stack.floor.yMin + GEO_OVERLAP;
-        const geo = new THREE.BoxGeometry(outerW, h, outerD);
-        addMesh(geo, boxOffsetX, stack.floor.yMin + (h/2) - GEO_OVERLAP, 0);
-    }
-
-    // 3. WALLS
-    if (stack.wall) {
-        const h = stack.wall.yMax - stack.wall.yMin + GEO_OVERLAP;
-        const y = stack.wall.yMin - GEO_OVERLAP;
-        
-        const wallThick = toScene(config.wall);
-
-        if (holes) {
-            const createPerforatedWall = (w, height, thick) => {
-                const shape = new THREE.Shape();
-                shape.moveTo(-w/2, 0);
-                shape.lineTo(w/2, 0);
-                shape.lineTo(w/2, height);
-                shape.lineTo(-w/2, height);
-                shape.lineTo(-w/2, 0);
-
-                const hexR = toScene(config.holeSize) / 2 + (0.5 / 2) * MM_TO_IN; // +0.5mm clearance
-                const voidFraction = 1 - Math.min(0.99, Math.max(0.01, infill));
-                const centerSpacing = hexR * Math.sqrt(3 / voidFraction);
-                const spacingX = centerSpacing;
-                const spacingY = centerSpacing * Math.sqrt(3) / 2;
-
-                const margin = thick * 1.5;
-                const availW = w - (margin * 2);
-                const availH = height - (margin * 2);
-                
-                const startX = -w/2 + margin + hexR;
-                const startY = margin + hexR;
-
-                const cols = Math.floor(availW / spacingX);
-                const rows = Math.floor(availH / spacingY);
-
-                if (cols > 0 && rows > 0) {
-                    for(let r=0; r<rows; r++) {
-                        for(let c=0; c<cols; c++) {
-                            const isOddRow = r % 2 === 1;
-                            const offsetX = isOddRow ? spacingX / 2 : 0;
-                            if (isOddRow && c === cols - 1) continue; 
-
-                            const cx = startX + (c * spacingX) + offsetX;
-                            const cy = startY + (r * spacingY);
-                            if (cx > w/2 - margin || cy > height - margin) continue;
-
-                            const hex = createHexagonPath(cx, cy, hexR);
-                            shape.holes.push(hex);
-                        }
-                    }
-                }
-                return new THREE.ExtrudeGeometry(shape, { depth: thick, bevelEnabled: false });
-            };
-
-            const fbGeo = createPerforatedWall(outerW, h, wallThick);
-            addMesh(fbGeo, boxOffsetX, y, outerD/2 - wallThick, 0, 0); 
-            addMesh(fbGeo, boxOffsetX, y, -outerD/2, 0, 0); 
-
-            const sideW = outerD - (wallThick * 2.05); 
-            const lrGeo = createPerforatedWall(sideW, h, wallThick);
-            addMesh(lrGeo, boxOffsetX + outerW/2 - wallThick, y, 0, 0, Math.PI/2);
-            addMesh(lrGeo, boxOffsetX - outerW/2, y, 0, 0, Math.PI/2);
-
-        } else {
-            const shape = new THREE.Shape();
-            shape.moveTo(-outerW/2, -outerD/2);
-            shape.lineTo(outerW/2, -outerD/2);
-            shape.lineTo(outerW/2, outerD/2);
-            shape.lineTo(-outerW/2, outerD/2);
-            shape.lineTo(-outerW/2, -outerD/2);
-            
-            const iw = outerW - (wallThick*2);
-            const id = outerD - (wallThick*2);
-            const inner = new THREE.Path();
-            inner.moveTo(-iw/2, -id/2);
-            inner.lineTo(iw/2, -id/2);
-            inner.lineTo(iw/2, id/2);
-            inner.lineTo(-iw/2, id/2);
-            inner.lineTo(-iw/2, -id/2);
-            shape.holes.push(inner);
-
-            const geo = new THREE.ExtrudeGeometry(shape, { depth: h, bevelEnabled: false, curveSegments: 1 });
-            geo.rotateX(-Math.PI/2);
-            addMesh(geo, boxOffsetX, y, 0);
-        }
-    }
-
-    // 3.5. COMPARTMENT DIVIDERS (per-segment)
-    if (stack.wall && compartmentWalls.length > 0) {
-        const h = stack.wall.yMax - stack.wall.yMin + GEO_OVERLAP;
-        const y = stack.wall.yMin - GEO_OVERLAP;
-        const wallThick = toScene(config.wall);
-        const GRID_IN = 42.0 * MM_TO_IN;
-
-        for (const w of compartmentWalls) {
-            if (w.axis === 'x') {
-                // Vertical segment: spans one cell in Z
-                const segLen = GRID_IN; // one cell
-                const geo = new THREE.BoxGeometry(wallThick, h, segLen);
-                const wx = -(outerW / 2) + (w.pos * MM_TO_IN);
-                const wz = -(outerD / 2) + (w.seg + 0.5) * GRID_IN;
-                addMesh(geo, boxOffsetX + wx, y + h / 2, wz);
-            } else {
-                // Horizontal segment: spans one cell in X
-                const segLen = GRID_IN;
-                const geo = new THREE.BoxGeometry(segLen, h, wallThick);
-                const wz = -(outerD / 2) + (w.pos * MM_TO_IN);
-                const wx = -(outerW / 2) + (w.seg + 0.5) * GRID_IN;
-                addMesh(geo, boxOffsetX + wx, y + h / 2, wz);
-            }
-        }
-    }
-
-    // 4. RAILS
-    if (stack.rail) {
-        const { spacer, cap } = stack.rail;
-        const spH = spacer.yMax - spacer.yMin;
-        const spY = spacer.yMin;
-        const spThick = toScene(config.wall) / 2;
-        
-        const sideSpacer = new THREE.BoxGeometry(spThick, spH, outerD);
-        addMesh(sideSpacer, boxOffsetX-(outerW/2)+(spThick/2), spY + spH/2, 0);
-        addMesh(sideSpacer, boxOffsetX+(outerW/2)-(spThick/2), spY + spH/2, 0);
-        
-        const spBack = new THREE.BoxGeometry(outerW - (spThick*2), spH, spThick);
-        addMesh(spBack, boxOffsetX, spY + spH/2, -(outerD/2)+(spThick/2));
-
-        const cH = cap.yMax - cap.yMin;
-        const cY = cap.yMin;
-        const capWidth = toScene(config.wall); 
-        
-        const cSide = new THREE.BoxGeometry(capWidth, cH, outerD);
-        addMesh(cSide, boxOffsetX-(outerW/2)+(capWidth/2), cY + cH/2, 0);
-        addMesh(cSide, boxOffsetX+(outerW/2)-(capWidth/2), cY + cH/2, 0);
-        
-        const cBack = new THREE.BoxGeometry(outerW - (capWidth*2), cH, capWidth);
-        addMesh(cBack, boxOffsetX, cY + cH/2, -(outerD/2)+(capWidth/2));
-    }
-
-    // 5. LIP (proper stepped profile matching foot inverse)
-    if (stack.lip) {
-        const lipGeo = createGridfinityLipGeo(outerW, outerD);
-        addMesh(lipGeo, boxOffsetX, stack.lip.yMin, 0);
-    }
-
-    // 6. LID GEOMETRY
-    if (stack.lid) {
-        const { type, thickness, insertDepth, width, depth } = stack.lid;
-        const lidX = (outerW / 2) + gap; 
-        
-        if (type === 'step') {
-            const plate = new THREE.BoxGeometry(outerW, thickness, outerD);
-            addMesh(plate, lidX, thickness/2, 0, 0, 0, lidMaterial);
-            if (insertDepth > 0) {
-                // Apply Tolerance Logic Here
-                const tol = toScene(config.tolerance);
-                const innerW = outerW - (toScene(config.wall)*2) - (tol !== undefined ? tol : 0.01);
-                const innerD = outerD - (toScene(config.wall)*2) - (tol !== undefined ? tol : 0.01);
-                const insert = new THREE.BoxGeometry(innerW, insertDepth, innerD);
-                addMesh(insert, lidX, thickness + insertDepth/2, 0, 0, 0, lidMaterial);
-            }
-        } 
-        else if (type === 'slide') {
-            const plate = new THREE.BoxGeometry(width, thickness, depth);
-            addMesh(plate, lidX, thickness/2, 0, 0, 0, lidMaterial);
-            const hGeo = new THREE.BoxGeometry(outerW * 0.2, thickness * 2, thickness);
-            addMesh(hGeo, lidX, thickness * 1.5, depth/2 - thickness, 0, 0, lidMaterial);
-        }
-    }
-
-  }, [layout, config, compartmentWalls]);
+  }, [config, appMode, printer, compartmentWalls]);
 
   // --- DIMENSION LABELS ---
   useEffect(() => {
@@ -1402,9 +772,10 @@ export default function App() {
           div.className = 'label';
           
           const showMM = isMM;
-          const txtVal = showMM ? (val * IN_TO_MM).toFixed(1) : val.toFixed(2);
+          const txtVal = val === null ? '' : (showMM ? (val * IN_TO_MM).toFixed(1) : val.toFixed(2));
           const unit = showMM ? 'mm' : '"';
-          const fullText = labelText ? `${labelText}: ${txtVal}${unit}` : `${txtVal}${unit}`;
+          let fullText = labelText ? `${labelText}: ${txtVal}${unit}` : `${txtVal}${unit}`;
+          if (val === null) fullText = labelText; // plain tag, no measurement
           
           div.textContent = fullText;
           div.style.color = color === green ? '#4ade80' : (color === blue ? '#60a5fa' : '#f87171');
@@ -1465,12 +836,14 @@ export default function App() {
           addArrow(hStart, hEnd, green);
           addLabel(hStart.clone().lerp(hEnd, 0.5).add(new THREE.Vector3(-0.1, 0, 0)), bodyH, green, "Body H");
           
-          // Lip Height (Blue)
-          const lipH = 4.4 * MM_TO_IN;
-          const lStart = new THREE.Vector3(boxOffsetX - outerW/2 - extOff, bodyH, outerD/2);
-          const lEnd = new THREE.Vector3(boxOffsetX - outerW/2 - extOff, totalH, outerD/2);
-          addArrow(lStart, lEnd, blue);
-          addLabel(lStart.clone().lerp(lEnd, 0.5).add(new THREE.Vector3(-0.1, 0, 0)), lipH, blue, "Lip");
+          // Lip Height (Blue); flat-topped bins end at the body height
+          if (stack.lip) {
+              const lipH = stack.lip.yMax - stack.lip.yMin;
+              const lStart = new THREE.Vector3(boxOffsetX - outerW/2 - extOff, bodyH, outerD/2);
+              const lEnd = new THREE.Vector3(boxOffsetX - outerW/2 - extOff, totalH, outerD/2);
+              addArrow(lStart, lEnd, blue);
+              addLabel(lStart.clone().lerp(lEnd, 0.5).add(new THREE.Vector3(-0.1, 0, 0)), lipH, blue, "Lip");
+          }
       } else {
           const hStart = new THREE.Vector3(boxOffsetX - outerW/2 - extOff, 0, outerD/2);
           const hEnd = new THREE.Vector3(boxOffsetX - outerW/2 - extOff, totalH, outerD/2);
@@ -1478,6 +851,13 @@ export default function App() {
           addLabel(hStart.clone().lerp(hEnd, 0.5).add(new THREE.Vector3(-0.1, 0, 0)), totalH, green, "Ext H");
       }
 
+      // 3.5. Baseplate Tile Labels
+      if (stack.baseplate && stack.baseplate.tiles.length > 1) {
+          for (const tile of stack.baseplate.tiles) {
+              addLabel(new THREE.Vector3(boxOffsetX + tile.x, stack.baseplate.yMax + 0.1, tile.z), null, blue, tile.label);
+          }
+      }
+
       // 4. Internal Dimensions
       if (gridfinityType === 'bin' || !isGridfinity) {
           const measureY = stack.wall.yMax - 0.5; 
@@ -1496,13 +876,8 @@ export default function App() {
           const ihX = boxOffsetX - layout.innerW/2 + 0.2; 
           const ihZ = layout.innerD/2 - 0.2;
           const floorTop = stack.floor ? stack.floor.yMax : 0;
-          let iH = stack.wall.yMax - floorTop;
-          
-          // If Step Lid in Internal Mode, the wall is taller than requested capacity.
-          // Subtract the insert depth to show the *usable* height.
-          if (config.measureMode === 'internal' && config.lidType === 'step' && config.lidEnabled) {
-              iH -= toScene(config.lipDepth);
-          }
+          // Wall height less what a step or snap lid reaches down inside it
+          const iH = stack.wall.usableH;
 
           const ihStart = new THREE.Vector3(ihX, floorTop, ihZ);
           const ihEnd = new THREE.Vector3(ihX, floorTop + iH, ihZ);
@@ -1511,7 +886,8 @@ export default function App() {
       }
 
       // 5. Lid Dimensions
-      if (stack.lid) {
+      // (a hinged lid printed in place sits closed on the box, not beside it)
+      if (stack.lid && !stack.lid.inPlace) {
           const lidX = (outerW / 2) + gap;
           const { width: lW, depth: lD, thickness: lT, insertDepth, type } = stack.lid;
           
@@ -1534,9 +910,8 @@ export default function App() {
           addLabel(tStart.clone().lerp(tEnd, 0.5).add(new THREE.Vector3(0.1, 0, 0)), lT, blue, "Thick");
 
           // Insert Dimensions (Tolerance Check)
-          if (type === 'step' && insertDepth > 0) {
-              const tol = toScene(config.tolerance);
-              const insertW = outerW - (toScene(config.wall)*2) - (tol !== undefined ? tol : 0.01);
+          if ((type === 'step' || type === 'snap') && insertDepth > 0) {
+              const insertW = stack.lid.insert.width;
               
               // Insert Width
               const iStart = new THREE.Vector3(lidX - insertW/2, lT + insertDepth + 0.2, 0);
@@ -1553,8 +928,7 @@ export default function App() {
 
           // Lid Total Height
           let totalLidH = lT;
-          if (type === 'step') totalLidH += insertDepth;
-          if (type === 'slide') totalLidH = lT * 2.5; 
+          if (type === 'step' || type === 'snap') totalLidH += insertDepth;
 
           // Shifted further left
           const hStart = new THREE.Vector3(lidX - lW/2 - 1.0, 0, 0);
@@ -1565,6 +939,17 @@ export default function App() {
 
   }, [layout, showMeasure, appMode, config, isMM]); 
 
+  // Bins take half units, frames whole cells
+  const gridStep = config.gridfinityType === 'bin' ? 0.5 : 1;
+
+  // Magnet size, shared by the foot holes and the baseplate pockets
+  const magnetInputs = (
+      <>
+          <ControlInput label="Magnet Diameter" description="Pocket adds 0.5mm" {...getStructProps('magnetDiameter')} warning={layout.warnings.magnetDiameter} />
+          <ControlInput label="Magnet Height" description="Pocket adds 0.4mm" {...getStructProps('magnetDepth')} warning={layout.warnings.magnetDepth} />
+      </>
+  );
+
   return (
     <div className="flex flex-col md:flex-row h-screen bg-gray-900 font-sans select-none text-gray-200 overflow-hidden">
         <div ref={mountRef} className="flex-1 relative bg-gray-900 min-w-0 min-h-0"></div>
@@ -1572,84 +957,291 @@ export default function App() {
             <h1 className="text-xl font-bold text-white mb-6">BOX3D -- <span className="text-blue-400">3D Printable Box & Gridfinity Generator</span></h1>
             
 
-            <SegmentedControl options={[ { label: 'Inch', value: 'in' }, { label: 'mm', value: 'mm' }, { label: 'Gridfinity', value: 'gridfinity' } ]} value={appMode} onChange={v => { setAppMode(v); if (v !== 'gridfinity') setCompartmentWalls([]); }} />
+            <SegmentedControl options={[ { label: 'Inch', value: 'in' }, { label: 'mm', value: 'mm' }, { label: 'Gridfinity', value: 'gridfinity' } ]} value={appMode} onChange={v => { setAppMode(v); if ((v === 'gridfinity') !== isGridfinity) setCompartmentWalls([]); }} />
             
             <div className="mb-6 space-y-4">
                 {appMode !== 'gridfinity' && (
-                    <SegmentedControl options={[ { label: 'Internal Capacity', value: 'internal' }, { label: 'External Bounds', value: 'external' } ]} value={config.measureMode} onChange={v => updateConfig('measureMode', v)} />
+                    <>
+                        <SegmentedControl options={[ { label: 'Box', value: 'box' }, { label: 'Round Jar', value: 'jar' } ]} value={config.containerShape} onChange={v => updateConfig('containerShape', v)} />
+                        <SegmentedControl options={[ { label: 'Internal Capacity', value: 'internal' }, { label: 'External Bounds', value: 'external' } ]} value={config.measureMode} onChange={v => updateConfig('measureMode', v)} />
+                    </>
                 )}
                 {appMode === 'gridfinity' && (
                     <SegmentedControl options={[ { label: 'Bin', value: 'bin' }, { label: 'Frame', value: 'frame' } ]} value={config.gridfinityType} onChange={v => { updateConfig('gridfinityType', v); if (v !== 'bin') setCompartmentWalls([]); }} />
                 )}
                 {appMode === 'gridfinity' ? (
                     <>
-                        <ControlInput label="Width (Units)" description="42mm blocks" unitLabel={null} value={config.gridWidth} min={1} max={10} step={1} onChange={v => updateConfig('gridWidth', v)} warning={layout.warnings.gridWidth} />
-                        <ControlInput label="Depth (Units)" description="42mm blocks" unitLabel={null} value={config.gridDepth} min={1} max={10} step={1} onChange={v => updateConfig('gridDepth', v)} warning={layout.warnings.gridDepth} />
-                        {config.gridfinityType === 'bin' && <ControlInput label="Height (Units)" description="7mm vertical blocks" unitLabel={null} value={config.gridHeight} min={2} max={20} step={1} onChange={v => updateConfig('gridHeight', v)} warning={layout.warnings.gridHeight} />}
+                        {config.gridfinityType === 'frame' && (
+                            <SegmentedControl options={[ { label: 'Grid Units', value: 'grid' }, { label: 'Fit Drawer', value: 'drawer' } ]} value={config.frameFit} onChange={v => updateConfig('frameFit', v)} />
+                        )}
+                        {config.gridfinityType === 'frame' && config.frameFit === 'drawer' ? (
+                            <>
+                                <ControlInput label="Drawer Width" description="Interior, left to right" {...getStructProps('drawerWidth')} warning={layout.warnings.drawerWidth} />
+                                <ControlInput label="Drawer Depth" description="Interior, front to back" {...getStructProps('drawerDepth')} warning={layout.warnings.drawerDepth} />
+                                {layout.stack.baseplate && (
+                                    <p className="text-[10px] text-gray-400 -mt-3 mb-4">{layout.stack.baseplate.unitsX} × {layout.stack.baseplate.unitsZ} units, padded to {(layout.outerW * IN_TO_MM).toFixed(1)} × {(layout.outerD * IN_TO_MM).toFixed(1)}mm</p>
+                                )}
+                            </>
+                        ) : (
+                            <>
+                                <ControlInput label="Width (Units)" description={gridStep === 1 ? '42mm blocks' : '42mm blocks, or halves'} unitLabel={null} value={config.gridWidth} min={gridStep} max={CONFIG_RANGES.gridWidth.max} step={gridStep} onChange={v => updateConfig('gridWidth', v)} warning={layout.warnings.gridWidth} />
+                                <ControlInput label="Depth (Units)" description={gridStep === 1 ? '42mm blocks' : '42mm blocks, or halves'} unitLabel={null} value={config.gridDepth} min={gridStep} max={CONFIG_RANGES.gridDepth.max} step={gridStep} onChange={v => updateConfig('gridDepth', v)} warning={layout.warnings.gridDepth} />
+                            </>
+                        )}
+                        {config.gridfinityType === 'bin' && (
+                            <>
+                                <SegmentedControl options={[ { label: 'Height in Units', value: 'units' }, { label: 'Height in mm', value: 'mm' } ]} value={config.gridHeightUnit} onChange={v => updateConfig('gridHeightUnit', v)} />
+                                {config.gridHeightUnit === 'mm'
+                                    ? <ControlInput label="Height" description="To the top of the wall, under the lip" {...getStructProps('gridHeightMm')} warning={layout.warnings.gridHeightMm} />
+                                    : <ControlInput label="Height (Units)" description="7mm vertical blocks" unitLabel={null} value={config.gridHeight} min={CONFIG_RANGES.gridHeight.min} max={CONFIG_RANGES.gridHeight.max} step={1} onChange={v => updateConfig('gridHeight', v)} warning={layout.warnings.gridHeight} />}
+                            </>
+                        )}
+                        {config.gridfinityType === 'bin' && (
+                            <div className="pt-2">
+                                <span className="text-xs font-bold text-gray-300 block mb-2">Stacking Lip</span>
+                                <SegmentedControl options={[ { label: 'Standard', value: 'standard' }, { label: 'Reduced', value: 'reduced' }, { label: 'None', value: 'none' } ]} value={config.lipStyle} onChange={v => updateConfig('lipStyle', v)} />
+                                <span className="text-xs font-bold text-gray-300 block mb-2">Feet</span>
+                                <SegmentedControl options={[ { label: 'Full 42mm', value: 'full' }, { label: 'Half 21mm', value: 'half' } ]} value={config.footSize} onChange={v => updateConfig('footSize', v)} />
+                                <span className="text-xs font-bold text-gray-300 block mb-2">Foot Holes</span>
+                                <select value={config.footHoles} onChange={e => updateConfig('footHoles', e.target.value)} className="w-full mb-4 bg-gray-900 border border-gray-600 rounded px-2 py-1.5 text-xs text-gray-200 focus:outline-none focus:border-blue-500">
+                                    {FOOT_HOLE_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                                </select>
+                                {config.footHoles !== 'none' && config.footHoles !== 'screws' && magnetInputs}
+                            </div>
+                        )}
+                        {config.gridfinityType === 'frame' && (
+                            <div className="pt-2">
+                                <SegmentedControl options={[ { label: 'Thin Plate', value: 'thin' }, { label: 'Weighted', value: 'weighted' } ]} value={config.baseplateStyle} onChange={v => updateConfig('baseplateStyle', v)} />
+                                <label className="flex items-center justify-between cursor-pointer mb-5">
+                                    <span className="text-xs font-bold text-gray-300">Magnet Pockets</span>
+                                    <input type="checkbox" checked={config.baseplateMagnets} onChange={e => updateConfig('baseplateMagnets', e.target.checked)} className="accent-blue-600" />
+                                </label>
+                                {config.baseplateMagnets && magnetInputs}
+                                {layout.stack.baseplate && layout.stack.baseplate.tiles.length > 1 && (
+                                    <p className="text-[10px] text-gray-400">Split into {layout.stack.baseplate.tiles.length} tiles for the {printer.name} bed: {layout.stack.baseplate.tiles.map(t => t.label).join(', ')}</p>
+                                )}
+                            </div>
+                        )}
+                    </>
+                ) : isJar ? (
+                    <>
+                        <ControlInput label="Diameter" description={config.measureMode === 'internal' ? 'Inside the jar' : 'Outside of the cap'} unitLabel={appMode} {...getDisplayProps('diameter')} warning={layout.warnings.diameter} />
+                        <ControlInput label="Height" description={config.measureMode === 'internal' ? 'Floor to rim' : 'Closed, with the cap'} unitLabel={appMode} {...getDisplayProps('height')} warning={layout.warnings.height} />
+                        <ControlInput label="Thread Pitch" description="Rise per turn" {...getStructProps('threadPitch')} warning={layout.warnings.threadPitch} />
+                        <ControlInput label="Thread Turns" description="Turns to close the cap" unitLabel={null} value={config.threadTurns} min={CONFIG_RANGES.threadTurns.min} max={CONFIG_RANGES.threadTurns.max} step={0.25} onChange={v => updateConfig('threadTurns', v)} warning={layout.warnings.threadTurns} />
+                        <ControlInput label="Thread Clearance" description="Play between jar and cap threads" {...getStructProps('threadClearance')} warning={layout.warnings.threadClearance} />
                     </>
                 ) : (
                     <>
-                        <ControlInput label="Width" unitLabel={appMode} {...getDisplayProps('width', 0.5, 24)} warning={layout.warnings.width} />
-                        <ControlInput label="Depth" unitLabel={appMode} {...getDisplayProps('depth', 0.5, 24)} warning={layout.warnings.depth} />
-                        <ControlInput label="Height" unitLabel={appMode} {...getDisplayProps('height', 0.5, 24)} warning={layout.warnings.height} />
+                        <ControlInput label="Width" unitLabel={appMode} {...getDisplayProps('width')} warning={layout.warnings.width} />
+                        <ControlInput label="Depth" unitLabel={appMode} {...getDisplayProps('depth')} warning={layout.warnings.depth} />
+                        <ControlInput label="Height" unitLabel={appMode} {...getDisplayProps('height')} warning={layout.warnings.height} />
                     </>
                 )}
             </div>
 
+            {!isGridfinity && !isJar && (
+                <div className="mb-4 pt-4 border-t border-gray-700">
+                    <span className="text-xs font-bold text-gray-300 block mb-2">Dividers</span>
+                    <ControlInput label="Columns" description="Equal cells, left to right" unitLabel={null} value={dividerLines.x.length - 1} min={1} max={12} step={1} onChange={v => splitBox(Math.max(1, Math.round(v)), dividerLines.z.length - 1)} />
+                    <ControlInput label="Rows" description="Equal cells, back to front" unitLabel={null} value={dividerLines.z.length - 1} min={1} max={12} step={1} onChange={v => splitBox(dividerLines.x.length - 1, Math.max(1, Math.round(v)))} />
+                    <PositionListInput label="X Positions" description="From the inside of the left wall" unitLabel={appMode} values={config.dividersX.map(p => p / unitIU)} onChange={list => setBoxDividers(list.map(v => Math.round(v * unitIU)), config.dividersZ)} warning={layout.warnings.dividersX} />
+                    <PositionListInput label="Z Positions" description="From the inside of the back wall" unitLabel={appMode} values={config.dividersZ.map(p => p / unitIU)} onChange={list => setBoxDividers(config.dividersX, list.map(v => Math.round(v * unitIU)))} warning={layout.warnings.dividersZ} />
+                    {dividerLines.x.length + dividerLines.z.length > 4 && (
+                        <CompartmentEditor lines={dividerLines} walls={compartmentWalls} onWallsChange={editWalls} maxHeight={dividerMaxHeight} onUndo={undoWalls} onRedo={redoWalls} />
+                    )}
+                </div>
+            )}
+
             {isGridfinity && config.gridfinityType === 'bin' && (
                 <div className="mb-4 pt-4 border-t border-gray-700">
+                    <span className="text-xs font-bold text-gray-300 block mb-2">Divider Lines</span>
+                    <SegmentedControl options={[ { label: 'Whole Units', value: 'unit' }, { label: '1/2 Unit', value: 'half' }, { label: '1/4 Unit', value: 'quarter' } ]} value={config.dividerStep} onChange={v => setGridLines({ dividerStep: v })} />
+                    <PositionListInput label="Extra X Lines" description="From the left edge of the grid" unitLabel="mm" values={config.gridDividersX.map(p => p / IU_PER_MM)} onChange={list => setGridLines({ gridDividersX: list.map(v => Math.round(v * IU_PER_MM)) })} warning={layout.warnings.gridDividersX} />
+                    <PositionListInput label="Extra Z Lines" description="From the back edge of the grid" unitLabel="mm" values={config.gridDividersZ.map(p => p / IU_PER_MM)} onChange={list => setGridLines({ gridDividersZ: list.map(v => Math.round(v * IU_PER_MM)) })} warning={layout.warnings.gridDividersZ} />
                     <CompartmentEditor
-                        gridWidth={config.gridWidth}
-                        gridDepth={config.gridDepth}
+                        lines={dividerLines}
                         walls={compartmentWalls}
-                        onWallsChange={setCompartmentWalls}
+                        onWallsChange={editWalls}
+                        maxHeight={dividerMaxHeight}
+                        onUndo={undoWalls}
+                        onRedo={redoWalls}
                     />
+                    <span className="text-xs font-bold text-gray-300 block mb-2">Scoops</span>
+                    <SegmentedControl options={[ { label: 'None', value: 'none' }, { label: 'Front Wall', value: 'front' }, { label: 'Each Compartment', value: 'compartments' } ]} value={config.scoop} onChange={v => updateConfig('scoop', v)} />
+                    {config.scoop !== 'none' && <ControlInput label="Scoop Radius" description="Curved ramp up the front wall" {...getStructProps('scoopRadius')} warning={layout.warnings.scoopRadius} />}
+                    <span className="text-xs font-bold text-gray-300 block mb-2">Label Tabs</span>
+                    <select value={config.labelTab} onChange={e => updateConfig('labelTab', e.target.value)} className="w-full mb-4 bg-gray-900 border border-gray-600 rounded px-2 py-1.5 text-xs text-gray-200 focus:outline-none focus:border-blue-500">
+                        <option value="none">None</option>
+                        <option value="full">Full Width</option>
+                        <option value="compartments">Each Compartment</option>
+                        <option value="custom">Custom Width (per compartment)</option>
+                    </select>
+                    {config.labelTab !== 'none' && (
+                        <>
+                            <SegmentedControl options={[ { label: 'Back Wall', value: 'back' }, { label: 'Front Wall', value: 'front' } ]} value={config.labelTabSide} onChange={v => updateConfig('labelTabSide', v)} />
+                            {config.labelTab === 'custom' && <ControlInput label="Tab Width" description="Centred in each compartment" {...getStructProps('labelTabWidth')} warning={layout.warnings.labelTabWidth} />}
+                            <ControlInput label="Tab Depth" description="Reach from the wall" {...getStructProps('labelTabDepth')} warning={layout.warnings.labelTabDepth} />
+                            <ControlInput label="Tab Angle" description="Tilt toward the reader" unitLabel="°" value={config.labelTabAngle} min={CONFIG_RANGES.labelTabAngle.min} max={CONFIG_RANGES.labelTabAngle.max} step={1} onChange={v => updateConfig('labelTabAngle', v)} warning={layout.warnings.labelTabAngle} />
+                        </>
+                    )}
                 </div>
             )}
 
             {(!isGridfinity || config.gridfinityType === 'bin') && (
                 <div className="mb-6 space-y-4 pt-4 border-t border-gray-700">
-                    <ControlInput label="Wall Thickness" description="Structural walls" {...getStructProps('wall', 0.03, 0.5)} warning={layout.warnings.wall} />
-                    <ControlInput label="Floor Thickness" description="Bottom plate" {...getStructProps('floor', 0.03, 0.5)} warning={layout.warnings.floor} />
+                    <ControlInput label="Wall Thickness" description="Structural walls" {...getStructProps('wall')} warning={layout.warnings.wall} />
+                    <ControlInput label="Floor Thickness" description="Bottom plate" {...getStructProps('floor')} warning={layout.warnings.floor} />
+                    {isJar && <ControlInput label="Cap Thickness" description="Top of the cap" {...getStructProps('lidThickness')} warning={layout.warnings.lidThickness} />}
+                    {!isGridfinity && !isJar && (
+                        <>
+                            <ControlInput label="Corner Radius" description="Outside corners; the inside is rounded by this less the wall" {...getStructProps('cornerRadius')} warning={layout.warnings.cornerRadius} />
+                            <ControlInput label="Bottom Chamfer" description="45° edge on the floor and step lid against first-layer curl" {...getStructProps('bottomChamfer')} warning={layout.warnings.bottomChamfer} />
+                        </>
+                    )}
                     
-                    <div className="pt-2 pb-2">
+                    {!isJar && <div className="pt-2 pb-2">
                         <label className="flex items-center justify-between cursor-pointer mb-3">
                             <span className="text-xs font-bold text-gray-300">Hexagonal Perforations</span>
                             <input type="checkbox" checked={config.holes} onChange={e => updateConfig('holes', e.target.checked)} className="accent-blue-600" />
                         </label>
                         {config.holes && (
                             <>
-                                <ControlInput label="Hex Size" description="Hole Diameter" {...getDisplayProps('holeSize', 0.1, 2.0)} warning={layout.warnings.holeSize} />
-                                <ControlInput label="Wall Solidity" description="Structure remaining %" value={config.infill * 100} min={10} max={99} step={1} onChange={v => updateConfig('infill', v/100)} unitLabel="%" warning={layout.warnings.infill} />
+                                <ControlInput label="Hex Size" description="Hole Diameter" {...getDisplayProps('holeSize')} warning={layout.warnings.holeSize} />
+                                <ControlInput label="Wall Solidity" description="Structure remaining %" value={config.infill * 100} min={CONFIG_RANGES.infill.min * 100} max={CONFIG_RANGES.infill.max * 100} step={1} onChange={v => updateConfig('infill', v/100)} unitLabel="%" warning={layout.warnings.infill} />
                             </>
                         )}
-                    </div>
+                    </div>}
 
-                    {!isGridfinity && (
+                    {!isGridfinity && !isJar && (
                         <div className="pt-2 border-t border-gray-700">
                             <label className="flex items-center cursor-pointer mb-3 mt-4"><input type="checkbox" checked={config.lidEnabled} onChange={e => updateConfig('lidEnabled', e.target.checked)} className="mr-2 accent-blue-600" /><span className="text-sm font-bold text-white">Enable Lid</span></label>
                             {config.lidEnabled && (
                                 <>
-                                    <SegmentedControl options={[ { label: 'Step (Friction)', value: 'step' }, { label: 'Slide (Rail)', value: 'slide' } ]} value={config.lidType} onChange={v => updateConfig('lidType', v)} />
-                                    <ControlInput label="Lid Thickness" {...getStructProps('lidThickness', 0.04, 0.5)} warning={layout.warnings.lidThickness} />
-                                    {config.lidType === 'step' && <ControlInput label="Insert Depth" description="Depth of plug" {...getStructProps('lipDepth', 0.04, 1.0)} /> }
-                                    <ControlInput label="Tolerance" description="Fit clearance" {...getStructProps('tolerance', 0.0, 0.05)} warning={layout.warnings.tolerance} />
+                                    <SegmentedControl options={[ { label: 'Step (Friction)', value: 'step' }, { label: 'Slide (Rail)', value: 'slide' }, { label: 'Hinge', value: 'hinge' }, { label: 'Snap', value: 'snap' } ]} value={config.lidType} onChange={v => updateConfig('lidType', v)} />
+                                    <ControlInput label="Lid Thickness" {...getStructProps('lidThickness')} warning={layout.warnings.lidThickness} />
+                                    {(config.lidType === 'step' || config.lidType === 'snap') && <ControlInput label="Insert Depth" description="Depth of plug" {...getStructProps('lipDepth')} warning={layout.warnings.lipDepth} /> }
+                                    {config.lidType === 'snap' && (
+                                        <>
+                                            <SegmentedControl options={[ { label: 'Bead & Groove', value: 'bead' }, { label: 'Latches', value: 'latch' } ]} value={config.snapStyle} onChange={v => updateConfig('snapStyle', v)} />
+                                            <ControlInput label="Interference" description="Snap overlap into the groove" {...getStructProps('snapInterference')} warning={layout.warnings.snapInterference} />
+                                            {config.snapStyle === 'latch' && (
+                                                <>
+                                                    <ControlInput label="Latches" description="Round the walls" unitLabel={null} value={config.snapLatches} min={CONFIG_RANGES.snapLatches.min} max={CONFIG_RANGES.snapLatches.max} step={1} onChange={v => updateConfig('snapLatches', Math.round(v))} warning={layout.warnings.snapLatches} />
+                                                    <ControlInput label="Flex Length" description="Latch arm below the lid" {...getStructProps('snapFlex')} warning={layout.warnings.snapFlex} />
+                                                </>
+                                            )}
+                                        </>
+                                    )}
+                                    {config.lidType === 'hinge' && (
+                                        <>
+                                            <SegmentedControl options={[ { label: 'Print in Place', value: 'in-place' }, { label: 'Filament Pin', value: 'pin' } ]} value={config.hingePrint} onChange={v => updateConfig('hingePrint', v)} />
+                                            <ControlInput label="Pin Diameter" description={config.hingePrint === 'pin' ? 'Filament (1.75mm)' : 'Printed pin'} {...getStructProps('hingePin')} warning={layout.warnings.hingePin} />
+                                        </>
+                                    )}
+                                    <ControlInput label="Tolerance" description="Fit clearance" {...getStructProps('tolerance')} warning={layout.warnings.tolerance} />
                                 </>
                             )}
                         </div>
                     )}
                 </div>
             )}
-            
+
+            {(!isGridfinity || config.gridfinityType === 'bin') && !isJar && (
+                <div className="mb-6 pt-4 border-t border-gray-700">
+                    <div className="flex justify-between items-baseline mb-2">
+                        <span className="text-xs font-bold text-gray-300">Tool Cutout</span>
+                        {cutoutError && <span className="text-red-400 font-bold text-[10px]">{cutoutError}</span>}
+                    </div>
+                    <p className="text-[10px] text-gray-500 mb-2 leading-tight">Fill the floor solid and sink a pocket shaped like an SVG path or DXF polyline outline (read at its real size).</p>
+                    <div className="flex gap-2 mb-4">
+                        <button onClick={() => outlineInputRef.current && outlineInputRef.current.click()} className="flex-1 py-1.5 text-[10px] font-bold text-gray-300 border border-gray-600 rounded hover:bg-white/5 transition-colors">Load SVG / DXF</button>
+                        {config.cutoutOutline.length > 0 && (
+                            <button onClick={() => updateConfig('cutoutOutline', [])} className="flex-1 py-1.5 text-[10px] font-bold text-gray-400 border border-gray-700 rounded hover:text-red-400 transition-colors">Remove Outline</button>
+                        )}
+                    </div>
+                    <input ref={outlineInputRef} type="file" accept=".svg,.dxf,image/svg+xml" onChange={handleLoadOutline} className="hidden" />
+                    {config.cutoutOutline.length > 0 && (() => {
+                        const { width, depth } = outlineSize(config.cutoutOutline);
+                        return (
+                            <>
+                                <p className="text-[10px] text-gray-400 -mt-2 mb-4">{config.cutoutOutline.length} shape{config.cutoutOutline.length > 1 ? 's' : ''}, {width.toFixed(1)} × {depth.toFixed(1)}mm</p>
+                                <p className="text-[10px] text-amber-500 -mt-3 mb-4">Not included in share links: use Save .json to keep the outline.</p>
+                                <ControlInput label="Pocket Depth" description="Solid fill height; the pocket reaches the floor" {...getStructProps('cutoutDepth')} warning={layout.warnings.cutoutDepth} />
+                                <ControlInput label="Offset X" description="From the centre, to the right" {...getStructProps('cutoutX')} warning={layout.warnings.cutoutX} />
+                                <ControlInput label="Offset Z" description="From the centre, to the front" {...getStructProps('cutoutZ')} warning={layout.warnings.cutoutZ} />
+                                <ControlInput label="Rotation" description="Clockwise, seen from above" unitLabel="°" value={config.cutoutRotation} min={CONFIG_RANGES.cutoutRotation.min} max={CONFIG_RANGES.cutoutRotation.max} step={1} onChange={v => updateConfig('cutoutRotation', v)} warning={layout.warnings.cutoutRotation} />
+                                <span className="text-xs font-bold text-gray-300 block mb-2">Finger Access</span>
+                                <SegmentedControl options={[ { label: 'None', value: 'none' }, { label: 'Centre', value: 'center' }, { label: 'Both Ends', value: 'ends' } ]} value={config.cutoutFinger} onChange={v => updateConfig('cutoutFinger', v)} />
+                                {config.cutoutFinger !== 'none' && <ControlInput label="Finger Hole" description="Diameter" {...getStructProps('cutoutFingerSize')} warning={layout.warnings.cutoutFingerSize} />}
+                            </>
+                        );
+                    })()}
+                </div>
+            )}
+
+            {(!isGridfinity || config.gridfinityType === 'bin') && !isJar && (
+                <div className="mb-6 pt-4 border-t border-gray-700">
+                    <div className="flex justify-between items-baseline mb-2">
+                        <span className="text-xs font-bold text-gray-300">Text</span>
+                        {layout.warnings.textTarget && <span className="text-amber-500 font-bold text-[10px] animate-pulse">{layout.warnings.textTarget}</span>}
+                    </div>
+                    <input type="text" value={config.text} placeholder={config.textTarget === 'tab' ? 'M3|M4|M5 (one per tab)' : 'Label text'} onChange={e => updateConfig('text', e.target.value)} className="w-full mb-4 bg-gray-900 border border-gray-600 rounded px-2 py-1.5 text-xs text-gray-200 focus:outline-none focus:border-blue-500" />
+                    {config.text.trim() !== '' && (
+                        <>
+                            <SegmentedControl options={[ { label: 'Front Wall', value: 'front' }, { label: 'Lid', value: 'lid' }, { label: 'Label Tab', value: 'tab' } ]} value={config.textTarget} onChange={v => updateConfig('textTarget', v)} />
+                            <SegmentedControl options={[ { label: 'Raised', value: 'emboss' }, { label: 'Engraved', value: 'deboss' } ]} value={config.textStyle} onChange={v => updateConfig('textStyle', v)} />
+                            {layout.warnings.textStyle && <p className="text-amber-500 font-bold text-[10px] -mt-3 mb-4">{layout.warnings.textStyle}</p>}
+                            <SegmentedControl options={[ { label: 'Left', value: 'left' }, { label: 'Center', value: 'center' }, { label: 'Right', value: 'right' } ]} value={config.textAlign} onChange={v => updateConfig('textAlign', v)} />
+                            <ControlInput label="Text Size" description="Font size" {...getStructProps('textSize')} warning={layout.warnings.textSize} />
+                            <ControlInput label="Text Depth" description="Height raised or depth engraved" {...getStructProps('textDepth')} warning={layout.warnings.textDepth} />
+                        </>
+                    )}
+                </div>
+            )}
+
+            <div className="mt-4 pt-4 border-t border-gray-700">
+                <span className="text-xs font-bold text-gray-300 block mb-2">Printer</span>
+                <select value={printerSettings.id} onChange={e => setPrinterSettings(prev => ({ ...prev, id: e.target.value }))} className="w-full mb-2 bg-gray-900 border border-gray-600 rounded px-2 py-1.5 text-xs text-gray-200 focus:outline-none focus:border-blue-500">
+                    {PRINTER_PROFILES.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                    <option value={CUSTOM_PRINTER_ID}>Custom</option>
+                </select>
+                {printerSettings.id === CUSTOM_PRINTER_ID ? (
+                    <div className="pt-2">
+                        <ControlInput label="Bed X" unitLabel="mm" value={printer.bedX} min={PRINTER_RANGES.bedX.min} max={PRINTER_RANGES.bedX.max} step={1} onChange={v => updatePrinterCustom('bedX', v)} />
+                        <ControlInput label="Bed Y" unitLabel="mm" value={printer.bedY} min={PRINTER_RANGES.bedY.min} max={PRINTER_RANGES.bedY.max} step={1} onChange={v => updatePrinterCustom('bedY', v)} />
+                        <ControlInput label="Max Height (Z)" unitLabel="mm" value={printer.bedZ} min={PRINTER_RANGES.bedZ.min} max={PRINTER_RANGES.bedZ.max} step={1} onChange={v => updatePrinterCustom('bedZ', v)} />
+                        <ControlInput label="Nozzle" description="Wall advice uses multiples of this" unitLabel="mm" value={printer.nozzle} min={PRINTER_RANGES.nozzle.min} max={PRINTER_RANGES.nozzle.max} step={0.05} onChange={v => updatePrinterCustom('nozzle', v)} />
+                        <ControlInput label="Layer Height" unitLabel="mm" value={printer.layerHeight} min={PRINTER_RANGES.layerHeight.min} max={PRINTER_RANGES.layerHeight.max} step={0.01} onChange={v => updatePrinterCustom('layerHeight', v)} />
+                    </div>
+                ) : (
+                    <p className="text-[10px] text-gray-500">{printer.bedX} × {printer.bedY} × {printer.bedZ}mm bed, {printer.nozzle}mm nozzle, {printer.layerHeight}mm layers</p>
+                )}
+            </div>
 
             <div className="mt-4 pt-4 border-t border-gray-700">
                 <label className="flex items-center cursor-pointer mb-4"><input type="checkbox" checked={showMeasure} onChange={e => setShowMeasure(e.target.checked)} className="mr-2 accent-green-500" /><span className="text-sm font-bold text-green-400">Show Dimensions</span></label>
                 
                 <AlertBlock type="error" messages={layout.errors} />
+                <AlertBlock type="error" title="Project Load Problems" messages={projectProblems} />
+                <AlertBlock type="error" title="Export Failed" messages={exportError ? [exportError] : []} />
+
+                <SegmentedControl options={[ { label: 'Single File', value: 'combined' }, { label: 'File per Part (.zip)', value: 'parts' } ]} value={exportMode} onChange={setExportMode} />
 
-                <button onClick={handleExport} className="w-full py-3 bg-blue-600 hover:bg-blue-500 text-white font-bold rounded shadow-lg transition-all">Download .STL</button>
+                <button onClick={() => handleExport('stl')} className="w-full py-3 bg-blue-600 hover:bg-blue-500 text-white font-bold rounded shadow-lg transition-all">Download .STL</button>
+                <button onClick={() => handleExport('3mf')} className="w-full mt-2 py-2 bg-gray-700 hover:bg-gray-600 text-white text-xs font-bold rounded border border-gray-600 transition-all">Download .3MF</button>
             </div>
             
+            <div className="mt-4 pt-4 border-t border-gray-700">
+                <span className="text-xs font-bold text-gray-300 block mb-2">Project</span>
+                <div className="flex gap-2">
+                    <button onClick={handleSaveProject} className="flex-1 py-1.5 text-[10px] font-bold text-gray-300 border border-gray-600 rounded hover:bg-white/5 transition-colors">Save .json</button>
+                    <button onClick={() => projectInputRef.current && projectInputRef.current.click()} className="flex-1 py-1.5 text-[10px] font-bold text-gray-300 border border-gray-600 rounded hover:bg-white/5 transition-colors">Load .json</button>
+                    <button onClick={() => navigator.clipboard && navigator.clipboard.writeText(window.location.href)} className="flex-1 py-1.5 text-[10px] font-bold text-gray-300 border border-gray-600 rounded hover:bg-white/5 transition-colors">Copy Link</button>
+                </div>
+                <input ref={projectInputRef} type="file" accept=".json,application/json" onChange={handleLoadProject} className="hidden" />
+            </div>
+
             <div className="mt-4 pt-4 border-t border-gray-700">
                 <div className="flex items-center justify-between mb-2">
                      <span className="text-xs font-bold text-gray-500">LEGEND</span>
@@ -0,0 +1,533 @@
+#!/usr/bin/env node
+// --- BOX3D Command-Line Generator ---
+// Headless front end for core/: same constraint engine and parts builder as the UI.
+//
+//   box3d generate --grid 2x3x6 --walls x:42:0,z:42:1 -o bin.stl
+//   box3d generate --box 90x140x60 --units mm --lid step -o box.3mf --parts
+//   box3d batch manifest.csv -d out/
+//
+// Exit codes: 0 ok, 1 constraint errors (calculateConstraints().errors), 2 usage/input errors.
+
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { dirname, extname, join, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+    IU_PER_MM, IU_PER_IN, IN_TO_MM, DEFAULT_CONFIG, CONFIG_CHOICES, projectFromJSON,
+    PRINTER_PROFILES, CUSTOM_PRINTER_ID, resolvePrinter,
+    calculateConstraints, buildModel, generateSTL, generate3MF,
+    compartmentLines, equalDividers, fullGridWalls,
+    getExportName, generatePartFiles, parseOutline,
+} from '../core/index.js';
+
+const USAGE = `Usage:
+  box3d generate [options] [-o out.stl|out.3mf]
+  box3d batch <manifest.csv|manifest.json> [-d outdir]
+
+Model:
+  --grid WxDxH           Gridfinity bin (42mm units in steps of 0.5, 7mm height units;
+                         height in mm with an mm suffix, e.g. 1.5x2x30mm)
+  --half-feet            Half-size (21mm) feet under every cell
+  --frame WxD            Gridfinity frame (baseplate)
+  --drawer WxD           Gridfinity baseplate filling a drawer interior (mm), padded to fit
+  --baseplate thin|weighted  --plate-magnets
+  --lip standard|reduced|none  Stacking lip on Gridfinity bins
+  --scoop none|front|compartments  --scoop-radius N (mm)
+  --label-tab none|full|compartments|custom  --tab-side back|front
+  --tab-width N  --tab-depth N (mm)  --tab-angle DEG
+  --text STRING          Text on --text-on front|lid|tab ("A|B" = one piece per label tab)
+  --text-style emboss|deboss  --text-align left|center|right
+  --text-size N  --text-depth N (mm)
+  --foot-holes STYLE     ${CONFIG_CHOICES.footHoles.join('|')}
+  --cutout FILE          Tool pocket from an .svg or .dxf outline (closed shapes)
+  --cutout-depth N  --cutout-x N  --cutout-z N  Pocket depth and offset from the centre
+  --cutout-rotation DEG  Clockwise, seen from above
+  --finger ${CONFIG_CHOICES.cutoutFinger.join('|')}  --finger-size N  Finger holes to lift the tool out
+  --magnet DxH           Magnet size (mm) for foot and baseplate pockets, e.g. 6x3
+  --box WxDxH            Standard box in --units
+  --jar DxH              Round jar with a screw-on cap, diameter x height in --units
+  --pitch N  --turns N   Jar thread: rise per turn, turns to close the cap
+  --thread-clearance N   Jar thread: play between the jar and cap threads
+  --project FILE         Start from a saved .box3d.json project
+  --units mm|in          Units for box and structure values (default mm)
+  --measure internal|external
+  --wall N  --floor N    Wall / floor thickness
+  --corner-radius N      Box only: outside corner radius (the inside follows, less the wall)
+  --chamfer N            Box only: 45° chamfer on the bottom edges of the floor and step lid
+  --lid ${CONFIG_CHOICES.lidType.join('|')}  Enable a lid
+  --lid-thickness N  --insert-depth N  --tolerance N
+  --hinge-print ${CONFIG_CHOICES.hingePrint.join('|')}  Hinge lid: printed closed on the box, or a
+                         separate lid joined with a filament pin
+  --hinge-pin N          Hinge pin diameter (the filament's, for --hinge-print pin)
+  --snap ${CONFIG_CHOICES.snapStyle.join('|')}      Snap lid: bead round the insert, or cantilever latches
+  --interference N       Snap lid: how far the bead or hooks reach into the wall groove
+  --latches N  --flex N  Snap latches: count round the walls, arm length below the lid
+  --holes  --hole-size N  --infill PCT
+  --walls SPEC           Compartment walls "axis:posMM:seg[:heightMM][:notch][:removable],..."
+                         e.g. x:42:0,z:42:1:20:notch,z:42:0:removable
+  --dividers CxR         Box only: split the interior into CxR equal compartments
+  --divider-x LIST  --divider-z LIST  Box: divider positions in --units from the inside
+                         of the left / back wall, e.g. 30,75 (full-length unless --walls).
+                         Bin: extra lines for --walls, in mm from the edge of the grid
+  --divider-step S       Bin: lines for --walls every unit|half|quarter grid unit
+
+Printer (bed-size warnings, nozzle advice, baseplate tiles, 3MF plate):
+  --printer ID           One of: ${PRINTER_PROFILES.map(p => p.id).join(', ')}
+  --bed WxD[xH]          Custom bed size (mm)
+  --nozzle N  --layer-height N
+
+Output:
+  -o, --output FILE      Output file; extension picks the format (.stl or .3mf)
+  --format stl|3mf       Format when no output file is given (default stl)
+  --parts                Write one file per part (body, lid, jar, cap, frame, or each baseplate tile)
+  -d, --outdir DIR       Directory for generated files (default .)
+`;
+
+// Options shared by the command line and manifest rows (long names, kebab-case)
+const MODEL_OPTIONS = {
+    grid: { type: 'string' },
+    frame: { type: 'string' },
+    drawer: { type: 'string' },
+    baseplate: { type: 'string' },
+    printer: { type: 'string' },
+    bed: { type: 'string' },
+    nozzle: { type: 'string' },
+    'layer-height': { type: 'string' },
+    'plate-magnets': { type: 'boolean' },
+    'half-feet': { type: 'boolean' },
+    lip: { type: 'string' },
+    'foot-holes': { type: 'string' },
+    cutout: { type: 'string' },
+    'cutout-depth': { type: 'string' },
+    'cutout-x': { type: 'string' },
+    'cutout-z': { type: 'string' },
+    'cutout-rotation': { type: 'string' },
+    finger: { type: 'string' },
+    'finger-size': { type: 'string' },
+    scoop: { type: 'string' },
+    'label-tab': { type: 'string' },
+    text: { type: 'string' },
+    'text-on': { type: 'string' },
+    'text-style': { type: 'string' },
+    'text-align': { type: 'string' },
+    'text-size': { type: 'string' },
+    'text-depth': { type: 'string' },
+    'tab-side': { type: 'string' },
+    'tab-width': { type: 'string' },
+    'tab-depth': { type: 'string' },
+    'tab-angle': { type: 'string' },
+    'scoop-radius': { type: 'string' },
+    magnet: { type: 'string' },
+    box: { type: 'string' },
+    jar: { type: 'string' },
+    pitch: { type: 'string' },
+    turns: { type: 'string' },
+    'thread-clearance': { type: 'string' },
+    project: { type: 'string' },
+    units: { type: 'string' },
+    measure: { type: 'string' },
+    wall: { type: 'string' },
+    floor: { type: 'string' },
+    'corner-radius': { type: 'string' },
+    chamfer: { type: 'string' },
+    lid: { type: 'string' },
+    'lid-thickness': { type: 'string' },
+    'insert-depth': { type: 'string' },
+    tolerance: { type: 'string' },
+    'hinge-print': { type: 'string' },
+    'hinge-pin': { type: 'string' },
+    snap: { type: 'string' },
+    interference: { type: 'string' },
+    latches: { type: 'string' },
+    flex: { type: 'string' },
+    holes: { type: 'boolean' },
+    'hole-size': { type: 'string' },
+    infill: { type: 'string' },
+    walls: { type: 'string' },
+    dividers: { type: 'string' },
+    'divider-x': { type: 'string' },
+    'divider-step': { type: 'string' },
+    'divider-z': { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    format: { type: 'string' },
+    parts: { type: 'boolean' },
+};
+
+class UsageError extends Error {}
+
+const toNumber = (name, value) => {
+    const n = Number(value);
+    if (value === '' || !Number.isFinite(n)) throw new UsageError(`--${name}: expected a number, got "${value}"`);
+    return n;
+};
+
+const parseDims = (name, value, count) => {
+    const parts = String(value).toLowerCase().split('x');
+    if (parts.length !== count) {
+        throw new UsageError(`--${name}: expected ${count === 3 ? 'WxDxH' : 'WxD'}, got "${value}"`);
+    }
+    return parts.map(p => toNumber(name, p));
+};
+
+// axis:posMM:seg, then optional flags: a height in mm, "notch" and/or "removable"
+const parseWalls = (value) => String(value).split(/[\s,;]+/).filter(Boolean).map(spec => {
+    const [axis, pos, seg, ...flags] = spec.split(':');
+    if ((axis !== 'x' && axis !== 'z') || seg === undefined) {
+        throw new UsageError(`--walls: expected axis:posMM:seg[:heightMM][:notch][:removable], got "${spec}"`);
+    }
+    const wall = { axis, pos: toNumber('walls', pos), seg: toNumber('walls', seg) };
+    if (!Number.isInteger(wall.seg) || wall.seg < 0) {
+        throw new UsageError(`--walls: segment must be a whole number from 0, got "${seg}" in "${spec}"`);
+    }
+    for (const flag of flags) {
+        if (flag === 'notch' || flag === 'removable') wall[flag] = true;
+        else wall.height = toNumber('walls', flag);
+        if (wall.height < 0) throw new UsageError(`--walls: height must not be negative, got "${flag}" in "${spec}"`);
+    }
+    return wall;
+});
+
+const oneOf = (name, value, choices) => {
+    if (!choices.includes(value)) throw new UsageError(`--${name}: expected ${choices.join('|')}, got "${value}"`);
+    return value;
+};
+
+// Option map → { appMode, config, compartmentWalls }
+function optionsToProject(opts, baseDir = '.') {
+    let project = { appMode: 'mm', config: { ...DEFAULT_CONFIG }, compartmentWalls: [] };
+    if (opts.project) {
+        let loaded;
+        try {
+            loaded = projectFromJSON(readFileSync(resolve(baseDir, opts.project), 'utf8'));
+        } catch (e) {
+            throw new UsageError(`--project ${opts.project}: ${e.message}`);
+        }
+        for (const p of loaded.problems) console.error(`warning: ${opts.project}: ${p}`);
+        project = loaded;
+    }
+    const { config } = project;
+
+    const units = oneOf('units', opts.units || (project.appMode === 'in' ? 'in' : 'mm'), ['mm', 'in']);
+    const toIU = (name) => Math.round(toNumber(name, opts[name]) * (units === 'in' ? IU_PER_IN : IU_PER_MM));
+
+    const shapes = ['grid', 'frame', 'drawer', 'box', 'jar'].filter(k => opts[k] !== undefined);
+    if (shapes.length > 1) throw new UsageError(`Use only one of --grid, --frame, --drawer, --box, --jar`);
+    if (opts.grid !== undefined) {
+        // Height in 7mm units, or in mm with an "mm" suffix
+        const heightInMm = /mm$/i.test(opts.grid);
+        const [w, d, h] = parseDims('grid', String(opts.grid).replace(/mm$/i, ''), 3);
+        config.gridWidth = w;
+        config.gridDepth = d;
+        if (heightInMm) config.gridHeightMm = Math.round(h * IU_PER_MM);
+        else config.gridHeight = h;
+        config.gridHeightUnit = heightInMm ? 'mm' : 'units';
+        config.gridfinityType = 'bin';
+        project.appMode = 'gridfinity';
+    } else if (opts.frame !== undefined) {
+        [config.gridWidth, config.gridDepth] = parseDims('frame', opts.frame, 2);
+        config.gridfinityType = 'frame';
+        config.frameFit = 'grid';
+        project.appMode = 'gridfinity';
+    } else if (opts.drawer !== undefined) {
+        [config.drawerWidth, config.drawerDepth] = parseDims('drawer', opts.drawer, 2).map(v => Math.round(v * IU_PER_MM));
+        config.gridfinityType = 'frame';
+        config.frameFit = 'drawer';
+        project.appMode = 'gridfinity';
+    } else if (opts.box !== undefined) {
+        const scale = units === 'in' ? IU_PER_IN : IU_PER_MM;
+        [config.width, config.depth, config.height] = parseDims('box', opts.box, 3).map(v => Math.round(v * scale));
+        config.containerShape = 'box';
+        project.appMode = units;
+    } else if (opts.jar !== undefined) {
+        const scale = units === 'in' ? IU_PER_IN : IU_PER_MM;
+        [config.diameter, config.height] = parseDims('jar', opts.jar, 2).map(v => Math.round(v * scale));
+        config.containerShape = 'jar';
+        project.appMode = units;
+    }
+
+    // Gridfinity structure values are always mm, like the UI
+    const structIU = (name) => project.appMode === 'gridfinity'
+        ? Math.round(toNumber(name, opts[name]) * IU_PER_MM)
+        : toIU(name);
+
+    if (opts.baseplate !== undefined) config.baseplateStyle = oneOf('baseplate', opts.baseplate, ['thin', 'weighted']);
+    if (opts['plate-magnets']) config.baseplateMagnets = true;
+    if (opts['half-feet']) config.footSize = 'half';
+    if (opts.lip !== undefined) config.lipStyle = oneOf('lip', opts.lip, CONFIG_CHOICES.lipStyle);
+    if (opts.scoop !== undefined) config.scoop = oneOf('scoop', opts.scoop, CONFIG_CHOICES.scoop);
+    if (opts['scoop-radius'] !== undefined) config.scoopRadius = Math.round(toNumber('scoop-radius', opts['scoop-radius']) * IU_PER_MM);
+    if (opts['label-tab'] !== undefined) config.labelTab = oneOf('label-tab', opts['label-tab'], CONFIG_CHOICES.labelTab);
+    if (opts['tab-side'] !== undefined) config.labelTabSide = oneOf('tab-side', opts['tab-side'], CONFIG_CHOICES.labelTabSide);
+    if (opts['tab-width'] !== undefined) config.labelTabWidth = Math.round(toNumber('tab-width', opts['tab-width']) * IU_PER_MM);
+    if (opts['tab-depth'] !== undefined) config.labelTabDepth = Math.round(toNumber('tab-depth', opts['tab-depth']) * IU_PER_MM);
+    if (opts['tab-angle'] !== undefined) config.labelTabAngle = toNumber('tab-angle', opts['tab-angle']);
+    if (opts.text !== undefined) config.text = String(opts.text);
+    if (opts['text-on'] !== undefined) config.textTarget = oneOf('text-on', opts['text-on'], CONFIG_CHOICES.textTarget);
+    if (opts['text-style'] !== undefined) config.textStyle = oneOf('text-style', opts['text-style'], CONFIG_CHOICES.textStyle);
+    if (opts['text-align'] !== undefined) config.textAlign = oneOf('text-align', opts['text-align'], CONFIG_CHOICES.textAlign);
+    if (opts['text-size'] !== undefined) config.textSize = Math.round(toNumber('text-size', opts['text-size']) * IU_PER_MM);
+    if (opts['text-depth'] !== undefined) config.textDepth = Math.round(toNumber('text-depth', opts['text-depth']) * IU_PER_MM);
+    if (opts['foot-holes'] !== undefined) config.footHoles = oneOf('foot-holes', opts['foot-holes'], CONFIG_CHOICES.footHoles);
+    if (opts.cutout !== undefined) {
+        try {
+            config.cutoutOutline = parseOutline(readFileSync(resolve(baseDir, opts.cutout), 'utf8'), opts.cutout);
+        } catch (e) {
+            throw new UsageError(`--cutout ${opts.cutout}: ${e.message}`);
+        }
+    }
+    if (opts['cutout-depth'] !== undefined) config.cutoutDepth = structIU('cutout-depth');
+    if (opts['cutout-x'] !== undefined) config.cutoutX = structIU('cutout-x');
+    if (opts['cutout-z'] !== undefined) config.cutoutZ = structIU('cutout-z');
+    if (opts['cutout-rotation'] !== undefined) config.cutoutRotation = toNumber('cutout-rotation', opts['cutout-rotation']);
+    if (opts.finger !== undefined) config.cutoutFinger = oneOf('finger', opts.finger, CONFIG_CHOICES.cutoutFinger);
+    if (opts['finger-size'] !== undefined) config.cutoutFingerSize = structIU('finger-size');
+    if (opts.magnet !== undefined) {
+        [config.magnetDiameter, config.magnetDepth] = parseDims('magnet', opts.magnet, 2).map(v => Math.round(v * IU_PER_MM));
+    }
+    if (opts.measure !== undefined) config.measureMode = oneOf('measure', opts.measure, ['internal', 'external']);
+    if (opts.wall !== undefined) config.wall = structIU('wall');
+    if (opts.floor !== undefined) config.floor = structIU('floor');
+    if (project.appMode === 'gridfinity' && (opts['corner-radius'] !== undefined || opts.chamfer !== undefined)) {
+        throw new UsageError('--corner-radius, --chamfer: boxes only');
+    }
+    if (opts['corner-radius'] !== undefined) config.cornerRadius = toIU('corner-radius');
+    if (opts.chamfer !== undefined) config.bottomChamfer = toIU('chamfer');
+    if (opts.lid !== undefined) {
+        config.lidEnabled = true;
+        config.lidType = oneOf('lid', opts.lid, CONFIG_CHOICES.lidType);
+    }
+    if (opts['lid-thickness'] !== undefined) config.lidThickness = structIU('lid-thickness');
+    if (opts['insert-depth'] !== undefined) config.lipDepth = structIU('insert-depth');
+    if (opts.tolerance !== undefined) config.tolerance = structIU('tolerance');
+    if (opts['hinge-print'] !== undefined) config.hingePrint = oneOf('hinge-print', opts['hinge-print'], CONFIG_CHOICES.hingePrint);
+    if (opts['hinge-pin'] !== undefined) config.hingePin = structIU('hinge-pin');
+    if (opts.snap !== undefined) config.snapStyle = oneOf('snap', opts.snap, CONFIG_CHOICES.snapStyle);
+    if (opts.interference !== undefined) config.snapInterference = structIU('interference');
+    if (opts.latches !== undefined) config.snapLatches = Math.round(toNumber('latches', opts.latches));
+    if (opts.flex !== undefined) config.snapFlex = structIU('flex');
+    if ((opts.pitch !== undefined || opts.turns !== undefined || opts['thread-clearance'] !== undefined)
+        && (project.appMode === 'gridfinity' || config.containerShape !== 'jar')) {
+        throw new UsageError('--pitch, --turns, --thread-clearance: jars only');
+    }
+    if (opts.pitch !== undefined) config.threadPitch = toIU('pitch');
+    if (opts.turns !== undefined) config.threadTurns = toNumber('turns', opts.turns);
+    if (opts['thread-clearance'] !== undefined) config.threadClearance = toIU('thread-clearance');
+    if (opts.holes) config.holes = true;
+    if (opts['hole-size'] !== undefined) config.holeSize = toIU('hole-size');
+    if (opts.infill !== undefined) config.infill = toNumber('infill', opts.infill) / 100;
+
+    const positions = (name, perUnit) => String(opts[name]).split(/[\s,;]+/).filter(Boolean)
+        .map(v => Math.round(toNumber(name, v) * perUnit));
+
+    // Gridfinity bins: finer divider lines for --walls to use (every 1/2 or 1/4 unit, or at mm
+    // positions from the back-left edge of the grid)
+    if (project.appMode === 'gridfinity') {
+        if (opts.dividers !== undefined) throw new UsageError('--dividers: boxes only (Gridfinity bins use --walls)');
+        if (opts['divider-step'] !== undefined) config.dividerStep = oneOf('divider-step', opts['divider-step'], CONFIG_CHOICES.dividerStep);
+        if (opts['divider-x'] !== undefined) config.gridDividersX = positions('divider-x', IU_PER_MM);
+        if (opts['divider-z'] !== undefined) config.gridDividersZ = positions('divider-z', IU_PER_MM);
+    }
+
+    // Box dividers: full-length walls on every divider line unless --walls picks segments
+    const dividerOpts = ['dividers', 'divider-x', 'divider-z'].filter(k => opts[k] !== undefined);
+    if (project.appMode !== 'gridfinity' && opts['divider-step'] !== undefined) throw new UsageError('--divider-step: Gridfinity bins only');
+    if (project.appMode !== 'gridfinity' && dividerOpts.length > 0) {
+        const layout = calculateConstraints({ ...config, appMode: project.appMode });
+        if (opts.dividers !== undefined) {
+            const [cols, rows] = parseDims('dividers', opts.dividers, 2).map(Math.round);
+            const toIU = (scene) => Math.round(scene * IN_TO_MM * IU_PER_MM);
+            config.dividersX = equalDividers(toIU(layout.innerW), cols);
+            config.dividersZ = equalDividers(toIU(layout.innerD), rows);
+        }
+        const perUnit = units === 'in' ? IU_PER_IN : IU_PER_MM;
+        if (opts['divider-x'] !== undefined) config.dividersX = positions('divider-x', perUnit);
+        if (opts['divider-z'] !== undefined) config.dividersZ = positions('divider-z', perUnit);
+        project.compartmentWalls = fullGridWalls(compartmentLines(config, layout));
+    }
+    if (opts.walls !== undefined) project.compartmentWalls = parseWalls(opts.walls);
+
+    return project;
+}
+
+// Option map → printer profile. Any custom value starts from the chosen (or default) profile.
+function optionsToPrinter(opts) {
+    const ids = PRINTER_PROFILES.map(p => p.id);
+    const base = resolvePrinter({ id: opts.printer !== undefined ? oneOf('printer', opts.printer, ids) : undefined });
+    if (opts.bed === undefined && opts.nozzle === undefined && opts['layer-height'] === undefined) return base;
+
+    const custom = { bedX: base.bedX, bedY: base.bedY, bedZ: base.bedZ, nozzle: base.nozzle, layerHeight: base.layerHeight };
+    if (opts.bed !== undefined) {
+        const dims = String(opts.bed).toLowerCase().split('x');
+        if (dims.length !== 2 && dims.length !== 3) throw new UsageError(`--bed: expected WxD or WxDxH, got "${opts.bed}"`);
+        [custom.bedX, custom.bedY, custom.bedZ = custom.bedZ] = dims.map(d => toNumber('bed', d));
+    }
+    if (opts.nozzle !== undefined) custom.nozzle = toNumber('nozzle', opts.nozzle);
+    if (opts['layer-height'] !== undefined) custom.layerHeight = toNumber('layer-height', opts['layer-height']);
+    return resolvePrinter({ id: CUSTOM_PRINTER_ID, custom });
+}
+
+// Build, validate and write one model. Returns false on constraint errors.
+async function generate(opts, { outdir = '.', baseDir = '.', label = '' } = {}) {
+    const { appMode, config, compartmentWalls } = optionsToProject(opts, baseDir);
+    const printer = optionsToPrinter(opts);
+    const fullConfig = { ...config, appMode, printer };
+    const prefix = label ? `${label}: ` : '';
+
+    const layout = calculateConstraints(fullConfig, compartmentWalls);
+    for (const [key, msg] of Object.entries(layout.warnings)) console.error(`${prefix}warning: ${key}: ${msg}`);
+    if (!layout.valid) {
+        for (const msg of layout.errors) console.error(`${prefix}error: ${msg}`);
+        return false;
+    }
+
+    const name = getExportName(fullConfig);
+    const outFile = opts.output ? resolve(outdir, opts.output) : null;
+    const format = outFile
+        ? oneOf('output', extname(outFile).slice(1).toLowerCase(), ['stl', '3mf'])
+        : oneOf('format', opts.format || 'stl', ['stl', '3mf']);
+
+    const { group } = buildModel(fullConfig, compartmentWalls);
+    const bedSize = [printer.bedX, printer.bedY];
+    const files = [];
+    if (opts.parts) {
+        const baseName = outFile ? outFile.slice(0, -(format.length + 1)) : join(resolve(outdir), name);
+        for (const f of await generatePartFiles(group, baseName, format, { bedSize })) files.push({ path: f.name, data: f.data });
+    } else {
+        const data = format === '3mf' ? await generate3MF(group, { title: name, bedSize }) : await generateSTL(group);
+        files.push({ path: outFile || join(resolve(outdir), `${name}.${format}`), data });
+    }
+
+    for (const f of files) {
+        mkdirSync(dirname(f.path), { recursive: true });
+        writeFileSync(f.path, new Uint8Array(f.data));
+        console.log(`${prefix}wrote ${f.path}`);
+    }
+    return true;
+}
+
+// --- Manifests ---
+
+// Minimal CSV: header row of option names, comma separated, "double quotes" for commas
+function parseCSV(text) {
+    const rows = [];
+    for (const line of text.split(/\r?\n/)) {
+        if (!line.trim() || line.trim().startsWith('#')) continue;
+        const cells = [];
+        let cell = '';
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const c = line[i];
+            if (quoted) {
+                if (c === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+                else if (c === '"') quoted = false;
+                else cell += c;
+            } else if (c === '"') quoted = true;
+            else if (c === ',') { cells.push(cell.trim()); cell = ''; }
+            else cell += c;
+        }
+        cells.push(cell.trim());
+        rows.push(cells);
+    }
+    const [header, ...body] = rows;
+    if (!header) return [];
+    return body.map(cells => Object.fromEntries(header.map((h, i) => [h.trim(), cells[i] ?? ''])));
+}
+
+// Normalise a manifest row to the long option names; empty cells are "not set"
+function normaliseEntry(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        throw new UsageError(`manifest entry must be an object of options, got ${JSON.stringify(entry)}`);
+    }
+    const opts = {};
+    for (const [rawKey, rawValue] of Object.entries(entry)) {
+        const key = rawKey.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+        if (!MODEL_OPTIONS[key]) throw new UsageError(`Unknown manifest column "${rawKey}"`);
+        if (rawValue === '' || rawValue === null || rawValue === undefined) continue;
+        if (MODEL_OPTIONS[key].type === 'boolean') {
+            opts[key] = rawValue === true || /^(1|true|yes|y)$/i.test(String(rawValue));
+        } else {
+            opts[key] = String(rawValue);
+        }
+    }
+    return opts;
+}
+
+function readManifest(file) {
+    let text;
+    try {
+        text = readFileSync(file, 'utf8');
+    } catch (e) {
+        if (e.code === 'ENOENT' || e.code === 'EISDIR') throw new UsageError(`${file}: cannot read manifest`);
+        throw e;
+    }
+    if (extname(file).toLowerCase() === '.json') {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new UsageError(`${file}: not valid JSON`);
+        }
+        if (!Array.isArray(data)) throw new UsageError('JSON manifest must be an array of entries');
+        return data;
+    }
+    return parseCSV(text);
+}
+
+async function main(argv) {
+    const [command, ...rest] = argv;
+    if (!command || command === 'help' || command === '--help' || command === '-h') {
+        console.log(USAGE);
+        return 0;
+    }
+
+    if (command === 'generate') {
+        const { values } = parseArgs({
+            args: rest,
+            options: { ...MODEL_OPTIONS, outdir: { type: 'string', short: 'd' } },
+            strict: true,
+        });
+        return (await generate(values, { outdir: values.outdir || '.' })) ? 0 : 1;
+    }
+
+    if (command === 'batch') {
+        const { values, positionals } = parseArgs({
+            args: rest,
+            options: { outdir: { type: 'string', short: 'd' } },
+            allowPositionals: true,
+            strict: true,
+        });
+        if (positionals.length !== 1) throw new UsageError('batch expects exactly one manifest file');
+        const manifest = resolve(positionals[0]);
+        const entries = readManifest(manifest);
+        let failed = 0;
+        for (let i = 0; i < entries.length; i++) {
+            const label = `#${i + 1}`;
+            try {
+                const ok = await generate(normaliseEntry(entries[i]), {
+                    outdir: values.outdir || '.', baseDir: dirname(manifest), label,
+                });
+                if (!ok) failed++;
+            } catch (e) {
+                if (!(e instanceof UsageError)) throw e;
+                console.error(`${label}: ${e.message}`);
+                failed++;
+            }
+        }
+        console.log(`${entries.length - failed}/${entries.length} models generated`);
+        return failed ? 1 : 0;
+    }
+
+    throw new UsageError(`Unknown command "${command}"`);
+}
+
+main(process.argv.slice(2)).then(
+    (code) => { process.exitCode = code; },
+    (e) => {
+        if (e instanceof UsageError || e.code?.startsWith('ERR_PARSE_ARGS_')) {
+            console.error(`box3d: ${e.message}\n\n${USAGE}`);
+            process.exitCode = 2;
+        } else {
+            console.error(e);
+            process.exitCode = 2;
+        }
+    }
+);
@@ -0,0 +1,218 @@
+// --- Compartments ---
+// The divider layout drawn in CompartmentEditor, as cells between divider lines. Walls are
+// segments on those lines: { axis: 'x', pos, seg } stands at x = pos (mm) across cell row seg,
+// { axis: 'z', pos, seg } stands at z = pos across cell column seg. Cell (i, j) is column i
+// (left to right) in row j (back to front).
+// Gridfinity bins use the nominal 42mm grid, optionally subdivided (config.dividerStep) and
+// with extra lines typed in mm (config.gridDividersX / gridDividersZ); a half-unit bin ends
+// in a row or column of narrower cells. Standard boxes use their divider positions
+// (config.dividersX / dividersZ) across the interior.
+import { IU_PER_MM, IN_TO_MM, MM_TO_IN } from './units.js';
+import { GRID_MM } from './tiling.js';
+
+// Lines per 42mm grid unit for each config.dividerStep
+export const DIVIDER_STEPS = { unit: 1, half: 2, quarter: 4 };
+
+// Line positions (mm) along one axis of a Gridfinity bin, both ends included:
+// every 42 / perUnit mm, plus any extra positions (mm) strictly inside the bin
+const gridAxisLines = (units, perUnit = 1, extra = []) => {
+    const end = units * GRID_MM;
+    const step = GRID_MM / perUnit;
+    const lines = Array.from({ length: Math.ceil(units * perUnit - 1e-9) }, (_, i) => i * step);
+    for (const p of extra) {
+        if (p > 0 && p < end && !lines.some(l => Math.abs(l - p) < 0.01)) lines.push(p);
+    }
+    return [...lines.sort((a, b) => a - b), end];
+};
+
+// Divider lines of a layout (calculateConstraints result) along each axis, both ends
+// included: { x: [mm], z: [mm], origin: { x, z } } where origin is the scene position
+// (relative to the box centre) of line 0 on each axis.
+export function compartmentLines(config, layout) {
+    if (layout.grid) {
+        const { unitsX, unitsZ } = layout.grid;
+        const perUnit = DIVIDER_STEPS[config.dividerStep] || 1;
+        const extra = (positions) => (positions || []).map(p => p / IU_PER_MM);
+        return {
+            x: gridAxisLines(unitsX, perUnit, extra(config.gridDividersX)),
+            z: gridAxisLines(unitsZ, perUnit, extra(config.gridDividersZ)),
+            origin: { x: -(unitsX * GRID_MM * MM_TO_IN) / 2, z: -(unitsZ * GRID_MM * MM_TO_IN) / 2 },
+        };
+    }
+    // Positions outside the interior are ignored (calculateConstraints warns about them)
+    const axis = (positions, inner) => {
+        const extent = inner * IN_TO_MM;
+        const inside = positions.map(p => p / IU_PER_MM).filter(p => p > 0 && p < extent);
+        return [0, ...[...new Set(inside)].sort((a, b) => a - b), extent];
+    };
+    return {
+        x: axis(config.dividersX || [], layout.innerW),
+        z: axis(config.dividersZ || [], layout.innerD),
+        origin: { x: -layout.innerW / 2, z: -layout.innerD / 2 },
+    };
+}
+
+// Evenly spaced divider positions (IU) splitting an interior extent (IU) into `cells`
+export const equalDividers = (extent_IU, cells) =>
+    Array.from({ length: Math.max(0, cells - 1) }, (_, i) => Math.round(extent_IU * (i + 1) / cells));
+
+// Every wall segment on every inner line: a full grid of compartments
+export function fullGridWalls(lines) {
+    const walls = [];
+    for (const pos of lines.x.slice(1, -1)) {
+        for (let seg = 0; seg < lines.z.length - 1; seg++) walls.push({ axis: 'x', pos, seg });
+    }
+    for (const pos of lines.z.slice(1, -1)) {
+        for (let seg = 0; seg < lines.x.length - 1; seg++) walls.push({ axis: 'z', pos, seg });
+    }
+    return walls;
+}
+
+// Index of the line a wall stands on, or -1 when it is on none of them
+const lineIndex = (lines, pos) => lines.findIndex(l => Math.abs(l - pos) < 0.01);
+
+const wallKey = (axis, k, seg) => `${axis}:${k}:${seg}`;
+
+// Where a wall segment runs, in mm from line 0: { pos, from, to }, or null when the wall
+// is not on one of the lines (e.g. the box was resized or its dividers moved)
+export function wallSpan(lines, wall) {
+    const across = wall.axis === 'x' ? lines.x : lines.z;
+    const along = wall.axis === 'x' ? lines.z : lines.x;
+    if (lineIndex(across, wall.pos) === -1 || !(wall.seg < along.length - 1)) return null;
+    return { pos: wall.pos, from: along[wall.seg], to: along[wall.seg + 1] };
+}
+
+// Walls re-expressed on new divider lines (e.g. after subdividing the grid or going back to
+// whole units): a new segment is a wall wherever the old walls on its line cover it, and
+// takes the settings of the first of them. Walls whose line is gone are dropped.
+export function remapWalls(oldLines, newLines, walls) {
+    const out = [];
+    for (const axis of ['x', 'z']) {
+        const across = axis === 'x' ? newLines.x : newLines.z;
+        const along = axis === 'x' ? newLines.z : newLines.x;
+        const spans = walls
+            .filter(w => w.axis === axis)
+            .map(w => ({ w, span: wallSpan(oldLines, w) }))
+            .filter(s => s.span)
+            .sort((a, b) => a.span.from - b.span.from);
+        for (const pos of across.slice(1, -1)) {
+            const onLine = spans.filter(s => Math.abs(s.span.pos - pos) < 0.01);
+            for (let seg = 0; seg < along.length - 1; seg++) {
+                const from = along[seg];
+                const to = along[seg + 1];
+                let covered = from;
+                for (const { span } of onLine) {
+                    if (span.from < covered + 0.01 && span.to > covered) covered = span.to;
+                }
+                if (covered < to - 0.01) continue;
+                const first = onLine.find(s => s.span.to > from + 0.01);
+                out.push({ ...first.w, pos, seg });
+            }
+        }
+    }
+    return out;
+}
+
+// Add (on = true) or remove the segments segFrom..segTo (either order) of one line.
+// Segments that are already there keep their settings.
+export function setWallRun(walls, axis, pos, segFrom, segTo, on) {
+    const lo = Math.min(segFrom, segTo);
+    const hi = Math.max(segFrom, segTo);
+    const inRun = (w) => w.axis === axis && w.pos === pos && w.seg >= lo && w.seg <= hi;
+    if (!on) return walls.filter(w => !inRun(w));
+    const added = [];
+    for (let seg = lo; seg <= hi; seg++) {
+        if (!walls.some(w => w.axis === axis && w.pos === pos && w.seg === seg)) added.push({ axis, pos, seg });
+    }
+    return [...walls, ...added];
+}
+
+// Wall segments between the cells of a rectangle { i0, i1, j0, j1 } (inclusive cell indices,
+// either order): merging removes them, leaving one compartment; splitting adds them all.
+function innerWalls(lines, rect) {
+    const [i0, i1] = [Math.min(rect.i0, rect.i1), Math.max(rect.i0, rect.i1)];
+    const [j0, j1] = [Math.min(rect.j0, rect.j1), Math.max(rect.j0, rect.j1)];
+    const walls = [];
+    for (let k = i0 + 1; k <= i1; k++) {
+        for (let seg = j0; seg <= j1; seg++) walls.push({ axis: 'x', pos: lines.x[k], seg });
+    }
+    for (let k = j0 + 1; k <= j1; k++) {
+        for (let seg = i0; seg <= i1; seg++) walls.push({ axis: 'z', pos: lines.z[k], seg });
+    }
+    return walls;
+}
+
+export function mergeCells(lines, walls, rect) {
+    const inner = innerWalls(lines, rect);
+    return walls.filter(w => !inner.some(n => n.axis === w.axis && n.pos === w.pos && n.seg === w.seg));
+}
+
+export function splitCells(lines, walls, rect) {
+    const added = innerWalls(lines, rect)
+        .filter(n => !walls.some(w => n.axis === w.axis && n.pos === w.pos && n.seg === w.seg));
+    return [...walls, ...added];
+}
+
+// Cells joined wherever no divider separates them. linesX/linesZ are Gridfinity units,
+// or the divider lines along that axis (mm, both ends included, from compartmentLines).
+// Returns [{ cells: [{ i, j }] }], ordered by each compartment's first (back-left) cell.
+export function findCompartments(linesX, linesZ, walls) {
+    const xs = Array.isArray(linesX) ? linesX : gridAxisLines(linesX);
+    const zs = Array.isArray(linesZ) ? linesZ : gridAxisLines(linesZ);
+    const unitsX = xs.length - 1;
+    const unitsZ = zs.length - 1;
+    const wallSet = new Set(walls.map(w => wallKey(w.axis, lineIndex(w.axis === 'x' ? xs : zs, w.pos), w.seg)));
+    const owner = Array.from({ length: unitsX }, () => new Array(unitsZ).fill(-1));
+    const compartments = [];
+
+    for (let j = 0; j < unitsZ; j++) {
+        for (let i = 0; i < unitsX; i++) {
+            if (owner[i][j] !== -1) continue;
+            const id = compartments.length;
+            const cells = [];
+            const queue = [{ i, j }];
+            owner[i][j] = id;
+            while (queue.length) {
+                const c = queue.shift();
+                cells.push(c);
+                const neighbours = [
+                    { i: c.i - 1, j: c.j, wall: wallKey('x', c.i, c.j) },
+                    { i: c.i + 1, j: c.j, wall: wallKey('x', c.i + 1, c.j) },
+                    { i: c.i, j: c.j - 1, wall: wallKey('z', c.j, c.i) },
+                    { i: c.i, j: c.j + 1, wall: wallKey('z', c.j + 1, c.i) },
+                ];
+                for (const n of neighbours) {
+                    if (n.i < 0 || n.j < 0 || n.i >= unitsX || n.j >= unitsZ) continue;
+                    if (owner[n.i][n.j] !== -1 || wallSet.has(n.wall)) continue;
+                    owner[n.i][n.j] = id;
+                    queue.push({ i: n.i, j: n.j });
+                }
+            }
+            compartments.push({ cells });
+        }
+    }
+    return compartments;
+}
+
+// Runs of cells along the back (or front) edge of each compartment: [{ row, i0, i1 }]
+// covers columns i0..i1-1 of `row`. A rectangular compartment has exactly one run.
+export function compartmentEdgeRuns(linesX, linesZ, walls, side = 'back') {
+    const step = side === 'back' ? -1 : 1;
+    const runs = [];
+    for (const { cells } of findCompartments(linesX, linesZ, walls)) {
+        const inside = new Set(cells.map(c => `${c.i},${c.j}`));
+        const edge = cells
+            .filter(c => !inside.has(`${c.i},${c.j + step}`))
+            .sort((a, b) => a.j - b.j || a.i - b.i);
+        let last = null;
+        for (const c of edge) {
+            if (last && last.row === c.j && last.i1 === c.i) {
+                last.i1++;
+            } else {
+                last = { row: c.j, i0: c.i, i1: c.i + 1 };
+                runs.push(last);
+            }
+        }
+    }
+    return runs;
+}
@@ -0,0 +1,158 @@
+import { IU_PER_IN, initIn, initMm } from './units.js';
+
+// --- Configuration Defaults & Ranges ---
+
+export const APP_MODES = ['in', 'mm', 'gridfinity'];
+export const DEFAULT_APP_MODE = 'in';
+
+// DEFAULT CONFIG (Micron Native)
+export const DEFAULT_CONFIG = {
+    measureMode: 'internal',
+    gridfinityType: 'bin',
+    lidEnabled: false,
+    lidType: 'step',
+    containerShape: 'box',
+
+    width: initIn(3.5),
+    depth: initIn(5.5),
+    height: initIn(2.5),
+    diameter: initIn(2.75),
+    threadPitch: initMm(3),
+    threadTurns: 1.5,
+    threadClearance: initMm(0.4),
+
+    wall: initIn(0.08),
+    floor: initIn(0.08),
+    cornerRadius: 0,
+    bottomChamfer: 0,
+    lidThickness: initIn(0.08),
+    lipDepth: initIn(0.15),
+    tolerance: initIn(0.01),
+    hingePin: initMm(1.75),
+    hingePrint: 'in-place',
+    snapStyle: 'bead',
+    snapLatches: 4,
+    snapInterference: initMm(0.4),
+    snapFlex: initMm(10),
+
+    holeSize: initIn(0.25),
+
+    gridWidth: 2,
+    gridDepth: 3,
+    gridHeight: 6,
+    gridHeightUnit: 'units',
+    gridHeightMm: initMm(42),
+    footSize: 'full',
+    lipStyle: 'standard',
+    footHoles: 'magnets-screws',
+    scoop: 'none',
+    scoopRadius: initMm(12),
+    labelTab: 'none',
+    labelTabSide: 'back',
+    labelTabWidth: initMm(30),
+    labelTabDepth: initMm(12),
+    labelTabAngle: 36,
+    text: '',
+    textTarget: 'front',
+    textStyle: 'emboss',
+    textAlign: 'center',
+    textSize: initMm(8),
+    textDepth: initMm(0.6),
+    magnetDiameter: initMm(6),
+    magnetDepth: initMm(2),
+    baseplateStyle: 'thin',
+    baseplateMagnets: false,
+    frameFit: 'grid',
+    drawerWidth: initMm(400),
+    drawerDepth: initMm(300),
+    dividersX: [],
+    dividersZ: [],
+    dividerStep: 'unit',
+    gridDividersX: [],
+    gridDividersZ: [],
+    cutoutOutline: [],
+    cutoutDepth: initMm(15),
+    cutoutX: 0,
+    cutoutZ: 0,
+    cutoutRotation: 0,
+    cutoutFinger: 'none',
+    cutoutFingerSize: initMm(20),
+    holes: false,
+    infill: 0.50
+};
+
+// Allowed values for the non-numeric keys
+export const CONFIG_CHOICES = {
+    measureMode: ['internal', 'external'],
+    gridfinityType: ['bin', 'frame'],
+    gridHeightUnit: ['units', 'mm'],
+    footSize: ['full', 'half'],
+    lipStyle: ['standard', 'reduced', 'none'],
+    scoop: ['none', 'front', 'compartments'],
+    labelTab: ['none', 'full', 'compartments', 'custom'],
+    labelTabSide: ['back', 'front'],
+    textTarget: ['lid', 'front', 'tab'],
+    textStyle: ['emboss', 'deboss'],
+    textAlign: ['left', 'center', 'right'],
+    footHoles: ['none', 'magnets', 'screws', 'magnets-screws', 'crush-ribs', 'printable'],
+    baseplateStyle: ['thin', 'weighted'],
+    frameFit: ['grid', 'drawer'],
+    dividerStep: ['unit', 'half', 'quarter'],
+    cutoutFinger: ['none', 'center', 'ends'],
+    containerShape: ['box', 'jar'],
+    lidType: ['step', 'slide', 'hinge', 'snap'],
+    snapStyle: ['bead', 'latch'],
+    hingePrint: ['in-place', 'pin'],
+};
+
+// Control ranges (shared by the ControlInput sliders and validation).
+// length: true → min/max are inches and the config value is IU.
+export const CONFIG_RANGES = {
+    width:        { min: 0.5,  max: 24,   length: true },
+    depth:        { min: 0.5,  max: 24,   length: true },
+    height:       { min: 0.5,  max: 24,   length: true },
+    diameter:     { min: 0.75, max: 12,   length: true },
+    threadPitch:  { min: 0.06, max: 0.24, length: true },
+    threadTurns:  { min: 0.5,  max: 6 },
+    threadClearance: { min: 0.004, max: 0.04, length: true },
+    wall:         { min: 0.03, max: 0.5,  length: true },
+    floor:        { min: 0.03, max: 0.5,  length: true },
+    cornerRadius: { min: 0,    max: 2,    length: true },
+    bottomChamfer: { min: 0,   max: 0.2,  length: true },
+    lidThickness: { min: 0.04, max: 0.5,  length: true },
+    lipDepth:     { min: 0.04, max: 1.0,  length: true },
+    tolerance:    { min: 0.0,  max: 0.05, length: true },
+    hingePin:     { min: 0.04, max: 0.24, length: true },
+    snapLatches:  { min: 2,    max: 8 },
+    snapInterference: { min: 0.004, max: 0.04, length: true },
+    snapFlex:     { min: 0.16, max: 1.0,  length: true },
+    holeSize:     { min: 0.1,  max: 2.0,  length: true },
+    magnetDiameter: { min: 0.08, max: 0.315, length: true },
+    magnetDepth:  { min: 0.04, max: 0.16, length: true },
+    scoopRadius:  { min: 0.04, max: 1.6,  length: true },
+    labelTabWidth: { min: 0.4, max: 10,  length: true },
+    labelTabDepth: { min: 0.2, max: 1.0, length: true },
+    labelTabAngle: { min: 0,   max: 60 },
+    textSize:     { min: 0.12, max: 1.6,  length: true },
+    textDepth:    { min: 0.008, max: 0.12, length: true },
+    drawerWidth:  { min: 1.7,  max: 80,   length: true },
+    drawerDepth:  { min: 1.7,  max: 80,   length: true },
+    gridWidth:    { min: 0.5,  max: 10 },
+    gridDepth:    { min: 0.5,  max: 10 },
+    gridHeight:   { min: 2,    max: 20 },
+    gridHeightMm: { min: 0.5,  max: 5.6,  length: true },
+    cutoutDepth:  { min: 0.04, max: 4,    length: true },
+    cutoutX:      { min: -12,  max: 12,   length: true },
+    cutoutZ:      { min: -12,  max: 12,   length: true },
+    cutoutRotation: { min: -180, max: 180 },
+    cutoutFingerSize: { min: 0.2, max: 2, length: true },
+    infill:       { min: 0.10, max: 0.99 },
+};
+
+// Is config[key] inside its control range? (lengths compared in IU)
+export function inRange(key, value) {
+    const r = CONFIG_RANGES[key];
+    if (!r) return true;
+    const scale = r.length ? IU_PER_IN : 1;
+    return value >= Math.round(r.min * scale) && value <= Math.round(r.max * scale);
+}
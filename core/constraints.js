@@ -0,0 +1,812 @@
+import { IU_PER_MM, IN_TO_MM, toScene } from './units.js';
+import { CONFIG_RANGES, inRange } from './config.js';
+import { GRID_MM, fitDrawer, planBaseplateTiles } from './tiling.js';
+import { DEFAULT_PRINTER } from './printers.js';
+import { measureText } from './text.js';
+import { isOutline, placeOutline, fingerHolePositions } from './outline.js';
+
+// --- Constraint Engine ---
+// compartmentWalls (optional) are the divider segments from CompartmentEditor; they only
+// add stack.dividers and the divider warnings.
+export function calculateConstraints(config, compartmentWalls = []) {
+    const { 
+        measureMode, appMode, gridfinityType,
+        width: width_IU, 
+        depth: depth_IU, 
+        height: height_IU, 
+        gridWidth, gridDepth, gridHeight, gridHeightUnit, gridHeightMm: gridHeightMm_IU, footSize, lipStyle,
+        scoop, scoopRadius: scoopR_IU,
+        labelTab, labelTabSide, labelTabWidth: tabW_IU, labelTabDepth: tabD_IU, labelTabAngle,
+        text, textTarget, textStyle, textAlign, textSize: textSize_IU, textDepth: textDepth_IU,
+        footHoles, magnetDiameter: magnetD_IU, magnetDepth: magnetH_IU,
+        dividersX = [], dividersZ = [], gridDividersX = [], gridDividersZ = [],
+        cutoutOutline = [], cutoutDepth: cutoutDepth_IU, cutoutX: cutoutX_IU, cutoutZ: cutoutZ_IU,
+        cutoutRotation, cutoutFinger, cutoutFingerSize: fingerD_IU,
+        baseplateStyle, baseplateMagnets,
+        frameFit, drawerWidth: drawerW_IU, drawerDepth: drawerD_IU,
+        wall: wall_IU, 
+        floor: floor_IU, 
+        cornerRadius: cornerR_IU = 0, bottomChamfer: chamfer_IU = 0,
+        lidEnabled, lidType, containerShape,
+        lidThickness: lidThick_IU, 
+        lipDepth: lipDepth_IU,
+        tolerance: tolerance_IU,
+        hingePin: hingePin_IU, hingePrint,
+        snapStyle, snapLatches, snapInterference: snapFit_IU, snapFlex: snapFlex_IU,
+        holes, holeSize, infill,
+        printer = DEFAULT_PRINTER
+    } = config;
+
+    const isGridfinity = appMode === 'gridfinity';
+    const isFrame = isGridfinity && gridfinityType === 'frame';
+    const isJar = !isGridfinity && containerShape === 'jar';
+    const errors = [];
+    const warnings = {}; // Object map for per-control warnings
+    
+    // Constants in IU
+    const grid42_IU = 42 * IU_PER_MM;
+    const grid7_IU = 7 * IU_PER_MM;
+    const footH_IU = 475000; // 4.75mm (0.7 + 1.8 + 2.25)
+    // Stacking lip: 4.4mm full profile (0.35mm clearance vs 4.75mm foot), or just its 2.25mm entrance chamfer
+    const lipHeights_IU = { standard: 440000, reduced: 225000, none: 0 };
+    // Slide rail cap: as tall as the rail is wide at the top of the slot (neck + undercut,
+    // see the slide lid below), 1–2mm, so a thin wall doesn't carry a cap far taller than
+    // the rail under it
+    const railCapH_IU = Math.min(200000, Math.max(100000, wall_IU / 2 + Math.min(wall_IU / 2, lidThick_IU + tolerance_IU)));
+    const detentH_IU = 30000;    // 0.3mm slide lid detent bump
+    const plateProfile_IU = 465000; // 4.65mm baseplate receiving profile (0.7 + 1.8 + 2.15)
+    const slotClearance_IU = 30000; // 0.3mm per side around removable dividers
+    const latchArm_IU = 150000;     // 1.5mm snap latch arms
+    const latchW_IU = 800000;       // 8mm wide
+    
+    // --- VALIDATION CHECKS (Mapped to Controls) ---
+    // 1. Structural Thinness
+    if (wall_IU < 80000) warnings.wall = "Fragile (< 0.8mm)";
+    if (floor_IU < 80000) warnings.floor = "Risk of warping (< 0.8mm)";
+
+    // 1b. Printer Multiples: walls print cleanest as whole perimeters, floors as whole layers.
+    // One warning per wall: the first structural one set below wins (each is guarded by
+    // !warnings.wall), and the printer hint only shows when there is none (applied at the end).
+    let wallHint = null;
+    if (!isFrame) {
+        const nozzle_IU = printer.nozzle * IU_PER_MM;
+        const layer_IU = printer.layerHeight * IU_PER_MM;
+        const perimeters = wall_IU / nozzle_IU;
+        const layers = floor_IU / layer_IU;
+        const round2 = (v) => +v.toFixed(2);
+        if (perimeters < 2) {
+            wallHint = `Under 2 perimeters (${printer.nozzle}mm nozzle)`;
+        } else if (Math.abs(perimeters - Math.round(perimeters)) > 0.25) {
+            const n = Math.round(perimeters);
+            wallHint = `Try ${round2(n * printer.nozzle)}mm (${n}× ${printer.nozzle}mm nozzle)`;
+        }
+        if (!warnings.floor && Math.abs(layers - Math.round(layers)) > 0.25) {
+            const n = Math.max(1, Math.round(layers));
+            warnings.floor = `Try ${round2(n * printer.layerHeight)}mm (${n}× ${printer.layerHeight}mm layers)`;
+        }
+    }
+
+    // Round jars have their own layout (see calculateJarConstraints)
+    if (isJar) {
+        const layout = calculateJarConstraints(config, errors, warnings);
+        if (!warnings.wall && wallHint) warnings.wall = wallHint;
+        return layout;
+    }
+
+    // 2. Lid Logic
+    if (lidEnabled) {
+        if (tolerance_IU === 0) warnings.tolerance = "0 tolerance: Force fit?";
+        if (lidThick_IU < 40000) warnings.lidThickness = "Too thin (< 0.4mm)";
+    }
+
+    // 3. Hex Pattern
+    if (holes) {
+        if (holeSize < 200000) warnings.holeSize = "Too small (< 2mm)";
+        if (infill < 0.25) warnings.infill = "Weak structure (< 25%)";
+    }
+
+    // 3b. Magnet Pockets (magnet + 0.5mm diameter, + 0.4mm depth; pocket centres 13mm from the cell centre)
+    const magnetPocketH_IU = magnetH_IU + 40000;
+    const usesMagnets = isFrame
+        ? baseplateMagnets
+        : isGridfinity && ['magnets', 'magnets-screws', 'crush-ribs', 'printable'].includes(footHoles);
+    // A pocket wider than the foot can hold would cut through its outline, which can't be
+    // built: the magnet holes are left out (screw holes kept) and the layout reports an error
+    let magnetsFit = true;
+    if (usesMagnets) {
+        // The foot bottom is 3.2mm in from its cell edge and the pocket centre 8mm in from the
+        // 42mm grid corner, so full (35.6mm) and half-size (14.6mm) feet both leave 4.8mm
+        // from the pocket centre to the edge. Pockets keep a 0.5mm wall to it.
+        const pocketEdge_IU = 800000 - 320000;
+        if (magnetD_IU + 50000 > 2 * (pocketEdge_IU - 50000)) {
+            warnings.magnetDiameter = "Breaks into foot edge (> 8mm)";
+            errors.push("Magnets are too wide for the pockets (8mm at most); magnet holes left out.");
+            magnetsFit = false;
+        }
+        // Feet are 4.75mm tall; printable holes add two 0.3mm bridge layers above the pocket
+        const bridges_IU = footHoles === 'printable' ? 60000 : 0;
+        if (!isFrame && magnetPocketH_IU + bridges_IU > 475000 - 60000) warnings.magnetDepth = "Too deep for foot (< 0.6mm left)";
+    }
+
+    // 4. Horizontal Plane & Bed Size
+    let outerW_IU = 0, outerD_IU = 0;
+    let innerW_IU = 0, innerD_IU = 0;
+
+    // 0.5mm total shrink for bin-to-bin clearance. Baseplates keep the nominal 42mm pitch:
+    // their receiving profiles are cut on whole cells, and the bins carry the clearance.
+    const gridTolerance_IU = isFrame ? 0 : 0.5 * IU_PER_MM;
+    // Bins come in half units (21mm), frames in whole cells
+    let unitsX = gridWidth, unitsZ = gridDepth;
+    if (isGridfinity) {
+        const step = isFrame ? 1 : 0.5;
+        const snap = (v) => Math.max(step, Math.round(v / step) * step);
+        const note = (v) => `Rounded to ${v} (${isFrame ? 'whole' : 'half'} units)`;
+        unitsX = snap(gridWidth);
+        unitsZ = snap(gridDepth);
+        if (unitsX !== gridWidth) warnings.gridWidth = note(unitsX);
+        if (unitsZ !== gridDepth) warnings.gridDepth = note(unitsZ);
+    }
+    let plateUnitsX = unitsX, plateUnitsZ = unitsZ;
+    let platePadding = { left: 0, right: 0, back: 0, front: 0 }; // mm
+    if (isFrame && frameFit === 'drawer') {
+        // Drawer interior → whole grid units, leftover margin becomes padding strips
+        const fit = fitDrawer(drawerW_IU / IU_PER_MM, drawerD_IU / IU_PER_MM);
+        if (fit.unitsX < 1 || fit.unitsZ < 1) errors.push("Drawer is smaller than one 42mm grid unit.");
+        plateUnitsX = unitsX = Math.max(1, fit.unitsX);
+        plateUnitsZ = unitsZ = Math.max(1, fit.unitsZ);
+        platePadding = fit.padding;
+        outerW_IU = Math.round((plateUnitsX * GRID_MM + platePadding.left + platePadding.right) * IU_PER_MM);
+        outerD_IU = Math.round((plateUnitsZ * GRID_MM + platePadding.back + platePadding.front) * IU_PER_MM);
+        innerW_IU = outerW_IU - (wall_IU * 2);
+        innerD_IU = outerD_IU - (wall_IU * 2);
+    } else if (isGridfinity) {
+        outerW_IU = unitsX * grid42_IU - gridTolerance_IU;
+        outerD_IU = unitsZ * grid42_IU - gridTolerance_IU;
+        innerW_IU = outerW_IU - (wall_IU * 2);
+        innerD_IU = outerD_IU - (wall_IU * 2);
+    } else if (measureMode === 'internal') {
+        innerW_IU = width_IU;
+        innerD_IU = depth_IU;
+        outerW_IU = innerW_IU + (wall_IU * 2);
+        outerD_IU = innerD_IU + (wall_IU * 2);
+    } else {
+        outerW_IU = width_IU;
+        outerD_IU = depth_IU;
+        innerW_IU = Math.max(0, outerW_IU - (wall_IU * 2));
+        innerD_IU = Math.max(0, outerD_IU - (wall_IU * 2));
+    }
+
+    // Check Bed Size (printer profile; the footprint may be turned 90° on the bed)
+    const bedLong_IU = Math.max(printer.bedX, printer.bedY) * IU_PER_MM;
+    const bedShort_IU = Math.min(printer.bedX, printer.bedY) * IU_PER_MM;
+    const bedZ_IU = printer.bedZ * IU_PER_MM;
+    const sizeWarn = (limit_IU) => `Exceeds ${+(limit_IU / IU_PER_MM).toFixed(1)}mm`;
+    let plateTiles = null;
+    if (isFrame) {
+        // Baseplates never exceed the bed: they are split into tiles that fit it
+        plateTiles = planBaseplateTiles({
+            unitsX: plateUnitsX, unitsZ: plateUnitsZ, padding: platePadding,
+            bedW: printer.bedX, bedD: printer.bedY
+        });
+        if (!plateTiles) errors.push("Print bed is too small for a single baseplate cell.");
+    } else {
+        // Longer side against the longer bed axis
+        const widthIsLong = outerW_IU >= outerD_IU;
+        const limitW_IU = widthIsLong ? bedLong_IU : bedShort_IU;
+        const limitD_IU = widthIsLong ? bedShort_IU : bedLong_IU;
+        if (outerW_IU > limitW_IU) {
+            if (isGridfinity) warnings.gridWidth = sizeWarn(limitW_IU);
+            else warnings.width = sizeWarn(limitW_IU);
+        }
+        if (outerD_IU > limitD_IU) {
+            if (isGridfinity) warnings.gridDepth = sizeWarn(limitD_IU);
+            else warnings.depth = sizeWarn(limitD_IU);
+        }
+    }
+
+    if (innerW_IU <= 0 || innerD_IU <= 0) errors.push("Walls are too thick for the defined width/depth.");
+
+    // Divider lines: box positions from the inner back-left corner; extra Gridfinity lines
+    // (on top of the 42mm grid) from the back-left edge of the grid
+    const outside = (positions, extent_IU) => positions.some(p => p <= 0 || p >= extent_IU);
+    if (!isGridfinity) {
+        if (outside(dividersX, innerW_IU)) warnings.dividersX = "Outside the interior (ignored)";
+        if (outside(dividersZ, innerD_IU)) warnings.dividersZ = "Outside the interior (ignored)";
+    } else if (!isFrame) {
+        if (outside(gridDividersX, unitsX * grid42_IU)) warnings.gridDividersX = "Outside the bin (ignored)";
+        if (outside(gridDividersZ, unitsZ * grid42_IU)) warnings.gridDividersZ = "Outside the bin (ignored)";
+    }
+
+    // 5. Vertical Stack (Cursor)
+    let cursorY_IU = 0;
+    let floorTop_IU = 0, wallTop_IU = 0;
+    let faceW_IU = outerW_IU; // flat width of the front wall and the lid, between rounded corners
+    // How far a step or snap lid reaches down inside the walls (insert, or snap latch arms)
+    const snapReach_IU = lidType === 'snap' && snapStyle === 'latch' ? Math.max(lipDepth_IU, snapFlex_IU) : lipDepth_IU;
+    const stack = { feet: null, baseplate: null, floor: null, wall: null, rail: null, lip: null, labelTab: null, lid: null, corners: null, dividers: null, cutout: null, text: null, jar: null };
+    
+    // A. Feet
+    if (isGridfinity && gridfinityType === 'bin') {
+        stack.feet = {
+            yMin: 0,
+            yMax: toScene(footH_IU),
+            size: footSize,
+            holes: magnetsFit ? footHoles : (footHoles === 'magnets-screws' ? 'screws' : 'none'),
+            magnet: { diameter: toScene(magnetD_IU), depth: toScene(magnetH_IU) }
+        };
+        cursorY_IU = footH_IU;
+    }
+
+    // A'. Baseplate (frames stop here)
+    if (isFrame) {
+        // Receiving profile, on a solid base when it carries weights or magnets
+        let base_IU = 0;
+        if (baseplateStyle === 'weighted') {
+            // 6.4mm: 3mm weight pocket + 1mm + magnet pocket, deeper for tall magnets
+            base_IU = Math.max(640000, 400000 + magnetPocketH_IU);
+        } else if (baseplateMagnets && magnetsFit) {
+            base_IU = magnetPocketH_IU + 60000;  // magnet pocket + 0.6mm floor (3.0mm for 6x2)
+        }
+        // Tile centres (cell block of each tile) relative to the plate centre, with a
+        // 5mm gap between tiles so the split shows in the preview
+        const tileGap = 5;
+        const tiles = (plateTiles ? plateTiles.tiles : []).map(t => {
+            const x = -(outerW_IU / IU_PER_MM) / 2 + platePadding.left + (t.cellX + t.unitsX / 2) * GRID_MM
+                + (t.col - (plateTiles.columns - 1) / 2) * tileGap;
+            const z = -(outerD_IU / IU_PER_MM) / 2 + platePadding.back + (t.cellZ + t.unitsZ / 2) * GRID_MM
+                + (t.row - (plateTiles.rows - 1) / 2) * tileGap;
+            return { ...t, x: toScene(x * IU_PER_MM), z: toScene(z * IU_PER_MM) };
+        });
+        stack.baseplate = {
+            yMin: 0,
+            profileY: toScene(base_IU),
+            yMax: toScene(base_IU + plateProfile_IU),
+            weighted: baseplateStyle === 'weighted',
+            magnets: !!baseplateMagnets && magnetsFit,
+            magnet: { diameter: toScene(magnetD_IU), depth: toScene(magnetH_IU) },
+            unitsX: plateUnitsX,
+            unitsZ: plateUnitsZ,
+            tiles
+        };
+        cursorY_IU = base_IU + plateProfile_IU;
+    } else {
+        // B. Floor
+        const floorStart_IU = cursorY_IU;
+        cursorY_IU += floor_IU;
+        floorTop_IU = cursorY_IU;
+        stack.floor = { yMin: toScene(floorStart_IU), yMax: toScene(cursorY_IU) };
+
+        // C. Wall Height
+        let targetWallH_IU = 0;
+    
+        if (isGridfinity) {
+            // 7mm units, or any height in mm (both measured to the top of the wall, under the lip)
+            const inMm = gridHeightUnit === 'mm';
+            const stackingHeight_IU = inMm ? gridHeightMm_IU : gridHeight * grid7_IU;
+            targetWallH_IU = stackingHeight_IU - cursorY_IU;
+        
+            if (targetWallH_IU < 10000) errors.push(inMm ? "Gridfinity height too low for feet+floor." : "Gridfinity Unit count too low for feet+floor height.");
+            else targetWallH_IU = Math.max(10000, targetWallH_IU);
+
+            // Check vertical bed limits for Gridfinity
+            if (stackingHeight_IU > bedZ_IU) warnings[inMm ? 'gridHeightMm' : 'gridHeight'] = sizeWarn(bedZ_IU);
+
+            stack.bodyH = toScene(stackingHeight_IU);
+        } 
+        else if (measureMode === 'internal') {
+            // INTERNAL MODE: height_IU is usable capacity.
+            targetWallH_IU = height_IU;
+            if (lidEnabled && (lidType === 'step' || lidType === 'snap')) {
+                targetWallH_IU += snapReach_IU;
+            }
+        
+            // Calculate total external height approx to check bed limits
+            const totalEstH = targetWallH_IU + cursorY_IU + (lidEnabled && lidType === 'slide' ? lidThick_IU + tolerance_IU + railCapH_IU : 0);
+            if (totalEstH > bedZ_IU) warnings.height = sizeWarn(bedZ_IU);
+        } 
+        else {
+            // EXTERNAL MODE
+            let nonWallStack_IU = cursorY_IU; 
+        
+            if (lidEnabled && lidType === 'slide') {
+                 const railSpacer_IU = lidThick_IU + tolerance_IU; 
+                 const totalRail_IU = railCapH_IU + railSpacer_IU;
+                 nonWallStack_IU += totalRail_IU;
+            } else if (lidEnabled && (lidType === 'step' || lidType === 'snap')) {
+                 nonWallStack_IU += lidThick_IU;
+            } else if (lidEnabled && lidType === 'hinge') {
+                 nonWallStack_IU += tolerance_IU + lidThick_IU;
+            }
+
+            targetWallH_IU = height_IU - nonWallStack_IU;
+            if (targetWallH_IU <= 0) errors.push("External height is too short for the floor and lid components.");
+            targetWallH_IU = Math.max(10000, targetWallH_IU);
+
+            if (height_IU > bedZ_IU) warnings.height = sizeWarn(bedZ_IU);
+        }
+
+        const wallStart_IU = cursorY_IU;
+        cursorY_IU += targetWallH_IU;
+        wallTop_IU = cursorY_IU;
+        stack.wall = { yMin: toScene(wallStart_IU), yMax: toScene(cursorY_IU) };
+
+        // Scoops (Gridfinity bins): the ramp has to fit under the wall top and inside the bin
+        if (isGridfinity && scoop !== 'none') {
+            if (scoopR_IU > targetWallH_IU) warnings.scoopRadius = "Taller than the walls (clipped)";
+            else if (scoopR_IU > innerD_IU) warnings.scoopRadius = "Deeper than the bin (clipped)";
+        }
+
+        // D. Top Features
+        if (isGridfinity) {
+            // Flat-topped bins stop at the body height; usable height is the wall either way
+            const lipHeight_IU = lipHeights_IU[lipStyle] || 0;
+            if (lipHeight_IU > 0) {
+                const lipStart_IU = cursorY_IU; 
+                cursorY_IU += lipHeight_IU;
+                stack.lip = { yMin: toScene(lipStart_IU), yMax: toScene(cursorY_IU), style: lipStyle };
+            }
+
+            // Label tabs hang from the wall top, clear of the feet of a bin stacked on this
+            // one (they reach footH - lipH below the lip)
+            if (labelTab !== 'none') {
+                const footDip_IU = lipHeight_IU > 0 ? footH_IU - lipHeight_IU : 0;
+                const tabTop_IU = wallStart_IU + targetWallH_IU - footDip_IU;
+                const angle = labelTabAngle * Math.PI / 180;
+                const tabDrop_IU = tabD_IU * Math.tan(angle) + 100000 + tabD_IU; // face + 1mm edge + 45° underside
+                if (tabDrop_IU > targetWallH_IU - footDip_IU) warnings.labelTabDepth = "Too deep for the wall height (cut off)";
+                stack.labelTab = {
+                    yTop: toScene(tabTop_IU),
+                    maxDrop: toScene(tabTop_IU - wallStart_IU),
+                    mode: labelTab,
+                    side: labelTabSide,
+                    width: toScene(tabW_IU),
+                    depth: toScene(tabD_IU),
+                    angle
+                };
+            }
+        }
+        else if (lidEnabled && !isGridfinity) {
+            // Step/snap lid insert: the inside of the walls less the tolerance, and less
+            // armRoom each side where snap latch arms hang between it and the walls
+            const lidInsert = (armRoom_IU) => ({
+                width: toScene(innerW_IU - tolerance_IU - armRoom_IU * 2),
+                depth: toScene(innerD_IU - tolerance_IU - armRoom_IU * 2),
+                armRoom: toScene(armRoom_IU)
+            });
+            if (lidType === 'slide') {
+                // Dovetail rails on the outer half of the side and back walls: the slot above
+                // the wall top holds the lid plus the tolerance, the rails' inner faces lean in
+                // over it (45° at most, so they print without supports) and a cap tops them off
+                const slotH_IU = lidThick_IU + tolerance_IU;
+                const slotStart_IU = cursorY_IU;
+                cursorY_IU += slotH_IU;
+            
+                const capStart_IU = cursorY_IU;
+                cursorY_IU += railCapH_IU;
+
+                const neck_IU = wall_IU / 2;
+                const undercut_IU = Math.min(wall_IU / 2, slotH_IU);
+                if (!warnings.wall && neck_IU < 50000) warnings.wall = "Too thin for the slide rails (< 1mm)";
+
+                // Detent: a bump across the middle of the front wall top clicks into a groove
+                // under the closed lid (a tolerance deeper). Thumb grip: grooves in the lid
+                // top behind the front wall.
+                const grooveH_IU = detentH_IU + tolerance_IU / 2;
+                const gripDepth_IU = Math.min(60000, lidThick_IU / 3);
+                if (!warnings.lidThickness && lidThick_IU - grooveH_IU < 60000) {
+                    warnings.lidThickness = "Too thin for the detent groove (< 0.6mm left)";
+                }
+
+                stack.rail = { 
+                    slot: { yMin: toScene(slotStart_IU), yMax: toScene(slotStart_IU + slotH_IU) },
+                    cap: { yMin: toScene(capStart_IU), yMax: toScene(capStart_IU + railCapH_IU) },
+                    neck: toScene(neck_IU),
+                    undercut: toScene(undercut_IU),
+                    detent: { height: toScene(detentH_IU), length: toScene(innerW_IU / 3) }
+                };
+
+                // The lid's edges sit half the tolerance off the rails, on the same slope;
+                // closed, its front edge is flush with the front wall
+                stack.lid = {
+                    yPos: toScene(slotStart_IU + (lidThick_IU/2)),
+                    type: 'slide',
+                    thickness: toScene(lidThick_IU),
+                    width: toScene(outerW_IU - wall_IU - tolerance_IU), 
+                    depth: toScene(outerD_IU - neck_IU - tolerance_IU / 2),
+                    undercut: toScene(undercut_IU * lidThick_IU / slotH_IU),
+                    groove: toScene(grooveH_IU),
+                    grip: { depth: toScene(gripDepth_IU) }
+                };
+            }
+            else if (lidType === 'step') {
+                const lidStart_IU = cursorY_IU;
+                stack.lid = {
+                    yPos: toScene(lidStart_IU),
+                    type: 'step',
+                    thickness: toScene(lidThick_IU),
+                    insertDepth: toScene(lipDepth_IU),
+                    insert: lidInsert(0),
+                    width: toScene(outerW_IU),
+                    depth: toScene(outerD_IU)
+                };
+                cursorY_IU += lidThick_IU;
+            }
+            else if (lidType === 'snap') {
+                // Step lid that clicks into a groove cut into the inside of the walls: a 45° bead
+                // around the middle of the insert, or hooks on the tips of cantilever arms that
+                // hang snapFlex below the lid (the insert shrinks to leave them room to flex).
+                // Both reach snapInterference past the insert face; the groove is that deep, the
+                // tolerance taller, and centred on them.
+                const latch = snapStyle === 'latch';
+                const centre_IU = latch ? snapFlex_IU - snapFit_IU : lipDepth_IU / 2;
+                const grooveY_IU = cursorY_IU - centre_IU;
+                if (!warnings.wall && wall_IU - snapFit_IU < 80000) warnings.wall = "Too thin for the snap groove (< 0.8mm behind it)";
+                if (grooveY_IU - snapFit_IU - tolerance_IU < floorTop_IU) errors.push("Walls are too short for the snap groove.");
+                if (!latch && lipDepth_IU < snapFit_IU * 2 + 100000) warnings.lipDepth = "Too shallow for the snap bead";
+                if (latch) {
+                    // Bending strain at the arm root when the hook passes the wall: 1.5·t·y / L²
+                    const strain = 1.5 * latchArm_IU * snapFit_IU / (snapFlex_IU * snapFlex_IU);
+                    if (strain > 0.025) warnings.snapFlex = "Too short to flex this far (arm may crack)";
+                }
+
+                stack.lid = {
+                    yPos: toScene(cursorY_IU),
+                    type: 'snap',
+                    thickness: toScene(lidThick_IU),
+                    insertDepth: toScene(lipDepth_IU),
+                    insert: lidInsert(latch ? latchArm_IU + snapFit_IU : 0),
+                    width: toScene(outerW_IU),
+                    depth: toScene(outerD_IU),
+                    snap: {
+                        style: snapStyle,
+                        interference: toScene(snapFit_IU),
+                        centre: toScene(centre_IU),
+                        grooveY: toScene(grooveY_IU),
+                        grooveHeight: toScene(snapFit_IU * 2 + tolerance_IU),
+                        latches: latch ? { count: snapLatches, arm: toScene(latchArm_IU), width: toScene(latchW_IU), length: toScene(snapFlex_IU) } : null
+                    }
+                };
+                cursorY_IU += lidThick_IU;
+            }
+            else if (lidType === 'hinge') {
+                // Knuckles on an axis behind the back wall, flush with the lid top, over a
+                // shelf with a 45° underside. Every moving gap (lid over the walls, knuckles to
+                // the wall, shelf and each other, pin in its bore) is the tolerance. In place,
+                // the pin is part of the box knuckles; otherwise all knuckles take a filament pin.
+                const inPlace = hingePrint === 'in-place';
+                const gap_IU = tolerance_IU;
+                const radius_IU = Math.max(hingePin_IU / 2 + gap_IU + Math.max(wall_IU, 120000), Math.ceil(lidThick_IU / 2));
+                const lidStart_IU = cursorY_IU + gap_IU;
+                cursorY_IU = lidStart_IU + lidThick_IU;
+                const axisY_IU = cursorY_IU - radius_IU;
+                const shelfY_IU = axisY_IU - radius_IU - gap_IU;
+                if (shelfY_IU - radius_IU * 2 - gap_IU < floorTop_IU) errors.push("Box is too short for the hinge knuckles.");
+                if (inPlace && gap_IU < 20000) warnings.tolerance = "Under 0.2mm: an in-place hinge may fuse";
+
+                stack.lid = {
+                    yPos: toScene(lidStart_IU),
+                    type: 'hinge',
+                    thickness: toScene(lidThick_IU),
+                    width: toScene(outerW_IU),
+                    depth: toScene(outerD_IU),
+                    inPlace,
+                    hinge: {
+                        axisY: toScene(axisY_IU),
+                        axisZ: toScene(-outerD_IU / 2 - gap_IU - radius_IU),
+                        radius: toScene(radius_IU),
+                        shelfY: toScene(shelfY_IU),
+                        pinRadius: inPlace ? toScene(hingePin_IU / 2) : 0,
+                        boreRadius: toScene(hingePin_IU / 2 + (inPlace ? gap_IU : gap_IU / 2)),
+                        gap: toScene(gap_IU)
+                    }
+                };
+            }
+        }
+
+        // E. Corners (standard boxes): outer radius on the walls, floor and lid, the inside
+        // rounded by the radius less the wall, and a 45° chamfer on the bottom edges of the
+        // floor and of a step lid (the faces on the bed) against first-layer curl
+        if (!isGridfinity) {
+            const maxR_IU = Math.min(outerW_IU, outerD_IU) / 2;
+            let radius_IU = Math.min(cornerR_IU, maxR_IU);
+            if (cornerR_IU > maxR_IU) warnings.cornerRadius = "Over half the box width (clipped)";
+            if (radius_IU > 0 && radius_IU < 50000) {
+                warnings.cornerRadius = "Under 0.5mm prints square (ignored)";
+                radius_IU = 0;
+            }
+            if (radius_IU > 0 && stack.rail) {
+                warnings.cornerRadius = "Slide lids need square corners (ignored)";
+                radius_IU = 0;
+            }
+            faceW_IU = outerW_IU - radius_IU * 2;
+            let bottomChamfer_IU = chamfer_IU;
+            if (bottomChamfer_IU > floor_IU) {
+                warnings.bottomChamfer = "Limited to the floor thickness";
+                bottomChamfer_IU = floor_IU;
+            }
+            stack.corners = {
+                radius: toScene(radius_IU),
+                innerRadius: toScene(Math.max(0, radius_IU - wall_IU)),
+                chamfer: toScene(bottomChamfer_IU),
+                lidChamfer: toScene(Math.min(chamfer_IU, lidThick_IU))
+            };
+
+            // Snap latches go round the left, right, front and back walls in turn, spread
+            // along the straight part of each with a latch width between them
+            if (stack.lid && stack.lid.type === 'snap' && snapStyle === 'latch') {
+                const innerR_IU = Math.max(0, radius_IU - wall_IU);
+                const runs_IU = [innerD_IU, innerD_IU, innerW_IU, innerW_IU].map(v => v - innerR_IU * 2);
+                const perSide = runs_IU.map((_, i) => Math.floor(snapLatches / 4) + (i < snapLatches % 4 ? 1 : 0));
+                if (perSide.some((n, i) => n > 0 && n * latchW_IU * 2 - latchW_IU > runs_IU[i])) {
+                    warnings.snapLatches = "Too many latches for the walls";
+                }
+                stack.lid.snap.latches.perSide = perSide;
+            }
+        }
+    }
+
+    // Top of the usable interior: the wall top, or the underside of a step lid's insert
+    let interiorTop_IU = wallTop_IU;
+    const insertLid = stack.lid && (stack.lid.type === 'step' || stack.lid.type === 'snap');
+    if (insertLid) interiorTop_IU -= snapReach_IU + tolerance_IU;
+    // Usable height above the floor, under what a step or snap lid reaches down inside the
+    // walls (the requested height in internal mode)
+    if (stack.wall) stack.wall.usableH = toScene(wallTop_IU - (insertLid ? snapReach_IU : 0) - floorTop_IU);
+
+    // 5a. Dividers: full height reaches the interior top, or each segment gives its own
+    // height above the floor. Removable dividers slide into grooves cut halfway into the
+    // outer walls, open to the top through any lip or rails.
+    if (stack.wall && compartmentWalls.length > 0) {
+        const top_IU = interiorTop_IU;
+        const removable = compartmentWalls.some(w => w.removable);
+        if (!warnings.wall && removable && wall_IU < 120000) warnings.wall = "Too thin for divider grooves (< 1.2mm)";
+        stack.dividers = {
+            yMin: stack.floor.yMax,
+            yMax: toScene(top_IU),
+            maxHeight: toScene(top_IU - floorTop_IU),
+            groove: removable ? {
+                depth: toScene(wall_IU / 2),
+                clearance: toScene(slotClearance_IU),
+                yMax: toScene(cursorY_IU)
+            } : null
+        };
+    }
+
+    // 5b. Cutout: a tool pocket sunk into a solid fill on the floor. The outline (mm, centred)
+    // is rotated, then moved from the centre of the interior; the pocket bottom is the floor.
+    const hasCutout = !isFrame && isOutline(cutoutOutline) && cutoutOutline.length > 0;
+    if (hasCutout && stack.wall) {
+        let depth_IU = cutoutDepth_IU;
+        if (depth_IU > interiorTop_IU - floorTop_IU) {
+            warnings.cutoutDepth = "Deeper than the interior (clipped)";
+            depth_IU = interiorTop_IU - floorTop_IU;
+        }
+        const placement = { rotation: cutoutRotation, x: cutoutX_IU / IU_PER_MM, z: cutoutZ_IU / IU_PER_MM };
+        const polygons = placeOutline(cutoutOutline, placement);
+        const fingers = fingerHolePositions(cutoutOutline, cutoutFinger, placement);
+        const fingerR = fingerD_IU / IU_PER_MM / 2;
+        const halfW = innerW_IU / IU_PER_MM / 2;
+        const halfD = innerD_IU / IU_PER_MM / 2;
+        const outside = polygons.flat().some(([x, z]) => Math.abs(x) > halfW || Math.abs(z) > halfD)
+            || fingers.some(f => Math.abs(f.x) + fingerR > halfW || Math.abs(f.z) + fingerR > halfD);
+        if (outside) warnings.cutoutX = "Outline runs into the walls";
+
+        const mmToScene = (v) => toScene(v * IU_PER_MM);
+        stack.cutout = {
+            yMin: toScene(floorTop_IU),
+            yMax: toScene(floorTop_IU + depth_IU),
+            polygons: polygons.map(poly => poly.map(([x, z]) => [mmToScene(x), mmToScene(z)])),
+            rotation: cutoutRotation * Math.PI / 180,
+            fingers: fingers.map(f => ({ x: mmToScene(f.x), z: mmToScene(f.z) })),
+            fingerRadius: toScene(fingerD_IU / 2)
+        };
+    }
+
+    // 5c. Text on the lid, the front wall or the label tabs
+    const hasText = !isFrame && typeof text === 'string' && text.trim() !== '';
+    if (hasText) {
+        // Surface: width available (IU, null = per tab) and the material behind an engraving
+        let surface = null;
+        if (textTarget === 'lid') {
+            if (stack.lid) surface = { width_IU: faceW_IU, thick_IU: lidThick_IU };
+            else warnings.textTarget = "No lid to put the text on";
+        } else if (textTarget === 'tab') {
+            if (stack.labelTab) surface = { width_IU: null, thick_IU: 100000 }; // 1mm tab edge
+            else warnings.textTarget = "No label tabs enabled";
+        } else {
+            surface = { width_IU: faceW_IU, thick_IU: wall_IU };
+        }
+
+        if (surface) {
+            const lidOnBed = stack.lid && (stack.lid.type === 'step' || stack.lid.type === 'snap' || (stack.lid.type === 'hinge' && !stack.lid.inPlace));
+            if (textTarget === 'lid' && lidOnBed && textStyle === 'emboss') {
+                warnings.textStyle = "Raised text on the lid's bed face needs supports";
+            }
+            if (textStyle === 'deboss' && textDepth_IU > surface.thick_IU - 40000) {
+                warnings.textDepth = "Leaves < 0.4mm behind the text";
+            }
+            const textW_IU = measureText(text, textSize_IU);
+            if (surface.width_IU !== null && textW_IU > surface.width_IU - 400000) {
+                warnings.textSize = "Text wider than the surface";
+            }
+            stack.text = {
+                value: text,
+                target: textTarget,
+                style: textStyle,
+                align: textAlign,
+                size: toScene(textSize_IU),
+                depth: toScene(textDepth_IU)
+            };
+        }
+    }
+
+    // 6. Control Ranges (values typed past the slider limits or loaded from a project/URL)
+    const activeKeys = [];
+    if (isFrame) {
+        if (frameFit === 'drawer') activeKeys.push('drawerWidth', 'drawerDepth');
+        else activeKeys.push('gridWidth', 'gridDepth');
+    } else if (isGridfinity) {
+        activeKeys.push('gridWidth', 'gridDepth', gridHeightUnit === 'mm' ? 'gridHeightMm' : 'gridHeight');
+        if (scoop !== 'none') activeKeys.push('scoopRadius');
+        if (labelTab !== 'none') activeKeys.push('labelTabDepth', 'labelTabAngle');
+        if (labelTab === 'custom') activeKeys.push('labelTabWidth');
+    } else {
+        activeKeys.push('width', 'depth', 'height', 'cornerRadius', 'bottomChamfer');
+    }
+    if (!isGridfinity || gridfinityType === 'bin') {
+        activeKeys.push('wall', 'floor');
+        if (holes) activeKeys.push('holeSize', 'infill');
+    }
+    if (hasText) activeKeys.push('textSize', 'textDepth');
+    if (hasCutout) {
+        activeKeys.push('cutoutDepth', 'cutoutX', 'cutoutZ', 'cutoutRotation');
+        if (cutoutFinger !== 'none') activeKeys.push('cutoutFingerSize');
+    }
+    if (!isGridfinity && lidEnabled) {
+        activeKeys.push('lidThickness', 'tolerance');
+        if (lidType === 'step' || lidType === 'snap') activeKeys.push('lipDepth');
+        if (lidType === 'snap') activeKeys.push('snapInterference');
+        if (lidType === 'snap' && snapStyle === 'latch') activeKeys.push('snapLatches', 'snapFlex');
+        if (lidType === 'hinge') activeKeys.push('hingePin');
+    }
+    rangeWarnings(activeKeys, config, warnings);
+    if (!warnings.wall && wallHint) warnings.wall = wallHint;
+
+    return {
+        outerW: toScene(outerW_IU),
+        outerD: toScene(outerD_IU),
+        innerW: toScene(innerW_IU),
+        innerD: toScene(innerD_IU),
+        totalH: toScene(cursorY_IU),
+        innerH: stack.wall ? stack.wall.yMax - stack.floor.yMax : 0,
+        bodyH: stack.bodyH, 
+        grid: isGridfinity ? { unitsX, unitsZ } : null,
+        stack: stack,
+        valid: errors.length === 0,
+        errors: errors,
+        warnings: warnings
+    };
+}
+
+// Out-of-range warnings for the controls in use (values typed past the slider limits or
+// loaded from a project/URL), unless the control already has a warning
+function rangeWarnings(keys, config, warnings) {
+    const showMM = config.appMode !== 'in';
+    for (const key of keys) {
+        if (warnings[key] || inRange(key, config[key])) continue;
+        const { min, max, length } = CONFIG_RANGES[key];
+        let span = `${min}–${max}`;
+        if (key === 'infill') span = `${Math.round(min * 100)}–${Math.round(max * 100)}%`;
+        else if (key === 'labelTabAngle' || key === 'cutoutRotation') span = `${min}–${max}°`;
+        else if (length && showMM) span = `${(min * IN_TO_MM).toFixed(1)}–${(max * IN_TO_MM).toFixed(1)}mm`;
+        else if (length) span = `${min}–${max}in`;
+        warnings[key] = `Out of range (${span})`;
+    }
+}
+
+// --- Jar Constraint Engine ---
+// Round jar with a screw-on cap: a tube on a floor, with an external thread around the top,
+// and a cap (plate + skirt) with the matching internal thread. Internal mode sizes the inside
+// (diameter and usable height); external mode the cap's outside diameter and the closed height.
+// Threads are 1/4 pitch deep with 45° flanks; the root width leaves the clearance between
+// flanks and between each thread tip and the other part. Same return shape as
+// calculateConstraints, with stack.jar in place of the box parts.
+function calculateJarConstraints(config, errors, warnings) {
+    const {
+        measureMode, diameter: diameter_IU, height: height_IU,
+        wall: wall_IU, floor: floor_IU, lidThickness: capTop_IU,
+        threadPitch: pitch_IU, threadTurns: turns, threadClearance: clearance_IU,
+        printer = DEFAULT_PRINTER
+    } = config;
+
+    // Radii out from the axis: inside of the tube, outside of the tube (thread root),
+    // inside of the cap skirt (cap thread root), outside of the cap
+    const depth_IU = pitch_IU / 4;
+    const capGap_IU = depth_IU + clearance_IU;
+    let innerR_IU, tubeR_IU, capInnerR_IU, capR_IU;
+    if (measureMode === 'internal') {
+        innerR_IU = diameter_IU / 2;
+        tubeR_IU = innerR_IU + wall_IU;
+        capInnerR_IU = tubeR_IU + capGap_IU;
+        capR_IU = capInnerR_IU + wall_IU;
+    } else {
+        capR_IU = diameter_IU / 2;
+        capInnerR_IU = capR_IU - wall_IU;
+        tubeR_IU = capInnerR_IU - capGap_IU;
+        innerR_IU = tubeR_IU - wall_IU;
+    }
+    if (innerR_IU <= 0) errors.push("Walls and threads are too thick for the diameter.");
+
+    // Axial flank clearance √2 × the radial one (45° flanks): both threads get this root width
+    const rootW_IU = (pitch_IU + 2 * depth_IU + 2 * clearance_IU - 2 * Math.SQRT2 * clearance_IU) / 2;
+    const tipW_IU = rootW_IU - 2 * depth_IU;
+    if (tipW_IU < pitch_IU / 10) warnings.threadClearance = "Too loose for the pitch (threads come to a point)";
+    if (depth_IU < 40000) warnings.threadPitch = "Threads under 0.4mm deep won't hold";
+    if (clearance_IU < 20000) warnings.threadClearance = "Under 0.2mm: the cap may bind";
+    if (turns < 1) warnings.threadTurns = "Under one turn: the cap may not seal evenly";
+
+    // Cap skirt (rim down): half a pitch of lead-in above the jar thread, the thread, the
+    // cap thread half a pitch below it, and the clearance under that
+    const threadSpan_IU = turns * pitch_IU + rootW_IU;
+    const skirtH_IU = threadSpan_IU + pitch_IU + clearance_IU;
+
+    const floorTop_IU = floor_IU;
+    let rim_IU;
+    if (measureMode === 'internal') {
+        rim_IU = floorTop_IU + height_IU;
+    } else {
+        rim_IU = height_IU - capTop_IU;
+        if (rim_IU <= floorTop_IU) errors.push("External height is too short for the floor and cap.");
+    }
+    if (rim_IU - skirtH_IU < floorTop_IU) errors.push("Jar is too short for the thread.");
+    const threadY_IU = rim_IU - pitch_IU / 2 - threadSpan_IU;
+    const totalH_IU = rim_IU + capTop_IU;
+
+    // Printer: jar and cap are printed upright side by side; each must fit the bed
+    const bedShort_IU = Math.min(printer.bedX, printer.bedY) * IU_PER_MM;
+    const bedZ_IU = printer.bedZ * IU_PER_MM;
+    const sizeWarn = (limit_IU) => `Exceeds ${+(limit_IU / IU_PER_MM).toFixed(1)}mm`;
+    if (capR_IU * 2 > bedShort_IU) warnings.diameter = sizeWarn(bedShort_IU);
+    if (rim_IU > bedZ_IU) warnings.height = sizeWarn(bedZ_IU);
+    if (capTop_IU < 40000) warnings.lidThickness = "Too thin (< 0.4mm)";
+
+    rangeWarnings(['diameter', 'height', 'wall', 'floor', 'lidThickness', 'threadPitch', 'threadTurns', 'threadClearance'], config, warnings);
+
+    const stack = { feet: null, baseplate: null, floor: null, wall: null, rail: null, lip: null, labelTab: null, lid: null, corners: null, dividers: null, cutout: null, text: null, jar: null };
+    stack.floor = { yMin: 0, yMax: toScene(floorTop_IU) };
+    stack.wall = { yMin: toScene(floorTop_IU), yMax: toScene(rim_IU), usableH: toScene(rim_IU - floorTop_IU) };
+    stack.jar = {
+        innerRadius: toScene(innerR_IU),
+        radius: toScene(tubeR_IU),
+        rim: toScene(rim_IU),
+        cap: {
+            innerRadius: toScene(capInnerR_IU),
+            radius: toScene(capR_IU),
+            thickness: toScene(capTop_IU),
+            skirt: toScene(skirtH_IU)
+        },
+        thread: {
+            pitch: toScene(pitch_IU),
+            turns,
+            depth: toScene(depth_IU),
+            rootWidth: toScene(rootW_IU),
+            yStart: toScene(threadY_IU),
+            // Cap thread: half a pitch below the jar's, on the same helix phase
+            capYStart: toScene(threadY_IU - pitch_IU / 2)
+        }
+    };
+
+    return {
+        outerW: toScene(capR_IU * 2),
+        outerD: toScene(capR_IU * 2),
+        innerW: toScene(innerR_IU * 2),
+        innerD: toScene(innerR_IU * 2),
+        totalH: toScene(totalH_IU),
+        innerH: toScene(rim_IU - floorTop_IU),
+        grid: null,
+        stack,
+        valid: errors.length === 0,
+        errors,
+        warnings
+    };
+}
@@ -0,0 +1,42 @@
+import { IU_PER_MM, IU_PER_IN } from './units.js';
+import { collectPartMeshes } from './solid.js';
+import { generateSTL } from './stl.js';
+import { generate3MF } from './threemf.js';
+
+// --- File Naming & Per-Part Export ---
+
+// Base file name for a configuration (config must include appMode)
+export function getExportName(config) {
+    const { appMode } = config;
+    if (appMode === 'gridfinity' && config.gridfinityType === 'frame') {
+        if (config.frameFit === 'drawer') {
+            const w = (config.drawerWidth / IU_PER_MM).toFixed(0);
+            const d = (config.drawerDepth / IU_PER_MM).toFixed(0);
+            return `gridfinity_drawer_${w}x${d}mm`;
+        }
+        return `gridfinity_frame_${config.gridWidth}x${config.gridDepth}`;
+    }
+    if (appMode === 'gridfinity') {
+        const h = config.gridHeightUnit === 'mm'
+            ? `${+(config.gridHeightMm / IU_PER_MM).toFixed(1)}mm`
+            : `${config.gridHeight}U`;
+        return `gridfinity_${config.gridWidth}x${config.gridDepth}x${h}`;
+    }
+    const len = (v) => appMode === 'mm' ? (v / IU_PER_MM).toFixed(0) : (v / IU_PER_IN).toFixed(2);
+    if (config.containerShape === 'jar') return `jar_${len(config.diameter)}x${len(config.height)}${appMode}`;
+    return `box_${len(config.width)}x${len(config.depth)}${appMode}`;
+}
+
+export const partFileName = (name, part, ext) => `${name}_${part}.${ext}`;
+
+// One file per tagged part: [{ part, name, data }]. format: 'stl' | '3mf'
+export async function generatePartFiles(object, name, format = 'stl', options = {}) {
+    const files = [];
+    for (const part of collectPartMeshes(object).keys()) {
+        const data = format === '3mf'
+            ? await generate3MF(object, { ...options, title: `${name} ${part}`, part })
+            : await generateSTL(object, { part });
+        files.push({ part, name: partFileName(name, part, format), data });
+    }
+    return files;
+}
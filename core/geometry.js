@@ -0,0 +1,818 @@
+import * as THREE from 'three';
+import { MM_TO_IN } from './units.js';
+
+// --- Helpers ---
+export function createHexagonPath(x, y, radius) {
+  const path = new THREE.Path();
+  const angleOff = Math.PI / 6; 
+  for (let i = 0; i < 6; i++) {
+    const angle = angleOff + (i * 60 * Math.PI) / 180;
+    const px = x + radius * Math.cos(angle);
+    const py = y + radius * Math.sin(angle);
+    if (i === 0) path.moveTo(px, py);
+    else path.lineTo(px, py);
+  }
+  path.closePath();
+  return path;
+}
+
+export function createRoundedRectPath(width, height, radius) {
+    const ctx = new THREE.Shape();
+    const x = -width / 2;
+    const y = -height / 2;
+    ctx.moveTo(x + radius, y);
+    ctx.lineTo(x + width - radius, y);
+    ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
+    ctx.lineTo(x + width, y + height - radius);
+    ctx.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
+    ctx.lineTo(x + radius, y + height);
+    ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
+    ctx.lineTo(x, y + radius);
+    ctx.quadraticCurveTo(x, y, x + radius, y);
+    return ctx;
+}
+
+// --- Gridfinity Geometry Helpers ---
+
+// Generate points around a rounded rectangle perimeter (in XZ plane)
+export function generateRoundedRectRing(width, depth, radius, cornerSegs = 8) {
+    const points = [];
+    const hw = width / 2;
+    const hd = depth / 2;
+    const r = Math.min(radius, hw, hd);
+
+    // Corner centers (counterclockwise from bottom-right)
+    const corners = [
+        { cx: hw - r, cz: -(hd - r), a0: -Math.PI / 2, a1: 0 },           // bottom-right
+        { cx: hw - r, cz: hd - r, a0: 0, a1: Math.PI / 2 },               // top-right
+        { cx: -(hw - r), cz: hd - r, a0: Math.PI / 2, a1: Math.PI },      // top-left
+        { cx: -(hw - r), cz: -(hd - r), a0: Math.PI, a1: 3 * Math.PI / 2 }, // bottom-left
+    ];
+
+    // Each arc includes its end angle so the straight sides between corners run exactly
+    // parallel to the axes; points shared by neighbouring corners (a 0 radius, or a radius
+    // of half the width) are kept once
+    for (const c of corners) {
+        for (let i = 0; i <= cornerSegs; i++) {
+            const angle = c.a0 + (c.a1 - c.a0) * (i / cornerSegs);
+            pushRingPoint(points, c.cx + r * Math.cos(angle), c.cz + r * Math.sin(angle));
+        }
+    }
+    return closeRing(points);
+}
+
+const RING_EPS = 1e-9;
+const samePoint = (a, b) => Math.abs(a.x - b.x) < RING_EPS && Math.abs(a.z - b.z) < RING_EPS;
+
+function pushRingPoint(points, x, z) {
+    const p = { x, z };
+    if (points.length === 0 || !samePoint(points[points.length - 1], p)) points.push(p);
+}
+
+// Drop a last point that repeats the first (the ring is closed implicitly)
+function closeRing(points) {
+    if (points.length > 1 && samePoint(points[0], points[points.length - 1])) points.pop();
+    return points;
+}
+
+// Closed polygon through ring points (XZ plane) as a Shape in XY, y = -z.
+// Caps built from this share their perimeter vertices exactly with the side walls.
+function ringToShape(ring) {
+    const shape = new THREE.Shape();
+    ring.forEach((p, i) => (i === 0 ? shape.moveTo(p.x, -p.z) : shape.lineTo(p.x, -p.z)));
+    shape.closePath();
+    return shape;
+}
+
+// Polygonal circle at (x, z) with the same vertex angles used for hole tube walls
+function circleRing(x, z, radius, segs) {
+    const pts = [];
+    for (let i = 0; i < segs; i++) {
+        const a = (i / segs) * Math.PI * 2;
+        pts.push({ x: x + Math.cos(a) * radius, z: z + Math.sin(a) * radius });
+    }
+    return pts;
+}
+
+const HOLE_SEGS = 20;
+
+// Indexed mesh accumulator with the flat-cap / tube / band primitives shared by the
+// profile builders. Every primitive reuses the exact ring vertices of its neighbours,
+// so a solid assembled from them is closed once its caps and walls line up.
+function createMeshBuilder() {
+    const vertices = [];
+    const indices = [];
+
+    // Flat cap at height y from a Shape (XY, y = -z). faceUp selects winding.
+    const pushCap = (shape, y, faceUp) => {
+        const capGeo = new THREE.ShapeGeometry(shape);
+        const pos = capGeo.attributes.position;
+        const idx = capGeo.index.array;
+        const capBase = vertices.length / 3;
+        for (let i = 0; i < pos.count; i++) {
+            vertices.push(pos.getX(i), y, -pos.getY(i));
+        }
+        for (let i = 0; i < idx.length; i += 3) {
+            if (faceUp) indices.push(capBase + idx[i], capBase + idx[i + 1], capBase + idx[i + 2]);
+            else indices.push(capBase + idx[i], capBase + idx[i + 2], capBase + idx[i + 1]);
+        }
+        capGeo.dispose();
+    };
+
+    // Side faces between two rings of equal length ({ x, y, z }, ring0 below ring1).
+    // inward=true for cavity and hole walls.
+    const pushBand = (ring0, ring1, inward) => {
+        const n = ring0.length;
+        const baseIdx = vertices.length / 3;
+        for (const p of ring0) vertices.push(p.x, p.y, p.z);
+        for (const p of ring1) vertices.push(p.x, p.y, p.z);
+        for (let i = 0; i < n; i++) {
+            const next = (i + 1) % n;
+            const a = baseIdx + i, b = baseIdx + next;
+            const c = baseIdx + n + next, d = baseIdx + n + i;
+            if (inward) {
+                indices.push(a, b, c);
+                indices.push(a, c, d);
+            } else {
+                indices.push(a, c, b);
+                indices.push(a, d, c);
+            }
+        }
+    };
+
+    // Vertical tube between two heights. inward=true for hole walls.
+    const pushTube = (x, z, radius, y0, y1, inward) => {
+        const ring = circleRing(x, z, radius, HOLE_SEGS);
+        pushBand(ring.map(p => ({ ...p, y: y0 })), ring.map(p => ({ ...p, y: y1 })), inward);
+    };
+
+    const toGeometry = () => {
+        const geo = new THREE.BufferGeometry();
+        geo.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+        geo.setIndex(indices);
+        geo.computeVertexNormals();
+        return geo;
+    };
+
+    return { pushCap, pushBand, pushTube, toGeometry };
+}
+
+// Bottom hole as stacked sections, widest first: [{ ring: [{ x, z }], top }].
+// top is the section's ceiling above the bottom face, or null to run through the top face.
+// Each ring must lie strictly inside the one below it.
+function holeSections(hole) {
+    if (hole.sections) return hole.sections;
+    const { x, z, radius, depth, screwRadius } = hole;
+    const sections = [];
+    if (depth) sections.push({ ring: circleRing(x, z, radius, HOLE_SEGS), top: depth });
+    if (screwRadius) sections.push({ ring: circleRing(x, z, screwRadius, HOLE_SEGS), top: null });
+    return sections;
+}
+
+// Build a BufferGeometry from stacked rounded-rect rings
+// Output is a closed, outward-facing solid (every edge shared by exactly two triangles).
+export function buildProfileGeometry(levels, cornerSegs = 8, bottomHoles = null) {
+    // levels: [{ y (scene units), width, depth, radius }]
+    // bottomHoles: [{ x, z, radius, depth?, screwRadius? }] or [{ sections }] (see holeSections)
+    //   depth: magnet pocket depth (tube walls + annular floor)
+    //   screwRadius: concentric hole radius, through to the top face
+    const rings = levels.map(l =>
+        generateRoundedRectRing(l.width, l.depth, l.radius, cornerSegs).map(p => ({ ...p, y: l.y }))
+    );
+    const { pushCap, pushBand, toGeometry } = createMeshBuilder();
+
+    // Side faces between adjacent rings
+    for (let r = 0; r < rings.length - 1; r++) pushBand(rings[r], rings[r + 1], false);
+
+    const botY = rings[0][0].y;
+    const topY = rings[rings.length - 1][0].y;
+    const topShape = ringToShape(rings[rings.length - 1]);
+    const botShape = ringToShape(rings[0]);
+
+    for (const hole of bottomHoles || []) {
+        const sections = holeSections(hole);
+        if (sections.length === 0) continue;
+        botShape.holes.push(ringToShape(sections[0].ring));
+
+        sections.forEach((section, i) => {
+            const y0 = i === 0 ? botY : botY + sections[i - 1].top;
+            const y1 = section.top === null ? topY : botY + section.top;
+
+            // Hole walls (normals face into the hole)
+            pushBand(section.ring.map(p => ({ ...p, y: y0 })), section.ring.map(p => ({ ...p, y: y1 })), true);
+
+            if (section.top === null) {
+                topShape.holes.push(ringToShape(section.ring));
+                return;
+            }
+            // Ceiling: annulus down to the next (narrower) section, or solid.
+            // Faces down, visible from below through the hole.
+            const ceiling = ringToShape(section.ring);
+            if (sections[i + 1]) ceiling.holes.push(ringToShape(sections[i + 1].ring));
+            pushCap(ceiling, y1, false);
+        });
+    }
+
+    pushCap(topShape, topY, true);
+    pushCap(botShape, botY, false);
+    return toGeometry();
+}
+
+// Gridfinity magnet pockets sit 13mm from the cell centre on both axes.
+// Pockets are the magnet plus 0.5mm on the diameter and 0.4mm on the depth (6×2 magnet → 6.5 × 2.4mm).
+const GRID_IN = 42.0 * MM_TO_IN;
+const MAGNET_OFFSET = 13.0 * MM_TO_IN;
+const MAGNET_CLEARANCE = 0.5 * MM_TO_IN;
+const MAGNET_DEPTH_CLEARANCE = 0.4 * MM_TO_IN;
+const DEFAULT_MAGNET = { diameter: 6.0 * MM_TO_IN, depth: 2.0 * MM_TO_IN };
+const magnetCenters = (cx = 0, cz = 0) => [
+    { x: cx - MAGNET_OFFSET, z: cz - MAGNET_OFFSET },
+    { x: cx + MAGNET_OFFSET, z: cz - MAGNET_OFFSET },
+    { x: cx - MAGNET_OFFSET, z: cz + MAGNET_OFFSET },
+    { x: cx + MAGNET_OFFSET, z: cz + MAGNET_OFFSET },
+];
+
+// Magnet pocket outline with press-fit ribs: 0.15mm clearance between ribs,
+// six ribs reaching 0.1mm inside the magnet so it is held without glue
+function crushRibRing(x, z, magnetR) {
+    const segs = 48;
+    const ribEvery = 8; // 6 ribs, one vertex wide
+    const outerR = magnetR + 0.15 * MM_TO_IN;
+    const ribR = magnetR - 0.1 * MM_TO_IN;
+    return circleRing(x, z, outerR, segs).map((p, i) => (i % ribEvery === 0
+        ? { x: x + (p.x - x) * (ribR / outerR), z: z + (p.z - z) * (ribR / outerR) }
+        : p));
+}
+
+const squareRing = (x, z, halfW, halfD) => [
+    { x: x + halfW, z: z - halfD },
+    { x: x + halfW, z: z + halfD },
+    { x: x - halfW, z: z + halfD },
+    { x: x - halfW, z: z - halfD },
+];
+
+// Sections for one foot hole (see holeSections). magnet: { diameter, depth } in scene units.
+function footHoleSections(style, x, z, magnet) {
+    const magnetR = magnet.diameter / 2;
+    const pocketR = magnetR + MAGNET_CLEARANCE / 2;
+    const pocketDepth = magnet.depth + MAGNET_DEPTH_CLEARANCE;
+    const screwR = (2.9 / 2) * MM_TO_IN;  // 2.4mm screw + 0.5mm clearance
+    const pocket = { ring: circleRing(x, z, pocketR, HOLE_SEGS), top: pocketDepth };
+    const screw = { ring: circleRing(x, z, screwR, HOLE_SEGS), top: null };
+
+    switch (style) {
+        case 'magnets': return [pocket];
+        case 'screws': return [screw];
+        case 'magnets-screws': return [pocket, screw];
+        case 'crush-ribs': return [{ ring: crushRibRing(x, z, magnetR), top: pocketDepth }];
+        case 'printable': {
+            // Sacrificial bridge layers: a slot across the pocket, then a square, then the
+            // screw hole, so every ceiling is a straight bridge and no supports are needed
+            const layer = 0.3 * MM_TO_IN;
+            const slotHalfW = screwR + 0.15 * MM_TO_IN;
+            const slotHalfL = Math.sqrt(pocketR * pocketR - slotHalfW * slotHalfW) - 0.2 * MM_TO_IN;
+            const squareHalf = screwR + 0.05 * MM_TO_IN;
+            return [
+                pocket,
+                { ring: squareRing(x, z, slotHalfL, slotHalfW), top: pocketDepth + layer },
+                { ring: squareRing(x, z, squareHalf, squareHalf), top: pocketDepth + layer * 2 },
+                screw,
+            ];
+        }
+        default: return [];
+    }
+}
+
+// Foot corners that carry a hole, as [sx, sz] signs (all four on a full 42mm foot)
+const FOOT_CORNERS = [[-1, -1], [1, -1], [-1, 1], [1, 1]];
+
+// Create a single Gridfinity foot (one grid cell)
+// holes: a config footHoles style (true/false = 'magnets-screws'/'none' for older callers)
+// magnet: { diameter, depth } of the magnet itself, scene units
+// Options (scene units): width/depth of the foot's cell (42mm, or 21mm for half-unit feet),
+// and holeCorners, the corners that get a hole. Holes stay 8mm in from their corner, where
+// the baseplate has its magnets, so a half-unit foot only keeps the corners that lie on
+// the 42mm grid.
+export function createGridfinityFootGeo(holes = 'magnets-screws', magnet = DEFAULT_MAGNET, { width = GRID_IN, depth = GRID_IN, holeCorners = FOOT_CORNERS } = {}) {
+    // Ground-truth profile (cq-gridfinity verified), for a 42mm cell:
+    // 35.6mm base → 0.7mm 45° → 37.0mm → 1.8mm vert → 2.25mm 45° → 41.5mm top
+    // Total height: 4.75mm. Outer fillet: 4.0mm at top.
+    const level = (y, inset, radius) => ({ y, width: width - inset, depth: depth - inset, radius });
+    const levels = [
+        level(0,                             6.4 * MM_TO_IN, 1.05 * MM_TO_IN),
+        level(0.7 * MM_TO_IN,                5.0 * MM_TO_IN, 1.75 * MM_TO_IN),
+        level((0.7 + 1.8) * MM_TO_IN,        5.0 * MM_TO_IN, 1.75 * MM_TO_IN),
+        level((0.7 + 1.8 + 2.25) * MM_TO_IN, 0.5 * MM_TO_IN, 4.0 * MM_TO_IN),
+    ];
+
+    let style = holes;
+    if (holes === true) style = 'magnets-screws';
+    else if (!holes) style = 'none';
+
+    const inset = GRID_IN / 2 - MAGNET_OFFSET;
+    const bottomHoles = holeCorners.map(([sx, sz]) => ({
+        sections: footHoleSections(style, sx * (width / 2 - inset), sz * (depth / 2 - inset), magnet)
+    }));
+    return buildProfileGeometry(levels, 8, bottomHoles);
+}
+
+// Receiving profile (inverted foot): the rings of a cavity a Gridfinity foot drops into,
+// from the seat (bottom) up to the entrance (top). Shared by the stacking lip and the baseplate.
+// topInset is the total width lost at the entrance; each 45° chamfer narrows by 2× its height.
+export function gridfinityReceiverLevels(width, depth, { y = 0, topInset, topChamfer, vertical, bottomChamfer = 0.7 * MM_TO_IN }) {
+    const insetMid = topInset + topChamfer * 2;
+    const insetBot = insetMid + bottomChamfer * 2;
+    return [
+        { y,                                       width: width - insetBot, depth: depth - insetBot, radius: 1.05 * MM_TO_IN },
+        { y: y + bottomChamfer,                    width: width - insetMid, depth: depth - insetMid, radius: 1.75 * MM_TO_IN },
+        { y: y + bottomChamfer + vertical,         width: width - insetMid, depth: depth - insetMid, radius: 1.75 * MM_TO_IN },
+        { y: y + bottomChamfer + vertical + topChamfer, width: width - topInset, depth: depth - topInset, radius: 4.0 * MM_TO_IN },
+    ];
+}
+
+const levelRing = (l, cx = 0, cz = 0, cornerSegs = 8) =>
+    generateRoundedRectRing(l.width, l.depth, l.radius, cornerSegs).map(p => ({ x: cx + p.x, y: l.y, z: cz + p.z }));
+
+// Create the stacking lip geometry (inverted foot profile around bin perimeter)
+// The lip is a rim at the top of the bin. Its inner cavity receives the foot of a stacking bin.
+// Inner profile mirrors the foot: widest at top (entrance, 41.5mm per unit), narrowest at bottom (seat, 35.6mm per unit).
+//   style 'standard': full 4.4mm lip
+//   style 'reduced':  only the 2.25mm entrance chamfer, which still centres a stacked bin
+//                     (its feet then reach 2.5mm down into this bin)
+export function createGridfinityLipGeo(outerW, outerD, style = 'standard') {
+    // Insets from outer wall to inner lip surface (per axis total, both sides):
+    // 0.5mm at the entrance (0.25mm thin edge per side), then the foot's 2.25mm and 0.7mm 45° chamfers.
+    // Vertical section: 4.4 - 2.25 - 0.7 = 1.45mm (shorter than foot's 1.8mm — the clearance)
+    let innerLevels = gridfinityReceiverLevels(outerW, outerD, {
+        topInset: 0.5 * MM_TO_IN,
+        topChamfer: 2.25 * MM_TO_IN,
+        vertical: 1.45 * MM_TO_IN,
+    });
+    if (style === 'reduced') {
+        const chamferStart = innerLevels[2].y;
+        innerLevels = innerLevels.slice(2).map(l => ({ ...l, y: l.y - chamferStart }));
+    }
+    const lipH = innerLevels[innerLevels.length - 1].y; // 4.4mm standard (0.35mm clearance vs 4.75mm foot)
+    const { pushCap, pushBand, toGeometry } = createMeshBuilder();
+
+    // Outer wall: straight vertical extrusion of the bin outer rect
+    const outerLevel = { width: outerW, depth: outerD, radius: 4.0 * MM_TO_IN };
+    const outerBot = levelRing({ ...outerLevel, y: 0 });
+    const outerTop = levelRing({ ...outerLevel, y: lipH });
+    pushBand(outerBot, outerTop, false);
+
+    // Inner sides (stepped profile, faces inward)
+    const innerRings = innerLevels.map(l => levelRing(l));
+    for (let r = 0; r < innerRings.length - 1; r++) pushBand(innerRings[r], innerRings[r + 1], true);
+
+    // Annular caps between the outer wall and the cavity
+    const bottom = ringToShape(outerBot);
+    bottom.holes.push(ringToShape(innerRings[0]));
+    pushCap(bottom, 0, false);
+
+    const top = ringToShape(outerTop);
+    top.holes.push(ringToShape(innerRings[innerRings.length - 1]));
+    pushCap(top, lipH, true);
+
+    return toGeometry();
+}
+
+// Rectangle ring [x0, x1] × [z0, z1] (XZ plane) with its own radius per corner, in the
+// same order as generateRoundedRectRing. A 0 radius gives a single square corner point.
+function rectRingWithCorners(x0, x1, z0, z1, radii, cornerSegs = 8) {
+    const corners = [
+        { x: x1, z: z0, sx: -1, sz: 1, a0: -Math.PI / 2 },   // bottom-right
+        { x: x1, z: z1, sx: -1, sz: -1, a0: 0 },             // top-right
+        { x: x0, z: z1, sx: 1, sz: -1, a0: Math.PI / 2 },    // top-left
+        { x: x0, z: z0, sx: 1, sz: 1, a0: Math.PI },         // bottom-left
+    ];
+    const points = [];
+    corners.forEach((c, k) => {
+        const r = radii[k];
+        if (r <= 0) {
+            pushRingPoint(points, c.x, c.z);
+            return;
+        }
+        const cx = c.x + c.sx * r;
+        const cz = c.z + c.sz * r;
+        for (let i = 0; i <= cornerSegs; i++) {
+            const angle = c.a0 + (Math.PI / 2) * (i / cornerSegs);
+            pushRingPoint(points, cx + r * Math.cos(angle), cz + r * Math.sin(angle));
+        }
+    });
+    return closeRing(points);
+}
+
+// Gridfinity baseplate: one receiving profile per 42mm cell, cut into a plate with 4mm corners.
+// The profile is the lip's, sized for the 4.65mm baseplate spec (2.15mm chamfer, 1.8mm vertical,
+// 0.7mm chamfer) with a 0.25mm rim per cell so neighbouring cells don't share a knife edge.
+//   baseH:    solid material under the profiles (0 = standard thin plate, open underneath)
+//   weighted: 21.4mm square pocket per cell from below, for steel weights
+//   magnets:  magnet pockets in each cell floor (magnet: { diameter, depth }, same clearances as the feet)
+//   padding:  { left, right, back, front } solid strips around the cells (drawer margin)
+//   joins:    { left, right, back, front } sides that butt against another tile; corners
+//             touching a joined side stay square
+// The cells are centred on the origin; padding extends the plate beyond them.
+export function createGridfinityBaseplateGeo(unitsX, unitsZ, { baseH = 0, weighted = false, magnets = false, magnet = DEFAULT_MAGNET, padding = {}, joins = {} } = {}) {
+    const profileH = (0.7 + 1.8 + 2.15) * MM_TO_IN;
+    const cellsW = unitsX * GRID_IN;
+    const cellsD = unitsZ * GRID_IN;
+    const topY = baseH + profileH;
+    const { pushCap, pushBand, pushTube, toGeometry } = createMeshBuilder();
+
+    const cellLevels = gridfinityReceiverLevels(GRID_IN, GRID_IN, {
+        y: baseH,
+        topInset: 0.5 * MM_TO_IN,
+        topChamfer: 2.15 * MM_TO_IN,
+        vertical: 1.8 * MM_TO_IN,
+    });
+
+    // Plate outline: cells plus padding, rounded only where two outer sides meet
+    const pad = { left: 0, right: 0, back: 0, front: 0, ...padding };
+    const r = 4.0 * MM_TO_IN;
+    const outline = rectRingWithCorners(
+        -cellsW / 2 - pad.left, cellsW / 2 + pad.right,
+        -cellsD / 2 - pad.back, cellsD / 2 + pad.front,
+        [
+            joins.right || joins.back ? 0 : r,
+            joins.right || joins.front ? 0 : r,
+            joins.left || joins.front ? 0 : r,
+            joins.left || joins.back ? 0 : r,
+        ],
+    );
+    const outerBot = outline.map(p => ({ ...p, y: 0 }));
+    const outerTop = outline.map(p => ({ ...p, y: topY }));
+    pushBand(outerBot, outerTop, false);
+
+    const topShape = ringToShape(outerTop);
+    const botShape = ringToShape(outerBot);
+
+    const weightSize = 21.4 * MM_TO_IN;
+    const weightDepth = 3.0 * MM_TO_IN; // calculateConstraints sizes the base to leave 1mm under the magnet pockets
+
+    for (let i = 0; i < unitsX; i++) {
+        for (let j = 0; j < unitsZ; j++) {
+            const cx = -cellsW / 2 + (i + 0.5) * GRID_IN;
+            const cz = -cellsD / 2 + (j + 0.5) * GRID_IN;
+
+            // Receiving profile walls
+            const rings = cellLevels.map(l => levelRing(l, cx, cz));
+            for (let r = 0; r < rings.length - 1; r++) pushBand(rings[r], rings[r + 1], true);
+            topShape.holes.push(ringToShape(rings[rings.length - 1]));
+
+            if (baseH <= 0) {
+                // Thin plate: the profile opens straight through the bottom
+                botShape.holes.push(ringToShape(rings[0]));
+                continue;
+            }
+
+            // Cell floor, with magnet pockets sunk into it
+            const cellFloor = ringToShape(rings[0]);
+            if (magnets) {
+                const pocketR = (magnet.diameter + MAGNET_CLEARANCE) / 2;
+                const pocketDepth = magnet.depth + MAGNET_DEPTH_CLEARANCE;
+                for (const m of magnetCenters(cx, cz)) {
+                    cellFloor.holes.push(ringToShape(circleRing(m.x, m.z, pocketR, HOLE_SEGS)));
+                    pushTube(m.x, m.z, pocketR, baseH - pocketDepth, baseH, true);
+                    pushCap(ringToShape(circleRing(m.x, m.z, pocketR, HOLE_SEGS)), baseH - pocketDepth, true);
+                }
+            }
+            pushCap(cellFloor, baseH, true);
+
+            if (weighted) {
+                const pocket = generateRoundedRectRing(weightSize, weightSize, 1.0 * MM_TO_IN)
+                    .map(p => ({ x: cx + p.x, z: cz + p.z }));
+                botShape.holes.push(ringToShape(pocket));
+                pushBand(pocket.map(p => ({ ...p, y: 0 })), pocket.map(p => ({ ...p, y: weightDepth })), true);
+                pushCap(ringToShape(pocket), weightDepth, false);
+            }
+        }
+    }
+
+    pushCap(topShape, topY, true);
+    pushCap(botShape, 0, false);
+    return toGeometry();
+}
+
+// Scoop: concave quarter-round ramp filling the corner between the floor and a wall,
+// so small parts slide out instead of catching in the corner.
+// Local frame: runs along +X from 0 to length, wall face at z = 0 with the ramp reaching
+// toward -Z, floor at y = 0. overlap pushes the solid into the wall and floor for the union.
+export function createScoopGeo(length, radius, overlap = 0, segs = 12) {
+    // Profile in (u, v): u = distance out from the wall, v = height above the floor
+    const shape = new THREE.Shape();
+    shape.moveTo(-overlap, -overlap);
+    shape.lineTo(radius, -overlap);
+    for (let i = 0; i <= segs; i++) {
+        const a = -Math.PI / 2 - (Math.PI / 2) * (i / segs);
+        shape.lineTo(radius + radius * Math.cos(a), radius + radius * Math.sin(a));
+    }
+    shape.lineTo(-overlap, radius);
+    shape.lineTo(-overlap, -overlap);
+
+    const geo = new THREE.ExtrudeGeometry(shape, { depth: length, bevelEnabled: false, curveSegments: 1 });
+    geo.rotateY(Math.PI / 2); // u → -Z, extrusion → +X
+    return geo;
+}
+
+// Label tab: a shelf at the top of a wall for a stick-on or written label, tilted down
+// toward the reader by `angle` (radians) and carried on a 45° underside so it prints
+// without supports. Same local frame as createScoopGeo (along +X, wall face at z = 0,
+// reaching toward -Z) with the tab's top edge at y = 0 against the wall.
+//   lip:     thickness of the tab's front edge
+//   maxDrop: the underside is cut off this far below the top (floor of a short bin)
+export function createLabelTabGeo(length, depth, angle, { lip = 1.0 * MM_TO_IN, maxDrop = Infinity, overlap = 0 } = {}) {
+    const edgeY = -depth * Math.tan(angle) - lip;
+    const shape = new THREE.Shape();
+    shape.moveTo(-overlap, 0);
+    shape.lineTo(depth, -depth * Math.tan(angle));
+    shape.lineTo(depth, edgeY);
+    if (-edgeY + depth + overlap > maxDrop) {
+        // Underside reaches the floor: flatten the bottom there
+        const cut = Math.max(0, maxDrop + edgeY);
+        if (cut > 0) shape.lineTo(depth - cut, edgeY - cut);
+        shape.lineTo(-overlap, edgeY - cut);
+    } else {
+        shape.lineTo(-overlap, edgeY - depth - overlap);
+    }
+    shape.lineTo(-overlap, 0);
+
+    const geo = new THREE.ExtrudeGeometry(shape, { depth: length, bevelEnabled: false, curveSegments: 1 });
+    geo.rotateY(Math.PI / 2); // u → -Z, extrusion → +X
+    return geo;
+}
+
+// Divider plate with an optional finger notch: a rounded U cut down from the middle of the
+// top edge. Lies in the XY plane, centred on x = 0 (length along X), from y = 0 to height,
+// `thick` through Z centred on z = 0.
+//   notchWidth: 0 for a plain plate; the U is notchDepth deep with a notchWidth / 2 radius.
+//     The depth stops at half the height and the radius at the depth, so a short divider
+//     gets a smaller notch rather than one cut through its bottom edge
+export function createDividerGeo(length, height, thick, { notchWidth = 0, notchDepth = 0 } = {}) {
+    const shape = new THREE.Shape();
+    shape.moveTo(-length / 2, 0);
+    shape.lineTo(length / 2, 0);
+    shape.lineTo(length / 2, height);
+    if (notchWidth > 0 && notchDepth > 0) {
+        const depth = Math.min(notchDepth, height / 2);
+        const r = Math.min(notchWidth / 2, depth);
+        const bottom = height - depth;
+        shape.lineTo(r, height);
+        shape.lineTo(r, bottom + r);
+        shape.absarc(0, bottom + r, r, 0, -Math.PI, true);
+        shape.lineTo(-r, height);
+    }
+    shape.lineTo(-length / 2, height);
+    shape.lineTo(-length / 2, 0);
+
+    const geo = new THREE.ExtrudeGeometry(shape, { depth: thick, bevelEnabled: false, curveSegments: 12 });
+    geo.translate(0, 0, -thick / 2);
+    return geo;
+}
+
+// --- Standard Box Geometry ---
+
+// Rounded-rectangle slab from y = 0 to height (floor, lid plate, insert, fill), with an
+// optional 45° chamfer around the bottom edge. radius 0 gives square corners. The chamfer's
+// bottom corners are the radius inset by the chamfer, kept at a quarter of the radius at least.
+export function createRoundedSlabGeo(width, depth, height, radius = 0, chamfer = 0) {
+    const c = Math.min(chamfer, height);
+    const levels = [];
+    if (c > 0) {
+        const bottomR = radius > 0 ? Math.max(radius - c, radius / 4) : 0;
+        levels.push({ y: 0, width: width - c * 2, depth: depth - c * 2, radius: bottomR });
+    }
+    levels.push({ y: c, width, depth, radius });
+    if (height > c) levels.push({ y: height, width, depth, radius });
+    return buildProfileGeometry(levels, radius > 0 ? 8 : 1);
+}
+
+// Ring points (XZ plane) extruded from y = 0 up to height. Shape y is scene z, so the
+// extrusion runs down from the top and is lifted back into place.
+function extrudeRingUp(ring, height, holes = []) {
+    const toVec = (pts) => pts.map(p => new THREE.Vector2(p.x, p.z));
+    const shape = new THREE.Shape(toVec(ring));
+    for (const hole of holes) shape.holes.push(new THREE.Path(toVec(hole)));
+    const geo = new THREE.ExtrudeGeometry(shape, { depth: height, bevelEnabled: false, curveSegments: 1 });
+    geo.rotateX(Math.PI / 2);
+    geo.translate(0, height, 0);
+    return geo;
+}
+
+// Outer walls as one rounded-rectangle ring from y = 0 to height: the inside corners are
+// the outer radius less the wall, square once the wall is thicker than the radius
+export function createRoundedWallGeo(outerW, outerD, height, wall, radius = 0) {
+    const innerR = Math.max(0, radius - wall);
+    return extrudeRingUp(generateRoundedRectRing(outerW, outerD, radius, radius > 0 ? 8 : 1), height,
+        [generateRoundedRectRing(outerW - wall * 2, outerD - wall * 2, innerR, innerR > 0 ? 8 : 1)]);
+}
+
+// One rounded corner of a wall around its arc centre, from y = 0 to height: the part of the
+// wall ring inside the corner square (a quarter ring, or the whole rounded square when the
+// wall is thicker than the radius). The arc runs from angle a0 (radians in the XZ plane, as
+// in generateRoundedRectRing) through a quarter turn.
+export function createWallCornerGeo(radius, wall, height, a0 = 0, segs = 8) {
+    const innerR = Math.max(0, radius - wall);
+    const d = Math.max(0, wall - radius); // square reaches this far past the arc centre
+    const a1 = a0 + Math.PI / 2;
+    const arc = (r) => Array.from({ length: segs + 1 }, (_, i) => {
+        const angle = a0 + (a1 - a0) * (i / segs);
+        return { x: r * Math.cos(angle), z: r * Math.sin(angle) };
+    });
+    const u = { x: Math.cos(a0), z: Math.sin(a0) };
+    const v = { x: Math.cos(a1), z: Math.sin(a1) };
+    const at = (su, sv) => ({ x: u.x * su + v.x * sv, z: u.z * su + v.z * sv });
+    let inside = [{ x: 0, z: 0 }];
+    if (innerR > 0) inside = arc(innerR).reverse();
+    else if (d > 0) inside = [at(-d, radius), at(-d, -d), at(radius, -d)];
+    const ring = [...arc(radius), ...inside];
+    return extrudeRingUp(ring, height);
+}
+
+// --- Hinge Geometry ---
+// Knuckles around a hinge axis along x. Outlines are drawn in the hinge's own (z, y) plane:
+// origin on the axis, +z toward the box front, +y up. The lid top is flush with the
+// knuckle tops (y = radius); the back wall's outer face stands gap in front of the
+// knuckles (z = radius + gap), and the wall top is gap below the lid.
+const HINGE_SEGS = 24;
+
+// (z, y) outline (+ optional bore around the axis) as a prism from x = 0 to length
+function hingePrism(outline, length, boreRadius = 0) {
+    const shape = new THREE.Shape(outline.map(([z, y]) => new THREE.Vector2(z, y)));
+    if (boreRadius > 0) {
+        shape.holes.push(new THREE.Path(Array.from({ length: HINGE_SEGS }, (_, i) => {
+            const a = (i / HINGE_SEGS) * Math.PI * 2;
+            return new THREE.Vector2(boreRadius * Math.cos(a), boreRadius * Math.sin(a));
+        })));
+    }
+    const geo = new THREE.ExtrudeGeometry(shape, { depth: length, bevelEnabled: false, curveSegments: 1 });
+    // Shape x → scene z, shape y → y, extrusion → -x; then shifted onto x = 0..length
+    geo.applyMatrix4(new THREE.Matrix4().makeBasis(
+        new THREE.Vector3(0, 0, 1), new THREE.Vector3(0, 1, 0), new THREE.Vector3(-1, 0, 0)));
+    geo.translate(length, 0, 0);
+    return geo;
+}
+
+const hingeArc = (radius, a0, a1) => {
+    const segs = Math.max(2, Math.ceil(HINGE_SEGS * Math.abs(a1 - a0) / (Math.PI * 2)));
+    return Array.from({ length: segs + 1 }, (_, i) => {
+        const a = a0 + (a1 - a0) * (i / segs);
+        return [radius * Math.cos(a), radius * Math.sin(a)];
+    });
+};
+
+// Box knuckle: round on top, square below the axis down to the shelf, joined to the back
+// wall (overlap reaches into it)
+export function createBoxKnuckleGeo(length, { radius, gap, thickness, boreRadius = 0, overlap = 0 }) {
+    const wallTop = radius - thickness - gap;
+    const shelf = -radius - gap;
+    const back = radius + gap + overlap;
+    const outline = [
+        ...hingeArc(radius, 0, Math.PI),
+        [-radius, shelf - overlap],
+        [back, shelf - overlap],
+        [back, Math.min(0, wallTop)],
+    ];
+    if (wallTop < 0) outline.push([radius, wallTop]);
+    return hingePrism(outline, length, boreRadius);
+}
+
+// Lid knuckle: round all the way under the axis, joined to the back edge of the lid plate
+// by a bridge as thick as the lid (overlap reaches into the plate)
+export function createLidKnuckleGeo(length, { radius, gap, thickness, boreRadius = 0, overlap = 0 }) {
+    const back = radius + gap + overlap;
+    const phi = Math.asin(Math.max(-1, (radius - thickness) / radius));
+    const outline = [
+        [back, radius],
+        ...hingeArc(radius, Math.PI / 2, Math.PI * 2 + phi),
+        [back, radius - thickness],
+    ];
+    return hingePrism(outline, length, boreRadius);
+}
+
+// Shelf under the knuckles, gap below them, with a 45° underside down the back wall so it
+// prints without support
+export function createHingeShelfGeo(length, { radius, gap, overlap = 0 }) {
+    const shelf = -radius - gap;
+    const back = radius + gap + overlap;
+    return hingePrism([[back, shelf], [-radius, shelf], [back, shelf - (back + radius)]], length);
+}
+
+// --- Snap Lid Geometry ---
+
+// Band around a rounded rectangle (width × depth, corner radius) that swells out by
+// `protrusion` at 45° and back, from y = 0 up, with an optional flat of `flat` at full
+// reach. The band's inner edge is `inset` inside the outline so it overlaps what it is
+// unioned with or cut from. Used for the bead on a snap lid's insert and, a tolerance
+// larger, for the groove cut around the inside of the walls. The corners keep one radius
+// (a little over the full reach) on an odd number of segments, so the band's edges never
+// line up with the outline's corner edges.
+export function createSnapBandGeo(width, depth, radius, protrusion, { flat = 0, inset = 0 } = {}) {
+    const level = (y, grow) => ({ y, width: width + grow * 2, depth: depth + grow * 2, radius: radius + protrusion + inset });
+    const rise = protrusion + inset;
+    return buildProfileGeometry([
+        level(0, -inset),
+        level(rise, protrusion),
+        ...(flat > 0 ? [level(rise + flat, protrusion)] : []),
+        level(rise * 2 + flat, -inset),
+    ], 7);
+}
+
+// Straight 45° ridge along x (centred on x = 0) standing out towards +z from z = 0 by
+// `protrusion`, from y = 0 up, with an optional flat at full reach. `overlap` extends the
+// base back to z = -overlap. A latch hook, or (a tolerance larger) the pocket it clicks into.
+export function createSnapRidgeGeo(length, protrusion, { flat = 0, overlap = 0 } = {}) {
+    const top = protrusion * 2 + flat;
+    const back = overlap > 0 ? [[-overlap, top], [-overlap, 0]] : [];
+    const peak = flat > 0 ? [[protrusion, protrusion], [protrusion, protrusion + flat]] : [[protrusion, protrusion]];
+    const outline = [[0, 0], ...peak, [0, top], ...back];
+    const shape = new THREE.Shape(outline.map(([z, y]) => new THREE.Vector2(z, y)));
+    const geo = new THREE.ExtrudeGeometry(shape, { depth: length, bevelEnabled: false, curveSegments: 1 });
+    // Shape x → scene z, shape y → y, extrusion → -x; then centred on x = 0
+    geo.applyMatrix4(new THREE.Matrix4().makeBasis(
+        new THREE.Vector3(0, 0, 1), new THREE.Vector3(0, 1, 0), new THREE.Vector3(-1, 0, 0)));
+    geo.translate(length / 2, 0, 0);
+    return geo;
+}
+
+// --- Slide Lid Geometry ---
+
+// Closed solid lofted through rings of { x, y, z } (bottom to top, same point count,
+// counterclockwise seen from above like generateRoundedRectRing), capped at both ends
+function loftRings(rings) {
+    const { pushCap, pushBand, toGeometry } = createMeshBuilder();
+    for (let r = 0; r < rings.length - 1; r++) pushBand(rings[r], rings[r + 1], false);
+    pushCap(ringToShape(rings[rings.length - 1]), rings[rings.length - 1][0].y, true);
+    pushCap(ringToShape(rings[0]), rings[0][0].y, false);
+    return toGeometry();
+}
+
+// Dovetail rails along the side and back walls of an outerW × outerD box, open at the
+// front (+z), from y = 0 up. At y = 0 the rails are `neck` wide; their inner faces lean in
+// by `undercut` up to y = slot (kept within 45° so they print without supports), then rise
+// straight for `cap`.
+export function createDovetailRailGeo(outerW, outerD, { neck, undercut, slot, cap }) {
+    const hw = outerW / 2, hd = outerD / 2;
+    const ring = (y, e) => [
+        [hw, -hd], [hw, hd], [hw - e, hd], [hw - e, -hd + e],
+        [-hw + e, -hd + e], [-hw + e, hd], [-hw, hd], [-hw, -hd],
+    ].map(([x, z]) => ({ x, y, z }));
+    const e = neck + undercut;
+    return loftRings([ring(0, neck), ring(slot, e), ring(slot + cap, e)]);
+}
+
+// Slide lid plate (width × depth at its bottom face, centred, y = 0 up to thickness) with
+// its sides and back edge bevelled in by `undercut` at the top to ride under dovetail rails.
+// The front edge stays square.
+export function createDovetailLidGeo(width, depth, thickness, undercut) {
+    const hw = width / 2, hd = depth / 2;
+    const ring = (y, u) => [[hw - u, -hd + u], [hw - u, hd], [-hw + u, hd], [-hw + u, -hd + u]]
+        .map(([x, z]) => ({ x, y, z }));
+    return loftRings([ring(0, 0), ring(thickness, undercut)]);
+}
+
+// --- Jar Geometry ---
+const JAR_SEGS = 64;
+
+// Round tube (or disc, innerRadius 0) around the y axis from y = 0 to height. Its vertices
+// sit half a segment off the thread's, so a thread's edges never meet the tube's.
+export function createTubeGeo(outerRadius, innerRadius, height, segs = JAR_SEGS) {
+    const ring = (radius) => Array.from({ length: segs }, (_, i) => {
+        const a = ((i + 0.5) / segs) * Math.PI * 2;
+        return { x: Math.cos(a) * radius, z: Math.sin(a) * radius };
+    });
+    return extrudeRingUp(ring(outerRadius), height, innerRadius > 0 ? [ring(innerRadius)] : []);
+}
+
+// Right-hand helical thread around the y axis, starting at angle 0 (+z) at y = 0 and
+// rising one pitch per turn. The profile stands on `radius`: rootWidth tall there,
+// `depth` out (or in, for a cap's internal thread) with 45° flanks, and buried `overlap`
+// into the surface it sits on. The depth tapers in over the first and last eighth turn
+// so the thread starts without a blunt end.
+export function createThreadGeo(radius, pitch, turns, { depth, rootWidth, inward = false, overlap = 0, segs = JAR_SEGS }) {
+    const s = inward ? -1 : 1;
+    const steps = Math.max(2, Math.ceil(turns * segs));
+    const taper = Math.min(segs / 8, steps / 2);
+    const positions = [];
+    for (let i = 0; i <= steps; i++) {
+        const a = (i / steps) * turns * Math.PI * 2;
+        const lift = (a / (Math.PI * 2)) * pitch;
+        const d = depth * Math.min(1, i / taper, (steps - i) / taper);
+        const profile = [[radius - s * overlap, 0], [radius + s * d, d], [radius + s * d, rootWidth - d], [radius - s * overlap, rootWidth]];
+        for (const [r, y] of profile) positions.push(r * Math.sin(a), y + lift, r * Math.cos(a));
+    }
+    const index = [];
+    const quad = (a, b, c, d) => (inward ? index.push(a, b, c, a, c, d) : index.push(a, c, b, a, d, c));
+    for (let i = 0; i < steps; i++) {
+        const p = i * 4, q = p + 4;
+        for (let k = 0; k < 4; k++) quad(p + k, p + (k + 1) % 4, q + (k + 1) % 4, q + k);
+    }
+    const last = steps * 4;
+    quad(0, 3, 2, 1);
+    quad(last, last + 1, last + 2, last + 3);
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geo.setIndex(index);
+    geo.computeVertexNormals();
+    return geo;
+}
@@ -0,0 +1,57 @@
+// --- BOX3D Core ---
+// Headless entry point: everything needed to lay out, build and export a model
+// without React or a WebGL context.
+export * from './units.js';
+export {
+    createHexagonPath,
+    createRoundedRectPath,
+    generateRoundedRectRing,
+    buildProfileGeometry,
+    createGridfinityFootGeo,
+    createGridfinityLipGeo,
+    gridfinityReceiverLevels,
+    createGridfinityBaseplateGeo,
+    createScoopGeo,
+    createLabelTabGeo,
+    createDividerGeo,
+    createRoundedSlabGeo,
+    createRoundedWallGeo,
+    createWallCornerGeo,
+    createBoxKnuckleGeo,
+    createLidKnuckleGeo,
+    createHingeShelfGeo,
+    createSnapBandGeo,
+    createSnapRidgeGeo,
+    createDovetailRailGeo,
+    createDovetailLidGeo,
+    createTubeGeo,
+    createThreadGeo,
+} from './geometry.js';
+export { calculateConstraints } from './constraints.js';
+export { GRID_MM, DRAWER_CLEARANCE_MM, fitDrawer, planBaseplateTiles } from './tiling.js';
+export {
+    DIVIDER_STEPS, compartmentLines, equalDividers, fullGridWalls, wallSpan, remapWalls, setWallRun, mergeCells, splitCells,
+    findCompartments, compartmentEdgeRuns,
+} from './compartments.js';
+export { measureText, createTextGeo, placeOnFace } from './text.js';
+export {
+    parseOutline, parseSVGOutline, parseDXFOutline, outlineSize, isOutline, placeOutline, fingerHolePositions,
+} from './outline.js';
+export {
+    PRINTER_PROFILES, PRINTER_RANGES, DEFAULT_PRINTER_ID, CUSTOM_PRINTER_ID, DEFAULT_PRINTER,
+    DEFAULT_PRINTER_SETTINGS, resolvePrinter, loadPrinterSettings, savePrinterSettings,
+} from './printers.js';
+export { buildModel } from './model.js';
+export { generateSTL, writeBinarySTL } from './stl.js';
+export { solidify, solidifyMeshes, collectPartMeshes, loadManifold } from './solid.js';
+export { generate3MF, PART_NAMES } from './threemf.js';
+export { createZip } from './zip.js';
+export { getExportName, partFileName, generatePartFiles } from './export.js';
+export {
+    APP_MODES, DEFAULT_APP_MODE, DEFAULT_CONFIG, CONFIG_CHOICES, CONFIG_RANGES, inRange,
+} from './config.js';
+export {
+    PROJECT_FORMAT, PROJECT_VERSION,
+    serializeProject, parseProject, projectToJSON, projectFromJSON,
+    encodeProjectHash, decodeProjectHash,
+} from './project.js';
@@ -0,0 +1,689 @@
+import * as THREE from 'three';
+import { MM_TO_IN, GEO_OVERLAP, toScene } from './units.js';
+import {
+    createHexagonPath,
+    createGridfinityFootGeo,
+    createGridfinityLipGeo,
+    createGridfinityBaseplateGeo,
+    createScoopGeo,
+    createLabelTabGeo,
+    createDividerGeo,
+    createRoundedSlabGeo,
+    createRoundedWallGeo,
+    createWallCornerGeo,
+    createBoxKnuckleGeo,
+    createLidKnuckleGeo,
+    createHingeShelfGeo,
+    createSnapBandGeo,
+    createSnapRidgeGeo,
+    createDovetailRailGeo,
+    createDovetailLidGeo,
+    createTubeGeo,
+    createThreadGeo,
+} from './geometry.js';
+import { calculateConstraints } from './constraints.js';
+import { compartmentLines, compartmentEdgeRuns, wallSpan } from './compartments.js';
+import { createTextGeo, placeOnFace } from './text.js';
+
+// --- Model Builder ---
+// Pure geometry entry point: config (+ appMode) and compartment walls in, meshes out.
+// No React, DOM or renderer is touched, so this runs the same in the browser and in Node.
+// Returns { layout, group } where layout is the calculateConstraints() result and
+// group is a THREE.Group holding the positioned part meshes (box left of origin, lid right),
+// each tagged with mesh.userData.part (a round jar is 'jar' + 'cap').
+export function buildModel(config, compartmentWalls = [], materials = {}) {
+    const layout = calculateConstraints(config, compartmentWalls);
+    const group = new THREE.Group();
+
+    const { outerW, outerD, stack } = layout;
+    const { holes, infill } = config;
+    const isGridfinity = config.appMode === 'gridfinity';
+
+    const material = materials.body || new THREE.MeshStandardMaterial({
+        color: "#3b82f6", roughness: 0.5, metalness: 0.1,
+        side: THREE.DoubleSide
+    });
+    const lidMaterial = materials.lid || new THREE.MeshStandardMaterial({
+        color: "#3b82f6", roughness: 0.5, metalness: 0.1
+    });
+    const cutMaterial = materials.cut || new THREE.MeshStandardMaterial({
+        color: "#1f2937", roughness: 0.8, metalness: 0.0
+    });
+
+    // part: 'body' | 'lid' | 'frame' | 'tile-<label>' | 'jar' | 'cap' — exporters split objects/files on this tag
+    // cut: the mesh is subtracted from its part on export (engraving) instead of added
+    const addMesh = (geo, x, y, z, rotX=0, rotY=0, part='body', cut=false) => {
+        const mesh = new THREE.Mesh(geo, cut ? cutMaterial : (part === 'lid' || part === 'cap' ? lidMaterial : material));
+        mesh.userData.part = part;
+        if (cut) mesh.userData.cut = true;
+        mesh.position.set(x, y, z);
+        if(rotX) mesh.rotation.x = rotX;
+        if(rotY) mesh.rotation.y = rotY;
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        group.add(mesh);
+    };
+
+    // --- GRIDFINITY FRAME (FEMALE) ---
+    // Baseplate with the receiving profile per cell (see createGridfinityBaseplateGeo),
+    // one mesh per bed-sized tile. A single tile is the 'frame' part; split plates tag each
+    // tile with its position label ('tile-A1', 'tile-B1', ...) so it exports on its own.
+    if (stack.baseplate) {
+        const { profileY, weighted, magnets, magnet, tiles } = stack.baseplate;
+        const gap = 30 * MM_TO_IN;
+        const boxOffsetX = -(outerW / 2) - gap;
+        const mmToScene = (v) => v * MM_TO_IN;
+        for (const tile of tiles) {
+            const padding = {
+                left: mmToScene(tile.padding.left), right: mmToScene(tile.padding.right),
+                back: mmToScene(tile.padding.back), front: mmToScene(tile.padding.front)
+            };
+            const plateGeo = createGridfinityBaseplateGeo(tile.unitsX, tile.unitsZ, {
+                baseH: profileY, weighted, magnets, magnet, padding, joins: tile.joins
+            });
+            const part = tiles.length > 1 ? `tile-${tile.label}` : 'frame';
+            addMesh(plateGeo, boxOffsetX + tile.x, stack.baseplate.yMin, tile.z, 0, 0, part);
+        }
+        return { layout, group };
+    }
+
+    // --- PARTS BUILDER ---
+    const gap = 30 * MM_TO_IN;
+    const boxOffsetX = -(outerW / 2) - gap;
+
+    // --- ROUND JAR ---
+    // Jar left of the origin; the cap is built screwed on, then turned top face down
+    // beside it. Threads are buried half their depth into the tube / skirt they stand on.
+    if (stack.jar) {
+        const { innerRadius, radius, rim, cap, thread } = stack.jar;
+        const floorTop = stack.floor.yMax;
+        addMesh(createTubeGeo(radius, 0, floorTop), boxOffsetX, 0, 0, 0, 0, 'jar');
+        addMesh(createTubeGeo(radius, innerRadius, rim - floorTop + GEO_OVERLAP), boxOffsetX, floorTop - GEO_OVERLAP, 0, 0, 0, 'jar');
+        const threadOpts = { depth: thread.depth, rootWidth: thread.rootWidth, overlap: thread.depth / 2 };
+        addMesh(createThreadGeo(radius, thread.pitch, thread.turns, threadOpts), boxOffsetX, thread.yStart, 0, 0, 0, 'jar');
+
+        const capFlip = new THREE.Matrix4()
+            .makeTranslation((outerW / 2) + gap, rim + cap.thickness, 0)
+            .multiply(new THREE.Matrix4().makeRotationX(Math.PI));
+        const capGeos = [
+            createTubeGeo(cap.radius, 0, cap.thickness).translate(0, rim, 0),
+            createTubeGeo(cap.radius, cap.innerRadius, cap.skirt + GEO_OVERLAP).translate(0, rim - cap.skirt, 0),
+            createThreadGeo(cap.innerRadius, thread.pitch, thread.turns, { ...threadOpts, inward: true }).translate(0, thread.capYStart, 0),
+        ];
+        for (const geo of capGeos) addMesh(geo.applyMatrix4(capFlip), 0, 0, 0, 0, 0, 'cap');
+        return { layout, group };
+    }
+
+    // 1. FEET (proper chamfered profile per Gridfinity spec)
+    if (stack.feet) {
+        const { unitsX, unitsZ } = layout.grid;
+        const GRID_IN = 42.0 * MM_TO_IN;
+
+        // Feet on the nominal 42mm grid (independent of 0.5mm outer shrink). A half unit
+        // left at the right or front edge gets a 21mm foot; half-size feet split every cell.
+        const step = stack.feet.size === 'half' ? 0.5 : 1;
+        const spans = (units) => {
+            const out = [];
+            for (let u = 0; u < units; u += step) out.push({ start: u, size: Math.min(step, units - u) });
+            return out;
+        };
+        // Holes only at foot corners on the 42mm grid, where the baseplate has its magnets
+        const cornerSigns = (span) => [
+            ...(Number.isInteger(span.start) ? [-1] : []),
+            ...(Number.isInteger(span.start + span.size) ? [1] : []),
+        ];
+
+        const footGeos = new Map();
+        const startX = -(unitsX * GRID_IN) / 2;
+        const startZ = -(unitsZ * GRID_IN) / 2;
+        for (const sx of spans(unitsX)) {
+            for (const sz of spans(unitsZ)) {
+                const holeCorners = cornerSigns(sx).flatMap(cx => cornerSigns(sz).map(cz => [cx, cz]));
+                const key = `${sx.size}x${sz.size}:${holeCorners.join(';')}`;
+                if (!footGeos.has(key)) {
+                    footGeos.set(key, createGridfinityFootGeo(stack.feet.holes, stack.feet.magnet, {
+                        width: sx.size * GRID_IN, depth: sz.size * GRID_IN, holeCorners
+                    }));
+                }
+                const cx = startX + (sx.start + sx.size / 2) * GRID_IN;
+                const cz = startZ + (sz.start + sz.size / 2) * GRID_IN;
+                addMesh(footGeos.get(key), cx + boxOffsetX, stack.feet.yMin, cz);
+            }
+        }
+    }
+
+    // Standard boxes: rounded corners and bottom chamfers (square, none for Gridfinity)
+    const corners = stack.corners || { radius: 0, innerRadius: 0, chamfer: 0, lidChamfer: 0 };
+
+    // 2. FLOOR
+    if (stack.floor) {
+        const h = stack.floor.yMax - stack.floor.yMin + GEO_OVERLAP;
+        const geo = corners.radius > 0 || corners.chamfer > 0
+            ? createRoundedSlabGeo(outerW, outerD, h, corners.radius, corners.chamfer)
+            : new THREE.BoxGeometry(outerW, h, outerD).translate(0, h / 2, 0);
+        addMesh(geo, boxOffsetX, stack.floor.yMin - GEO_OVERLAP, 0);
+    }
+
+    // 3. WALLS
+    if (stack.wall) {
+        // Overlap into the lip/rails above as well, so the export union fuses them
+        const topOverlap = (stack.lip || stack.rail) ? GEO_OVERLAP : 0;
+        const h = stack.wall.yMax - stack.wall.yMin + GEO_OVERLAP + topOverlap;
+        const y = stack.wall.yMin - GEO_OVERLAP;
+        
+        const wallThick = toScene(config.wall);
+
+        if (holes) {
+            const createPerforatedWall = (w, height, thick) => {
+                const shape = new THREE.Shape();
+                shape.moveTo(-w/2, 0);
+                shape.lineTo(w/2, 0);
+                shape.lineTo(w/2, height);
+                shape.lineTo(-w/2, height);
+                shape.lineTo(-w/2, 0);
+
+                const hexR = toScene(config.holeSize) / 2 + (0.5 / 2) * MM_TO_IN; // +0.5mm clearance
+                const voidFraction = 1 - Math.min(0.99, Math.max(0.01, infill));
+                const centerSpacing = hexR * Math.sqrt(3 / voidFraction);
+                const spacingX = centerSpacing;
+                const spacingY = centerSpacing * Math.sqrt(3) / 2;
+
+                const margin = thick * 1.5;
+                const availW = w - (margin * 2);
+                const availH = height - (margin * 2);
+                
+                const startX = -w/2 + margin + hexR;
+                const startY = margin + hexR;
+
+                const cols = Math.floor(availW / spacingX);
+                const rows = Math.floor(availH / spacingY);
+
+                if (cols > 0 && rows > 0) {
+                    for(let r=0; r<rows; r++) {
+                        for(let c=0; c<cols; c++) {
+                            const isOddRow = r % 2 === 1;
+                            const offsetX = isOddRow ? spacingX / 2 : 0;
+                            if (isOddRow && c === cols - 1) continue; 
+
+                            const cx = startX + (c * spacingX) + offsetX;
+                            const cy = startY + (r * spacingY);
+                            if (cx > w/2 - margin || cy > height - margin) continue;
+
+                            const hex = createHexagonPath(cx, cy, hexR);
+                            shape.holes.push(hex);
+                        }
+                    }
+                }
+                return new THREE.ExtrudeGeometry(shape, { depth: thick, bevelEnabled: false });
+            };
+
+            // Rounded boxes: flat panels along the straight runs, butting onto a solid corner
+            // piece that fills each corner square (the radius, or the wall if thicker)
+            const r = corners.radius;
+            const cornerSize = Math.max(r, wallThick);
+            const fbW = r > 0 ? outerW - (cornerSize * 2) : outerW;
+            const fbGeo = createPerforatedWall(fbW, h, wallThick);
+            addMesh(fbGeo, boxOffsetX, y, outerD/2 - wallThick, 0, 0); 
+            addMesh(fbGeo, boxOffsetX, y, -outerD/2, 0, 0); 
+
+            const sideW = r > 0 ? outerD - (cornerSize * 2) : outerD - (wallThick * 2) + (GEO_OVERLAP * 2);
+            const lrGeo = createPerforatedWall(sideW, h, wallThick);
+            addMesh(lrGeo, boxOffsetX + outerW/2 - wallThick, y, 0, 0, Math.PI/2);
+            addMesh(lrGeo, boxOffsetX - outerW/2, y, 0, 0, Math.PI/2);
+
+            if (r > 0) {
+                for (const [sx, sz, a0] of [[1, -1, -Math.PI/2], [1, 1, 0], [-1, 1, Math.PI/2], [-1, -1, Math.PI]]) {
+                    addMesh(createWallCornerGeo(r, wallThick, h, a0), boxOffsetX + sx * (outerW/2 - r), y, sz * (outerD/2 - r));
+                }
+            }
+        } else {
+            addMesh(createRoundedWallGeo(outerW, outerD, h, wallThick, corners.radius), boxOffsetX, y, 0);
+        }
+    }
+
+    // Divider lines, in mm from line 0: the nominal 42mm grid for Gridfinity (like the feet,
+    // not the 0.5mm-shrunk outer) and its subdivisions, the inner back-left corner for boxes
+    const lines = compartmentLines(config, layout);
+
+    // 3.5. COMPARTMENT DIVIDERS (per-segment)
+    // Fixed segments are part of the body. Removable ones become one plate per run of
+    // segments along a line, held by grooves in the outer walls and laid flat in front of
+    // the box as the 'dividers' part.
+    if (stack.dividers) {
+        const { yMin, maxHeight, groove } = stack.dividers;
+        const wallThick = toScene(config.wall);
+        const NOTCH_W = 25 * MM_TO_IN;
+
+        // Height above the floor: the segment's own (mm), capped at the full height
+        const heightOf = (w) => (w.height > 0 ? Math.min(w.height * MM_TO_IN, maxHeight) : maxHeight);
+        const notchOf = (w, len, h) => (w.notch
+            ? { notchWidth: Math.min(NOTCH_W, len / 2), notchDepth: Math.min(h / 2, NOTCH_W * 0.6) }
+            : {});
+        // Segment or run on a wall line, in box coordinates: origin of the line's axis and
+        // of the axis it runs along, the outer size along it
+        const frame = (axis) => axis === 'x'
+            ? { across: lines.origin.x, along: lines.origin.z, outer: outerD }
+            : { across: lines.origin.z, along: lines.origin.x, outer: outerW };
+
+        // One cell long, overlapping neighbours and the outer walls, never past the outside
+        const segSpan = (origin, span, outer) => {
+            const lo = Math.max(origin + span.from * MM_TO_IN - GEO_OVERLAP, -outer / 2 + wallThick / 2);
+            const hi = Math.min(origin + span.to * MM_TO_IN + GEO_OVERLAP, outer / 2 - wallThick / 2);
+            return { len: hi - lo, mid: (lo + hi) / 2 };
+        };
+
+        const runs = new Map(); // removable segments by line, merged below
+        for (const w of compartmentWalls) {
+            const span = wallSpan(lines, w);
+            if (!span) continue;
+            if (w.removable) {
+                const key = `${w.axis}:${w.pos}`;
+                if (!runs.has(key)) runs.set(key, []);
+                runs.get(key).push({ w, span });
+                continue;
+            }
+            const f = frame(w.axis);
+            const seg = segSpan(f.along, span, f.outer);
+            const h = heightOf(w) + GEO_OVERLAP;
+            const at = f.across + (w.pos * MM_TO_IN);
+            let geo;
+            if (w.notch) {
+                geo = createDividerGeo(seg.len, h, wallThick, notchOf(w, seg.len, h));
+                if (w.axis === 'x') geo.rotateY(Math.PI / 2);
+            } else {
+                geo = w.axis === 'x'
+                    ? new THREE.BoxGeometry(wallThick, h, seg.len)
+                    : new THREE.BoxGeometry(seg.len, h, wallThick);
+                geo.translate(0, h / 2, 0);
+            }
+            if (w.axis === 'x') addMesh(geo, boxOffsetX + at, yMin - GEO_OVERLAP, seg.mid);
+            else addMesh(geo, boxOffsetX + seg.mid, yMin - GEO_OVERLAP, at);
+        }
+
+        // Removable plates: contiguous segments with the same height and notch become one plate
+        const plates = [];
+        for (const segs of runs.values()) {
+            segs.sort((a, b) => a.w.seg - b.w.seg);
+            for (const s of segs) {
+                const last = plates[plates.length - 1];
+                const joins = last && last.w.axis === s.w.axis && last.w.pos === s.w.pos
+                    && last.segTo === s.w.seg - 1 && heightOf(last.w) === heightOf(s.w) && !!last.w.notch === !!s.w.notch;
+                if (joins) {
+                    last.to = s.span.to;
+                    last.segTo = s.w.seg;
+                } else {
+                    plates.push({ w: s.w, from: s.span.from, to: s.span.to, segTo: s.w.seg });
+                }
+            }
+        }
+
+        let plateZ = outerD / 2 + gap;
+        for (const p of plates) {
+            const f = frame(p.w.axis);
+            const along = p.w.axis === 'x' ? lines.z : lines.x;
+            const innerFace = f.outer / 2 - wallThick;
+            const reach = innerFace + groove.depth - groove.clearance; // into the groove
+            const butt = wallThick / 2 + groove.clearance;             // against a crossing divider
+            const atStart = p.from === along[0];
+            const atEnd = p.to === along[along.length - 1];
+            const lo = atStart ? -reach : f.along + p.from * MM_TO_IN + butt;
+            const hi = atEnd ? reach : f.along + p.to * MM_TO_IN - butt;
+            const h = heightOf(p.w);
+            const at = f.across + (p.w.pos * MM_TO_IN);
+
+            // Grooves where the plate meets the outer walls, cut up through any lip or rails
+            const cutDepth = Math.max(wallThick, 4 * MM_TO_IN) - (wallThick - groove.depth);
+            const cutH = groove.yMax - yMin + GEO_OVERLAP;
+            const slot = wallThick + groove.clearance * 2;
+            for (const [end, sign] of [[atStart, -1], [atEnd, 1]]) {
+                if (!end) continue;
+                const c = sign * (innerFace + groove.depth - cutDepth / 2);
+                const geo = p.w.axis === 'x'
+                    ? new THREE.BoxGeometry(slot, cutH, cutDepth)
+                    : new THREE.BoxGeometry(cutDepth, cutH, slot);
+                if (p.w.axis === 'x') addMesh(geo, boxOffsetX + at, yMin + cutH / 2, c, 0, 0, 'body', true);
+                else addMesh(geo, boxOffsetX + c, yMin + cutH / 2, at, 0, 0, 'body', true);
+            }
+
+            // Plate flat on the bed, notch toward the front
+            const len = hi - lo;
+            const geo = createDividerGeo(len, h, wallThick, notchOf(p.w, len, h));
+            geo.rotateX(Math.PI / 2);
+            addMesh(geo, boxOffsetX, wallThick / 2, plateZ, 0, 0, 'dividers');
+            plateZ += h + gap / 3;
+        }
+    }
+
+    // 3.6. SCOOPS (front inside wall, or the front of every compartment)
+    // Built per column of divider lines so each ramp stops at the dividers in that column.
+    if (stack.wall && isGridfinity && config.scoop !== 'none') {
+        const wallThick = toScene(config.wall);
+        const innerHalfW = outerW / 2 - wallThick;
+        const maxR = stack.wall.yMax - stack.floor.yMax;
+
+        for (let col = 0; col < lines.x.length - 1; col++) {
+            const x0 = Math.max(lines.origin.x + lines.x[col] * MM_TO_IN, -innerHalfW) - GEO_OVERLAP;
+            const x1 = Math.min(lines.origin.x + lines.x[col + 1] * MM_TO_IN, innerHalfW) + GEO_OVERLAP;
+
+            // Compartments in this column, front to back: { front face, back face }
+            const dividers = compartmentWalls
+                .filter(w => w.axis === 'z' && w.seg === col)
+                .map(w => lines.origin.z + w.pos * MM_TO_IN)
+                .sort((a, b) => b - a);
+            const fronts = [outerD / 2 - wallThick, ...dividers.map(z => z - wallThick / 2)];
+            const backs = [...dividers.map(z => z + wallThick / 2), -outerD / 2 + wallThick];
+            const count = config.scoop === 'front' ? 1 : fronts.length;
+
+            for (let i = 0; i < count; i++) {
+                const r = Math.min(toScene(config.scoopRadius), maxR, fronts[i] - backs[i]);
+                if (r <= 0) continue;
+                addMesh(createScoopGeo(x1 - x0, r, GEO_OVERLAP), boxOffsetX + x0, stack.floor.yMax, fronts[i]);
+            }
+        }
+    }
+
+    // 3.7. LABEL TABS (back or front wall; across the bin, or one per compartment)
+    const tabFaces = []; // label faces for text: { x0, x1, z } in box coordinates
+    if (stack.labelTab) {
+        const { yTop, maxDrop, mode, side, width, depth, angle } = stack.labelTab;
+        const wallThick = toScene(config.wall);
+        const innerHalfW = outerW / 2 - wallThick;
+        const innerHalfD = outerD / 2 - wallThick;
+        // Scene position of divider line k along each axis
+        const lineX = (k) => lines.origin.x + lines.x[k] * MM_TO_IN;
+        const lineZ = (k) => lines.origin.z + lines.z[k] * MM_TO_IN;
+        const cols = lines.x.length - 1;
+        const lastRow = lines.z.length - 2;
+
+        const runs = mode === 'full'
+            ? [{ row: side === 'back' ? 0 : lastRow, i0: 0, i1: cols }]
+            : compartmentEdgeRuns(lines.x, lines.z, compartmentWalls, side);
+
+        for (const run of runs) {
+            // Between the side walls or the dividers at either end of the run
+            let x0 = run.i0 === 0 ? -innerHalfW : lineX(run.i0) + wallThick / 2;
+            let x1 = run.i1 === cols ? innerHalfW : lineX(run.i1) - wallThick / 2;
+            if (mode === 'custom' && width < x1 - x0) {
+                const mid = (x0 + x1) / 2;
+                x0 = mid - width / 2;
+                x1 = mid + width / 2;
+            } else {
+                x0 -= GEO_OVERLAP;
+                x1 += GEO_OVERLAP;
+            }
+
+            const geo = createLabelTabGeo(x1 - x0, depth, angle, { maxDrop, overlap: GEO_OVERLAP });
+            if (side === 'back') {
+                // Back wall, or the divider behind the compartment; turned to face the front
+                const z = run.row === 0 ? -innerHalfD : lineZ(run.row) + wallThick / 2;
+                geo.rotateY(Math.PI);
+                addMesh(geo, boxOffsetX + x1, yTop, z);
+                tabFaces.push({ x0, x1, z });
+            } else {
+                const z = run.row === lastRow ? innerHalfD : lineZ(run.row + 1) - wallThick / 2;
+                addMesh(geo, boxOffsetX + x0, yTop, z);
+                tabFaces.push({ x0, x1, z });
+            }
+        }
+    }
+
+    // 3.8. CUTOUT (solid fill with a tool pocket and finger holes, cut out on export)
+    if (stack.cutout) {
+        const { yMin, yMax, polygons, rotation, fingers, fingerRadius } = stack.cutout;
+        const wallThick = toScene(config.wall);
+        const fillH = yMax - yMin + GEO_OVERLAP;
+        const fill = createRoundedSlabGeo(outerW - wallThick * 2 + GEO_OVERLAP * 2, outerD - wallThick * 2 + GEO_OVERLAP * 2,
+            fillH, corners.innerRadius > 0 ? corners.innerRadius + GEO_OVERLAP : 0);
+        addMesh(fill, boxOffsetX, yMin - GEO_OVERLAP, 0);
+
+        // Shapes lie in x/z (y of the shape = scene z); pockets run from the floor up through the fill
+        const depth = yMax - yMin + GEO_OVERLAP;
+        const addPocket = (shape) => {
+            const geo = new THREE.ExtrudeGeometry(shape, { depth, bevelEnabled: false, curveSegments: 24 });
+            geo.rotateX(Math.PI / 2);
+            addMesh(geo, boxOffsetX, yMax + GEO_OVERLAP, 0, 0, 0, 'body', true);
+        };
+        for (const poly of polygons) addPocket(new THREE.Shape(poly.map(([x, z]) => new THREE.Vector2(x, z))));
+        // Finger holes: vertices start half a step off the outline's own axes, so a hole
+        // centred on a straight end of the outline has none exactly on that edge
+        const FINGER_SEGS = 32;
+        for (const f of fingers) {
+            const a0 = rotation + Math.PI / FINGER_SEGS;
+            addPocket(new THREE.Shape(Array.from({ length: FINGER_SEGS }, (_, k) => new THREE.Vector2(
+                f.x + fingerRadius * Math.cos(a0 + (k / FINGER_SEGS) * Math.PI * 2),
+                f.z + fingerRadius * Math.sin(a0 + (k / FINGER_SEGS) * Math.PI * 2)))));
+        }
+    }
+
+    // 4. RAILS
+    if (stack.rail) {
+        const { slot, cap, neck, undercut, detent } = stack.rail;
+        const rails = createDovetailRailGeo(outerW, outerD, {
+            neck, undercut, slot: slot.yMax - slot.yMin, cap: cap.yMax - cap.yMin
+        });
+        addMesh(rails, boxOffsetX, slot.yMin, 0);
+
+        // Detent bump across the middle of the front wall top, 45° both ways
+        const bump = createSnapRidgeGeo(detent.length, detent.height, { overlap: GEO_OVERLAP });
+        bump.rotateX(-Math.PI / 2);
+        addMesh(bump, boxOffsetX, slot.yMin, (outerD / 2) - (toScene(config.wall) / 2) + detent.height);
+    }
+
+    // 5. LIP (proper stepped profile matching foot inverse)
+    if (stack.lip) {
+        const lipGeo = createGridfinityLipGeo(outerW, outerD, stack.lip.style);
+        addMesh(lipGeo, boxOffsetX, stack.lip.yMin, 0);
+    }
+
+    // 6. LID GEOMETRY
+    // Hinged lids are built closed on the box. Printed in place they stay there as part of
+    // the body; otherwise they are turned top face down beside the box (lidFlip).
+    const lidTop = stack.lid ? stack.lid.yPos + stack.lid.thickness : 0;
+    const lidFlip = new THREE.Matrix4()
+        .makeTranslation((outerW / 2) + gap - boxOffsetX, lidTop, 0)
+        .multiply(new THREE.Matrix4().makeRotationX(Math.PI));
+    const hingeLidOnBed = stack.lid && stack.lid.type === 'hinge' && !stack.lid.inPlace;
+
+    // Snap lid: the bead or latches are built closed on the box, then turned onto the bed
+    // with the lid (lidFlip); the groove or latch pockets are cut into the inside of the walls
+    const addSnapFeatures = ({ yPos, snap }) => {
+        const { interference: reach, grooveY, latches } = snap;
+        const tol = toScene(config.tolerance);
+        const wallT = toScene(config.wall);
+        const innerW = outerW - wallT * 2;
+        const innerD = outerD - wallT * 2;
+        const grooveBottom = grooveY - reach - tol / 2;
+        const addLidMesh = (geo) => {
+            geo.applyMatrix4(lidFlip);
+            addMesh(geo, 0, 0, 0, 0, 0, 'lid');
+        };
+
+        if (!latches) {
+            const groove = createSnapBandGeo(innerW, innerD, corners.innerRadius, reach, { flat: tol, inset: GEO_OVERLAP });
+            addMesh(groove, boxOffsetX, grooveBottom - GEO_OVERLAP, 0, 0, 0, 'body', true);
+            const insertR = Math.max(0, corners.innerRadius - tol / 2);
+            const bead = createSnapBandGeo(innerW - tol, innerD - tol, insertR, reach, { inset: GEO_OVERLAP });
+            bead.translate(boxOffsetX, yPos - snap.centre - reach - GEO_OVERLAP, 0);
+            addLidMesh(bead);
+            return;
+        }
+
+        // Each side: distance from the centre to the wall's inside, turn from the front
+        // (+z outward), and the straight run the latches spread along
+        const { arm, width, length, perSide } = latches;
+        const straight = (v) => v - corners.innerRadius * 2;
+        const sides = [
+            [innerW / 2, -Math.PI / 2, straight(innerD)],
+            [innerW / 2, Math.PI / 2, straight(innerD)],
+            [innerD / 2, 0, straight(innerW)],
+            [innerD / 2, Math.PI, straight(innerW)],
+        ];
+        const onSide = (geo, [, turn], along) => {
+            geo.translate(along, 0, 0);
+            geo.rotateY(turn);
+            geo.translate(boxOffsetX, 0, 0);
+            return geo;
+        };
+        sides.forEach((side, s) => {
+            const [half, , run] = side;
+            const face = half - tol / 2; // arm's outer face
+            for (let i = 0; i < perSide[s]; i++) {
+                const along = run * ((i + 0.5) / perSide[s] - 0.5);
+                const armGeo = new THREE.BoxGeometry(width, length + GEO_OVERLAP, arm);
+                armGeo.translate(0, yPos - (length - GEO_OVERLAP) / 2, face - arm / 2);
+                addLidMesh(onSide(armGeo, side, along));
+                const hook = createSnapRidgeGeo(width, reach, { overlap: GEO_OVERLAP });
+                hook.translate(0, yPos - length, face);
+                addLidMesh(onSide(hook, side, along));
+                const pocket = createSnapRidgeGeo(width + tol * 2, reach, { flat: tol, overlap: GEO_OVERLAP });
+                pocket.translate(0, grooveBottom, half);
+                addMesh(onSide(pocket, side, along), 0, 0, 0, 0, 0, 'body', true);
+            }
+        });
+    };
+    if (stack.lid) {
+        const { type, thickness, insertDepth, width, depth } = stack.lid;
+        const lidX = (outerW / 2) + gap; 
+        
+        if (type === 'step' || type === 'snap') {
+            // Printed outer face down: the chamfer goes on the plate's bed edge
+            const plate = createRoundedSlabGeo(outerW, outerD, thickness, corners.radius, corners.lidChamfer);
+            addMesh(plate, lidX, 0, 0, 0, 0, 'lid');
+            if (insertDepth > 0) {
+                // Sized in calculateConstraints: the walls' inside less the tolerance, and less
+                // the room snap latch arms need to flex behind them
+                const { width: innerW, depth: innerD, armRoom } = stack.lid.insert;
+                const tol = toScene(config.tolerance);
+                // Follows the rounded inside of the walls, less the tolerance
+                const insertR = Math.max(0, corners.innerRadius - tol / 2 - armRoom);
+                const insert = createRoundedSlabGeo(innerW, innerD, insertDepth + GEO_OVERLAP, insertR);
+                addMesh(insert, lidX, thickness - GEO_OVERLAP, 0, 0, 0, 'lid');
+            }
+            if (type === 'snap') addSnapFeatures(stack.lid);
+        } 
+        else if (type === 'slide') {
+            const { undercut, groove, grip } = stack.lid;
+            const plate = createDovetailLidGeo(width, depth, thickness, undercut);
+            addMesh(plate, lidX, 0, 0, 0, 0, 'lid');
+
+            // Detent groove under the lid where it closes over the bump on the front wall
+            const wall = toScene(config.wall);
+            const frontZ = depth / 2;
+            const bumpLength = stack.rail.detent.length;
+            const detentGroove = createSnapRidgeGeo(bumpLength + groove * 2, groove, { overlap: GEO_OVERLAP });
+            detentGroove.rotateX(-Math.PI / 2);
+            addMesh(detentGroove, lidX, 0, frontZ - (wall / 2) + groove, 0, 0, 'lid', true);
+
+            // Thumb grip: a row of grooves across the top, just behind the front wall
+            const GRIP_GROOVES = 5;
+            const gripW = 1.2 * MM_TO_IN;
+            const gripLength = Math.min(width / 2, 25 * MM_TO_IN);
+            const gripStart = frontZ - wall - 2 * MM_TO_IN;
+            for (let i = 0; i < GRIP_GROOVES; i++) {
+                const gripGeo = new THREE.BoxGeometry(gripLength, grip.depth + GEO_OVERLAP, gripW);
+                const z = gripStart - gripW / 2 - i * gripW * 2;
+                if (z - gripW / 2 < wall - frontZ) break;
+                addMesh(gripGeo, lidX, thickness - (grip.depth - GEO_OVERLAP) / 2, z, 0, 0, 'lid', true);
+            }
+        }
+        else if (type === 'hinge') {
+            const { yPos, hinge } = stack.lid;
+            const { axisY, axisZ, radius, pinRadius, boreRadius, gap: hingeGap } = hinge;
+            const addLidMesh = (geo) => {
+                if (hingeLidOnBed) geo.applyMatrix4(lidFlip);
+                addMesh(geo, 0, 0, 0, 0, 0, hingeLidOnBed ? 'lid' : 'body');
+            };
+            // Printed separately, the top face is on the bed and takes the chamfer
+            const chamfer = hingeLidOnBed ? corners.lidChamfer : 0;
+            const plate = createRoundedSlabGeo(outerW, depth, thickness, corners.radius, chamfer);
+            plate.rotateX(Math.PI);
+            plate.translate(boxOffsetX, yPos + thickness, 0);
+            addLidMesh(plate);
+
+            // Odd number of ~15mm knuckles along the straight part of the back wall, box
+            // knuckles at both ends. On square corners the run stops just inside the side
+            // walls, so its end faces don't lie in the wall faces (the union can't resolve them)
+            const run = outerW - Math.max(corners.radius, GEO_OVERLAP) * 2;
+            let count = Math.max(3, Math.round(run / (15 * MM_TO_IN)));
+            if (count % 2 === 0) count = count > 3 ? count - 1 : count + 1;
+            const knuckleLen = (run - (count - 1) * hingeGap) / count;
+            const opts = { radius, gap: hingeGap, thickness, overlap: GEO_OVERLAP };
+            const x0 = boxOffsetX - run / 2;
+            addMesh(createHingeShelfGeo(run, opts), x0, axisY, axisZ);
+            for (let i = 0; i < count; i++) {
+                const x = x0 + i * (knuckleLen + hingeGap);
+                if (i % 2 === 0) {
+                    addMesh(createBoxKnuckleGeo(knuckleLen, { ...opts, boreRadius: pinRadius > 0 ? 0 : boreRadius }), x, axisY, axisZ);
+                } else {
+                    const geo = createLidKnuckleGeo(knuckleLen, { ...opts, boreRadius });
+                    geo.translate(x, axisY, axisZ);
+                    addLidMesh(geo);
+                }
+            }
+            // Printed in place, the pin is one piece with the box knuckles
+            if (pinRadius > 0) {
+                const pin = new THREE.CylinderGeometry(pinRadius, pinRadius, run, 16);
+                pin.rotateZ(Math.PI / 2);
+                addMesh(pin, boxOffsetX, axisY, axisZ);
+            }
+        }
+    }
+
+    // 7. TEXT (raised, or engraved = subtracted on export)
+    if (stack.text) {
+        const { value, target, style, align, size, depth } = stack.text;
+        const margin = 2 * MM_TO_IN;
+
+        // One string on a flat face: its centre, reading direction, letter-up direction
+        // and length along the reading direction (for left/right alignment)
+        // transform (optional): applied once placed, e.g. to turn a hinged lid onto the bed
+        const addText = (str, part, center, right, up, span, transform = null) => {
+            const geo = createTextGeo(str, size, depth + GEO_OVERLAP, align);
+            if (!geo) return;
+            const along = align === 'left' ? -span / 2 + margin : align === 'right' ? span / 2 - margin : 0;
+            const normal = new THREE.Vector3().crossVectors(right, up);
+            const sink = style === 'deboss' ? depth : GEO_OVERLAP;
+            const origin = center.clone().addScaledVector(right, along).addScaledVector(normal, -sink);
+            placeOnFace(geo, origin, right, up);
+            if (transform) geo.applyMatrix4(transform);
+            addMesh(geo, 0, 0, 0, 0, 0, part, style === 'deboss');
+        };
+        const X = new THREE.Vector3(1, 0, 0);
+
+        if (target === 'front') {
+            const yMid = ((stack.floor ? stack.floor.yMin : 0) + stack.wall.yMax) / 2;
+            addText(value, 'body', new THREE.Vector3(boxOffsetX, yMid, outerD / 2), X, new THREE.Vector3(0, 1, 0), outerW - corners.radius * 2);
+        } else if (target === 'lid' && stack.lid) {
+            const lidX = (outerW / 2) + gap;
+            const { type, thickness, width } = stack.lid;
+            if (type === 'hinge') {
+                const inset = corners.radius + (hingeLidOnBed ? corners.lidChamfer : 0);
+                addText(value, hingeLidOnBed ? 'lid' : 'body', new THREE.Vector3(boxOffsetX, lidTop, 0), X, new THREE.Vector3(0, 0, -1),
+                    outerW - inset * 2, hingeLidOnBed ? lidFlip : null);
+            } else if (type === 'step' || type === 'snap') {
+                // Outer face is the one on the bed; reads correctly once the lid is flipped onto the box
+                addText(value, 'lid', new THREE.Vector3(lidX, 0, 0), X, new THREE.Vector3(0, 0, 1), outerW - (corners.radius + corners.lidChamfer) * 2);
+            } else {
+                addText(value, 'lid', new THREE.Vector3(lidX, thickness, 0), X, new THREE.Vector3(0, 0, -1), width);
+            }
+        } else if (target === 'tab' && stack.labelTab) {
+            // "M3|M4|M5": one piece per tab, in compartment order
+            const pieces = value.split('|').map(p => p.trim());
+            const { yTop, depth: tabD, angle, side } = stack.labelTab;
+            const s = side === 'back' ? 1 : -1;
+            const right = new THREE.Vector3(s, 0, 0);
+            const up = new THREE.Vector3(0, Math.sin(angle), -s * Math.cos(angle));
+            tabFaces.forEach((face, i) => {
+                if (!pieces[i]) return;
+                const center = new THREE.Vector3(
+                    boxOffsetX + (face.x0 + face.x1) / 2,
+                    yTop - tabD * Math.tan(angle) / 2,
+                    face.z + s * tabD / 2
+                );
+                addText(pieces[i], 'body', center, right, up, face.x1 - face.x0);
+            });
+        }
+    }
+
+    return { layout, group };
+}
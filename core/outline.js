@@ -0,0 +1,463 @@
+// --- Cutout Outlines ---
+// 2D tool outlines read from SVG or DXF text, entirely locally (no DOM needed, so the same
+// code runs in Node). An outline is a list of closed polygons, each [[x, z], ...] in mm as
+// seen from above (x to the right, z towards the front), centred on its bounding box.
+
+const CURVE_SEGS = 12;   // per Bézier segment
+const ARC_STEP = Math.PI / 24; // 7.5° per arc segment
+const SIMPLIFY_MM = 0.05;
+
+// --- Shared helpers ---
+
+// Points along an arc around (cx, cy) from angle a0 sweeping by `sweep` radians, end excluded
+function arcPoints(cx, cy, rx, ry, a0, sweep, rotation = 0) {
+    const n = Math.max(2, Math.ceil(Math.abs(sweep) / ARC_STEP));
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    const pts = [];
+    for (let k = 0; k < n; k++) {
+        const a = a0 + (sweep * k) / n;
+        const x = rx * Math.cos(a);
+        const y = ry * Math.sin(a);
+        pts.push([cx + x * cos - y * sin, cy + x * sin + y * cos]);
+    }
+    return pts;
+}
+
+// Ramer–Douglas–Peucker on an open run of points
+function simplifyRun(pts, tol) {
+    if (pts.length < 3) return pts;
+    const [ax, ay] = pts[0];
+    const [bx, by] = pts[pts.length - 1];
+    const len = Math.hypot(bx - ax, by - ay);
+    let worst = 0;
+    let index = 0;
+    for (let i = 1; i < pts.length - 1; i++) {
+        const [px, py] = pts[i];
+        const d = len > 0
+            ? Math.abs((bx - ax) * (ay - py) - (ax - px) * (by - ay)) / len
+            : Math.hypot(px - ax, py - ay);
+        if (d > worst) { worst = d; index = i; }
+    }
+    if (worst <= tol) return [pts[0], pts[pts.length - 1]];
+    return [...simplifyRun(pts.slice(0, index + 1), tol).slice(0, -1), ...simplifyRun(pts.slice(index), tol)];
+}
+
+// Closed polygon: drop repeated points and the closing duplicate, then simplify
+function cleanPolygon(pts) {
+    const out = [];
+    for (const p of pts) {
+        const last = out[out.length - 1];
+        if (!last || Math.hypot(p[0] - last[0], p[1] - last[1]) > 1e-6) out.push(p);
+    }
+    while (out.length > 1 && Math.hypot(out[0][0] - out[out.length - 1][0], out[0][1] - out[out.length - 1][1]) < 1e-6) out.pop();
+    if (out.length < 3) return null;
+    const simple = simplifyRun([...out, out[0]], SIMPLIFY_MM).slice(0, -1);
+    return simple.length >= 3 ? simple : null;
+}
+
+// Polygons (mm) → outline centred on its bounding box, rounded to 0.01mm
+function finishOutline(polygons) {
+    const clean = polygons.map(cleanPolygon).filter(Boolean);
+    if (clean.length === 0) throw new Error('No closed shapes found in the outline.');
+    const xs = clean.flat().map(p => p[0]);
+    const zs = clean.flat().map(p => p[1]);
+    const cx = (Math.min(...xs) + Math.max(...xs)) / 2;
+    const cz = (Math.min(...zs) + Math.max(...zs)) / 2;
+    const round = (v) => Math.round(v * 100) / 100;
+    return clean.map(poly => poly.map(([x, z]) => [round(x - cx), round(z - cz)]));
+}
+
+// Width and depth (mm) of an outline's bounding box
+export function outlineSize(polygons) {
+    const pts = polygons.flat();
+    if (pts.length === 0) return { width: 0, depth: 0 };
+    const xs = pts.map(p => p[0]);
+    const zs = pts.map(p => p[1]);
+    return { width: Math.max(...xs) - Math.min(...xs), depth: Math.max(...zs) - Math.min(...zs) };
+}
+
+// Is this a list of polygons of at least 3 finite [x, z] points? (project validation)
+export const isOutline = (value) => Array.isArray(value) && value.every(poly =>
+    Array.isArray(poly) && poly.length >= 3 && poly.every(p =>
+        Array.isArray(p) && p.length === 2 && Number.isFinite(p[0]) && Number.isFinite(p[1])));
+
+// --- SVG ---
+
+const LENGTH_MM = { mm: 1, cm: 10, in: 25.4, pt: 25.4 / 72, pc: 25.4 / 6, px: 25.4 / 96, '': 25.4 / 96 };
+
+const numbers = (text) => (String(text || '').match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || []).map(Number);
+
+// 2D affine matrices as [a, b, c, d, e, f] (x' = a x + c y + e, y' = b x + d y + f)
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+const multiply = (m, n) => [
+    m[0] * n[0] + m[2] * n[1], m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3], m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4], m[1] * n[4] + m[3] * n[5] + m[5],
+];
+const apply = (m, [x, y]) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+
+function parseTransform(text) {
+    let m = IDENTITY;
+    for (const [, name, args] of String(text || '').matchAll(/(\w+)\s*\(([^)]*)\)/g)) {
+        const v = numbers(args);
+        let t = IDENTITY;
+        if (name === 'matrix' && v.length === 6) t = v;
+        else if (name === 'translate') t = [1, 0, 0, 1, v[0] || 0, v[1] || 0];
+        else if (name === 'scale') t = [v[0], 0, 0, v.length > 1 ? v[1] : v[0], 0, 0];
+        else if (name === 'rotate') {
+            const a = (v[0] || 0) * Math.PI / 180;
+            const [cx, cy] = [v[1] || 0, v[2] || 0];
+            t = multiply(multiply([1, 0, 0, 1, cx, cy], [Math.cos(a), Math.sin(a), -Math.sin(a), Math.cos(a), 0, 0]), [1, 0, 0, 1, -cx, -cy]);
+        } else if (name === 'skewX') t = [1, 0, Math.tan(v[0] * Math.PI / 180), 1, 0, 0];
+        else if (name === 'skewY') t = [1, Math.tan(v[0] * Math.PI / 180), 0, 1, 0, 0];
+        m = multiply(m, t);
+    }
+    return m;
+}
+
+const attributes = (text) => {
+    const attrs = {};
+    for (const [, name, , value] of text.matchAll(/([\w:-]+)\s*=\s*(["'])(.*?)\2/gs)) attrs[name] = value;
+    return attrs;
+};
+
+// SVG elliptical arc (endpoint form) → points after the start point, end included
+function svgArc(x1, y1, rx, ry, angle, largeArc, sweep, x2, y2) {
+    if (rx === 0 || ry === 0) return [[x2, y2]];
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    const phi = angle * Math.PI / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const dx = (x1 - x2) / 2;
+    const dy = (y1 - y2) / 2;
+    const x1p = cos * dx + sin * dy;
+    const y1p = -sin * dx + cos * dy;
+    const scale = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (scale > 1) { rx *= Math.sqrt(scale); ry *= Math.sqrt(scale); }
+    const num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    const coef = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, num / den));
+    const cxp = coef * (rx * y1p) / ry;
+    const cyp = -coef * (ry * x1p) / rx;
+    const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+    const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+    const a0 = Math.atan2((y1p - cyp) / ry, (x1p - cxp) / rx);
+    let da = Math.atan2((-y1p - cyp) / ry, (-x1p - cxp) / rx) - a0;
+    if (sweep && da < 0) da += Math.PI * 2;
+    if (!sweep && da > 0) da -= Math.PI * 2;
+    return [...arcPoints(cx, cy, rx, ry, a0, da, phi).slice(1), [x2, y2]];
+}
+
+// Path data → subpaths of points (user units). Every subpath is treated as closed.
+function parsePathData(d) {
+    const tokens = String(d).match(/[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+    const subpaths = [];
+    let current = null;
+    let x = 0, y = 0, startX = 0, startY = 0;
+    let ctrlX = 0, ctrlY = 0, lastCmd = '';
+    let i = 0;
+    let cmd = '';
+    const next = () => Number(tokens[i++]);
+    const bezier = (pts) => {
+        // pts: control points from the current point; cubic (4) or quadratic (3)
+        for (let k = 1; k <= CURVE_SEGS; k++) {
+            const t = k / CURVE_SEGS;
+            const u = 1 - t;
+            const w = pts.length === 4 ? [u * u * u, 3 * u * u * t, 3 * u * t * t, t * t * t] : [u * u, 2 * u * t, t * t];
+            current.push([w.reduce((s, wk, j) => s + wk * pts[j][0], 0), w.reduce((s, wk, j) => s + wk * pts[j][1], 0)]);
+        }
+    };
+    while (i < tokens.length) {
+        if (/[a-zA-Z]/.test(tokens[i])) cmd = tokens[i++];
+        else if (!cmd) { i++; continue; }
+        const rel = cmd === cmd.toLowerCase();
+        const ox = rel ? x : 0;
+        const oy = rel ? y : 0;
+        switch (cmd.toUpperCase()) {
+            case 'M':
+                x = ox + next(); y = oy + next();
+                current = [[x, y]];
+                subpaths.push(current);
+                startX = x; startY = y;
+                cmd = rel ? 'l' : 'L'; // further pairs are line-tos
+                break;
+            case 'L': x = ox + next(); y = oy + next(); current.push([x, y]); break;
+            case 'H': x = ox + next(); current.push([x, y]); break;
+            case 'V': y = oy + next(); current.push([x, y]); break;
+            case 'C': {
+                const c1 = [ox + next(), oy + next()];
+                const c2 = [ox + next(), oy + next()];
+                const end = [ox + next(), oy + next()];
+                bezier([[x, y], c1, c2, end]);
+                [ctrlX, ctrlY] = c2; [x, y] = end;
+                break;
+            }
+            case 'S': {
+                const c1 = /[CcSs]/.test(lastCmd) ? [2 * x - ctrlX, 2 * y - ctrlY] : [x, y];
+                const c2 = [ox + next(), oy + next()];
+                const end = [ox + next(), oy + next()];
+                bezier([[x, y], c1, c2, end]);
+                [ctrlX, ctrlY] = c2; [x, y] = end;
+                break;
+            }
+            case 'Q': {
+                const c = [ox + next(), oy + next()];
+                const end = [ox + next(), oy + next()];
+                bezier([[x, y], c, end]);
+                [ctrlX, ctrlY] = c; [x, y] = end;
+                break;
+            }
+            case 'T': {
+                const c = /[QqTt]/.test(lastCmd) ? [2 * x - ctrlX, 2 * y - ctrlY] : [x, y];
+                const end = [ox + next(), oy + next()];
+                bezier([[x, y], c, end]);
+                [ctrlX, ctrlY] = c; [x, y] = end;
+                break;
+            }
+            case 'A': {
+                const [rx, ry, angle, large, sweep] = [next(), next(), next(), next(), next()];
+                const end = [ox + next(), oy + next()];
+                current.push(...svgArc(x, y, rx, ry, angle, !!large, !!sweep, end[0], end[1]));
+                [x, y] = end;
+                break;
+            }
+            case 'Z':
+                x = startX; y = startY;
+                current = [[x, y]];
+                subpaths.push(current);
+                break;
+            default:
+                i++;
+        }
+        lastCmd = cmd;
+    }
+    // A truncated last command reads past the tokens as NaN
+    return subpaths.map(p => p.filter(([px, py]) => Number.isFinite(px) && Number.isFinite(py))).filter(p => p.length >= 3);
+}
+
+// Shapes of one element (user units, before transforms)
+function elementShapes(tag, a) {
+    const n = (key) => Number(a[key]) || 0;
+    switch (tag) {
+        case 'path': return parsePathData(a.d);
+        case 'polygon':
+        case 'polyline': {
+            const v = numbers(a.points);
+            const pts = [];
+            for (let k = 0; k + 1 < v.length; k += 2) pts.push([v[k], v[k + 1]]);
+            return [pts];
+        }
+        case 'rect': {
+            const [x, y, w, h] = [n('x'), n('y'), n('width'), n('height')];
+            return [[[x, y], [x + w, y], [x + w, y + h], [x, y + h]]];
+        }
+        case 'circle': return [arcPoints(n('cx'), n('cy'), n('r'), n('r'), 0, Math.PI * 2)];
+        case 'ellipse': return [arcPoints(n('cx'), n('cy'), n('rx'), n('ry'), 0, Math.PI * 2)];
+        default: return [];
+    }
+}
+
+// SVG text → outline. Sizes come from the root width/height and viewBox (mm, cm, in, pt,
+// px at 96 dpi); plain user units are taken as px, as in browsers and Inkscape.
+export function parseSVGOutline(text) {
+    const rootMatch = /<svg\b([^>]*)>/i.exec(text);
+    if (!rootMatch) throw new Error('Not an SVG file.');
+    const root = attributes(rootMatch[1]);
+    const viewBox = numbers(root.viewBox);
+    const unitScale = (value, extent) => {
+        const m = /^\s*([\d.]+)\s*([a-z]*)\s*$/i.exec(value || '');
+        if (!m || !(m[2].toLowerCase() in LENGTH_MM)) return 25.4 / 96;
+        return viewBox.length === 4 && extent > 0 ? (Number(m[1]) * LENGTH_MM[m[2].toLowerCase()]) / extent : LENGTH_MM[m[2].toLowerCase()];
+    };
+    const sx = unitScale(root.width, viewBox[2]);
+    const sy = root.height ? unitScale(root.height, viewBox[3]) : sx;
+    const base = multiply([sx, 0, 0, sy, 0, 0], viewBox.length === 4 ? [1, 0, 0, 1, -viewBox[0], -viewBox[1]] : IDENTITY);
+
+    // Walk the tags, keeping the group transform stack; skip <defs>, <clipPath> and the like
+    const polygons = [];
+    const stack = [base];
+    let hidden = 0;
+    const body = text.slice(rootMatch.index + rootMatch[0].length).replace(/<!--[\s\S]*?-->/g, '');
+    for (const [, close, tag, attrText, selfClose] of body.matchAll(/<(\/?)([\w:-]+)([^>]*?)(\/?)>/g)) {
+        const name = tag.toLowerCase();
+        const container = ['g', 'a', 'svg', 'defs', 'clippath', 'mask', 'symbol', 'pattern', 'marker'].includes(name);
+        const invisible = ['defs', 'clippath', 'mask', 'symbol', 'pattern', 'marker'].includes(name);
+        if (close) {
+            if (container) {
+                stack.pop();
+                if (invisible) hidden--;
+            }
+            continue;
+        }
+        const a = attributes(attrText);
+        const m = multiply(stack[stack.length - 1], parseTransform(a.transform));
+        if (container && !selfClose) {
+            stack.push(m);
+            if (invisible) hidden++;
+            continue;
+        }
+        if (hidden > 0) continue;
+        for (const shape of elementShapes(name, a)) polygons.push(shape.map(p => apply(m, p)));
+    }
+    return finishOutline(polygons);
+}
+
+// --- DXF ---
+
+// $INSUNITS → mm (0 = unitless is taken as mm)
+const DXF_UNITS_MM = { 0: 1, 1: 25.4, 2: 304.8, 4: 1, 5: 10, 6: 1000, 8: 0.0000254, 9: 0.0254, 10: 914.4 };
+
+// Arc from p1 to p2 with a DXF bulge (tan of a quarter of the included angle, + = CCW)
+function bulgePoints(p1, p2, bulge) {
+    const theta = 4 * Math.atan(bulge);
+    const dx = p2[0] - p1[0];
+    const dy = p2[1] - p1[1];
+    const chord = Math.hypot(dx, dy);
+    if (chord === 0) return [];
+    const r = chord / (2 * Math.sin(theta / 2));
+    const d = r * Math.cos(theta / 2);
+    const cx = (p1[0] + p2[0]) / 2 - (dy / chord) * d;
+    const cy = (p1[1] + p2[1]) / 2 + (dx / chord) * d;
+    const a0 = Math.atan2(p1[1] - cy, p1[0] - cx);
+    return arcPoints(cx, cy, Math.abs(r), Math.abs(r), a0, theta).slice(1);
+}
+
+// Vertices [{ x, y, bulge }] of a polyline → points with bulged segments as arcs
+function polylinePoints(vertices, closed) {
+    const pts = [];
+    vertices.forEach((v, k) => {
+        pts.push([v.x, v.y]);
+        const nextV = vertices[k + 1] || (closed ? vertices[0] : null);
+        if (nextV && v.bulge) pts.push(...bulgePoints([v.x, v.y], [nextV.x, nextV.y], v.bulge));
+    });
+    return pts;
+}
+
+// Join open pieces (LINE, ARC, open polylines) end to end into closed loops
+function chainPieces(pieces, tol = 0.01) {
+    const loops = [];
+    const near = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]) < tol;
+    const left = [...pieces];
+    while (left.length) {
+        let loop = left.shift();
+        let grown = true;
+        while (grown && !near(loop[0], loop[loop.length - 1])) {
+            grown = false;
+            for (let k = 0; k < left.length; k++) {
+                const p = left[k];
+                const end = loop[loop.length - 1];
+                if (near(end, p[0])) loop = [...loop, ...p.slice(1)];
+                else if (near(end, p[p.length - 1])) loop = [...loop, ...[...p].reverse().slice(1)];
+                else continue;
+                left.splice(k, 1);
+                grown = true;
+                break;
+            }
+        }
+        if (near(loop[0], loop[loop.length - 1]) && loop.length > 3) loops.push(loop);
+    }
+    return loops;
+}
+
+// DXF (ASCII) text → outline. Reads LWPOLYLINE, POLYLINE, CIRCLE, ELLIPSE, and LINE/ARC
+// chains that close up; splines are not supported (export them as polylines).
+export function parseDXFOutline(text) {
+    const lines = text.split(/\r?\n/);
+    const pairs = [];
+    for (let k = 0; k + 1 < lines.length; k += 2) pairs.push([parseInt(lines[k], 10), lines[k + 1].trim()]);
+    if (!pairs.some(([c, v]) => c === 0 && v === 'SECTION')) throw new Error('Not a DXF file.');
+
+    let units = 1;
+    const unitsAt = pairs.findIndex(([c, v]) => c === 9 && v === '$INSUNITS');
+    if (unitsAt !== -1 && pairs[unitsAt + 1]) units = DXF_UNITS_MM[parseInt(pairs[unitsAt + 1][1], 10)] || 1;
+
+    // Group the ENTITIES section into { type, codes: [[code, value]] }
+    const start = pairs.findIndex(([c, v], k) => c === 2 && v === 'ENTITIES' && pairs[k - 1] && pairs[k - 1][1] === 'SECTION');
+    const entities = [];
+    for (let k = start + 1; start !== -1 && k < pairs.length; k++) {
+        const [code, value] = pairs[k];
+        if (code === 0) {
+            if (value === 'ENDSEC') break;
+            entities.push({ type: value, codes: [] });
+        } else if (entities.length) {
+            entities[entities.length - 1].codes.push([code, value]);
+        }
+    }
+
+    const polygons = [];
+    const pieces = [];
+    const num = (e, code, fallback = 0) => {
+        const found = e.codes.find(([c]) => c === code);
+        return found ? Number(found[1]) : fallback;
+    };
+    let polyline = null; // old-style POLYLINE being collected from VERTEX entities
+    for (const e of entities) {
+        if (e.type === 'LWPOLYLINE') {
+            const vertices = [];
+            for (const [code, value] of e.codes) {
+                if (code === 10) vertices.push({ x: Number(value), y: 0, bulge: 0 });
+                else if (code === 20 && vertices.length) vertices[vertices.length - 1].y = Number(value);
+                else if (code === 42 && vertices.length) vertices[vertices.length - 1].bulge = Number(value);
+            }
+            const closed = (num(e, 70) & 1) === 1;
+            (closed ? polygons : pieces).push(polylinePoints(vertices, closed));
+        } else if (e.type === 'POLYLINE') {
+            polyline = { closed: (num(e, 70) & 1) === 1, vertices: [] };
+        } else if (e.type === 'VERTEX' && polyline) {
+            polyline.vertices.push({ x: num(e, 10), y: num(e, 20), bulge: num(e, 42) });
+        } else if (e.type === 'SEQEND' && polyline) {
+            (polyline.closed ? polygons : pieces).push(polylinePoints(polyline.vertices, polyline.closed));
+            polyline = null;
+        } else if (e.type === 'CIRCLE') {
+            const r = num(e, 40);
+            polygons.push(arcPoints(num(e, 10), num(e, 20), r, r, 0, Math.PI * 2));
+        } else if (e.type === 'ELLIPSE') {
+            // Major axis endpoint relative to the centre, minor/major ratio, parameter range
+            const [mx, my] = [num(e, 11), num(e, 21)];
+            const a0 = num(e, 41, 0);
+            const a1 = num(e, 42, Math.PI * 2);
+            const pts = arcPoints(num(e, 10), num(e, 20), Math.hypot(mx, my), Math.hypot(mx, my) * num(e, 40, 1),
+                a0, (a1 - a0 + Math.PI * 2) % (Math.PI * 2) || Math.PI * 2, Math.atan2(my, mx));
+            polygons.push(pts);
+        } else if (e.type === 'LINE') {
+            pieces.push([[num(e, 10), num(e, 20)], [num(e, 11), num(e, 21)]]);
+        } else if (e.type === 'ARC') {
+            const r = num(e, 40);
+            const a0 = num(e, 50) * Math.PI / 180;
+            const sweep = ((num(e, 51) * Math.PI / 180 - a0) % (Math.PI * 2) + Math.PI * 2) % (Math.PI * 2) || Math.PI * 2;
+            const [cx, cy] = [num(e, 10), num(e, 20)];
+            pieces.push([...arcPoints(cx, cy, r, r, a0, sweep), [cx + r * Math.cos(a0 + sweep), cy + r * Math.sin(a0 + sweep)]]);
+        }
+    }
+    polygons.push(...chainPieces(pieces));
+    // DXF y points up (to the back of the bin); scale to mm
+    return finishOutline(polygons.map(poly => poly.map(([x, y]) => [x * units, -y * units])));
+}
+
+// SVG or DXF by content (or file name)
+export function parseOutline(text, fileName = '') {
+    if (/\.dxf$/i.test(fileName) || (!/<svg\b/i.test(text) && /^\s*0\s*[\r\n]+\s*SECTION/.test(text))) return parseDXFOutline(text);
+    return parseSVGOutline(text);
+}
+
+// --- Placement ---
+
+// Outline rotated (degrees, clockwise seen from above) and moved to (x, z) mm
+export function placeOutline(polygons, { rotation = 0, x = 0, z = 0 } = {}) {
+    const a = rotation * Math.PI / 180;
+    const cos = Math.cos(a);
+    const sin = Math.sin(a);
+    return polygons.map(poly => poly.map(([px, pz]) => [x + px * cos - pz * sin, z + px * sin + pz * cos]));
+}
+
+// Finger holes for lifting the tool out: 'center' puts one in the middle of the outline,
+// 'ends' one at each end of its longer side. Returns [{ x, z }] placed like the outline.
+export function fingerHolePositions(polygons, style, placement) {
+    if (style === 'none' || polygons.length === 0) return [];
+    const { width, depth } = outlineSize(polygons);
+    let spots = [[0, 0]];
+    if (style === 'ends') spots = width >= depth ? [[-width / 2, 0], [width / 2, 0]] : [[0, -depth / 2], [0, depth / 2]];
+    return placeOutline([spots], placement)[0].map(([x, z]) => ({ x, z }));
+}
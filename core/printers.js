@@ -0,0 +1,70 @@
+// --- Printer Profiles ---
+// The printer is a property of the workshop, not of the design: it is kept out of the
+// project config (so shared links don't override it) and persisted in local storage.
+// calculateConstraints() reads it from config.printer for bed-size and nozzle advice.
+// All values in mm.
+
+export const PRINTER_PROFILES = [
+    { id: 'generic-250',   name: 'Generic 250mm',        bedX: 250, bedY: 250, bedZ: 250, nozzle: 0.4, layerHeight: 0.2 },
+    { id: 'prusa-mk4',     name: 'Prusa MK4 / MK3S',     bedX: 250, bedY: 210, bedZ: 220, nozzle: 0.4, layerHeight: 0.2 },
+    { id: 'prusa-mini',    name: 'Prusa Mini',           bedX: 180, bedY: 180, bedZ: 180, nozzle: 0.4, layerHeight: 0.2 },
+    { id: 'prusa-xl',      name: 'Prusa XL',             bedX: 360, bedY: 360, bedZ: 360, nozzle: 0.4, layerHeight: 0.2 },
+    { id: 'bambu-x1',      name: 'Bambu Lab X1 / P1',    bedX: 256, bedY: 256, bedZ: 256, nozzle: 0.4, layerHeight: 0.2 },
+    { id: 'bambu-a1-mini', name: 'Bambu Lab A1 mini',    bedX: 180, bedY: 180, bedZ: 180, nozzle: 0.4, layerHeight: 0.2 },
+    { id: 'ender-3',       name: 'Creality Ender-3',     bedX: 220, bedY: 220, bedZ: 250, nozzle: 0.4, layerHeight: 0.2 },
+    { id: 'cr-10-s5',      name: 'Creality CR-10 S5',    bedX: 500, bedY: 500, bedZ: 500, nozzle: 0.6, layerHeight: 0.3 },
+];
+
+export const DEFAULT_PRINTER_ID = 'generic-250';
+export const CUSTOM_PRINTER_ID = 'custom';
+
+// Accepted ranges for custom profiles
+export const PRINTER_RANGES = {
+    bedX:        { min: 50,   max: 2000 },
+    bedY:        { min: 50,   max: 2000 },
+    bedZ:        { min: 20,   max: 2000 },
+    nozzle:      { min: 0.1,  max: 2.0 },
+    layerHeight: { min: 0.04, max: 1.0 },
+};
+
+const profileById = (id) => PRINTER_PROFILES.find(p => p.id === id);
+export const DEFAULT_PRINTER = profileById(DEFAULT_PRINTER_ID);
+
+// Settings: { id, custom: { bedX, bedY, bedZ, nozzle, layerHeight } }
+export const DEFAULT_PRINTER_SETTINGS = {
+    id: DEFAULT_PRINTER_ID,
+    custom: { bedX: 250, bedY: 250, bedZ: 250, nozzle: 0.4, layerHeight: 0.2 },
+};
+
+// Settings → the active profile (custom values clamped to PRINTER_RANGES)
+export function resolvePrinter(settings = DEFAULT_PRINTER_SETTINGS) {
+    if (settings.id !== CUSTOM_PRINTER_ID) return profileById(settings.id) || DEFAULT_PRINTER;
+    const profile = { id: CUSTOM_PRINTER_ID, name: 'Custom' };
+    for (const [key, { min, max }] of Object.entries(PRINTER_RANGES)) {
+        const value = Number(settings.custom && settings.custom[key]);
+        profile[key] = Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : DEFAULT_PRINTER_SETTINGS.custom[key];
+    }
+    return profile;
+}
+
+// --- Local persistence (window.localStorage or any Storage-like object) ---
+const STORAGE_KEY = 'box3d.printer';
+
+export function loadPrinterSettings(storage) {
+    try {
+        const data = JSON.parse(storage.getItem(STORAGE_KEY));
+        if (!data || typeof data !== 'object') return DEFAULT_PRINTER_SETTINGS;
+        const id = data.id === CUSTOM_PRINTER_ID || profileById(data.id) ? data.id : DEFAULT_PRINTER_ID;
+        return { id, custom: { ...DEFAULT_PRINTER_SETTINGS.custom, ...data.custom } };
+    } catch (e) {
+        return DEFAULT_PRINTER_SETTINGS;
+    }
+}
+
+export function savePrinterSettings(storage, settings) {
+    try {
+        storage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (e) {
+        // Storage full or disabled (private mode): the choice just isn't remembered
+    }
+}
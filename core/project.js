@@ -0,0 +1,150 @@
+import { APP_MODES, DEFAULT_APP_MODE, DEFAULT_CONFIG, CONFIG_CHOICES, CONFIG_RANGES, inRange } from './config.js';
+import { isOutline } from './outline.js';
+import { IN_TO_MM, IU_PER_IN } from './units.js';
+
+// --- Project Files & Shareable URLs ---
+// A project is the full design: { format, version, appMode, config, compartmentWalls }.
+// Dimensions stay in IU exactly as held in React state, so a round trip is lossless.
+// Values past a control's range are kept: calculateConstraints() flags them as per-control
+// warnings once the project is loaded. Values under the minimum are also listed in problems,
+// as a control's own warning (e.g. "Rounded to 0.5") may not say the value is out of range.
+
+export const PROJECT_FORMAT = 'box3d-project';
+export const PROJECT_VERSION = 1;
+
+const HASH_KEY = 'p';
+
+// Counts the model builds that many of; a fractional value is never valid
+const INTEGER_KEYS = ['snapLatches'];
+
+export function serializeProject({ appMode, config, compartmentWalls = [] }) {
+    return {
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        appMode,
+        config: { ...config },
+        compartmentWalls: compartmentWalls.map(w => ({ ...w })),
+    };
+}
+
+// Validate a parsed project object. Throws on anything that is not a BOX3D project;
+// otherwise returns { appMode, config, compartmentWalls, problems } where invalid
+// fields fall back to defaults and are listed in problems.
+export function parseProject(data) {
+    if (!data || typeof data !== 'object' || data.format !== PROJECT_FORMAT) {
+        throw new Error('Not a BOX3D project file.');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1 || data.version > PROJECT_VERSION) {
+        throw new Error(`Unsupported project version: ${data.version}`);
+    }
+
+    const problems = [];
+    let appMode = data.appMode;
+    if (!APP_MODES.includes(appMode)) {
+        problems.push(`Unknown mode "${appMode}", using "${DEFAULT_APP_MODE}".`);
+        appMode = DEFAULT_APP_MODE;
+    }
+
+    const source = data.config && typeof data.config === 'object' ? data.config : {};
+    const config = { ...DEFAULT_CONFIG };
+    for (const key of Object.keys(DEFAULT_CONFIG)) {
+        if (!(key in source)) continue;
+        const value = source[key];
+        const fallback = DEFAULT_CONFIG[key];
+        // Offsets and angles with a negative range may be negative; lengths and counts may not
+        const min = CONFIG_RANGES[key] && CONFIG_RANGES[key].min < 0 ? -Infinity : 0;
+        let ok;
+        if (key === 'cutoutOutline') ok = isOutline(value);
+        else if (CONFIG_CHOICES[key]) ok = CONFIG_CHOICES[key].includes(value);
+        else if (typeof fallback === 'boolean') ok = typeof value === 'boolean';
+        else if (typeof fallback === 'string') ok = typeof value === 'string';
+        else if (Array.isArray(fallback)) ok = Array.isArray(value) && value.every(v => Number.isFinite(v) && v >= 0);
+        else ok = typeof value === 'number' && Number.isFinite(value) && value >= min
+            && (!INTEGER_KEYS.includes(key) || Number.isInteger(value));
+        if (!ok) {
+            problems.push(`Invalid value for "${key}": ${JSON.stringify(value)}`);
+            continue;
+        }
+        config[key] = value;
+        const range = CONFIG_RANGES[key];
+        if (range && !inRange(key, value) && value < range.min * (range.length ? IU_PER_IN : 1)) {
+            const shown = (v) => (range.length ? `${+(v * IN_TO_MM).toFixed(2)}mm` : v);
+            problems.push(`"${key}" is ${shown(range.length ? value / IU_PER_IN : value)}, under its minimum of ${shown(range.min)}.`);
+        }
+    }
+
+    // Left out of a share link (see encodeProjectHash)
+    if (Array.isArray(data.omitted) && data.omitted.includes('cutoutOutline')) {
+        problems.push('The tool cutout outline is not included in share links: load the SVG/DXF again, or ask for the .json project file.');
+    }
+
+    const compartmentWalls = [];
+    for (const w of Array.isArray(data.compartmentWalls) ? data.compartmentWalls : []) {
+        const ok = w && (w.axis === 'x' || w.axis === 'z')
+            && Number.isFinite(w.pos) && Number.isInteger(w.seg) && w.seg >= 0
+            && (w.height === undefined || (Number.isFinite(w.height) && w.height >= 0))
+            && (w.notch === undefined || typeof w.notch === 'boolean')
+            && (w.removable === undefined || typeof w.removable === 'boolean');
+        if (!ok) {
+            problems.push(`Invalid compartment wall: ${JSON.stringify(w)}`);
+            continue;
+        }
+        // Optional segment settings (height in mm above the floor, 0 = full height)
+        const wall = { axis: w.axis, pos: w.pos, seg: w.seg };
+        if (w.height) wall.height = w.height;
+        if (w.notch) wall.notch = true;
+        if (w.removable) wall.removable = true;
+        compartmentWalls.push(wall);
+    }
+
+    return { appMode, config, compartmentWalls, problems };
+}
+
+export const projectToJSON = (project) => JSON.stringify(serializeProject(project), null, 2);
+
+export const projectFromJSON = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Project file is not valid JSON.');
+    }
+    return parseProject(data);
+};
+
+// --- URL Hash (#p=<base64url JSON>) ---
+const toBase64Url = (text) => {
+    const bytes = new TextEncoder().encode(text);
+    let bin = '';
+    for (const b of bytes) bin += String.fromCharCode(b);
+    return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (str) => {
+    const bin = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(bin, c => c.charCodeAt(0)));
+};
+
+// The cutout outline is left out: an imported SVG/DXF polygon would make the link tens of
+// KB long. The link records that it had one, so decoding reports it in problems; project
+// files keep it.
+export function encodeProjectHash(project) {
+    const data = serializeProject(project);
+    if (isOutline(data.config.cutoutOutline) && data.config.cutoutOutline.length > 0) data.omitted = ['cutoutOutline'];
+    delete data.config.cutoutOutline;
+    return `${HASH_KEY}=${toBase64Url(JSON.stringify(data))}`;
+}
+
+// Returns a parsed project, or null when the hash carries none. Throws if it is malformed.
+export function decodeProjectHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const encoded = params.get(HASH_KEY);
+    if (!encoded) return null;
+    let text;
+    try {
+        text = fromBase64Url(encoded);
+    } catch (e) {
+        throw new Error('Shared link is corrupted.');
+    }
+    return projectFromJSON(text);
+}
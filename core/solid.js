@@ -0,0 +1,114 @@
+import * as THREE from 'three';
+import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+
+// --- Solid Union ---
+// The parts builder emits overlapping shells (floor, walls, feet, lip, dividers) held
+// together by GEO_OVERLAP. That is fine for display, but slicers want one closed body.
+// Every part mesh is converted to a manifold-3d solid and unioned, so the exported
+// mesh is watertight and has no internal faces.
+
+let manifoldPromise = null;
+
+// Lazy-load the manifold-3d WASM module (shared by all exports)
+export function loadManifold() {
+    if (!manifoldPromise) {
+        manifoldPromise = import('manifold-3d').then(async ({ default: Module }) => {
+            const wasm = await Module();
+            wasm.setup();
+            return wasm;
+        });
+    }
+    return manifoldPromise;
+}
+
+// Collect exportable meshes (skips helpers such as dimension arrows)
+export function collectSolidMeshes(object) {
+    const meshes = [];
+    object.updateMatrixWorld(true);
+    object.traverse((o) => {
+        if (!o.isMesh || !o.geometry || !o.visible) return;
+        if (o.material && o.material.type !== 'MeshStandardMaterial') return;
+        meshes.push(o);
+    });
+    return meshes;
+}
+
+// Exportable meshes bucketed by mesh.userData.part, in first-seen order: Map<part, Mesh[]>
+export function collectPartMeshes(object) {
+    const parts = new Map();
+    for (const mesh of collectSolidMeshes(object)) {
+        const part = mesh.userData.part || 'body';
+        if (!parts.has(part)) parts.set(part, []);
+        parts.get(part).push(mesh);
+    }
+    return parts;
+}
+
+// World-space, position-only, welded copy of a mesh's geometry
+function weldedWorldGeometry(mesh) {
+    let geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', mesh.geometry.attributes.position.clone());
+    if (mesh.geometry.index) geo.setIndex(mesh.geometry.index.clone());
+    geo.applyMatrix4(mesh.matrixWorld);
+    geo = mergeVertices(geo, 1e-6);
+    return geo;
+}
+
+function toManifold(wasm, geometry) {
+    const { Manifold, Mesh } = wasm;
+    const mesh = new Mesh({
+        numProp: 3,
+        vertProperties: new Float32Array(geometry.attributes.position.array),
+        triVerts: new Uint32Array(geometry.index.array),
+    });
+    mesh.merge();
+    return new Manifold(mesh);
+}
+
+// Union all part meshes under `object` into a single watertight BufferGeometry
+// (world space, scene units). Disjoint parts (e.g. box and lid) stay separate shells.
+// Meshes tagged mesh.userData.cut (engraved text, pockets) are subtracted instead.
+export function solidify(object) {
+    return solidifyMeshes(collectSolidMeshes(object));
+}
+
+// Same as solidify() for an explicit list of meshes (matrixWorld must be current)
+export async function solidifyMeshes(meshes) {
+    const wasm = await loadManifold();
+    const { Manifold } = wasm;
+
+    const solids = [];
+    const cuts = [];
+    const made = [];
+    try {
+        for (const mesh of meshes) {
+            const geo = weldedWorldGeometry(mesh);
+            (mesh.userData.cut ? cuts : solids).push(toManifold(wasm, geo));
+            geo.dispose();
+        }
+        if (solids.length === 0) return new THREE.BufferGeometry();
+
+        let result = Manifold.union(solids);
+        if (cuts.length > 0) {
+            made.push(result);
+            const cut = Manifold.union(cuts);
+            made.push(cut);
+            result = result.subtract(cut);
+        }
+        try {
+            const status = result.status();
+            if (status !== 'NoError') throw new Error(`Solid union failed: ${status}`);
+            const out = result.getMesh();
+            const geo = new THREE.BufferGeometry();
+            geo.setAttribute('position', new THREE.Float32BufferAttribute(out.vertProperties, out.numProp));
+            geo.setIndex(new THREE.BufferAttribute(out.triVerts, 1));
+            geo.computeVertexNormals();
+            return geo;
+        } finally {
+            result.delete();
+        }
+    } finally {
+        // WASM-side memory is not garbage collected
+        for (const s of [...solids, ...cuts, ...made]) s.delete();
+    }
+}
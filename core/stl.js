@@ -0,0 +1,73 @@
+import * as THREE from 'three';
+import { IN_TO_MM } from './units.js';
+import { collectSolidMeshes, collectPartMeshes, solidifyMeshes } from './solid.js';
+
+// --- STL Export ---
+// Binary STL layout: 80-byte header, uint32 triangle count, then per triangle
+// 12 float32 (normal, v1, v2, v3) + uint16 attribute byte count = 50 bytes.
+const STL_HEADER_BYTES = 80;
+const STL_TRI_BYTES = 50;
+
+// Write a BufferGeometry (scene units) as binary STL in millimetres
+export function writeBinarySTL(geometry) {
+    const pos = geometry.attributes.position;
+    const idx = geometry.index ? geometry.index.array : null;
+    const triCount = idx ? idx.length / 3 : pos.count / 3;
+
+    const buffer = new ArrayBuffer(STL_HEADER_BYTES + 4 + triCount * STL_TRI_BYTES);
+    const view = new DataView(buffer);
+    const header = 'BOX3D binary STL (mm)';
+    for (let i = 0; i < header.length; i++) view.setUint8(i, header.charCodeAt(i));
+    view.setUint32(STL_HEADER_BYTES, triCount, true);
+
+    const v1 = new THREE.Vector3();
+    const v2 = new THREE.Vector3();
+    const v3 = new THREE.Vector3();
+    const edge1 = new THREE.Vector3();
+    const edge2 = new THREE.Vector3();
+    const normal = new THREE.Vector3();
+
+    let offset = STL_HEADER_BYTES + 4;
+    const writeVec = (v) => {
+        view.setFloat32(offset, v.x, true);
+        view.setFloat32(offset + 4, v.y, true);
+        view.setFloat32(offset + 8, v.z, true);
+        offset += 12;
+    };
+
+    for (let t = 0; t < triCount; t++) {
+        const a = idx ? idx[t * 3] : t * 3;
+        const b = idx ? idx[t * 3 + 1] : t * 3 + 1;
+        const c = idx ? idx[t * 3 + 2] : t * 3 + 2;
+        v1.fromBufferAttribute(pos, a).multiplyScalar(IN_TO_MM);
+        v2.fromBufferAttribute(pos, b).multiplyScalar(IN_TO_MM);
+        v3.fromBufferAttribute(pos, c).multiplyScalar(IN_TO_MM);
+
+        edge1.subVectors(v2, v1);
+        edge2.subVectors(v3, v1);
+        normal.crossVectors(edge1, edge2).normalize();
+        if (isNaN(normal.x)) normal.set(0, 1, 0);
+
+        writeVec(normal);
+        writeVec(v1);
+        writeVec(v2);
+        writeVec(v3);
+        view.setUint16(offset, 0, true);
+        offset += 2;
+    }
+    return buffer;
+}
+
+// Union every part mesh under `object` into one watertight solid and return a
+// binary STL ArrayBuffer. options.part limits the export to one tagged part.
+export async function generateSTL(object, options = {}) {
+    const meshes = options.part
+        ? (collectPartMeshes(object).get(options.part) || [])
+        : collectSolidMeshes(object);
+    const solid = await solidifyMeshes(meshes);
+    try {
+        return writeBinarySTL(solid);
+    } finally {
+        solid.dispose();
+    }
+}
@@ -0,0 +1,47 @@
+import * as THREE from 'three';
+import { Font } from 'three/examples/jsm/loaders/FontLoader.js';
+import fontData from 'three/examples/fonts/helvetiker_bold.typeface.json' with { type: 'json' };
+
+// --- Text ---
+// Raised (emboss) or engraved (deboss) lettering. The font ships with three.js and is
+// parsed here, so nothing is fetched at run time. Helvetiker Bold: strokes wide enough
+// for a 0.4mm nozzle down to ~5mm text.
+
+let font = null;
+const getFont = () => font || (font = new Font(fontData));
+
+// Advance width of a string at a font size (same units as size), as laid out by generateShapes
+export function measureText(text, size) {
+    const { glyphs, resolution } = getFont().data;
+    let width = 0;
+    for (const ch of text) {
+        const glyph = glyphs[ch] || glyphs['?'];
+        if (glyph) width += glyph.ha;
+    }
+    return width * size / resolution;
+}
+
+// Extruded text lying in the XY plane (reading along +X, letters up +Y), extruded from
+// z = 0 to z = depth. Anchored on its bounding box: align 'left' | 'center' | 'right'
+// puts that edge at x = 0, and the box is centred on y = 0.
+// Returns null for blank text.
+export function createTextGeo(text, size, depth, align = 'center') {
+    const shapes = getFont().generateShapes(text, size);
+    if (shapes.length === 0) return null;
+    const geo = new THREE.ExtrudeGeometry(shapes, { depth, bevelEnabled: false, curveSegments: 4 });
+    geo.computeBoundingBox();
+    const { min, max } = geo.boundingBox;
+    const x = align === 'left' ? min.x : align === 'right' ? max.x : (min.x + max.x) / 2;
+    geo.translate(-x, -(min.y + max.y) / 2, 0);
+    return geo;
+}
+
+// Lay text geometry (from createTextGeo) onto a flat face: `right` is the reading direction,
+// `up` the top of the letters, both unit vectors in the face plane. The face normal is
+// right × up; the text stands out along it from `origin` (move origin inward to engrave).
+export function placeOnFace(geo, origin, right, up) {
+    const normal = new THREE.Vector3().crossVectors(right, up);
+    const m = new THREE.Matrix4().makeBasis(right, up, normal).setPosition(origin);
+    geo.applyMatrix4(m);
+    return geo;
+}
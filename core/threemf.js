@@ -0,0 +1,129 @@
+import * as THREE from 'three';
+import { IN_TO_MM } from './units.js';
+import { collectPartMeshes, solidifyMeshes } from './solid.js';
+import { createZip } from './zip.js';
+
+// --- 3MF Export ---
+// One <object> per part (body, lid, frame...), each unioned into a watertight solid,
+// in millimetres with Z up. Parts keep their preview arrangement and are centred on
+// the build plate, so slicers open them as separate, individually configurable objects.
+
+export const PART_NAMES = { body: 'Box', lid: 'Lid', frame: 'Frame', dividers: 'Dividers', jar: 'Jar', cap: 'Cap' };
+const partLabel = (part) => PART_NAMES[part] || part.replace(/^tile-/, 'Tile ');
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+ <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+ <Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>
+</Types>
+`;
+
+const RELS = `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+ <Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>
+</Relationships>
+`;
+
+const fmt = (v) => (Math.round(v * 100000) / 100000).toString();
+const escapeXml = (s) => String(s).replace(/[<>&"']/g, c => (
+    { '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]
+));
+
+// Scene (Y up, inches) → 3MF (Z up, mm): (x, y, z) → (x, -z, y)
+function toPrintSpace(geometry) {
+    const pos = geometry.attributes.position;
+    const out = new Float32Array(pos.count * 3);
+    for (let i = 0; i < pos.count; i++) {
+        out[i * 3] = pos.getX(i) * IN_TO_MM;
+        out[i * 3 + 1] = -pos.getZ(i) * IN_TO_MM;
+        out[i * 3 + 2] = pos.getY(i) * IN_TO_MM;
+    }
+    return out;
+}
+
+function bounds(verts) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < verts.length; i += 3) {
+        for (let k = 0; k < 3; k++) {
+            min[k] = Math.min(min[k], verts[i + k]);
+            max[k] = Math.max(max[k], verts[i + k]);
+        }
+    }
+    return { min, max };
+}
+
+function objectXml(id, name, verts, tris, offset) {
+    const lines = [` <object id="${id}" name="${escapeXml(name)}" type="model">`, '  <mesh>', '   <vertices>'];
+    for (let i = 0; i < verts.length; i += 3) {
+        lines.push(`    <vertex x="${fmt(verts[i] - offset[0])}" y="${fmt(verts[i + 1] - offset[1])}" z="${fmt(verts[i + 2] - offset[2])}"/>`);
+    }
+    lines.push('   </vertices>', '   <triangles>');
+    for (let i = 0; i < tris.length; i += 3) {
+        lines.push(`    <triangle v1="${tris[i]}" v2="${tris[i + 1]}" v3="${tris[i + 2]}"/>`);
+    }
+    lines.push('   </triangles>', '  </mesh>', ' </object>');
+    return lines.join('\n');
+}
+
+// Build a 3MF package (Uint8Array) from the model group.
+// options.title: model title metadata; options.bedSize: [x, y] mm plate to centre on;
+// options.part: only include this tagged part.
+export async function generate3MF(object, options = {}) {
+    const { title = 'BOX3D', bedSize = [250, 210], part: only = null } = options;
+
+    const parts = [];
+    for (const [part, meshes] of collectPartMeshes(object)) {
+        if (only && part !== only) continue;
+        const solid = await solidifyMeshes(meshes);
+        const verts = toPrintSpace(solid);
+        const tris = solid.index.array;
+        solid.dispose();
+        if (tris.length === 0) continue;
+        parts.push({ part, verts, tris, box: bounds(verts) });
+    }
+
+    // Centre of the whole arrangement, so it lands in the middle of the plate
+    const allMin = [Infinity, Infinity];
+    const allMax = [-Infinity, -Infinity];
+    for (const p of parts) {
+        for (let k = 0; k < 2; k++) {
+            allMin[k] = Math.min(allMin[k], p.box.min[k]);
+            allMax[k] = Math.max(allMax[k], p.box.max[k]);
+        }
+    }
+    const layoutCenter = [(allMin[0] + allMax[0]) / 2, (allMin[1] + allMax[1]) / 2];
+
+    const objects = [];
+    const items = [];
+    parts.forEach((p, i) => {
+        const id = i + 1;
+        // Object origin: XY centre of the part, resting on Z = 0
+        const origin = [(p.box.min[0] + p.box.max[0]) / 2, (p.box.min[1] + p.box.max[1]) / 2, p.box.min[2]];
+        objects.push(objectXml(id, partLabel(p.part), p.verts, p.tris, origin));
+        const tx = bedSize[0] / 2 + origin[0] - layoutCenter[0];
+        const ty = bedSize[1] / 2 + origin[1] - layoutCenter[1];
+        items.push(`  <item objectid="${id}" transform="1 0 0 0 1 0 0 0 1 ${fmt(tx)} ${fmt(ty)} 0"/>`);
+    });
+
+    const model = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<model unit="millimeter" xml:lang="en-US" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">',
+        ` <metadata name="Title">${escapeXml(title)}</metadata>`,
+        ' <metadata name="Application">BOX3D</metadata>',
+        ' <resources>',
+        ...objects,
+        ' </resources>',
+        ' <build>',
+        ...items,
+        ' </build>',
+        '</model>',
+        '',
+    ].join('\n');
+
+    return createZip([
+        { name: '[Content_Types].xml', data: CONTENT_TYPES },
+        { name: '_rels/.rels', data: RELS },
+        { name: '3D/3dmodel.model', data: model },
+    ]);
+}
@@ -0,0 +1,93 @@
+// --- Baseplate Tiling ---
+// Splits a baseplate that is larger than the print bed into tiles that each fit it.
+// Everything here is in mm. Padding strips (leftover drawer margin) are part of the
+// edge tiles, so the assembled plate fills the drawer.
+
+export const GRID_MM = 42;
+
+// Drawer plates are made 0.5mm smaller per side so they drop in
+export const DRAWER_CLEARANCE_MM = 1.0;
+
+// Grid units and padding strips for a drawer interior, plate centred in the drawer
+export function fitDrawer(drawerW, drawerD) {
+    const usableW = drawerW - DRAWER_CLEARANCE_MM;
+    const usableD = drawerD - DRAWER_CLEARANCE_MM;
+    const unitsX = Math.max(0, Math.floor(usableW / GRID_MM));
+    const unitsZ = Math.max(0, Math.floor(usableD / GRID_MM));
+    const padX = (usableW - unitsX * GRID_MM) / 2;
+    const padZ = (usableD - unitsZ * GRID_MM) / 2;
+    return {
+        unitsX,
+        unitsZ,
+        padding: { left: padX, right: padX, back: padZ, front: padZ },
+    };
+}
+
+// Split `units` cells into `parts` runs that differ by at most one cell
+const splitUnits = (units, parts) => Array.from({ length: parts }, (_, i) =>
+    Math.floor((units * (i + 1)) / parts) - Math.floor((units * i) / parts));
+
+// A tile fits when it lies on the bed either way round
+const fitsBed = (w, d, bedW, bedD) => (w <= bedW && d <= bedD) || (w <= bedD && d <= bedW);
+
+// Column letter (A, B, ... Z, AA) for a zero-based index
+const columnName = (i) => (i < 26 ? '' : columnName(Math.floor(i / 26) - 1)) + String.fromCharCode(65 + (i % 26));
+
+// Fewest tiles that each fit the bed. Returns null when even a single cell (plus its
+// padding) is too large. Columns are lettered left to right, rows numbered back to front,
+// so "B1" is the second tile from the left on the back row.
+//   padding: { left, right, back, front } strips added to the outer tiles
+export function planBaseplateTiles({ unitsX, unitsZ, padding, bedW, bedD }) {
+    let best = null;
+    for (let nx = 1; nx <= unitsX; nx++) {
+        for (let nz = 1; nz <= unitsZ; nz++) {
+            if (best && nx * nz >= best.cols.length * best.rows.length) continue;
+            const cols = splitUnits(unitsX, nx);
+            const rows = splitUnits(unitsZ, nz);
+            const widths = cols.map((u, i) => u * GRID_MM
+                + (i === 0 ? padding.left : 0) + (i === nx - 1 ? padding.right : 0));
+            const depths = rows.map((u, j) => u * GRID_MM
+                + (j === 0 ? padding.back : 0) + (j === nz - 1 ? padding.front : 0));
+            if (widths.every(w => depths.every(d => fitsBed(w, d, bedW, bedD)))) {
+                best = { cols, rows, widths, depths };
+            }
+        }
+    }
+    if (!best) return null;
+
+    const { cols, rows, widths, depths } = best;
+    const tiles = [];
+    let cellZ = 0;
+    rows.forEach((unitsRow, row) => {
+        let cellX = 0;
+        cols.forEach((unitsCol, col) => {
+            tiles.push({
+                label: `${columnName(col)}${row + 1}`,
+                col,
+                row,
+                cellX,
+                cellZ,
+                unitsX: unitsCol,
+                unitsZ: unitsRow,
+                width: widths[col],
+                depth: depths[row],
+                padding: {
+                    left: col === 0 ? padding.left : 0,
+                    right: col === cols.length - 1 ? padding.right : 0,
+                    back: row === 0 ? padding.back : 0,
+                    front: row === rows.length - 1 ? padding.front : 0,
+                },
+                // Sides that butt against a neighbouring tile (kept square)
+                joins: {
+                    left: col > 0,
+                    right: col < cols.length - 1,
+                    back: row > 0,
+                    front: row < rows.length - 1,
+                },
+            });
+            cellX += unitsCol;
+        });
+        cellZ += unitsRow;
+    });
+    return { columns: cols.length, rows: rows.length, tiles };
+}
@@ -0,0 +1,21 @@
+// --- Units & Precision ---
+// All dimensional config is stored in Internal Units (IU): 100,000 IU = 1.0 mm.
+// Geometry is built in Scene Units (inches) and converted to mm on export.
+
+export const IN_TO_MM = 25.4;
+export const MM_TO_IN = 1 / 25.4;
+export const GEO_OVERLAP = 0.002;
+
+// --- Precision Constants ---
+export const IU_PER_MM = 100000;
+export const IU_PER_IN = 2540000; // 25.4 * 100000
+
+// Convert Internal Units back to Scene Units (Inches) for Three.js
+export const toScene = (iu) => {
+    const mm = iu / IU_PER_MM;
+    return mm * MM_TO_IN;
+};
+
+// Helper: Convert initial inch values to IU for state initialization
+export const initIn = (val) => Math.round(val * IU_PER_IN);
+export const initMm = (val) => Math.round(val * IU_PER_MM);
@@ -0,0 +1,92 @@
+// --- ZIP Writer ---
+// Minimal, dependency-free ZIP (stored, no compression). Enough for 3MF packages
+// and multi-file downloads; everything is built in memory on the client.
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+export function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+const toBytes = (data) => {
+    if (typeof data === 'string') return new TextEncoder().encode(data);
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    return data;
+};
+
+// files: [{ name, data: string | ArrayBuffer | Uint8Array }] → Uint8Array
+export function createZip(files) {
+    const encoder = new TextEncoder();
+    const entries = files.map(f => {
+        const data = toBytes(f.data);
+        return { name: encoder.encode(f.name), data, crc: crc32(data) };
+    });
+
+    // DOS timestamp: 1980-01-01 00:00 (keeps output reproducible)
+    const DOS_TIME = 0;
+    const DOS_DATE = (1 << 5) | 1;
+
+    let localSize = 0;
+    let centralSize = 0;
+    for (const e of entries) {
+        localSize += 30 + e.name.length + e.data.length;
+        centralSize += 46 + e.name.length;
+    }
+    const out = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(out.buffer);
+
+    let offset = 0;
+    for (const e of entries) {
+        e.offset = offset;
+        view.setUint32(offset, 0x04034b50, true);       // local file header
+        view.setUint16(offset + 4, 20, true);           // version needed
+        view.setUint16(offset + 6, 0x0800, true);       // UTF-8 names
+        view.setUint16(offset + 8, 0, true);            // method: stored
+        view.setUint16(offset + 10, DOS_TIME, true);
+        view.setUint16(offset + 12, DOS_DATE, true);
+        view.setUint32(offset + 14, e.crc, true);
+        view.setUint32(offset + 18, e.data.length, true);
+        view.setUint32(offset + 22, e.data.length, true);
+        view.setUint16(offset + 26, e.name.length, true);
+        view.setUint16(offset + 28, 0, true);
+        out.set(e.name, offset + 30);
+        out.set(e.data, offset + 30 + e.name.length);
+        offset += 30 + e.name.length + e.data.length;
+    }
+
+    const centralStart = offset;
+    for (const e of entries) {
+        view.setUint32(offset, 0x02014b50, true);       // central directory header
+        view.setUint16(offset + 4, 20, true);           // version made by
+        view.setUint16(offset + 6, 20, true);           // version needed
+        view.setUint16(offset + 8, 0x0800, true);
+        view.setUint16(offset + 10, 0, true);
+        view.setUint16(offset + 12, DOS_TIME, true);
+        view.setUint16(offset + 14, DOS_DATE, true);
+        view.setUint32(offset + 16, e.crc, true);
+        view.setUint32(offset + 20, e.data.length, true);
+        view.setUint32(offset + 24, e.data.length, true);
+        view.setUint16(offset + 28, e.name.length, true);
+        // extra/comment length, disk number, internal/external attributes: all 0
+        view.setUint32(offset + 42, e.offset, true);
+        out.set(e.name, offset + 46);
+        offset += 46 + e.name.length;
+    }
+
+    view.setUint32(offset, 0x06054b50, true);           // end of central directory
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, offset - centralStart, true);
+    view.setUint32(offset + 16, centralStart, true);
+    return out;
+}
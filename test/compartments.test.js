@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import {
+    calculateConstraints, compartmentLines, equalDividers, fullGridWalls, wallSpan, findCompartments, compartmentEdgeRuns,
+    remapWalls, setWallRun, mergeCells, splitCells,
+} from '../core/index.js';
+import { makeConfig, IU_PER_MM } from './helpers.js';
+
+const iu = (v) => Math.round(v * IU_PER_MM);
+
+describe('findCompartments', () => {
+    it('is one compartment without dividers', () => {
+        const compartments = findCompartments(3, 2, []);
+        expect(compartments).toHaveLength(1);
+        expect(compartments[0].cells).toHaveLength(6);
+    });
+
+    it('splits cells along complete divider lines only', () => {
+        // Full-depth divider at x = 42 → two compartments
+        const split = findCompartments(2, 2, [{ axis: 'x', pos: 42, seg: 0 }, { axis: 'x', pos: 42, seg: 1 }]);
+        expect(split.map(c => c.cells.length)).toEqual([2, 2]);
+        // A half-length divider leaves the cells connected around its end
+        expect(findCompartments(2, 2, [{ axis: 'x', pos: 42, seg: 0 }])).toHaveLength(1);
+    });
+});
+
+describe('compartmentEdgeRuns', () => {
+    // 3×2 bin: left column split front/back, right two columns one compartment
+    const walls = [
+        { axis: 'x', pos: 42, seg: 0 }, { axis: 'x', pos: 42, seg: 1 },
+        { axis: 'z', pos: 42, seg: 0 },
+    ];
+
+    it('gives one back-edge run per rectangular compartment', () => {
+        expect(compartmentEdgeRuns(3, 2, walls, 'back')).toEqual([
+            { row: 0, i0: 0, i1: 1 },
+            { row: 0, i0: 1, i1: 3 },
+            { row: 1, i0: 0, i1: 1 },
+        ]);
+    });
+
+    it('gives front-edge runs on the front row of each compartment', () => {
+        expect(compartmentEdgeRuns(3, 2, walls, 'front')).toEqual([
+            { row: 0, i0: 0, i1: 1 },
+            { row: 1, i0: 1, i1: 3 },
+            { row: 1, i0: 0, i1: 1 },
+        ]);
+    });
+});
+
+describe('box dividers', () => {
+    // 100 × 60mm interior (external 103.2 × 63.2mm with 1.6mm walls)
+    const config = makeConfig('mm', { measureMode: 'external', width: iu(103.2), depth: iu(63.2), wall: iu(1.6) });
+    const layout = calculateConstraints(config);
+
+    it('splits the interior into equal cells', () => {
+        expect(equalDividers(iu(100), 4)).toEqual([iu(25), iu(50), iu(75)]);
+        expect(equalDividers(iu(100), 1)).toEqual([]);
+    });
+
+    it('puts lines at the divider positions between the inner faces', () => {
+        const lines = compartmentLines({ ...config, dividersX: [iu(70), iu(30)], dividersZ: [iu(80)] }, layout);
+        expect(lines.x.map(v => +v.toFixed(3))).toEqual([0, 30, 70, 100]);
+        expect(lines.z.map(v => +v.toFixed(3))).toEqual([0, 60]); // 80mm is past the back-to-front interior
+        expect(lines.origin.x).toBeCloseTo(-layout.innerW / 2, 9);
+    });
+
+    it('starts new lines as a full grid of compartments', () => {
+        const lines = compartmentLines({ ...config, dividersX: equalDividers(iu(100), 3), dividersZ: equalDividers(iu(60), 2) }, layout);
+        const walls = fullGridWalls(lines);
+        expect(walls).toHaveLength(2 * 2 + 1 * 3);
+        expect(findCompartments(lines.x, lines.z, walls)).toHaveLength(6);
+        expect(findCompartments(lines.x, lines.z, walls.slice(1))).toHaveLength(5);
+    });
+
+    it('drops walls that are no longer on a line', () => {
+        const lines = compartmentLines({ ...config, dividersX: [iu(50)] }, layout);
+        const span = wallSpan(lines, { axis: 'x', pos: 50, seg: 0 });
+        expect(span.from).toBe(0);
+        expect(span.to).toBeCloseTo(60, 9);
+        expect(wallSpan(lines, { axis: 'x', pos: 40, seg: 0 })).toBeNull();
+        expect(wallSpan(lines, { axis: 'x', pos: 50, seg: 1 })).toBeNull();
+    });
+});
+
+describe('free-form bin layouts', () => {
+    const config = makeConfig('gridfinity', { gridWidth: 2, gridDepth: 1, gridHeight: 3 });
+    const layout = calculateConstraints(config);
+    const whole = compartmentLines(config, layout);
+
+    it('subdivides the 42mm grid and adds typed lines', () => {
+        const lines = compartmentLines({ ...config, dividerStep: 'quarter', gridDividersX: [iu(30), iu(42), iu(90)] }, layout);
+        expect(lines.x).toEqual([0, 10.5, 21, 30, 31.5, 42, 52.5, 63, 73.5, 84]);
+        expect(lines.z).toEqual([0, 10.5, 21, 31.5, 42]);
+        const half = calculateConstraints(makeConfig('gridfinity', { gridWidth: 1.5, gridDepth: 1, gridHeight: 3 }));
+        expect(compartmentLines({ ...config, dividerStep: 'half' }, half).x).toEqual([0, 21, 42, 63]);
+    });
+
+    it('warns about typed lines outside the bin', () => {
+        expect(calculateConstraints({ ...config, gridDividersZ: [iu(50)] }).warnings.gridDividersZ).toBe('Outside the bin (ignored)');
+        expect(calculateConstraints({ ...config, gridDividersX: [iu(50)] }).warnings.gridDividersX).toBeUndefined();
+    });
+
+    it('keeps walls and their settings when the grid is subdivided', () => {
+        const half = compartmentLines({ ...config, dividerStep: 'half' }, layout);
+        const walls = remapWalls(whole, half, [{ axis: 'x', pos: 42, seg: 0, height: 20 }]);
+        expect(walls).toEqual([
+            { axis: 'x', pos: 42, seg: 0, height: 20 },
+            { axis: 'x', pos: 42, seg: 1, height: 20 },
+        ]);
+        // Back to whole units: the two halves cover the one cell again; walls on lost lines go
+        const back = remapWalls(half, whole, [...walls, { axis: 'x', pos: 21, seg: 0 }]);
+        expect(back).toEqual([{ axis: 'x', pos: 42, seg: 0, height: 20 }]);
+    });
+
+    it('draws and erases runs of segments along a line', () => {
+        const lines = compartmentLines({ ...config, dividerStep: 'quarter' }, layout);
+        const walls = setWallRun([{ axis: 'z', pos: 21, seg: 2, notch: true }], 'z', 21, 5, 1, true);
+        expect(walls.map(w => w.seg).sort()).toEqual([1, 2, 3, 4, 5]);
+        expect(walls.find(w => w.seg === 2).notch).toBe(true);
+        expect(findCompartments(lines.x, lines.z, walls)).toHaveLength(1);
+        expect(setWallRun(walls, 'z', 21, 2, 4, false).map(w => w.seg).sort()).toEqual([1, 5]);
+    });
+
+    it('splits and merges rectangles of cells', () => {
+        const lines = compartmentLines({ ...config, dividerStep: 'half' }, layout);
+        // 4 × 2 cells; split the left 2 × 2 block into four compartments
+        const split = splitCells(lines, [], { i0: 1, j0: 1, i1: 0, j1: 0 });
+        expect(split).toHaveLength(4);
+        expect(findCompartments(lines.x, lines.z, [...split, ...fullGridWalls(lines).filter(w => w.axis === 'x' && w.pos === 42)]))
+            .toHaveLength(5);
+        expect(splitCells(lines, split, { i0: 0, j0: 0, i1: 1, j1: 1 })).toHaveLength(4);
+        // Merging the top row of the block leaves only the walls of the bottom row
+        expect(mergeCells(lines, split, { i0: 0, j0: 0, i1: 1, j1: 0 })).toEqual(split.filter(w => !(w.axis === 'x' && w.seg === 0)));
+    });
+});
@@ -0,0 +1,589 @@
+import { describe, it, expect } from 'vitest';
+import { calculateConstraints, resolvePrinter } from '../core/index.js';
+import { mm, makeConfig, initIn, IU_PER_MM } from './helpers.js';
+
+const iu = (v) => Math.round(v * IU_PER_MM);
+
+describe('calculateConstraints — standard boxes', () => {
+    it('internal mode (inch): inner size is the requested capacity', () => {
+        const layout = calculateConstraints(makeConfig('in', {
+            width: initIn(3), depth: initIn(4), height: initIn(2), wall: initIn(0.1), floor: initIn(0.1),
+        }));
+        expect(layout.valid).toBe(true);
+        expect(layout.innerW).toBeCloseTo(3);
+        expect(layout.innerD).toBeCloseTo(4);
+        expect(layout.outerW).toBeCloseTo(3.2);
+        expect(layout.outerD).toBeCloseTo(4.2);
+        expect(layout.stack.feet).toBeNull();
+        expect(layout.stack.floor).toEqual({ yMin: 0, yMax: expect.closeTo(0.1) });
+        expect(layout.stack.wall.yMin).toBeCloseTo(0.1);
+        expect(layout.stack.wall.yMax).toBeCloseTo(2.1);
+        expect(layout.totalH).toBeCloseTo(2.1);
+        expect(layout.stack.lid).toBeNull();
+    });
+
+    it('external mode (mm): outer size is the bound, walls are subtracted', () => {
+        const layout = calculateConstraints(makeConfig('mm', {
+            measureMode: 'external', width: iu(100), depth: iu(60), height: iu(40), wall: iu(2), floor: iu(1.5),
+        }));
+        expect(mm(layout.outerW)).toBe(100);
+        expect(mm(layout.innerW)).toBe(96);
+        expect(mm(layout.innerD)).toBe(56);
+        expect(mm(layout.totalH)).toBe(40);
+        expect(mm(layout.innerH)).toBe(38.5);
+    });
+
+    it('internal mode with step lid: wall grows by the insert depth, lid sits on top', () => {
+        const layout = calculateConstraints(makeConfig('mm', {
+            height: iu(50), floor: iu(2), lidEnabled: true, lidType: 'step',
+            lidThickness: iu(2), lipDepth: iu(4),
+        }));
+        expect(mm(layout.stack.wall.yMax - layout.stack.wall.yMin)).toBe(54);
+        expect(layout.stack.lid).toMatchObject({ type: 'step' });
+        expect(mm(layout.stack.lid.yPos)).toBe(56);
+        expect(mm(layout.stack.lid.insertDepth)).toBe(4);
+        expect(mm(layout.totalH)).toBe(58);
+    });
+
+    it('external mode with step lid: total height includes the lid plate', () => {
+        const layout = calculateConstraints(makeConfig('mm', {
+            measureMode: 'external', height: iu(50), floor: iu(2), lidEnabled: true, lidType: 'step', lidThickness: iu(2),
+        }));
+        expect(mm(layout.totalH)).toBe(50);
+        expect(mm(layout.stack.wall.yMax)).toBe(48);
+    });
+
+    it('slide lid: dovetail rails over a slot (lid + tolerance) with a 2mm cap above the wall', () => {
+        const layout = calculateConstraints(makeConfig('mm', {
+            measureMode: 'external', height: iu(50), floor: iu(2), wall: iu(2),
+            lidEnabled: true, lidType: 'slide', lidThickness: iu(2), tolerance: iu(0.3),
+        }));
+        const { slot, cap, neck, undercut, detent } = layout.stack.rail;
+        expect(mm(slot.yMax - slot.yMin)).toBe(2.3);
+        expect(mm(cap.yMin)).toBe(mm(slot.yMax));
+        expect(mm(cap.yMax - cap.yMin)).toBe(2);
+        expect(mm(layout.totalH)).toBe(50);
+        // Rails stand on the outer half of the wall and lean in to its inner face
+        expect(mm(neck)).toBe(1);
+        expect(mm(undercut)).toBe(1);
+        expect(mm(detent.height)).toBe(0.3);
+
+        const { lid } = layout.stack;
+        expect(lid.type).toBe('slide');
+        expect(mm(lid.width)).toBeCloseTo(mm(layout.outerW) - 2 - 0.3);
+        expect(mm(lid.depth)).toBeCloseTo(mm(layout.outerD) - 1 - 0.15);
+        expect(mm(lid.undercut)).toBeCloseTo(2 / 2.3, 3);
+        expect(mm(lid.groove)).toBe(0.45);
+    });
+
+    it('slide lid: keeps the rails within 45° and warns about thin walls and lids', () => {
+        const thick = calculateConstraints(makeConfig('mm', { wall: iu(6), lidEnabled: true, lidType: 'slide', lidThickness: iu(1.5), tolerance: iu(0.3) }));
+        expect(mm(thick.stack.rail.undercut)).toBe(1.8);
+
+        // Internal height 50 + floor 2.03 + slot 2.29 + cap 2 = 56.3mm
+        const onBed = (bedZ) => calculateConstraints(makeConfig('mm', {
+            height: iu(50), lidEnabled: true, lidType: 'slide', printer: { ...resolvePrinter({ id: 'generic-250' }), bedZ },
+        }));
+        expect(onBed(56.5).warnings.height).toBeUndefined();
+        expect(onBed(56).warnings.height).toBe('Exceeds 56mm');
+
+        const thin = calculateConstraints(makeConfig('mm', { wall: iu(0.9), lidEnabled: true, lidType: 'slide', lidThickness: iu(0.8) }));
+        expect(thin.warnings.wall).toBe('Too thin for the slide rails (< 1mm)');
+        expect(thin.warnings.lidThickness).toBe('Too thin for the detent groove (< 0.6mm left)');
+    });
+
+    it('slide lid: sizes the rail cap to the rail top, 1–2mm', () => {
+        const cap = (wall, lidThickness) => {
+            const { rail } = calculateConstraints(makeConfig('mm', {
+                wall: iu(wall), lidEnabled: true, lidType: 'slide', lidThickness: iu(lidThickness), tolerance: iu(0.3),
+            })).stack;
+            return mm(rail.cap.yMax - rail.cap.yMin);
+        };
+        // Thick lid on a thin wall: 0.6mm neck + 0.6mm undercut
+        expect(cap(1.2, 3)).toBe(1.2);
+        expect(cap(0.9, 3)).toBe(1);
+        expect(cap(6, 3)).toBe(2);
+    });
+
+    it('hinge lid: lid over a tolerance gap, knuckles flush with its top behind the back wall', () => {
+        const layout = calculateConstraints(makeConfig('mm', {
+            measureMode: 'external', height: iu(50), floor: iu(2), wall: iu(2),
+            lidEnabled: true, lidType: 'hinge', lidThickness: iu(2), tolerance: iu(0.3), hingePin: iu(1.75),
+        }));
+        const { lid, wall } = layout.stack;
+        expect(mm(layout.totalH)).toBe(50);
+        expect(mm(lid.yPos - wall.yMax)).toBe(0.3);
+        expect(mm(lid.width)).toBe(mm(layout.outerW));
+        expect(lid.inPlace).toBe(true);
+        const { hinge } = lid;
+        expect(mm(hinge.axisY + hinge.radius)).toBe(50);
+        expect(mm(-hinge.axisZ - hinge.radius)).toBeCloseTo(mm(layout.outerD) / 2 + 0.3);
+        expect(mm(hinge.pinRadius)).toBe(0.875);
+        expect(mm(hinge.boreRadius)).toBe(1.175);
+        expect(layout.warnings.hingePin).toBeUndefined();
+        const thick = calculateConstraints(makeConfig('mm', { lidEnabled: true, lidType: 'hinge', hingePin: iu(8) }));
+        expect(thick.warnings.hingePin).toBe('Out of range (1.0–6.1mm)');
+
+        const pinned = calculateConstraints(makeConfig('mm', { lidEnabled: true, lidType: 'hinge', hingePrint: 'pin', tolerance: iu(0.3) }));
+        expect(pinned.stack.lid.hinge.pinRadius).toBe(0);
+        expect(mm(pinned.stack.lid.hinge.boreRadius)).toBe(1.025);
+
+        const tight = calculateConstraints(makeConfig('mm', { lidEnabled: true, lidType: 'hinge', tolerance: iu(0.1) }));
+        expect(tight.warnings.tolerance).toBe('Under 0.2mm: an in-place hinge may fuse');
+        const short = calculateConstraints(makeConfig('mm', { measureMode: 'external', height: iu(8), lidEnabled: true, lidType: 'hinge' }));
+        expect(short.errors).toContain('Box is too short for the hinge knuckles.');
+    });
+
+    it('snap lid: groove centred on the bead or the latch hooks, wall grows by their reach', () => {
+        const base = { height: iu(40), wall: iu(2), lipDepth: iu(4), tolerance: iu(0.3), lidEnabled: true, lidType: 'snap', snapInterference: iu(0.4) };
+        const bead = calculateConstraints(makeConfig('mm', base));
+        const { snap } = bead.stack.lid;
+        expect(mm(bead.stack.wall.yMax - bead.stack.wall.yMin)).toBe(44);
+        expect(mm(bead.stack.wall.yMax - snap.grooveY)).toBe(2);
+        expect(mm(snap.grooveHeight)).toBe(1.1);
+        expect(snap.latches).toBeNull();
+        expect(bead.warnings).toEqual({});
+
+        const latch = calculateConstraints(makeConfig('mm', { ...base, snapStyle: 'latch', snapLatches: 6, snapFlex: iu(10) }));
+        const { snap: latchSnap } = latch.stack.lid;
+        expect(mm(latch.stack.wall.yMax - latch.stack.wall.yMin)).toBe(50);
+        expect(mm(latch.stack.wall.yMax - latchSnap.grooveY)).toBe(9.6);
+        expect(latchSnap.latches.perSide).toEqual([2, 2, 1, 1]);
+        expect(mm(latchSnap.latches.length)).toBe(10);
+        // Insert shrinks by the arm and its hook's reach on each side
+        expect(mm(bead.stack.lid.insert.width)).toBeCloseTo(mm(bead.innerW) - 0.3, 3);
+        expect(mm(latch.stack.lid.insert.width)).toBeCloseTo(mm(latch.innerW) - 0.3 - 2 * (1.5 + 0.4), 3);
+    });
+
+    it('snap lid: warns about thin walls, stiff latch arms and crowded latches', () => {
+        const thin = calculateConstraints(makeConfig('mm', { wall: iu(1), lidEnabled: true, lidType: 'snap', snapInterference: iu(0.4) }));
+        expect(thin.warnings.wall).toBe('Too thin for the snap groove (< 0.8mm behind it)');
+
+        const latch = { lidEnabled: true, lidType: 'snap', snapStyle: 'latch', snapInterference: iu(0.8) };
+        const stiff = calculateConstraints(makeConfig('mm', { ...latch, snapFlex: iu(5) }));
+        expect(stiff.warnings.snapFlex).toBe('Too short to flex this far (arm may crack)');
+        expect(calculateConstraints(makeConfig('mm', { ...latch, snapFlex: iu(12) })).warnings.snapFlex).toBeUndefined();
+
+        const crowded = calculateConstraints(makeConfig('mm', { ...latch, width: iu(20), depth: iu(20), snapLatches: 8 }));
+        expect(crowded.warnings.snapLatches).toBe('Too many latches for the walls');
+
+        const shallow = calculateConstraints(makeConfig('mm', { lidEnabled: true, lidType: 'snap', lipDepth: iu(1) }));
+        expect(shallow.warnings.lipDepth).toBe('Too shallow for the snap bead');
+    });
+
+    it('warns about thin structure, zero tolerance and bed size', () => {
+        const layout = calculateConstraints(makeConfig('mm', {
+            width: iu(300), wall: iu(0.5), floor: iu(0.5), lidEnabled: true, tolerance: 0,
+        }));
+        expect(layout.warnings.wall).toMatch(/Fragile/);
+        expect(layout.warnings.floor).toMatch(/warping/);
+        expect(layout.warnings.tolerance).toMatch(/0 tolerance/);
+        expect(layout.warnings.width).toBe('Exceeds 250mm');
+        expect(layout.valid).toBe(true);
+    });
+
+    it('warns when a value is outside the control range', () => {
+        const layout = calculateConstraints(makeConfig('mm', { height: iu(5) }));
+        expect(layout.warnings.height).toBe('Out of range (12.7–609.6mm)');
+    });
+
+    it('errors when walls consume the whole external width', () => {
+        const layout = calculateConstraints(makeConfig('mm', {
+            measureMode: 'external', width: iu(10), wall: iu(6),
+        }));
+        expect(layout.valid).toBe(false);
+        expect(layout.errors).toContain('Walls are too thick for the defined width/depth.');
+    });
+
+    it('errors when the external height cannot hold floor and lid', () => {
+        const layout = calculateConstraints(makeConfig('mm', {
+            measureMode: 'external', height: iu(3), floor: iu(2), lidEnabled: true, lidType: 'step', lidThickness: iu(2),
+        }));
+        expect(layout.errors).toContain('External height is too short for the floor and lid components.');
+    });
+
+    it('warns about box dividers outside the interior', () => {
+        const layout = calculateConstraints(makeConfig('mm', {
+            measureMode: 'external', width: iu(50), wall: iu(2), dividersX: [iu(20), iu(46)], dividersZ: [iu(10)],
+        }));
+        expect(layout.warnings.dividersX).toBe('Outside the interior (ignored)');
+        expect(layout.warnings.dividersZ).toBeUndefined();
+    });
+
+    it('places text on its surface and warns when it cannot fit', () => {
+        const front = calculateConstraints(makeConfig('mm', { text: 'M3', textStyle: 'deboss', textDepth: iu(1.5), wall: iu(1.6) }));
+        expect(front.stack.text.target).toBe('front');
+        expect(mm(front.stack.text.size)).toBe(8);
+        expect(front.warnings.textDepth).toBe('Leaves < 0.4mm behind the text');
+
+        const noLid = calculateConstraints(makeConfig('mm', { text: 'M3', textTarget: 'lid' }));
+        expect(noLid.stack.text).toBeNull();
+        expect(noLid.warnings.textTarget).toBe('No lid to put the text on');
+
+        const stepLid = calculateConstraints(makeConfig('mm', { text: 'M3', textTarget: 'lid', lidEnabled: true, lidType: 'step' }));
+        expect(stepLid.warnings.textStyle).toMatch(/needs supports/);
+
+        const long = calculateConstraints(makeConfig('mm', { text: 'SCREWS AND WASHERS', width: iu(40) }));
+        expect(long.warnings.textSize).toBe('Text wider than the surface');
+    });
+});
+
+describe('calculateConstraints — corners', () => {
+    it('rounds the inside by the corner radius less the wall', () => {
+        const layout = calculateConstraints(makeConfig('mm', { wall: iu(2), floor: iu(2), cornerRadius: iu(6), bottomChamfer: iu(1) }));
+        const { corners } = layout.stack;
+        expect(mm(corners.radius)).toBe(6);
+        expect(mm(corners.innerRadius)).toBe(4);
+        expect(mm(corners.chamfer)).toBe(1);
+        expect(layout.warnings.cornerRadius).toBeUndefined();
+        expect(mm(calculateConstraints(makeConfig('mm', { wall: iu(2), cornerRadius: iu(1.5) })).stack.corners.innerRadius)).toBe(0);
+        expect(calculateConstraints(makeConfig('gridfinity')).stack.corners).toBeNull();
+    });
+
+    it('limits the chamfer to the floor and keeps slide lids square', () => {
+        const deep = calculateConstraints(makeConfig('mm', { floor: iu(1.2), bottomChamfer: iu(3) }));
+        expect(deep.warnings.bottomChamfer).toBe('Limited to the floor thickness');
+        expect(mm(deep.stack.corners.chamfer)).toBe(1.2);
+
+        const slide = calculateConstraints(makeConfig('mm', { cornerRadius: iu(5), lidEnabled: true, lidType: 'slide' }));
+        expect(slide.warnings.cornerRadius).toBe('Slide lids need square corners (ignored)');
+        expect(slide.stack.corners.radius).toBe(0);
+
+        const tiny = calculateConstraints(makeConfig('mm', { cornerRadius: iu(0.2) }));
+        expect(tiny.stack.corners.radius).toBe(0);
+    });
+
+    it('narrows the text surface to the flat part of the front wall', () => {
+        const config = makeConfig('mm', { width: iu(40), text: 'MMM', textSize: iu(6) });
+        expect(calculateConstraints(config).warnings.textSize).toBeUndefined();
+        expect(calculateConstraints({ ...config, cornerRadius: iu(12) }).warnings.textSize).toBe('Text wider than the surface');
+    });
+});
+
+describe('calculateConstraints — dividers', () => {
+    const walls = [{ axis: 'x', pos: 30, seg: 0 }];
+
+    it('runs full-height dividers from the floor to the wall top', () => {
+        const layout = calculateConstraints(makeConfig('mm', { height: iu(40), floor: iu(2), dividersX: [iu(30)] }), walls);
+        expect(layout.stack.dividers.yMin).toBe(layout.stack.floor.yMax);
+        expect(layout.stack.dividers.yMax).toBe(layout.stack.wall.yMax);
+        expect(mm(layout.stack.dividers.maxHeight)).toBe(40);
+        expect(layout.stack.dividers.groove).toBeNull();
+        expect(calculateConstraints(makeConfig('mm')).stack.dividers).toBeNull();
+    });
+
+    it('stops under a step lid insert', () => {
+        const layout = calculateConstraints(makeConfig('mm', {
+            height: iu(40), floor: iu(2), lidEnabled: true, lidType: 'step', lipDepth: iu(4), tolerance: iu(0.3),
+        }), walls);
+        expect(mm(layout.stack.dividers.maxHeight)).toBeCloseTo(39.7, 5);
+    });
+
+    it('cuts grooves halfway into the wall for removable dividers, open through the lip', () => {
+        const bin = calculateConstraints(makeConfig('gridfinity', { gridWidth: 2, gridDepth: 1, gridHeight: 3 }),
+            [{ axis: 'x', pos: 42, seg: 0, removable: true }]);
+        expect(bin.stack.dividers.groove.depth).toBeCloseTo((bin.outerW - bin.innerW) / 4, 6);
+        expect(mm(bin.stack.dividers.groove.clearance)).toBe(0.3);
+        expect(bin.stack.dividers.groove.yMax).toBeCloseTo(bin.totalH, 6);
+
+        const thin = calculateConstraints(makeConfig('mm', { wall: iu(1), dividersX: [iu(30)] }), [{ ...walls[0], removable: true }]);
+        expect(thin.warnings.wall).toBe('Too thin for divider grooves (< 1.2mm)');
+    });
+});
+
+describe('calculateConstraints — cutouts', () => {
+    const slot = [[[-30, -10], [30, -10], [30, 10], [-30, 10]]];
+
+    it('sinks the pocket from the floor up to the cutout depth', () => {
+        const layout = calculateConstraints(makeConfig('mm', { height: iu(40), floor: iu(2), cutoutOutline: slot, cutoutDepth: iu(15) }));
+        expect(layout.stack.cutout.yMin).toBe(layout.stack.floor.yMax);
+        expect(mm(layout.stack.cutout.yMax - layout.stack.cutout.yMin)).toBe(15);
+        expect(layout.warnings.cutoutDepth).toBeUndefined();
+        expect(layout.warnings.cutoutX).toBeUndefined();
+        expect(calculateConstraints(makeConfig('mm')).stack.cutout).toBeNull();
+    });
+
+    it('clips pockets deeper than the interior and warns when the outline reaches the walls', () => {
+        const deep = calculateConstraints(makeConfig('mm', { height: iu(20), cutoutOutline: slot, cutoutDepth: iu(30) }));
+        expect(deep.warnings.cutoutDepth).toBe('Deeper than the interior (clipped)');
+        expect(deep.stack.cutout.yMax).toBeCloseTo(deep.stack.wall.yMax, 6);
+
+        const bin = makeConfig('gridfinity', { gridWidth: 1, gridDepth: 1, gridHeight: 6, cutoutOutline: slot });
+        expect(calculateConstraints(bin).warnings.cutoutX).toBe('Outline runs into the walls');
+        expect(calculateConstraints({ ...bin, gridWidth: 2 }).warnings.cutoutX).toBeUndefined();
+        // Finger holes count too
+        expect(calculateConstraints({ ...bin, gridWidth: 2, cutoutFinger: 'ends', cutoutFingerSize: iu(25) }).warnings.cutoutX)
+            .toBe('Outline runs into the walls');
+    });
+});
+
+describe('calculateConstraints — round jars', () => {
+    const jar = { containerShape: 'jar', diameter: iu(50), height: iu(60), wall: iu(2), floor: iu(2), lidThickness: iu(2),
+        threadPitch: iu(3), threadTurns: 1.5, threadClearance: iu(0.4) };
+
+    it('stacks the tube, thread and cap out from the inside diameter', () => {
+        const layout = calculateConstraints(makeConfig('mm', jar));
+        const { jar: j } = layout.stack;
+        expect(layout.valid).toBe(true);
+        expect(mm(j.innerRadius)).toBe(25);
+        expect(mm(j.radius)).toBe(27);
+        expect(mm(j.thread.depth)).toBe(0.75);
+        expect(mm(j.cap.innerRadius)).toBe(28.15);
+        expect(mm(layout.outerW)).toBe(60.3);
+        expect(mm(layout.innerH)).toBe(60);
+        expect(mm(layout.totalH)).toBe(64);
+        // 45° flanks: the axial play is √2 × the radial clearance
+        expect(mm(j.thread.rootWidth)).toBeCloseTo((3 + 1.5 + 0.8 - 2 * Math.SQRT2 * 0.4) / 2, 2);
+        expect(mm(j.thread.capYStart)).toBeCloseTo(mm(j.thread.yStart) - 1.5, 2);
+        expect(mm(j.cap.skirt)).toBeCloseTo(1.5 * 3 + mm(j.thread.rootWidth) + 3 + 0.4, 2);
+        expect(layout.stack.lid).toBeNull();
+    });
+
+    it('works inward from the cap in external mode', () => {
+        const internal = calculateConstraints(makeConfig('mm', jar));
+        const external = calculateConstraints(makeConfig('mm', { ...jar, measureMode: 'external', diameter: iu(60.3), height: iu(64) }));
+        expect(mm(external.stack.jar.innerRadius)).toBeCloseTo(25, 2);
+        expect(mm(external.stack.jar.rim)).toBeCloseTo(mm(internal.stack.jar.rim), 2);
+        expect(mm(external.totalH)).toBe(64);
+    });
+
+    it('warns about loose, tight, shallow and short threads', () => {
+        const tight = calculateConstraints(makeConfig('mm', { ...jar, threadClearance: iu(0.1) }));
+        expect(tight.warnings.threadClearance).toBe('Under 0.2mm: the cap may bind');
+        const loose = calculateConstraints(makeConfig('mm', { ...jar, threadPitch: iu(1.56), threadClearance: iu(1) }));
+        expect(loose.warnings.threadClearance).toBe('Too loose for the pitch (threads come to a point)');
+        expect(loose.warnings.threadPitch).toBe("Threads under 0.4mm deep won't hold");
+        const short = calculateConstraints(makeConfig('mm', { ...jar, threadTurns: 0.75 }));
+        expect(short.warnings.threadTurns).toBe('Under one turn: the cap may not seal evenly');
+        expect(calculateConstraints(makeConfig('mm', jar)).warnings).toEqual({});
+    });
+
+    it('errors when the walls fill the diameter or the jar is too short for the thread', () => {
+        const narrow = calculateConstraints(makeConfig('mm', { ...jar, measureMode: 'external', diameter: iu(10), wall: iu(3) }));
+        expect(narrow.errors).toContain('Walls and threads are too thick for the diameter.');
+        const low = calculateConstraints(makeConfig('mm', { ...jar, height: iu(5) }));
+        expect(low.errors).toContain('Jar is too short for the thread.');
+    });
+});
+
+describe('calculateConstraints — Gridfinity', () => {
+    it('bin: 0.5mm clearance, 4.75mm feet, shoulder at units × 7mm, 4.4mm lip', () => {
+        const layout = calculateConstraints(makeConfig('gridfinity', {
+            gridWidth: 2, gridDepth: 3, gridHeight: 6, wall: iu(1.2), floor: iu(1),
+        }));
+        expect(layout.valid).toBe(true);
+        expect(mm(layout.outerW)).toBe(83.5);
+        expect(mm(layout.outerD)).toBe(125.5);
+        expect(mm(layout.innerW)).toBe(81.1);
+        expect(mm(layout.stack.feet.yMax)).toBe(4.75);
+        expect(mm(layout.stack.floor.yMax)).toBe(5.75);
+        expect(mm(layout.bodyH)).toBe(42);
+        expect(mm(layout.stack.wall.yMax)).toBe(42);
+        expect(mm(layout.stack.lip.yMax - layout.stack.lip.yMin)).toBe(4.4);
+        expect(mm(layout.totalH)).toBe(46.4);
+    });
+
+    it('half-unit bins: 21mm steps, other sizes rounded', () => {
+        const layout = calculateConstraints(makeConfig('gridfinity', { gridWidth: 1.5, gridDepth: 0.5 }));
+        expect(layout.grid).toEqual({ unitsX: 1.5, unitsZ: 0.5 });
+        expect(mm(layout.outerW)).toBe(62.5);
+        expect(mm(layout.outerD)).toBe(20.5);
+        expect(layout.warnings.gridWidth).toBeUndefined();
+
+        const odd = calculateConstraints(makeConfig('gridfinity', { gridWidth: 1.7, gridDepth: 2 }));
+        expect(odd.grid.unitsX).toBe(1.5);
+        expect(odd.warnings.gridWidth).toBe('Rounded to 1.5 (half units)');
+
+        const frame = calculateConstraints(makeConfig('gridfinity', { gridfinityType: 'frame', gridWidth: 2.5, gridDepth: 2 }));
+        expect(frame.stack.baseplate.unitsX).toBe(3);
+        expect(frame.warnings.gridWidth).toBe('Rounded to 3 (whole units)');
+    });
+
+    it('height in mm replaces the 7mm units', () => {
+        const layout = calculateConstraints(makeConfig('gridfinity', { gridHeightUnit: 'mm', gridHeightMm: iu(30) }));
+        expect(mm(layout.bodyH)).toBe(30);
+        expect(mm(layout.stack.wall.yMax)).toBe(30);
+
+        const low = calculateConstraints(makeConfig('gridfinity', { gridHeightUnit: 'mm', gridHeightMm: iu(5) }));
+        expect(low.errors).toContain('Gridfinity height too low for feet+floor.');
+        expect(low.warnings.gridHeightMm).toMatch(/Out of range/);
+    });
+
+    it('lip style sets the total height; usable height stays the wall', () => {
+        const bin = (lipStyle) => calculateConstraints(makeConfig('gridfinity', { gridHeight: 6, floor: iu(1), lipStyle }));
+        const standard = bin('standard');
+        const reduced = bin('reduced');
+        const none = bin('none');
+        expect(mm(reduced.stack.lip.yMax - reduced.stack.lip.yMin)).toBe(2.25);
+        expect(mm(reduced.totalH)).toBe(44.25);
+        expect(none.stack.lip).toBeNull();
+        expect(mm(none.totalH)).toBe(42);
+        expect(mm(none.bodyH)).toBe(42);
+        expect(mm(none.innerH)).toBe(mm(standard.innerH));
+        expect(mm(reduced.innerH)).toBe(mm(standard.innerH));
+    });
+
+    it('warns when the scoop radius is taller than the walls', () => {
+        const bin = (overrides) => calculateConstraints(makeConfig('gridfinity', { gridHeight: 3, floor: iu(1), scoop: 'front', ...overrides }));
+        expect(bin({ scoopRadius: iu(10) }).warnings.scoopRadius).toBeUndefined();
+        expect(bin({ scoopRadius: iu(20) }).warnings.scoopRadius).toBe('Taller than the walls (clipped)');
+        expect(bin({ scoopRadius: iu(20), scoop: 'none' }).warnings.scoopRadius).toBeUndefined();
+    });
+
+    it('hangs label tabs from the wall top, clear of a stacked bin\'s feet', () => {
+        const bin = (overrides) => calculateConstraints(makeConfig('gridfinity', {
+            gridHeight: 6, floor: iu(1), labelTab: 'full', labelTabDepth: iu(12), labelTabAngle: 36, ...overrides,
+        }));
+        expect(mm(bin({}).stack.labelTab.yTop)).toBe(41.65);                 // 42 - (4.75 - 4.4)
+        expect(mm(bin({ lipStyle: 'reduced' }).stack.labelTab.yTop)).toBe(39.5);
+        expect(mm(bin({ lipStyle: 'none' }).stack.labelTab.yTop)).toBe(42);
+        expect(bin({}).warnings.labelTabDepth).toBeUndefined();
+        expect(bin({ gridHeight: 3 }).warnings.labelTabDepth).toBe('Too deep for the wall height (cut off)');
+        expect(bin({ labelTab: 'none' }).stack.labelTab).toBeNull();
+    });
+
+    it('frame: nominal 42mm pitch, no feet', () => {
+        const layout = calculateConstraints(makeConfig('gridfinity', {
+            gridfinityType: 'frame', gridWidth: 3, gridDepth: 2,
+        }));
+        expect(mm(layout.outerW)).toBe(126);
+        expect(mm(layout.outerD)).toBe(84);
+        expect(layout.stack.feet).toBeNull();
+        expect(layout.stack.floor).toBeNull();
+        expect(layout.stack.lip).toBeNull();
+    });
+
+    it('frame: keeps the nominal outer size that bins shrink by 0.5mm', () => {
+        const size = (gridfinityType) => {
+            const layout = calculateConstraints(makeConfig('gridfinity', { gridfinityType, gridWidth: 2, gridDepth: 1 }));
+            return [mm(layout.outerW), mm(layout.outerD)];
+        };
+        expect(size('frame')).toEqual([84, 42]);
+        expect(size('bin')).toEqual([83.5, 41.5]);
+    });
+
+    it('frame: 4.65mm receiving profile on a base sized for weights or magnets', () => {
+        const plate = (overrides) => calculateConstraints(makeConfig('gridfinity', { gridfinityType: 'frame', ...overrides }));
+
+        const thin = plate({});
+        expect(mm(thin.stack.baseplate.profileY)).toBe(0);
+        expect(mm(thin.totalH)).toBe(4.65);
+
+        const magnets = plate({ baseplateMagnets: true });
+        expect(mm(magnets.stack.baseplate.profileY)).toBe(3);
+        expect(mm(magnets.totalH)).toBe(7.65);
+
+        const weighted = plate({ baseplateStyle: 'weighted', baseplateMagnets: true });
+        expect(weighted.stack.baseplate.weighted).toBe(true);
+        expect(mm(weighted.stack.baseplate.profileY)).toBe(6.4);
+        expect(mm(weighted.totalH)).toBe(11.05);
+    });
+
+    it('sizes baseplate bases and foot pocket warnings from the magnet', () => {
+        const plate = (overrides) => calculateConstraints(makeConfig('gridfinity', { gridfinityType: 'frame', ...overrides }));
+        const tall = { magnetDiameter: iu(6), magnetDepth: iu(3) };
+        expect(mm(plate({ baseplateMagnets: true, ...tall }).stack.baseplate.profileY)).toBe(4);
+        expect(mm(plate({ baseplateStyle: 'weighted', baseplateMagnets: true, ...tall }).stack.baseplate.profileY)).toBe(7.4);
+
+        const bin = (overrides) => calculateConstraints(makeConfig('gridfinity', overrides));
+        expect(bin(tall).stack.feet.holes).toBe('magnets-screws');
+        expect(mm(bin(tall).stack.feet.magnet.depth)).toBe(3);
+        expect(bin(tall).warnings.magnetDepth).toBeUndefined();
+        expect(bin({ magnetDepth: iu(3.8) }).warnings.magnetDepth).toBe('Too deep for foot (< 0.6mm left)');
+        expect(bin({ magnetDepth: iu(3.8), footHoles: 'screws' }).warnings.magnetDepth).toBeUndefined();
+        expect(bin({ magnetDiameter: iu(8) }).valid).toBe(true);
+        // Too wide for the foot: an error, and the magnet pockets are left out
+        const wide = bin({ magnetDiameter: iu(8.5) });
+        expect(wide.warnings.magnetDiameter).toBe('Breaks into foot edge (> 8mm)');
+        expect(wide.valid).toBe(false);
+        expect(wide.stack.feet.holes).toBe('screws');
+        expect(bin({ magnetDiameter: iu(10), footHoles: 'crush-ribs' }).stack.feet.holes).toBe('none');
+        const halfFeet = bin({ footSize: 'half', magnetDiameter: iu(10) });
+        expect(halfFeet.valid).toBe(false);
+        expect(halfFeet.stack.feet.holes).toBe('screws');
+        expect(bin({ footSize: 'half', magnetDiameter: iu(8) }).valid).toBe(true);
+        const widePlate = plate({ baseplateMagnets: true, magnetDiameter: iu(10) });
+        expect(widePlate.valid).toBe(false);
+        expect(widePlate.stack.baseplate.magnets).toBe(false);
+        expect(mm(widePlate.stack.baseplate.profileY)).toBe(0);
+    });
+
+    it('warns when the bin exceeds the 250mm bed', () => {
+        const layout = calculateConstraints(makeConfig('gridfinity', { gridWidth: 6, gridHeight: 40 }));
+        expect(layout.warnings.gridWidth).toBe('Exceeds 250mm');
+        expect(layout.warnings.gridHeight).toBe('Exceeds 250mm');
+    });
+
+    it('errors when the unit count cannot fit feet and floor', () => {
+        const layout = calculateConstraints(makeConfig('gridfinity', { gridHeight: 1, floor: iu(3) }));
+        expect(layout.errors).toContain('Gridfinity Unit count too low for feet+floor height.');
+    });
+});
+
+describe('calculateConstraints — printer profiles', () => {
+    const mini = resolvePrinter({ id: 'prusa-mini' });
+    const mk4 = resolvePrinter({ id: 'prusa-mk4' });
+
+    it('warns against the selected bed instead of a fixed 250mm', () => {
+        const layout = calculateConstraints(makeConfig('mm', { width: iu(200), printer: mini }));
+        expect(layout.warnings.width).toBe('Exceeds 180mm');
+        expect(calculateConstraints(makeConfig('mm', { width: iu(200) })).warnings.width).toBeUndefined();
+    });
+
+    it('lets a footprint turn 90° on a rectangular bed', () => {
+        const fits = calculateConstraints(makeConfig('mm', {
+            measureMode: 'external', width: iu(200), depth: iu(240), printer: mk4,
+        }));
+        expect(fits.warnings.width).toBeUndefined();
+        expect(fits.warnings.depth).toBeUndefined();
+
+        const tooDeep = calculateConstraints(makeConfig('mm', {
+            measureMode: 'external', width: iu(240), depth: iu(215), printer: mk4,
+        }));
+        expect(tooDeep.warnings.depth).toBe('Exceeds 210mm');
+    });
+
+    it('checks height against the bed Z', () => {
+        const layout = calculateConstraints(makeConfig('gridfinity', { gridHeight: 20, printer: { ...mini, bedZ: 120 } }));
+        expect(layout.warnings.gridHeight).toBe('Exceeds 120mm');
+    });
+
+    it('advises wall thickness in nozzle multiples and floors in whole layers', () => {
+        const odd = calculateConstraints(makeConfig('mm', { wall: iu(1.0), floor: iu(1.1) }));
+        expect(odd.warnings.wall).toBe('Try 1.2mm (3× 0.4mm nozzle)');
+        expect(odd.warnings.floor).toBe('Try 1.2mm (6× 0.2mm layers)');
+
+        const even = calculateConstraints(makeConfig('mm', { wall: iu(1.2), floor: iu(1.0) }));
+        expect(even.warnings.wall).toBeUndefined();
+        expect(even.warnings.floor).toBeUndefined();
+
+        const wide = calculateConstraints(makeConfig('mm', { wall: iu(1.0), printer: { ...mk4, nozzle: 0.6 } }));
+        expect(wide.warnings.wall).toBe('Under 2 perimeters (0.6mm nozzle)');
+    });
+
+    it('gives the usable height under a step or snap lid\'s insert', () => {
+        const usable = (overrides) => mm(calculateConstraints(makeConfig('mm', { height: iu(40), ...overrides })).stack.wall.usableH);
+        expect(usable({})).toBe(40);
+        expect(usable({ lidEnabled: true, lidType: 'step' })).toBe(40);
+        expect(usable({ lidEnabled: true, lidType: 'snap', snapStyle: 'latch', snapFlex: iu(15) })).toBe(40);
+        expect(usable({ lidEnabled: true, lidType: 'hinge' })).toBe(40);
+        // External: the insert comes off the wall height
+        const step = calculateConstraints(makeConfig('mm', {
+            measureMode: 'external', height: iu(40), lidEnabled: true, lidType: 'step', lipDepth: iu(4),
+        }));
+        expect(mm(step.stack.wall.usableH)).toBeCloseTo(mm(step.innerH) - 4, 3);
+    });
+
+    it('keeps one wall warning: the first structural one, else the printer hint', () => {
+        const snap = (wall, overrides = {}) => calculateConstraints(makeConfig('mm', {
+            wall: iu(wall), lidEnabled: true, lidType: 'snap', snapInterference: iu(0.4), ...overrides,
+        }));
+        // 1.0mm is off the 0.4mm nozzle grid and leaves 0.6mm behind the groove
+        expect(snap(1.0).warnings.wall).toBe('Too thin for the snap groove (< 0.8mm behind it)');
+        expect(snap(0.6).warnings.wall).toBe('Fragile (< 0.8mm)');
+        // Clear of the groove, the hint shows again
+        expect(snap(1.0, { snapInterference: iu(0.2) }).warnings.wall).toBe('Try 1.2mm (3× 0.4mm nozzle)');
+        expect(calculateConstraints(makeConfig('mm', { containerShape: 'jar', wall: iu(1.0) })).warnings.wall)
+            .toBe('Try 1.2mm (3× 0.4mm nozzle)');
+    });
+});
@@ -0,0 +1,315 @@
+import { describe, it, expect } from 'vitest';
+import {
+    buildModel, solidify, solidifyMeshes, generateSTL, generatePartFiles, collectPartMeshes, compartmentLines, fullGridWalls, toScene, IU_PER_MM, IN_TO_MM,
+} from '../core/index.js';
+import { makeConfig, geometryEdgeReport, geometryVolume, edgeReport, shellVolumes, mm } from './helpers.js';
+
+const iu = (v) => Math.round(v * IU_PER_MM);
+
+const MODELS = {
+    'standard box': makeConfig('in'),
+    'standard box with step lid': makeConfig('in', { lidEnabled: true, lidType: 'step' }),
+    'standard box with slide lid': makeConfig('in', { lidEnabled: true, lidType: 'slide' }),
+    'perforated box with slide lid': makeConfig('mm', { holes: true, wall: iu(3), lidEnabled: true, lidType: 'slide' }),
+    'rounded box with chamfered step lid': makeConfig('mm', {
+        cornerRadius: iu(6), bottomChamfer: iu(1), lidEnabled: true, lidType: 'step',
+    }),
+    'rounded box with print-in-place hinge lid': makeConfig('mm', { cornerRadius: iu(4), lidEnabled: true, lidType: 'hinge' }),
+    'standard box with pinned hinge lid': makeConfig('mm', { lidEnabled: true, lidType: 'hinge', hingePrint: 'pin' }),
+    'rounded box with snap bead lid': makeConfig('mm', { cornerRadius: iu(5), lidEnabled: true, lidType: 'snap' }),
+    'standard box with snap latch lid': makeConfig('mm', { lidEnabled: true, lidType: 'snap', snapStyle: 'latch', snapLatches: 7 }),
+    'perforated box with hinge lid': makeConfig('mm', { holes: true, lidEnabled: true, lidType: 'hinge' }),
+    'rounded perforated box': makeConfig('mm', { cornerRadius: iu(1), holes: true }),
+    'round jar with screw cap': makeConfig('mm', { containerShape: 'jar', diameter: iu(40), height: iu(30), wall: iu(2) }),
+    'gridfinity bin with magnets': makeConfig('gridfinity', { gridWidth: 2, gridDepth: 2, gridHeight: 3, holes: true }),
+    'gridfinity bin with printable holes': makeConfig('gridfinity', { gridWidth: 1, gridDepth: 1, gridHeight: 3, footHoles: 'printable' }),
+    'gridfinity bin with reduced lip': makeConfig('gridfinity', { gridWidth: 1, gridDepth: 2, gridHeight: 3, lipStyle: 'reduced' }),
+    'gridfinity bin without lip': makeConfig('gridfinity', { gridWidth: 1, gridDepth: 1, gridHeight: 3, lipStyle: 'none' }),
+    'half-unit gridfinity bin': makeConfig('gridfinity', { gridWidth: 1.5, gridDepth: 0.5, gridHeight: 3 }),
+    'gridfinity bin with half-size feet': makeConfig('gridfinity', { gridWidth: 1, gridDepth: 1, gridHeight: 3, footSize: 'half' }),
+    'gridfinity frame': makeConfig('gridfinity', { gridfinityType: 'frame', gridWidth: 2, gridDepth: 2 }),
+    'weighted magnet baseplate': makeConfig('gridfinity', {
+        gridfinityType: 'frame', gridWidth: 2, gridDepth: 1, baseplateStyle: 'weighted', baseplateMagnets: true,
+    })
+};
+
+// Read the triangles back out of a binary STL buffer
+function readBinarySTL(buffer) {
+    const view = new DataView(buffer);
+    const count = view.getUint32(80, true);
+    const positions = new Float32Array(count * 9);
+    for (let t = 0; t < count; t++) {
+        for (let k = 0; k < 9; k++) positions[t * 9 + k] = view.getFloat32(84 + t * 50 + 12 + k * 4, true);
+    }
+    return { count, positions };
+}
+
+describe('exported meshes', () => {
+    for (const [name, config] of Object.entries(MODELS)) {
+        it(`${name} unions into closed solids`, async () => {
+            const { group } = buildModel(config);
+            const geometry = await solidify(group);
+            const report = geometryEdgeReport(geometry);
+            expect(report.triangles).toBeGreaterThan(0);
+            expect(report.badEdges).toBe(0);
+        });
+    }
+
+    it('writes a binary STL with a packed 50-byte record per triangle', async () => {
+        const { group } = buildModel(MODELS['standard box with step lid']);
+        const buffer = await generateSTL(group);
+        const { count, positions } = readBinarySTL(buffer);
+        expect(buffer.byteLength).toBe(84 + count * 50);
+        expect(edgeReport(positions).badEdges).toBe(0);
+    });
+
+    it('writes each tagged part to its own closed file', async () => {
+        const { group } = buildModel(MODELS['standard box with step lid']);
+        expect([...collectPartMeshes(group).keys()].sort()).toEqual(['body', 'lid']);
+
+        const files = await generatePartFiles(group, 'box_test', 'stl');
+        expect(files.map(f => f.name).sort()).toEqual(['box_test_body.stl', 'box_test_lid.stl']);
+        for (const file of files) {
+            expect(edgeReport(readBinarySTL(file.data).positions).badEdges).toBe(0);
+        }
+    });
+
+    it('keeps a print-in-place hinge lid on the body and turns a pinned one onto the bed', () => {
+        const inPlace = buildModel(MODELS['rounded box with print-in-place hinge lid']);
+        expect([...collectPartMeshes(inPlace.group).keys()]).toEqual(['body']);
+
+        const { group, layout } = buildModel(MODELS['standard box with pinned hinge lid']);
+        const parts = collectPartMeshes(group);
+        expect([...parts.keys()].sort()).toEqual(['body', 'lid']);
+        let minY = Infinity;
+        for (const mesh of parts.get('lid')) {
+            mesh.geometry.computeBoundingBox();
+            minY = Math.min(minY, mesh.geometry.boundingBox.min.y + mesh.position.y);
+        }
+        expect(minY).toBeCloseTo(0, 6);
+        expect(layout.stack.lid.hinge.pinRadius).toBe(0);
+    });
+
+    it('joins every knuckle of a rounded hinge lid to its plate', async () => {
+        const rounded = { cornerRadius: iu(8), lidEnabled: true, lidType: 'hinge' };
+        // Printed in place: the box and the lid, nothing loose
+        const inPlace = await solidify(buildModel(makeConfig('mm', rounded)).group);
+        const shells = shellVolumes(inPlace);
+        expect(shells).toHaveLength(2);
+        expect(Math.min(...shells)).toBeGreaterThan(0);
+
+        const pinned = collectPartMeshes(buildModel(makeConfig('mm', { ...rounded, hingePrint: 'pin' })).group);
+        expect(shellVolumes(await solidifyMeshes(pinned.get('lid')))).toHaveLength(1);
+        expect(shellVolumes(await solidifyMeshes(pinned.get('body')))).toHaveLength(1);
+    });
+
+    it('opens snap latch pockets onto the inner wall of a rounded box', async () => {
+        const config = makeConfig('mm', { cornerRadius: iu(8), lidEnabled: true, lidType: 'snap', snapStyle: 'latch' });
+        const parts = collectPartMeshes(buildModel(config).group);
+        // A pocket sealed inside the wall would be a second, negative-volume shell
+        const body = shellVolumes(await solidifyMeshes(parts.get('body')));
+        expect(body).toHaveLength(1);
+        expect(body[0]).toBeGreaterThan(0);
+        expect(shellVolumes(await solidifyMeshes(parts.get('lid')))).toHaveLength(1);
+    });
+
+    it('exports the jar upright and the cap top-down beside it', () => {
+        const { group, layout } = buildModel(MODELS['round jar with screw cap']);
+        const parts = collectPartMeshes(group);
+        expect([...parts.keys()].sort()).toEqual(['cap', 'jar']);
+        const bounds = (meshes) => {
+            const box = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity };
+            for (const mesh of meshes) {
+                mesh.updateMatrixWorld(true);
+                mesh.geometry.computeBoundingBox();
+                const b = mesh.geometry.boundingBox.clone().applyMatrix4(mesh.matrixWorld);
+                box.minX = Math.min(box.minX, b.min.x); box.maxX = Math.max(box.maxX, b.max.x);
+                box.minY = Math.min(box.minY, b.min.y); box.maxY = Math.max(box.maxY, b.max.y);
+            }
+            return box;
+        };
+        const jar = bounds(parts.get('jar'));
+        const cap = bounds(parts.get('cap'));
+        expect(jar.minY).toBeCloseTo(0, 6);
+        expect(jar.maxY).toBeCloseTo(layout.stack.jar.rim, 6);
+        expect(cap.minY).toBeCloseTo(0, 6);
+        expect(cap.maxY).toBeCloseTo(layout.stack.jar.cap.thickness + layout.stack.jar.cap.skirt, 3);
+        expect(cap.minX).toBeGreaterThan(jar.maxX);
+    });
+
+    it('cuts the detent groove and thumb grip into a slide lid', async () => {
+        const { group, layout } = buildModel(MODELS['standard box with slide lid']);
+        const lid = collectPartMeshes(group).get('lid');
+        // Groove under the lid, five grip grooves on top
+        expect(lid.filter(m => m.userData.cut)).toHaveLength(6);
+        expect(lid.filter(m => !m.userData.cut)).toHaveLength(1);
+
+        // The union takes both out of the plate: five 25 × 1.2mm grip grooves, and the
+        // 45° groove (groove² in section) over the bump plus a groove at each end
+        const mm3 = (v) => v * IN_TO_MM ** 3;
+        const plain = mm3(geometryVolume(await solidifyMeshes(lid.filter(m => !m.userData.cut))));
+        const cut = mm3(geometryVolume(await solidifyMeshes(lid)));
+        const { grip, groove } = layout.stack.lid;
+        const expected = 5 * 25 * 1.2 * mm(grip.depth) + mm(groove) ** 2 * (mm(layout.stack.rail.detent.length) + 2 * mm(groove));
+        expect(plain - cut).toBeCloseTo(expected, 0);
+    });
+
+    it('fuses scoops in front of each compartment into the bin body', async () => {
+        const config = { ...MODELS['gridfinity bin with magnets'], holes: false, scoop: 'compartments' };
+        const walls = [{ axis: 'z', pos: 42, seg: 0 }];
+        const { group } = buildModel(config, walls);
+        const { group: noScoops } = buildModel({ ...config, scoop: 'none' }, walls);
+        // Column 0: front wall + divider; column 1: front wall only
+        expect(group.children.length - noScoops.children.length).toBe(3);
+        const geometry = await solidify(group);
+        expect(geometryEdgeReport(geometry).badEdges).toBe(0);
+    });
+
+    it('places one label tab per compartment and fuses them into the body', async () => {
+        const config = { ...MODELS['gridfinity bin with magnets'], holes: false, labelTab: 'compartments' };
+        const walls = [{ axis: 'x', pos: 42, seg: 0 }, { axis: 'x', pos: 42, seg: 1 }];
+        const { group } = buildModel(config, walls);
+        const { group: noTabs } = buildModel({ ...config, labelTab: 'none' }, walls);
+        expect(group.children.length - noTabs.children.length).toBe(2);
+        const geometry = await solidify(group);
+        expect(geometryEdgeReport(geometry).badEdges).toBe(0);
+    });
+
+    it('keeps divider walls inside the bin body', async () => {
+        const walls = [{ axis: 'x', pos: 42, seg: 0 }, { axis: 'x', pos: 42, seg: 1 }, { axis: 'z', pos: 42, seg: 0 }];
+        const { group } = buildModel(MODELS['gridfinity bin with magnets'], walls);
+        const geometry = await solidify(group);
+        expect(geometryEdgeReport(geometry).badEdges).toBe(0);
+        geometry.computeBoundingBox();
+        const { layout } = buildModel(MODELS['gridfinity bin with magnets']);
+        expect(geometry.boundingBox.max.x - geometry.boundingBox.min.x).toBeCloseTo(layout.outerW, 4);
+    });
+
+    it('lays out full and half-unit feet on the 42mm grid', () => {
+        const feet = (config) => buildModel(config).group.children.filter(m => m.position.y === 0);
+        const half = feet(MODELS['half-unit gridfinity bin']);
+        expect(half).toHaveLength(2); // a 42 × 21mm foot and a 21 × 21mm foot
+        const widths = half.map(m => { m.geometry.computeBoundingBox(); return mm(m.geometry.boundingBox.max.x * 2); });
+        expect(widths.sort()).toEqual([20.5, 41.5]);
+        expect(feet(MODELS['gridfinity bin with half-size feet'])).toHaveLength(4);
+    });
+
+    it('splits a half-unit bin into compartments up to the short last cell', async () => {
+        const config = makeConfig('gridfinity', { gridWidth: 2.5, gridDepth: 1, gridHeight: 3, labelTab: 'compartments', scoop: 'compartments' });
+        const walls = [{ axis: 'x', pos: 84, seg: 0 }];
+        const { group } = buildModel(config, walls);
+        const geometry = await solidify(group);
+        expect(geometryEdgeReport(geometry).badEdges).toBe(0);
+    });
+
+    it('builds scoops and label tabs for compartments on a subdivided grid', async () => {
+        const config = makeConfig('gridfinity', {
+            gridWidth: 2, gridDepth: 1, gridHeight: 3, dividerStep: 'quarter', gridDividersZ: [iu(30)],
+            labelTab: 'compartments', scoop: 'compartments',
+        });
+        // A 10.5mm-wide column of small cells on the left, cut across at z = 30mm
+        const walls = [
+            { axis: 'x', pos: 10.5, seg: 0 }, { axis: 'x', pos: 10.5, seg: 1 }, { axis: 'x', pos: 10.5, seg: 2 }, { axis: 'x', pos: 10.5, seg: 3 },
+            { axis: 'x', pos: 10.5, seg: 4 }, { axis: 'z', pos: 30, seg: 0 },
+        ];
+        const { group, layout } = buildModel(config, walls);
+        expect(compartmentLines(config, layout).z).toEqual([0, 10.5, 21, 30, 31.5, 42]);
+        const { group: plain } = buildModel({ ...config, labelTab: 'none', scoop: 'none' }, walls);
+        // A scoop per column and compartment (two in the left column, one in each of the other 7)
+        // and a tab per compartment
+        expect(group.children.length - plain.children.length).toBe(9 + 3);
+        expect(geometryEdgeReport(await solidify(group)).badEdges).toBe(0);
+    });
+
+    it('sizes box dividers to the interior and keeps them under a step lid insert', async () => {
+        const config = makeConfig('mm', {
+            measureMode: 'external', width: iu(103.2), depth: iu(63.2), height: iu(40), wall: iu(1.6),
+            lidEnabled: true, lidType: 'step', dividersX: [iu(50)], dividersZ: [iu(30)],
+        });
+        const { layout, group: plain } = buildModel(config);
+        const walls = fullGridWalls(compartmentLines(config, layout));
+        const { group } = buildModel(config, walls);
+        // Dividers are built after the body walls, before the lid
+        const first = plain.children.findIndex(m => m.userData.part === 'lid');
+        const dividers = group.children.slice(first, first + walls.length);
+        expect(dividers).toHaveLength(4);
+        for (const m of dividers) {
+            m.geometry.computeBoundingBox();
+            expect(m.position.y + m.geometry.boundingBox.max.y)
+                .toBeCloseTo(layout.stack.wall.yMax - layout.stack.lid.insertDepth - toScene(config.tolerance), 6);
+        }
+        const x = dividers.find(m => m.geometry.parameters.width < 0.1);
+        expect(mm(x.geometry.parameters.depth)).toBeGreaterThan(30);
+        const body = await solidify(group);
+        expect(geometryEdgeReport(body).badEdges).toBe(0);
+    });
+
+    it('builds partial-height and notched dividers into the body', async () => {
+        const config = makeConfig('gridfinity', { gridWidth: 2, gridDepth: 1, gridHeight: 6 });
+        const walls = [{ axis: 'x', pos: 42, seg: 0, height: 15, notch: true }];
+        const { layout, group } = buildModel(config, walls);
+        const divider = group.children.find(m => m.geometry.type === 'ExtrudeGeometry' && m.geometry.parameters.options.depth < 0.1);
+        divider.geometry.computeBoundingBox();
+        expect(mm(divider.position.y + divider.geometry.boundingBox.max.y - layout.stack.dividers.yMin)).toBeCloseTo(15, 1);
+        expect(geometryEdgeReport(await solidify(group)).badEdges).toBe(0);
+    });
+
+    it('exports bins and baseplates set for magnets too wide for the feet', async () => {
+        for (const config of [
+            makeConfig('gridfinity', { gridWidth: 1, gridDepth: 1, gridHeight: 3, magnetDiameter: iu(10), magnetDepth: iu(4) }),
+            makeConfig('gridfinity', { gridWidth: 1.5, gridDepth: 1, gridHeight: 3, footSize: 'half', magnetDiameter: iu(10), magnetDepth: iu(4) }),
+            makeConfig('gridfinity', { gridfinityType: 'frame', gridWidth: 1, gridDepth: 1, baseplateMagnets: true, magnetDiameter: iu(10) }),
+        ]) {
+            const { positions } = readBinarySTL(await generateSTL(buildModel(config).group));
+            expect(edgeReport(positions).badEdges).toBe(0);
+        }
+    });
+
+    it('exports a short notched divider with the notch kept inside the plate', async () => {
+        const config = makeConfig('gridfinity', { gridWidth: 2, gridDepth: 3, gridHeight: 6 });
+        const walls = [0, 1, 2].map(seg => ({ axis: 'x', pos: 42, seg, height: 10, notch: true }));
+        const { group } = buildModel(config, walls);
+        const { count, positions } = readBinarySTL(await generateSTL(group));
+        expect(count).toBeGreaterThan(0);
+        expect(edgeReport(positions).badEdges).toBe(0);
+    });
+
+    it('exports removable dividers as their own part and cuts grooves for them', async () => {
+        const config = makeConfig('gridfinity', { gridWidth: 2, gridDepth: 2, gridHeight: 6 });
+        const walls = [{ axis: 'x', pos: 42, seg: 0, removable: true, notch: true }, { axis: 'x', pos: 42, seg: 1, removable: true, notch: true }];
+        const { group } = buildModel(config, walls);
+        const parts = collectPartMeshes(group);
+        expect([...parts.keys()].sort()).toEqual(['body', 'dividers']);
+        // Segments with the same height and notch merge into one plate
+        expect(parts.get('dividers')).toHaveLength(1);
+        expect(group.children.filter(m => m.userData.cut)).toHaveLength(2);
+
+        const files = await generatePartFiles(group, 'bin', 'stl');
+        expect(files.map(f => f.name).sort()).toEqual(['bin_body.stl', 'bin_dividers.stl']);
+        for (const f of files) expect(edgeReport(readBinarySTL(f.data).positions).badEdges).toBe(0);
+
+        // The grooves take material out of the walls
+        const bodyVolume = async (w) => {
+            const { group: g } = buildModel(config, w);
+            g.updateMatrixWorld(true);
+            return geometryVolume(await solidifyMeshes(collectPartMeshes(g).get('body')));
+        };
+        expect(await bodyVolume(walls)).toBeLessThan(await bodyVolume([]));
+    });
+
+    it('sinks a rotated tool pocket with finger holes into a closed body', async () => {
+        const slot = [[[-30, -8], [30, -8], [30, 8], [-30, 8]]];
+        const config = makeConfig('gridfinity', { gridWidth: 2, gridDepth: 1, gridHeight: 6 });
+        const bodyVolume = async (c) => {
+            const { group } = buildModel(c, []);
+            const body = await solidify(group);
+            expect(geometryEdgeReport(body).badEdges).toBe(0);
+            return geometryVolume(body);
+        };
+        const pocketed = { ...config, cutoutOutline: slot, cutoutDepth: iu(10), cutoutRotation: 30, cutoutFinger: 'ends' };
+        expect(await bodyVolume(pocketed)).toBeGreaterThan(await bodyVolume(config));
+        // The solid fill is only as tall as the pocket
+        const shallow = await bodyVolume({ ...pocketed, cutoutDepth: iu(5) });
+        expect(shallow).toBeLessThan(await bodyVolume(pocketed));
+    });
+});
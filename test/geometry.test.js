@@ -0,0 +1,392 @@
+import { describe, it, expect } from 'vitest';
+import { createGridfinityFootGeo, createGridfinityLipGeo, createGridfinityBaseplateGeo, createScoopGeo, createLabelTabGeo, createDividerGeo,
+    createRoundedSlabGeo, createRoundedWallGeo, createWallCornerGeo, createBoxKnuckleGeo, createLidKnuckleGeo, createHingeShelfGeo,
+    createSnapBandGeo, createSnapRidgeGeo, createTubeGeo, createThreadGeo,
+    createDovetailRailGeo, createDovetailLidGeo, generateRoundedRectRing, CONFIG_CHOICES, MM_TO_IN } from '../core/index.js';
+import { geometryEdgeReport, geometryVolume, verticesMM } from './helpers.js';
+
+// Half-extent (mm) of the vertices lying on a given height
+const halfWidthAt = (verts, y) => Math.max(...verts.filter(v => Math.abs(v.y - y) < 1e-3).map(v => Math.abs(v.x)));
+
+describe('createGridfinityFootGeo', () => {
+    it('follows the 35.6 → 37.0 → 37.0 → 41.5mm profile over 4.75mm', () => {
+        const verts = verticesMM(createGridfinityFootGeo(false));
+        expect(Math.min(...verts.map(v => v.y))).toBe(0);
+        expect(Math.max(...verts.map(v => v.y))).toBe(4.75);
+        expect(halfWidthAt(verts, 0)).toBeCloseTo(35.6 / 2, 2);
+        expect(halfWidthAt(verts, 0.7)).toBeCloseTo(37.0 / 2, 2);
+        expect(halfWidthAt(verts, 2.5)).toBeCloseTo(37.0 / 2, 2);
+        expect(halfWidthAt(verts, 4.75)).toBeCloseTo(41.5 / 2, 2);
+    });
+
+    it('has 6.5mm × 2.4mm magnet pockets with 2.9mm screw holes at ±13mm', () => {
+        const verts = verticesMM(createGridfinityFootGeo(true));
+        const pocketFloor = verts.filter(v => Math.abs(v.y - 2.4) < 1e-3);
+        const radii = pocketFloor
+            .filter(v => v.x > 0 && v.z > 0)
+            .map(v => Math.hypot(v.x - 13, v.z - 13));
+        expect(Math.max(...radii)).toBeCloseTo(3.25, 2);
+        expect(Math.min(...radii)).toBeCloseTo(1.45, 2);
+    });
+
+    it('is a closed solid with and without magnet holes', () => {
+        expect(geometryEdgeReport(createGridfinityFootGeo(false)).badEdges).toBe(0);
+        expect(geometryEdgeReport(createGridfinityFootGeo(true)).badEdges).toBe(0);
+    });
+
+    it('is a closed solid for every hole style', () => {
+        for (const style of CONFIG_CHOICES.footHoles) {
+            expect(geometryEdgeReport(createGridfinityFootGeo(style)).badEdges, style).toBe(0);
+        }
+    });
+
+    it('sizes pockets from the magnet: 6×3 magnet → 6.5 × 3.4mm pocket', () => {
+        const magnet = { diameter: 6 * MM_TO_IN, depth: 3 * MM_TO_IN };
+        const verts = verticesMM(createGridfinityFootGeo('magnets', magnet));
+        const pocketFloor = verts.filter(v => Math.abs(v.y - 3.4) < 1e-3 && v.x > 0 && v.z > 0);
+        expect(pocketFloor.length).toBeGreaterThan(0);
+        for (const v of pocketFloor) expect(Math.hypot(v.x - 13, v.z - 13)).toBeCloseTo(3.25, 2);
+    });
+
+    it('screw-only holes run through at 2.9mm without a pocket', () => {
+        const verts = verticesMM(createGridfinityFootGeo('screws')).filter(v => v.x > 0 && v.z > 0);
+        const holeRadii = verts.map(v => Math.hypot(v.x - 13, v.z - 13)).filter(r => r < 5);
+        expect(Math.max(...holeRadii)).toBeCloseTo(1.45, 2);
+    });
+
+    it('crush ribs reach 0.1mm inside the magnet, with 0.15mm clearance between them', () => {
+        const verts = verticesMM(createGridfinityFootGeo('crush-ribs')).filter(v => v.x > 0 && v.z > 0);
+        const radii = verts.map(v => Math.hypot(v.x - 13, v.z - 13)).filter(r => r < 5);
+        expect(Math.min(...radii)).toBeCloseTo(2.9, 2);
+        expect(Math.max(...radii)).toBeCloseTo(3.15, 2);
+    });
+
+    it('printable holes bridge the pocket with two 0.3mm layers', () => {
+        const verts = verticesMM(createGridfinityFootGeo('printable'));
+        const heights = new Set(verts.map(v => +v.y.toFixed(3)));
+        expect([...heights].sort((a, b) => a - b)).toEqual([0, 0.7, 2.4, 2.5, 2.7, 3, 4.75]);
+    });
+
+    it('half-unit feet keep the profile insets and only the holes on the 42mm grid', () => {
+        const half = 21 * MM_TO_IN;
+        const verts = verticesMM(createGridfinityFootGeo('magnets', undefined, {
+            width: half, depth: 42 * MM_TO_IN, holeCorners: [[-1, -1], [-1, 1]],
+        }));
+        expect(halfWidthAt(verts, 0)).toBeCloseTo((21 - 6.4) / 2, 2);
+        expect(halfWidthAt(verts, 4.75)).toBeCloseTo((21 - 0.5) / 2, 2);
+        // Pockets 8mm in from the left corners: x = -10.5 + 8
+        const pocketFloor = verts.filter(v => Math.abs(v.y - 2.4) < 1e-3);
+        const centres = new Set(pocketFloor.map(v => `${Math.sign(v.z)}`));
+        expect(centres).toEqual(new Set(['-1', '1']));
+        for (const v of pocketFloor) expect(Math.hypot(v.x + 2.5, Math.abs(v.z) - 13)).toBeCloseTo(3.25, 2);
+    });
+
+    it('is a closed solid at half size', () => {
+        const half = 21 * MM_TO_IN;
+        const geo = createGridfinityFootGeo('magnets-screws', undefined, { width: half, depth: half, holeCorners: [[1, 1]] });
+        expect(geometryEdgeReport(geo).badEdges).toBe(0);
+    });
+});
+
+describe('createGridfinityLipGeo', () => {
+    const outerW = 83.5 * MM_TO_IN;
+    const outerD = 125.5 * MM_TO_IN;
+
+    it('is 4.4mm tall with the outer wall at the bin size', () => {
+        const verts = verticesMM(createGridfinityLipGeo(outerW, outerD));
+        expect(Math.max(...verts.map(v => v.y))).toBe(4.4);
+        expect(Math.max(...verts.map(v => v.x))).toBeCloseTo(83.5 / 2, 2);
+        expect(Math.max(...verts.map(v => v.z))).toBeCloseTo(125.5 / 2, 2);
+    });
+
+    it('has an inner cavity 0.5mm narrower at the top and 6.4mm at the seat', () => {
+        const verts = verticesMM(createGridfinityLipGeo(outerW, outerD));
+        // Inner ring: widest vertex on a level, away from the outer wall's 4mm corner arcs
+        // (outer corner points start at |z| = 125.5 / 2 - 4 = 58.75)
+        const innerHalf = (y) => Math.max(...verts
+            .filter(v => Math.abs(v.y - y) < 1e-3 && Math.abs(v.z) < 58.6)
+            .map(v => Math.abs(v.x)));
+        expect(innerHalf(4.4)).toBeCloseTo((83.5 - 0.5) / 2, 2);
+        expect(innerHalf(0)).toBeCloseTo((83.5 - 6.4) / 2, 2);
+        expect(innerHalf(0.7)).toBeCloseTo((83.5 - 5.0) / 2, 2);
+    });
+
+    it('reduced lip keeps only the 2.25mm entrance chamfer', () => {
+        const verts = verticesMM(createGridfinityLipGeo(outerW, outerD, 'reduced'));
+        expect(Math.max(...verts.map(v => v.y))).toBe(2.25);
+        const innerHalf = (y) => Math.max(...verts
+            .filter(v => Math.abs(v.y - y) < 1e-3 && Math.abs(v.z) < 58.6)
+            .map(v => Math.abs(v.x)));
+        expect(innerHalf(2.25)).toBeCloseTo((83.5 - 0.5) / 2, 2);
+        expect(innerHalf(0)).toBeCloseTo((83.5 - 5.0) / 2, 2);
+    });
+
+    it('is a closed solid', () => {
+        expect(geometryEdgeReport(createGridfinityLipGeo(outerW, outerD)).badEdges).toBe(0);
+        expect(geometryEdgeReport(createGridfinityLipGeo(outerW, outerD, 'reduced')).badEdges).toBe(0);
+    });
+});
+
+describe('createGridfinityBaseplateGeo', () => {
+    // Cell profile of a 1×1 plate, away from the plate's own 4mm corner arcs (|z| > 17)
+    const cellHalf = (verts, y) => Math.max(...verts
+        .filter(v => Math.abs(v.y - y) < 1e-3 && Math.abs(v.z) < 16.9)
+        .map(v => Math.abs(v.x)));
+
+    it('mirrors the foot: 41.5mm entrance, 37.2mm vertical, 35.8mm seat over 4.65mm', () => {
+        const verts = verticesMM(createGridfinityBaseplateGeo(1, 1));
+        expect(Math.max(...verts.map(v => v.y))).toBe(4.65);
+        expect(Math.max(...verts.map(v => v.x))).toBeCloseTo(21, 2);
+        expect(cellHalf(verts, 4.65)).toBeCloseTo(41.5 / 2, 2);
+        expect(cellHalf(verts, 2.5)).toBeCloseTo(37.2 / 2, 2);
+        expect(cellHalf(verts, 0.7)).toBeCloseTo(37.2 / 2, 2);
+        expect(cellHalf(verts, 0)).toBeCloseTo(35.8 / 2, 2);
+    });
+
+    it('raises the profile onto the base and sinks magnet pockets into each cell', () => {
+        const verts = verticesMM(createGridfinityBaseplateGeo(1, 1, { baseH: 3 * MM_TO_IN, magnets: true }));
+        expect(Math.max(...verts.map(v => v.y))).toBe(7.65);
+        const pocketFloor = verts.filter(v => Math.abs(v.y - 0.6) < 1e-3 && v.x > 0 && v.z > 0);
+        expect(Math.max(...pocketFloor.map(v => Math.hypot(v.x - 13, v.z - 13)))).toBeCloseTo(3.25, 2);
+    });
+
+    it('is a closed solid for thin, magnet and weighted plates', () => {
+        const base = 6.4 * MM_TO_IN;
+        expect(geometryEdgeReport(createGridfinityBaseplateGeo(3, 2)).badEdges).toBe(0);
+        expect(geometryEdgeReport(createGridfinityBaseplateGeo(3, 2, { baseH: 3 * MM_TO_IN, magnets: true })).badEdges).toBe(0);
+        expect(geometryEdgeReport(createGridfinityBaseplateGeo(3, 2, { baseH: base, weighted: true, magnets: true })).badEdges).toBe(0);
+    });
+
+    it('extends a tile with padding strips and square corners on joined sides', () => {
+        const padding = { left: 10 * MM_TO_IN, back: 2.5 * MM_TO_IN };
+        const geo = createGridfinityBaseplateGeo(2, 2, { padding, joins: { right: true, front: true } });
+        expect(geometryEdgeReport(geo).badEdges).toBe(0);
+        const verts = verticesMM(geo);
+        expect(Math.min(...verts.map(v => v.x))).toBeCloseTo(-52, 2);
+        expect(Math.min(...verts.map(v => v.z))).toBeCloseTo(-44.5, 2);
+        // Joined corner is a single square point at (42, 42)
+        expect(verts.some(v => Math.abs(v.x - 42) < 1e-3 && Math.abs(v.z - 42) < 1e-3)).toBe(true);
+    });
+});
+
+describe('createScoopGeo', () => {
+    it('fills the floor/wall corner with a quarter-round ramp', () => {
+        const verts = verticesMM(createScoopGeo(20 * MM_TO_IN, 10 * MM_TO_IN));
+        expect(Math.max(...verts.map(v => v.x))).toBeCloseTo(20, 4);
+        expect(Math.min(...verts.map(v => v.z))).toBeCloseTo(-10, 4);
+        expect(Math.max(...verts.map(v => v.y))).toBeCloseTo(10, 4);
+        // Ramp surface points lie on the 10mm circle centred 10mm out and 10mm up
+        const curve = verts.filter(v => v.z < -1e-3 && v.y > 1e-3);
+        expect(curve.length).toBeGreaterThan(0);
+        for (const v of curve) expect(Math.hypot(v.z + 10, v.y - 10)).toBeCloseTo(10, 2);
+    });
+
+    it('is a closed solid', () => {
+        expect(geometryEdgeReport(createScoopGeo(1, 0.4, 0.002)).badEdges).toBe(0);
+    });
+});
+
+describe('createLabelTabGeo', () => {
+    const deg = Math.PI / 180;
+
+    it('tilts the label face by the angle, with a 1mm front edge and 45° underside', () => {
+        const verts = verticesMM(createLabelTabGeo(20 * MM_TO_IN, 12 * MM_TO_IN, 45 * deg));
+        expect(Math.min(...verts.map(v => v.z))).toBeCloseTo(-12, 3);
+        expect(Math.max(...verts.map(v => v.y))).toBeCloseTo(0, 3);
+        // Front edge: 12mm face drop, then 1mm, then 12mm back to the wall
+        const front = verts.filter(v => Math.abs(v.z + 12) < 1e-3).map(v => v.y);
+        expect(Math.max(...front)).toBeCloseTo(-12, 3);
+        expect(Math.min(...front)).toBeCloseTo(-13, 3);
+        expect(Math.min(...verts.map(v => v.y))).toBeCloseTo(-25, 3);
+    });
+
+    it('flattens the underside at maxDrop', () => {
+        const verts = verticesMM(createLabelTabGeo(20 * MM_TO_IN, 12 * MM_TO_IN, 0, { maxDrop: 5 * MM_TO_IN }));
+        expect(Math.min(...verts.map(v => v.y))).toBeCloseTo(-5, 3);
+    });
+
+    it('is a closed solid', () => {
+        expect(geometryEdgeReport(createLabelTabGeo(1, 0.5, 36 * deg, { overlap: 0.002 })).badEdges).toBe(0);
+        expect(geometryEdgeReport(createLabelTabGeo(1, 0.5, 36 * deg, { maxDrop: 0.3, overlap: 0.002 })).badEdges).toBe(0);
+    });
+});
+
+describe('createDividerGeo', () => {
+    it('cuts a rounded finger notch down from the middle of the top edge', () => {
+        const verts = verticesMM(createDividerGeo(60 * MM_TO_IN, 30 * MM_TO_IN, 1.2 * MM_TO_IN,
+            { notchWidth: 20 * MM_TO_IN, notchDepth: 15 * MM_TO_IN }));
+        expect(Math.max(...verts.map(v => v.x))).toBeCloseTo(30, 4);
+        expect(Math.max(...verts.map(v => v.y))).toBeCloseTo(30, 4);
+        // The notch bottom sits 15mm below the top, in the middle of the plate
+        const middle = verts.filter(v => Math.abs(v.x) < 1e-3).map(v => v.y);
+        expect(Math.max(...middle)).toBeCloseTo(15, 3);
+    });
+
+    it('keeps the notch above the bottom edge of a short divider', () => {
+        const verts = verticesMM(createDividerGeo(60 * MM_TO_IN, 10 * MM_TO_IN, 1.2 * MM_TO_IN,
+            { notchWidth: 25 * MM_TO_IN, notchDepth: 15 * MM_TO_IN }));
+        expect(Math.min(...verts.map(v => v.y))).toBeCloseTo(0, 4);
+        const middle = verts.filter(v => Math.abs(v.x) < 1e-3).map(v => v.y);
+        expect(Math.max(...middle)).toBeCloseTo(5, 3);
+        // Radius limited to the 5mm depth
+        const notch = verts.filter(v => Math.abs(v.y - 10) < 1e-3 && Math.abs(v.x) < 29).map(v => Math.abs(v.x));
+        expect(Math.max(...notch)).toBeCloseTo(5, 3);
+    });
+
+    it('is a closed solid with or without a notch', () => {
+        expect(geometryEdgeReport(createDividerGeo(2, 1, 0.05)).badEdges).toBe(0);
+        expect(geometryEdgeReport(createDividerGeo(2, 1, 0.05, { notchWidth: 0.8, notchDepth: 0.5 })).badEdges).toBe(0);
+    });
+});
+
+describe('standard box corners', () => {
+    const mm = (v) => v * MM_TO_IN;
+
+    it('rounds the slab corners and insets its bottom by the chamfer', () => {
+        const verts = verticesMM(createRoundedSlabGeo(mm(80), mm(60), mm(2), mm(6), mm(1)));
+        expect(halfWidthAt(verts, 0)).toBeCloseTo(39, 4);
+        expect(halfWidthAt(verts, 1)).toBeCloseTo(40, 4);
+        expect(halfWidthAt(verts, 2)).toBeCloseTo(40, 4);
+        // No vertex reaches the square corner
+        expect(Math.max(...verts.map(v => Math.hypot(v.x, v.z)))).toBeLessThan(Math.hypot(40, 30) - 1);
+    });
+
+    it('keeps the straight sides between rounded corners square to the axes', () => {
+        const ring = generateRoundedRectRing(80, 60, 8);
+        // Every side point sits exactly on the face, from one arc end to the next
+        const right = ring.filter(p => Math.abs(p.x - 40) < 1e-9);
+        expect(right.map(p => p.z).sort((a, b) => a - b)).toEqual([-22, 22]);
+        expect(ring.filter(p => Math.abs(p.z + 30) < 1e-9).length).toBe(2);
+        expect(generateRoundedRectRing(80, 60, 0, 1).length).toBe(4);
+        // Radius of half the depth: the arcs meet on the short sides without repeating a point
+        const stadium = generateRoundedRectRing(80, 60, 30, 4);
+        expect(stadium.length).toBe(4 * 5 - 2);
+    });
+
+    it('builds closed slabs, wall rings and corner pieces, square or rounded', () => {
+        for (const [r, c] of [[0, 0], [0, 0.04], [0.25, 0], [0.25, 0.04], [0.02, 0.04]]) {
+            expect(geometryEdgeReport(createRoundedSlabGeo(3, 2, 0.1, r, c)).badEdges).toBe(0);
+        }
+        expect(geometryEdgeReport(createRoundedSlabGeo(3, 2, 0.04, 0.25, 0.1)).badEdges).toBe(0);
+        for (const r of [0, 0.05, 0.25]) {
+            expect(geometryEdgeReport(createRoundedWallGeo(3, 2, 1, 0.08, r)).badEdges).toBe(0);
+            expect(geometryEdgeReport(createWallCornerGeo(r || 0.08, 0.08, 1, Math.PI / 2)).badEdges).toBe(0);
+        }
+    });
+
+    it('fills the corner square when the wall is thicker than the radius', () => {
+        const verts = verticesMM(createWallCornerGeo(mm(1), mm(3), mm(10)));
+        expect(Math.min(...verts.map(v => v.x))).toBeCloseTo(-2, 4);
+        expect(Math.min(...verts.map(v => v.z))).toBeCloseTo(-2, 4);
+        expect(Math.max(...verts.map(v => v.x))).toBeCloseTo(1, 4);
+    });
+});
+
+describe('hinge knuckles', () => {
+    const mm = (v) => v * MM_TO_IN;
+    const opts = { radius: mm(4), gap: mm(0.3), thickness: mm(2) };
+
+    it('rounds the lid knuckle around the axis and reaches back to the plate', () => {
+        const verts = verticesMM(createLidKnuckleGeo(mm(10), { ...opts, boreRadius: mm(1) }));
+        expect(Math.min(...verts.map(v => v.x))).toBeCloseTo(0, 4);
+        expect(Math.max(...verts.map(v => v.x))).toBeCloseTo(10, 4);
+        expect(Math.max(...verts.map(v => v.y))).toBeCloseTo(4, 4);
+        expect(Math.min(...verts.map(v => v.y))).toBeCloseTo(-4, 1);
+        expect(Math.max(...verts.map(v => v.z))).toBeCloseTo(4.3, 4);
+    });
+
+    it('builds closed knuckles, with and without a bore, and a closed shelf', () => {
+        for (const boreRadius of [0, mm(1)]) {
+            expect(geometryEdgeReport(createBoxKnuckleGeo(mm(10), { ...opts, boreRadius })).badEdges).toBe(0);
+            expect(geometryEdgeReport(createLidKnuckleGeo(mm(10), { ...opts, boreRadius })).badEdges).toBe(0);
+        }
+        expect(geometryEdgeReport(createHingeShelfGeo(mm(30), opts)).badEdges).toBe(0);
+    });
+});
+
+describe('snap lid features', () => {
+    const mm = (v) => v * MM_TO_IN;
+
+    it('swells the band out by the protrusion at 45° and keeps the flat at full reach', () => {
+        const verts = verticesMM(createSnapBandGeo(mm(60), mm(40), 0, mm(0.5), { flat: mm(0.3), inset: mm(0.1) }));
+        expect(halfWidthAt(verts, 0)).toBeCloseTo(29.9, 4);
+        expect(halfWidthAt(verts, 0.6)).toBeCloseTo(30.5, 4);
+        expect(halfWidthAt(verts, 0.9)).toBeCloseTo(30.5, 4);
+        expect(halfWidthAt(verts, 1.5)).toBeCloseTo(29.9, 4);
+    });
+
+    it('builds closed bands and ridges', () => {
+        for (const r of [0, 0.1]) {
+            expect(geometryEdgeReport(createSnapBandGeo(3, 2, r, 0.02, { inset: 0.002 })).badEdges).toBe(0);
+            expect(geometryEdgeReport(createSnapBandGeo(3, 2, r, 0.02, { flat: 0.01, inset: 0.002 })).badEdges).toBe(0);
+        }
+        expect(geometryEdgeReport(createSnapRidgeGeo(0.3, 0.02)).badEdges).toBe(0);
+        expect(geometryEdgeReport(createSnapRidgeGeo(0.3, 0.02, { flat: 0.01, overlap: 0.002 })).badEdges).toBe(0);
+    });
+
+    it('stands the ridge out towards +z, centred along x', () => {
+        const verts = verticesMM(createSnapRidgeGeo(mm(8), mm(0.4), { overlap: mm(0.1) }));
+        expect(Math.max(...verts.map(v => v.z))).toBeCloseTo(0.4, 4);
+        expect(Math.min(...verts.map(v => v.z))).toBeCloseTo(-0.1, 4);
+        expect(Math.max(...verts.map(v => v.x))).toBeCloseTo(4, 4);
+        expect(Math.max(...verts.map(v => v.y))).toBeCloseTo(0.8, 4);
+    });
+});
+
+describe('slide lid dovetails', () => {
+    const mm = (v) => v * MM_TO_IN;
+    const rail = { neck: mm(1), undercut: mm(1), slot: mm(2.3), cap: mm(2) };
+
+    it('builds closed rails and lid', () => {
+        expect(geometryEdgeReport(createDovetailRailGeo(mm(60), mm(40), rail)).badEdges).toBe(0);
+        const lid = createDovetailLidGeo(mm(57), mm(38), mm(2), mm(0.9));
+        expect(geometryEdgeReport(lid).badEdges).toBe(0);
+        expect(geometryVolume(lid)).toBeGreaterThan(0);
+    });
+
+    it('leans the rails in over the slot and opens them to the front', () => {
+        const verts = verticesMM(createDovetailRailGeo(mm(60), mm(40), rail));
+        expect(halfWidthAt(verts, 0)).toBeCloseTo(30, 4);
+        const inner = (y) => Math.min(...verts.filter(v => Math.abs(v.y - y) < 1e-3 && v.x > 0).map(v => v.x));
+        expect(inner(0)).toBeCloseTo(29, 4);
+        expect(inner(2.3)).toBeCloseTo(28, 4);
+        expect(inner(4.3)).toBeCloseTo(28, 4);
+        expect(Math.max(...verts.map(v => v.z))).toBeCloseTo(20, 4);
+    });
+
+    it('bevels the lid on the sides and back, square at the front', () => {
+        const verts = verticesMM(createDovetailLidGeo(mm(57), mm(38), mm(2), mm(0.9)));
+        const top = verts.filter(v => Math.abs(v.y - 2) < 1e-3);
+        expect(Math.max(...top.map(v => v.x))).toBeCloseTo(27.6, 4);
+        expect(Math.min(...top.map(v => v.z))).toBeCloseTo(-18.1, 4);
+        expect(Math.max(...top.map(v => v.z))).toBeCloseTo(19, 4);
+        expect(halfWidthAt(verts, 0)).toBeCloseTo(28.5, 4);
+    });
+});
+
+describe('jar threads', () => {
+    const mm = (v) => v * MM_TO_IN;
+    const radial = (verts) => verts.map(v => Math.hypot(v.x, v.z));
+
+    it('builds a closed tube and closed threads with positive volume', () => {
+        expect(geometryEdgeReport(createTubeGeo(mm(20), mm(18), mm(30))).badEdges).toBe(0);
+        expect(geometryEdgeReport(createTubeGeo(mm(20), 0, mm(2))).badEdges).toBe(0);
+        for (const inward of [false, true]) {
+            const geo = createThreadGeo(mm(20), mm(3), 1.5, { depth: mm(0.75), rootWidth: mm(2), inward, overlap: mm(0.1) });
+            expect(geometryEdgeReport(geo).badEdges).toBe(0);
+            expect(geometryVolume(geo)).toBeGreaterThan(0);
+        }
+    });
+
+    it('stands the thread out (or in) by its depth and rises a pitch per turn', () => {
+        const opts = { depth: mm(0.75), rootWidth: mm(2), overlap: mm(0.1) };
+        const outer = verticesMM(createThreadGeo(mm(20), mm(3), 2, opts));
+        expect(Math.max(...radial(outer))).toBeCloseTo(20.75, 2);
+        expect(Math.min(...radial(outer))).toBeCloseTo(19.9, 2);
+        expect(Math.max(...outer.map(v => v.y))).toBeCloseTo(2 * 3 + 2, 2);
+
+        const inner = verticesMM(createThreadGeo(mm(20), mm(3), 2, { ...opts, inward: true }));
+        expect(Math.min(...radial(inner))).toBeCloseTo(19.25, 2);
+        expect(Math.max(...radial(inner))).toBeCloseTo(20.1, 2);
+    });
+});
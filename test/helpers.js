@@ -0,0 +1,96 @@
+import { IN_TO_MM, DEFAULT_CONFIG, IU_PER_MM, initIn } from '../core/index.js';
+
+// Scene units (inches) → mm, rounded to kill float noise
+export const mm = (sceneUnits) => Math.round(sceneUnits * IN_TO_MM * 1000) / 1000;
+
+export const makeConfig = (appMode, overrides = {}) => ({ ...DEFAULT_CONFIG, appMode, ...overrides });
+export { IU_PER_MM, initIn };
+
+// Weld a flat list of triangle positions by exact coordinates and count edge usage.
+// Closed, consistently wound solid: every directed edge has exactly one opposite twin.
+export function edgeReport(positions, index = null) {
+    const ids = new Map();
+    const vertId = (i) => {
+        const key = `${positions[i * 3]},${positions[i * 3 + 1]},${positions[i * 3 + 2]}`;
+        if (!ids.has(key)) ids.set(key, ids.size);
+        return ids.get(key);
+    };
+    const triCount = index ? index.length / 3 : positions.length / 9;
+    const edges = new Map();
+    for (let t = 0; t < triCount; t++) {
+        const v = [0, 1, 2].map(k => vertId(index ? index[t * 3 + k] : t * 3 + k));
+        for (let k = 0; k < 3; k++) {
+            const key = `${v[k]}>${v[(k + 1) % 3]}`;
+            edges.set(key, (edges.get(key) || 0) + 1);
+        }
+    }
+    let bad = 0;
+    for (const [key, count] of edges) {
+        const [a, b] = key.split('>');
+        if (count !== 1 || edges.get(`${b}>${a}`) !== 1) bad++;
+    }
+    return { triangles: triCount, edges: edges.size, badEdges: bad };
+}
+
+export const geometryEdgeReport = (geo) =>
+    edgeReport(geo.attributes.position.array, geo.index ? geo.index.array : null);
+
+// Vertices of a BufferGeometry in mm: [{ x, y, z }]
+export function verticesMM(geo) {
+    const pos = geo.attributes.position;
+    const out = [];
+    for (let i = 0; i < pos.count; i++) out.push({ x: mm(pos.getX(i)), y: mm(pos.getY(i)), z: mm(pos.getZ(i)) });
+    return out;
+}
+
+// Enclosed volume of a closed geometry (scene units³), from signed tetrahedra to the origin
+export function geometryVolume(geo) {
+    const pos = geo.attributes.position;
+    const index = geo.index ? geo.index.array : null;
+    const triCount = index ? index.length / 3 : pos.count / 3;
+    const v = (t, k) => {
+        const i = index ? index[t * 3 + k] : t * 3 + k;
+        return [pos.getX(i), pos.getY(i), pos.getZ(i)];
+    };
+    let volume = 0;
+    for (let t = 0; t < triCount; t++) {
+        const [a, b, c] = [v(t, 0), v(t, 1), v(t, 2)];
+        volume += (a[0] * (b[1] * c[2] - b[2] * c[1]) - a[1] * (b[0] * c[2] - b[2] * c[0]) + a[2] * (b[0] * c[1] - b[1] * c[0])) / 6;
+    }
+    return volume;
+}
+
+// Signed volume (scene units³) of each connected shell of a closed geometry, largest first.
+// Triangles sharing a vertex (welded by exact coordinates) belong to the same shell; a
+// negative volume is a sealed void inside another shell.
+export function shellVolumes(geo) {
+    const pos = geo.attributes.position;
+    const index = geo.index ? geo.index.array : null;
+    const triCount = index ? index.length / 3 : pos.count / 3;
+    const ids = new Map();
+    const parent = [];
+    const find = (a) => (parent[a] === a ? a : (parent[a] = find(parent[a])));
+    const vertId = (i) => {
+        const key = `${pos.getX(i)},${pos.getY(i)},${pos.getZ(i)}`;
+        if (!ids.has(key)) {
+            ids.set(key, ids.size);
+            parent.push(parent.length);
+        }
+        return ids.get(key);
+    };
+    const tris = [];
+    for (let t = 0; t < triCount; t++) {
+        const corner = [0, 1, 2].map(k => (index ? index[t * 3 + k] : t * 3 + k));
+        const [a, b, c] = corner.map(vertId);
+        parent[find(b)] = find(a);
+        parent[find(c)] = find(a);
+        tris.push({ v: a, p: corner.map(i => [pos.getX(i), pos.getY(i), pos.getZ(i)]) });
+    }
+    const volumes = new Map();
+    for (const { v, p: [a, b, c] } of tris) {
+        const vol = (a[0] * (b[1] * c[2] - b[2] * c[1]) - a[1] * (b[0] * c[2] - b[2] * c[0]) + a[2] * (b[0] * c[1] - b[1] * c[0])) / 6;
+        const root = find(v);
+        volumes.set(root, (volumes.get(root) || 0) + vol);
+    }
+    return [...volumes.values()].sort((x, y) => y - x);
+}
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import {
+    parseSVGOutline, parseDXFOutline, parseOutline, outlineSize, placeOutline, fingerHolePositions, isOutline,
+} from '../core/index.js';
+
+// Minimal DXF: ENTITIES section from [code, value] pairs
+const dxf = (header, entities) => [
+    '0', 'SECTION', '2', 'HEADER', ...header, '0', 'ENDSEC',
+    '0', 'SECTION', '2', 'ENTITIES', ...entities, '0', 'ENDSEC', '0', 'EOF',
+].join('\n');
+
+const line = (x1, y1, x2, y2) => ['0', 'LINE', '8', '0', '10', x1, '20', y1, '11', x2, '21', y2].map(String);
+
+describe('SVG outlines', () => {
+    it('reads sizes from width/height and the viewBox', () => {
+        const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="80mm" height="30mm" viewBox="0 0 160 60">'
+            + '<rect x="0" y="0" width="160" height="60"/></svg>';
+        const outline = parseSVGOutline(svg);
+        expect(outline).toHaveLength(1);
+        expect(outlineSize(outline)).toEqual({ width: 80, depth: 30 });
+    });
+
+    it('treats unitless sizes as 96dpi pixels and applies transforms', () => {
+        const svg = '<svg width="96" height="96"><g transform="translate(10 10) scale(2)">'
+            + '<path d="M0 0 H48 V24 H0 Z"/></g></svg>';
+        const { width, depth } = outlineSize(parseSVGOutline(svg));
+        expect(width).toBeCloseTo(25.4, 1);
+        expect(depth).toBeCloseTo(12.7, 1);
+    });
+
+    it('follows arcs and circles, and centres the outline on its bounding box', () => {
+        const svg = '<svg width="100mm" height="100mm" viewBox="0 0 100 100">'
+            + '<path d="M10 50 A 20 20 0 0 1 50 50 L 50 70 L 10 70 Z"/><circle cx="80" cy="80" r="5"/></svg>';
+        const outline = parseSVGOutline(svg);
+        expect(outline).toHaveLength(2);
+        const { width, depth } = outlineSize(outline);
+        expect(width).toBeCloseTo(75, 1);
+        expect(depth).toBeCloseTo(55, 1);
+        const xs = outline.flat().map(p => p[0]);
+        expect(Math.min(...xs) + Math.max(...xs)).toBeCloseTo(0, 2);
+    });
+
+    it('rejects files without closed shapes', () => {
+        expect(() => parseSVGOutline('<svg><path d="M0 0 L10 0"/></svg>')).toThrow('No closed shapes');
+        expect(() => parseSVGOutline('hello')).toThrow('Not an SVG file');
+    });
+});
+
+describe('DXF outlines', () => {
+    it('reads closed polylines with bulges, scaled by $INSUNITS', () => {
+        // 2 x 1 inch slot: two straight sides and two half circles
+        const entities = [
+            '0', 'LWPOLYLINE', '8', '0', '90', '4', '70', '1',
+            '10', '0.5', '20', '0', '42', '0',
+            '10', '1.5', '20', '0', '42', '1',
+            '10', '1.5', '20', '1', '42', '0',
+            '10', '0.5', '20', '1', '42', '1',
+        ];
+        const outline = parseDXFOutline(dxf(['9', '$INSUNITS', '70', '1'], entities));
+        const { width, depth } = outlineSize(outline);
+        expect(width).toBeCloseTo(50.8, 1);
+        expect(depth).toBeCloseTo(25.4, 1);
+    });
+
+    it('chains loose lines into closed loops and flips y to point to the front', () => {
+        const entities = [...line(0, 0, 40, 0), ...line(10, 20, 0, 0), ...line(40, 0, 10, 20)];
+        const outline = parseOutline(dxf([], entities), 'part.dxf');
+        expect(outline).toHaveLength(1);
+        expect(outlineSize(outline)).toEqual({ width: 40, depth: 20 });
+        // The apex (y = 20 in the drawing) is at the back, i.e. negative z
+        const apex = outline[0].find(([x]) => Math.abs(x + 10) < 0.01);
+        expect(apex[1]).toBe(-10);
+    });
+});
+
+describe('outline placement', () => {
+    const bar = [[[-30, -5], [30, -5], [30, 5], [-30, 5]]];
+
+    it('rotates clockwise seen from above, then moves', () => {
+        const placed = placeOutline(bar, { rotation: 90, x: 10, z: 0 });
+        expect(isOutline(placed)).toBe(true);
+        const { width, depth } = outlineSize(placed);
+        expect(width).toBeCloseTo(10, 6);
+        expect(depth).toBeCloseTo(60, 6);
+        expect(placed[0][1][0]).toBeCloseTo(10 + 5, 6);
+        expect(placed[0][1][1]).toBeCloseTo(30, 6);
+    });
+
+    it('puts finger holes in the middle or at both ends of the longer side', () => {
+        expect(fingerHolePositions(bar, 'none', {})).toEqual([]);
+        expect(fingerHolePositions(bar, 'center', { x: 5, z: 2 })).toEqual([{ x: 5, z: 2 }]);
+        const ends = fingerHolePositions(bar, 'ends', { rotation: 90 });
+        expect(ends.map(p => Math.round(p.z))).toEqual([-30, 30]);
+        expect(ends.every(p => Math.abs(p.x) < 1e-9)).toBe(true);
+    });
+});
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import {
+    resolvePrinter, loadPrinterSettings, savePrinterSettings,
+    DEFAULT_PRINTER, DEFAULT_PRINTER_SETTINGS, CUSTOM_PRINTER_ID,
+} from '../core/index.js';
+
+// Minimal Storage stand-in
+const memoryStorage = () => {
+    const items = new Map();
+    return { getItem: (k) => (items.has(k) ? items.get(k) : null), setItem: (k, v) => items.set(k, String(v)) };
+};
+
+describe('printer profiles', () => {
+    it('resolves built-in profiles and falls back to the default for unknown ids', () => {
+        expect(resolvePrinter({ id: 'prusa-mini' })).toMatchObject({ bedX: 180, bedY: 180, bedZ: 180 });
+        expect(resolvePrinter({ id: 'no-such-printer' })).toBe(DEFAULT_PRINTER);
+    });
+
+    it('clamps custom values to the accepted ranges', () => {
+        const printer = resolvePrinter({ id: CUSTOM_PRINTER_ID, custom: { bedX: 10, bedY: 300, bedZ: 'x', nozzle: 0.6, layerHeight: 0.3 } });
+        expect(printer).toMatchObject({ bedX: 50, bedY: 300, bedZ: 250, nozzle: 0.6, layerHeight: 0.3 });
+    });
+
+    it('round-trips settings through local storage', () => {
+        const storage = memoryStorage();
+        expect(loadPrinterSettings(storage)).toEqual(DEFAULT_PRINTER_SETTINGS);
+        const settings = { id: CUSTOM_PRINTER_ID, custom: { bedX: 300, bedY: 300, bedZ: 400, nozzle: 0.6, layerHeight: 0.3 } };
+        savePrinterSettings(storage, settings);
+        expect(loadPrinterSettings(storage)).toEqual(settings);
+    });
+
+    it('ignores corrupt or missing storage', () => {
+        const storage = memoryStorage();
+        storage.setItem('box3d.printer', '{not json');
+        expect(loadPrinterSettings(storage)).toEqual(DEFAULT_PRINTER_SETTINGS);
+        expect(loadPrinterSettings(undefined)).toEqual(DEFAULT_PRINTER_SETTINGS);
+    });
+});
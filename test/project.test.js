@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import {
+    parseProject, projectToJSON, projectFromJSON, encodeProjectHash, decodeProjectHash, PROJECT_FORMAT, PROJECT_VERSION,
+} from '../core/index.js';
+import { makeConfig } from './helpers.js';
+
+const project = (overrides = {}) => ({
+    format: PROJECT_FORMAT, version: PROJECT_VERSION, appMode: 'mm', config: makeConfig('mm'), compartmentWalls: [], ...overrides,
+});
+
+describe('project files', () => {
+    it('round-trips a project through JSON', () => {
+        const walls = [{ axis: 'x', pos: 42, seg: 0, notch: true }];
+        const loaded = projectFromJSON(projectToJSON({ appMode: 'mm', config: makeConfig('mm'), compartmentWalls: walls }));
+        expect(loaded.appMode).toBe('mm');
+        expect(loaded.compartmentWalls).toEqual(walls);
+        expect(loaded.problems).toEqual([]);
+    });
+
+    it('rejects other formats', () => {
+        expect(() => parseProject({ ...project(), format: 'other' })).toThrow('Not a BOX3D project file.');
+    });
+
+    it('rejects a newer version', () => {
+        expect(() => parseProject(project({ version: PROJECT_VERSION + 1 }))).toThrow(/Unsupported project version/);
+    });
+
+    it('rejects versions below 1', () => {
+        for (const version of [0, -3]) {
+            expect(() => parseProject(project({ version }))).toThrow(`Unsupported project version: ${version}`);
+        }
+    });
+
+    it('falls back to the default for a fractional latch count', () => {
+        const loaded = parseProject(project({ config: makeConfig('mm', { snapLatches: 2.5 }) }));
+        expect(loaded.config.snapLatches).toBe(4);
+        expect(loaded.problems).toEqual(['Invalid value for "snapLatches": 2.5']);
+    });
+
+    it('reports values under a control\'s minimum, keeping them', () => {
+        const loaded = parseProject(project({ config: makeConfig('mm', { threadTurns: 0, gridWidth: 0, wall: 20000 }) }));
+        expect(loaded.config.threadTurns).toBe(0);
+        expect(loaded.problems).toEqual([
+            '"threadTurns" is 0, under its minimum of 0.5.',
+            '"wall" is 0.2mm, under its minimum of 0.76mm.',
+            '"gridWidth" is 0, under its minimum of 0.5.',
+        ]);
+        // Past the maximum is left to the control's range warning
+        expect(parseProject(project({ config: makeConfig('mm', { snapLatches: 20 }) })).problems).toEqual([]);
+    });
+});
+
+describe('share links', () => {
+    it('round-trips the design but leaves the cutout outline out, telling the receiver', () => {
+        const outline = [Array.from({ length: 500 }, (_, i) => [Math.cos(i / 80) * 40, Math.sin(i / 80) * 40])];
+        const config = makeConfig('mm', { cutoutOutline: outline, cutoutDepth: 1500000 });
+        const hash = encodeProjectHash({ appMode: 'mm', config, compartmentWalls: [] });
+        expect(hash.length).toBeLessThan(3000);
+        const loaded = decodeProjectHash(`#${hash}`);
+        expect(loaded.config.cutoutOutline).toEqual([]);
+        expect(loaded.config.cutoutDepth).toBe(1500000);
+        expect(loaded.problems).toEqual([
+            'The tool cutout outline is not included in share links: load the SVG/DXF again, or ask for the .json project file.',
+        ]);
+        expect(config.cutoutOutline).toBe(outline);
+
+        const plain = decodeProjectHash(`#${encodeProjectHash({ appMode: 'mm', config: makeConfig('mm'), compartmentWalls: [] })}`);
+        expect(plain.problems).toEqual([]);
+    });
+});
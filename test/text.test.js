@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { measureText, createTextGeo, placeOnFace, buildModel, solidify } from '../core/index.js';
+import { makeConfig, geometryEdgeReport, mm } from './helpers.js';
+
+// "L": the upright stroke is on the left, the foot at the bottom. Returns where the
+// stroke and the foot ended up, as the sign of their offset from the glyph centre.
+function orientationOfL(geo) {
+    geo.computeBoundingBox();
+    const center = geo.boundingBox.getCenter(new THREE.Vector3());
+    const pos = geo.attributes.position;
+    const v = new THREE.Vector3();
+    const sum = new THREE.Vector3();
+    for (let i = 0; i < pos.count; i++) sum.add(v.fromBufferAttribute(pos, i).sub(center));
+    return sum.divideScalar(pos.count); // mass leans toward the stroke and the foot
+}
+
+describe('text geometry', () => {
+    it('measures advance widths that scale with size', () => {
+        expect(measureText('', 10)).toBe(0);
+        expect(measureText('MM', 10)).toBeCloseTo(measureText('M', 10) * 2, 6);
+        expect(measureText('M', 20)).toBeCloseTo(measureText('M', 10) * 2, 6);
+    });
+
+    it('anchors the bounding box on the alignment edge, centred vertically', () => {
+        for (const [align, key] of [['left', 'min'], ['right', 'max']]) {
+            const geo = createTextGeo('Bin', 10, 1, align);
+            geo.computeBoundingBox();
+            expect(geo.boundingBox[key].x).toBeCloseTo(0, 6);
+            expect(geo.boundingBox.min.y + geo.boundingBox.max.y).toBeCloseTo(0, 6);
+            expect(geo.boundingBox.max.z).toBeCloseTo(1, 6);
+        }
+        expect(createTextGeo('   ', 10, 1)).toBeNull();
+    });
+
+    it('is a closed solid', () => {
+        expect(geometryEdgeReport(createTextGeo('M3 Screws & Bits 0-9', 10, 1)).badEdges).toBe(0);
+    });
+
+    it('reads left to right on a face seen from outside', () => {
+        // Front wall seen from +Z: stroke toward -X, foot toward -Y, raised toward +Z
+        const geo = placeOnFace(createTextGeo('L', 10, 1), new THREE.Vector3(), new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0));
+        const lean = orientationOfL(geo);
+        expect(lean.x).toBeLessThan(0);
+        expect(lean.y).toBeLessThan(0);
+        geo.computeBoundingBox();
+        expect(geo.boundingBox.max.z).toBeCloseTo(1, 6);
+    });
+});
+
+describe('text on models', () => {
+    it('engraves the front wall: subtracted on export', async () => {
+        const config = makeConfig('mm', { text: 'BITS', textTarget: 'front', textStyle: 'deboss' });
+        const { group } = buildModel(config);
+        const cuts = group.children.filter(m => m.userData.cut);
+        expect(cuts).toHaveLength(1);
+        const solid = await solidify(group);
+        expect(geometryEdgeReport(solid).badEdges).toBe(0);
+        // Engraving stays inside the outer bounds
+        solid.computeBoundingBox();
+        const { group: plain, layout } = buildModel({ ...config, text: '' });
+        const base = await solidify(plain);
+        base.computeBoundingBox();
+        expect(mm(solid.boundingBox.max.z)).toBe(mm(base.boundingBox.max.z));
+        expect(mm(layout.outerD / 2)).toBe(mm(base.boundingBox.max.z));
+    });
+
+    it('puts one piece of "A|B" on each label tab', () => {
+        const config = makeConfig('gridfinity', { gridWidth: 2, gridDepth: 1, labelTab: 'compartments', text: 'A|B', textTarget: 'tab' });
+        const { group } = buildModel(config, [{ axis: 'x', pos: 42, seg: 0 }]);
+        const { group: noText } = buildModel({ ...config, text: '' }, [{ axis: 'x', pos: 42, seg: 0 }]);
+        expect(group.children.length - noText.children.length).toBe(2);
+    });
+
+    it('puts step-lid text on the bed face, readable once the lid is flipped', () => {
+        const config = makeConfig('mm', { lidEnabled: true, lidType: 'step', text: 'L', textTarget: 'lid', textStyle: 'deboss' });
+        const { group } = buildModel(config);
+        const text = group.children.find(m => m.userData.cut);
+        expect(text.userData.part).toBe('lid');
+        const geo = text.geometry.clone();
+        geo.computeBoundingBox();
+        expect(geo.boundingBox.min.y).toBeLessThan(0);
+        // Flip about X (as when the lid goes onto the box) and view from above
+        geo.rotateX(Math.PI);
+        const lean = orientationOfL(geo);
+        expect(lean.x).toBeLessThan(0);  // stroke on the left
+        expect(lean.z).toBeGreaterThan(0); // foot toward the reader (+Z)
+    });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { fitDrawer, planBaseplateTiles, calculateConstraints, buildModel, initMm, resolvePrinter } from '../core/index.js';
+import { makeConfig, mm } from './helpers.js';
+
+const NO_PADDING = { left: 0, right: 0, back: 0, front: 0 };
+
+describe('fitDrawer', () => {
+    it('fits whole units with 0.5mm clearance and centres the leftover as padding', () => {
+        const fit = fitDrawer(400, 300);
+        expect(fit.unitsX).toBe(9);                 // 399 / 42 = 9.5
+        expect(fit.unitsZ).toBe(7);                 // 299 / 42 = 7.1
+        expect(fit.padding.left).toBeCloseTo(10.5, 6);
+        expect(fit.padding.right).toBeCloseTo(10.5, 6);
+        expect(fit.padding.back).toBeCloseTo(2.5, 6);
+        expect(fit.padding.front).toBeCloseTo(2.5, 6);
+    });
+
+    it('returns zero units for a drawer smaller than one cell', () => {
+        expect(fitDrawer(40, 100).unitsX).toBe(0);
+    });
+});
+
+describe('planBaseplateTiles', () => {
+    it('keeps a plate that fits the bed in one tile', () => {
+        const plan = planBaseplateTiles({ unitsX: 5, unitsZ: 4, padding: NO_PADDING, bedW: 250, bedD: 210 });
+        expect(plan.tiles).toHaveLength(1);
+        expect(plan.tiles[0]).toMatchObject({ label: 'A1', unitsX: 5, unitsZ: 4, width: 210, depth: 168 });
+    });
+
+    it('splits into the fewest tiles that fit, using either bed orientation', () => {
+        // 10 × 5 units = 420 × 210mm on a 250 × 210 bed → two 5 × 5 tiles
+        const plan = planBaseplateTiles({ unitsX: 10, unitsZ: 5, padding: NO_PADDING, bedW: 250, bedD: 210 });
+        expect(plan.tiles.map(t => t.label)).toEqual(['A1', 'B1']);
+        expect(plan.tiles.map(t => t.unitsX)).toEqual([5, 5]);
+        expect(plan.tiles[0].joins).toEqual({ left: false, right: true, back: false, front: false });
+    });
+
+    it('puts padding only on the outer tiles and keeps every tile on the bed', () => {
+        const padding = { left: 10, right: 10, back: 3, front: 3 };
+        const plan = planBaseplateTiles({ unitsX: 9, unitsZ: 7, padding, bedW: 180, bedD: 180 });
+        for (const t of plan.tiles) {
+            expect(Math.max(t.width, t.depth)).toBeLessThanOrEqual(180);
+            expect(t.width).toBeCloseTo(t.unitsX * 42 + t.padding.left + t.padding.right, 6);
+        }
+        const a1 = plan.tiles.find(t => t.label === 'A1');
+        expect(a1.padding).toEqual({ left: 10, right: 0, back: 3, front: 0 });
+        const total = plan.tiles.reduce((n, t) => n + t.unitsX * t.unitsZ, 0);
+        expect(total).toBe(63);
+    });
+
+    it('returns null when a single cell does not fit', () => {
+        expect(planBaseplateTiles({ unitsX: 2, unitsZ: 2, padding: NO_PADDING, bedW: 40, bedD: 200 })).toBeNull();
+    });
+});
+
+describe('drawer baseplates', () => {
+    const drawer = makeConfig('gridfinity', {
+        gridfinityType: 'frame', frameFit: 'drawer',
+        drawerWidth: initMm(400), drawerDepth: initMm(300), printer: resolvePrinter({ id: 'prusa-mk4' }),
+    });
+
+    it('sizes the plate to the drawer minus clearance and splits it for the bed', () => {
+        const layout = calculateConstraints(drawer);
+        expect(layout.valid).toBe(true);
+        expect(mm(layout.outerW)).toBe(399);
+        expect(mm(layout.outerD)).toBe(299);
+        expect(layout.stack.baseplate.unitsX).toBe(9);
+        expect(layout.stack.baseplate.tiles.length).toBeGreaterThan(1);
+    });
+
+    it('tags each tile mesh with its position label', () => {
+        const { layout, group } = buildModel(drawer);
+        const parts = group.children.map(m => m.userData.part);
+        expect(parts).toEqual(layout.stack.baseplate.tiles.map(t => `tile-${t.label}`));
+    });
+
+    it('errors when the bed cannot hold one cell', () => {
+        const layout = calculateConstraints({ ...drawer, printer: { ...drawer.printer, bedX: 30 } });
+        expect(layout.errors).toContain('Print bed is too small for a single baseplate cell.');
+    });
+});
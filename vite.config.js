@@ -3,4 +3,6 @@ import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
+  // manifold-3d resolves its .wasm relative to import.meta.url; pre-bundling breaks that path
+  optimizeDeps: { exclude: ['manifold-3d'] },
 })